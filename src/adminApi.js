@@ -0,0 +1,443 @@
+import { createHash, timingSafeEqual } from 'node:crypto';
+import express from 'express';
+import { assignRequestContext } from './requestContext.js';
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Creates the admin API, mounted by createProxyServer() under /admin. Every change it makes
+ * is stored in Redis, so it applies to every proxy and worker instance sharing the routes:
+ *
+ * - Token buckets: GET /buckets lists them with their tokens; POST /buckets/:key/refill and
+ *   /drain set their tokens; PUT and DELETE /buckets/:key/limits override their capacity and
+ *   fill rate. A per-client limiter's own key stands for all of its clients.
+ * - Queues, under /routes/:route/queue: GET to peek at queued requests, DELETE /:requestId
+ *   to remove one, POST /:requestId/reprioritize to move one, POST /pause and /resume.
+ * - Dead letters, under /routes/:route/dead-letters: list, read, replay and purge.
+ * - Circuit breakers, under /routes/:route/circuit-breaker: GET its state and counters,
+ *   POST /open, /close or /reset to override it.
+ * - POST /config/reload (see the proxy's reload()).
+ *
+ * Every request must carry `Authorization: Bearer <token>`. Without a token the admin API is
+ * disabled.
+ *
+ * @param {object} options
+ * @param {Map<string, object>} options.proxies - Route name -> route resources, as from createRouteResources().
+ * @param {ResultStore} options.resultStore - Where removed requests are recorded as cancelled.
+ * @param {Function} options.reload - Reloads the configuration, as the proxy's reload().
+ * @param {string|null} [options.token] - The bearer token admins must present.
+ * @returns {object} An Express router.
+ */
+export function createAdminRouter({ proxies, resultStore, reload, token = null }) {
+    const router = express.Router();
+    router.use((req, res, next) => {
+        assignRequestContext(req, res, { component: 'admin' });
+        next();
+    }, requireToken(token), express.json());
+
+    // --- Token Bucket Admin ---
+    // Every token bucket of every route: each route's global bucket, and the bucket of each
+    // client seen recently by its per-client limiter. Keyed by Redis key, as limiters may be shared.
+    async function listBuckets() {
+        const buckets = new Map();
+        for (const { route, rateLimiter, clientRateLimiter } of proxies.values()) {
+            if (rateLimiter.inspect) { // Only token buckets have tokens to read or set
+                buckets.set(rateLimiter.keyFor(), { route: route.name, limiter: 'global', bucket: rateLimiter });
+            }
+            if (clientRateLimiter?.inspect) {
+                for (const clientKey of await clientRateLimiter.clientKeys()) {
+                    buckets.set(clientRateLimiter.keyFor(clientKey), { route: route.name, limiter: 'client', bucket: clientRateLimiter, clientKey });
+                }
+            }
+        }
+        return [...buckets.values()];
+    }
+
+    // Finds the token bucket stored under a Redis key. `perClient` is set for the key of a
+    // per-client limiter itself, which stands for all of its clients.
+    function findBucket(key) {
+        let found = null;
+        for (const { rateLimiter, clientRateLimiter } of proxies.values()) {
+            if (rateLimiter.inspect && rateLimiter.limiterKey === key) {
+                return { bucket: rateLimiter, perClient: false };
+            }
+            if (!clientRateLimiter?.inspect) {
+                continue;
+            }
+            const prefix = `${clientRateLimiter.limiterKey}:`;
+            if (clientRateLimiter.limiterKey === key) {
+                return { bucket: clientRateLimiter, perClient: true };
+            }
+            // The longest prefix wins, should one limiter's key start with another's
+            if (key.startsWith(prefix) && key.length > prefix.length && (!found || prefix.length > found.prefix.length)) {
+                found = { bucket: clientRateLimiter, clientKey: key.slice(prefix.length), perClient: false, prefix };
+            }
+        }
+        return found;
+    }
+
+    function findBucketOr404(req, res) {
+        const found = findBucket(req.params.key);
+        if (!found) {
+            res.status(404).json({ message: 'Unknown token bucket.', key: req.params.key });
+        }
+        return found;
+    }
+
+    router.get('/buckets', async (req, res) => {
+        const { offset, limit } = pageOf(req);
+        try {
+            const buckets = await listBuckets();
+            const page = await Promise.all(buckets.slice(offset, offset + limit).map(async ({ route, limiter, bucket, clientKey }) => ({
+                route,
+                limiter,
+                ...(clientKey !== undefined && { client: clientKey }),
+                ...await bucket.inspect(clientKey),
+            })));
+            res.json({ total: buckets.length, offset, limit, buckets: page });
+        } catch (error) {
+            req.log.error('Error listing token buckets', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    const TOKEN_ACTIONS = {
+        refill: Infinity,
+        drain: 0,
+    };
+
+    router.post('/buckets/:key/:action', async (req, res) => {
+        const tokens = TOKEN_ACTIONS[req.params.action];
+        if (tokens === undefined) {
+            return res.status(404).json({ message: 'Unknown token bucket action.', action: req.params.action });
+        }
+        const found = findBucketOr404(req, res);
+        if (!found) {
+            return;
+        }
+        if (found.perClient) {
+            return res.status(400).json({ message: 'This is a per-client limiter. Refill or drain the bucket of one of its clients.', key: req.params.key });
+        }
+        try {
+            await found.bucket.setTokens(tokens, found.clientKey);
+            req.log.info(`Token bucket ${req.params.action} requested.`, { key: req.params.key });
+            res.json(await found.bucket.inspect(found.clientKey));
+        } catch (error) {
+            req.log.error('Error setting token bucket tokens', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    router.put('/buckets/:key/limits', async (req, res) => {
+        const { capacity, fillRate } = req.body ?? {};
+        if (!Number.isInteger(capacity) || capacity < 1 || typeof fillRate !== 'number' || !(fillRate > 0) || !Number.isFinite(fillRate)) {
+            return res.status(400).json({ message: 'capacity must be a positive integer and fillRate a positive number.' });
+        }
+        const found = findBucketOr404(req, res);
+        if (!found) {
+            return;
+        }
+        try {
+            await found.bucket.setOverride({ capacity, fillRate }, found.clientKey);
+            req.log.info('Token bucket limits overridden.', { key: req.params.key, capacity, fillRate });
+            res.json({ key: req.params.key, override: { capacity, fillRate } });
+        } catch (error) {
+            req.log.error('Error overriding token bucket limits', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    router.delete('/buckets/:key/limits', async (req, res) => {
+        const found = findBucketOr404(req, res);
+        if (!found) {
+            return;
+        }
+        try {
+            const removed = await found.bucket.clearOverride(found.clientKey);
+            if (!removed) {
+                return res.status(404).json({ message: 'Token bucket limits are not overridden.', key: req.params.key });
+            }
+            req.log.info('Token bucket limits override removed.', { key: req.params.key });
+            res.json({ key: req.params.key, override: null });
+        } catch (error) {
+            req.log.error('Error removing token bucket limits override', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    // --- Queue Admin ---
+    function findRouteProxy(req, res) {
+        const proxy = proxies.get(req.params.route);
+        if (!proxy) {
+            res.status(404).json({ message: 'Unknown route.', route: req.params.route });
+        }
+        return proxy;
+    }
+
+    router.get('/routes/:route/queue', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        const { requestQueue } = proxy;
+        const { offset, limit } = pageOf(req);
+        try {
+            const [paused, { total, requests }] = await Promise.all([
+                requestQueue.isPaused(),
+                requestQueue.peek(offset, limit),
+            ]);
+            res.json({ queue: requestQueue.queueName, paused, total, offset, limit, requests });
+        } catch (error) {
+            req.log.error('Error listing queued requests', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    const QUEUE_ACTIONS = {
+        pause: queue => queue.pause(),
+        resume: queue => queue.resume(),
+    };
+
+    router.post('/routes/:route/queue/:action', async (req, res) => {
+        const action = QUEUE_ACTIONS[req.params.action];
+        if (!action) {
+            return res.status(404).json({ message: 'Unknown queue action.', action: req.params.action });
+        }
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        const { requestQueue } = proxy;
+        try {
+            await action(requestQueue);
+            res.json({ queue: requestQueue.queueName, paused: await requestQueue.isPaused() });
+        } catch (error) {
+            req.log.error('Error changing whether the queue is paused', { queue: requestQueue.queueName, error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    router.delete('/routes/:route/queue/:requestId', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        const { requestId } = req.params;
+        try {
+            const request = await proxy.requestQueue.remove(requestId);
+            if (!request) {
+                return res.status(404).json({ message: 'Request is not queued.', requestId });
+            }
+            // Tell clients polling for the request that it won't be processed
+            if (request.requestId) {
+                await resultStore.setCancelled(request.requestId);
+            }
+            res.json({ message: 'Request removed.', requestId });
+        } catch (error) {
+            req.log.error('Error removing queued request', { queuedRequestId: requestId, error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    router.post('/routes/:route/queue/:requestId/reprioritize', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        const { requestId } = req.params;
+        const { priority } = req.body ?? {};
+        const { priorities } = proxy.route.queue;
+        if (!priorities.includes(priority)) {
+            return res.status(400).json({ message: `priority must be one of ${priorities.join(', ')}.`, priority });
+        }
+        try {
+            const request = await proxy.requestQueue.reprioritize(requestId, priority);
+            if (!request) {
+                return res.status(404).json({ message: 'Request is not queued.', requestId });
+            }
+            res.json({ requestId, priority });
+        } catch (error) {
+            req.log.error('Error reprioritizing queued request', { queuedRequestId: requestId, error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    // --- Dead-Letter Queue Admin ---
+    // Requests the worker gave up on after running out of attempts, per route.
+    router.get('/routes/:route/dead-letters', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        const { requestQueue } = proxy;
+        const { offset, limit } = pageOf(req);
+        try {
+            const { total, requests } = await requestQueue.listDeadLetters(offset, limit);
+            res.json({ queue: requestQueue.deadQueueName, total, offset, limit, requests });
+        } catch (error) {
+            req.log.error('Error listing dead-lettered requests', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    router.get('/routes/:route/dead-letters/:requestId', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        const { requestId } = req.params;
+        try {
+            const request = await proxy.requestQueue.getDeadLetter(requestId);
+            if (!request) {
+                return res.status(404).json({ message: 'Request is not in the dead-letter queue.', requestId });
+            }
+            res.json(request);
+        } catch (error) {
+            req.log.error('Error reading dead-lettered request', { queuedRequestId: requestId, error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    router.post('/routes/:route/dead-letters/:requestId/replay', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        const { requestId } = req.params;
+        const notFound = () => res.status(404).json({ message: 'Request is not in the dead-letter queue.', requestId });
+        try {
+            if (!await proxy.requestQueue.getDeadLetter(requestId)) {
+                return notFound();
+            }
+            // Recorded before the request is requeued, so a worker finishing it first isn't overwritten
+            const previous = await resultStore.get(requestId);
+            await resultStore.setPending(requestId);
+            if (!await proxy.requestQueue.replayDeadLetter(requestId)) {
+                await resultStore.restore(requestId, previous); // Replayed or purged meanwhile
+                return notFound();
+            }
+            req.log.info('Replayed dead-lettered request.', { queuedRequestId: requestId });
+            res.status(202).json({ message: 'Request requeued.', requestId, statusUrl: `/requests/${requestId}` });
+        } catch (error) {
+            req.log.error('Error replaying dead-lettered request', { queuedRequestId: requestId, error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    router.delete('/routes/:route/dead-letters/:requestId', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        const { requestId } = req.params;
+        try {
+            const removed = await proxy.requestQueue.purgeDeadLetters(requestId);
+            if (!removed) {
+                return res.status(404).json({ message: 'Request is not in the dead-letter queue.', requestId });
+            }
+            res.json({ removed });
+        } catch (error) {
+            req.log.error('Error purging dead-lettered request', { queuedRequestId: requestId, error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    router.delete('/routes/:route/dead-letters', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        try {
+            const removed = await proxy.requestQueue.purgeDeadLetters();
+            res.json({ removed });
+        } catch (error) {
+            req.log.error('Error purging dead-lettered requests', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    // --- Circuit Breaker Admin ---
+    // Holding a route's breaker OPEN takes its backend out of rotation for every proxy and worker.
+    async function describeBreaker(route, circuitBreaker) {
+        return {
+            route: route.name,
+            ...await circuitBreaker.getStats(), // forced is 'OPEN' or 'CLOSED' while overridden
+            remainingResetTimeout: await circuitBreaker.getRemainingResetTimeout(),
+        };
+    }
+
+    router.get('/routes/:route/circuit-breaker', async (req, res) => {
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        try {
+            res.json(await describeBreaker(proxy.route, proxy.circuitBreaker));
+        } catch (error) {
+            req.log.error('Error reading circuit breaker state', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    const BREAKER_OVERRIDES = {
+        open: breaker => breaker.forceOpen(),
+        close: breaker => breaker.forceClose(),
+        reset: breaker => breaker.reset(),
+    };
+
+    router.post('/routes/:route/circuit-breaker/:action', async (req, res) => {
+        const override = BREAKER_OVERRIDES[req.params.action];
+        if (!override) {
+            return res.status(404).json({ message: 'Unknown circuit breaker action.', action: req.params.action });
+        }
+        const proxy = findRouteProxy(req, res);
+        if (!proxy) {
+            return;
+        }
+        try {
+            await override(proxy.circuitBreaker);
+            req.log.info(`Circuit breaker ${req.params.action} requested.`, { route: proxy.route.name });
+            res.json(await describeBreaker(proxy.route, proxy.circuitBreaker));
+        } catch (error) {
+            req.log.error('Error overriding circuit breaker', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    // --- Configuration Admin ---
+    router.post('/config/reload', async (req, res) => {
+        try {
+            res.json(await reload());
+        } catch (error) {
+            req.log.error('Error reloading configuration', { error });
+            res.status(500).json({ message: 'Configuration not reloaded.', error: error.message });
+        }
+    });
+
+    return router;
+}
+
+// Checks the bearer token. Both sides are hashed first, as timingSafeEqual() needs equal lengths.
+function requireToken(token) {
+    const digest = value => createHash('sha256').update(value).digest();
+    const expected = token && digest(token);
+    return (req, res, next) => {
+        if (!expected) {
+            return res.status(403).json({ message: 'The admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+        }
+        const [scheme, presented] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !presented || !timingSafeEqual(digest(presented), expected)) {
+            res.set('WWW-Authenticate', 'Bearer realm="admin"');
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        next();
+    };
+}
+
+// Reads ?offset= and ?limit= for the listing endpoints
+function pageOf(req) {
+    return {
+        offset: Math.max(0, parseInt(req.query.offset, 10) || 0),
+        limit: Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit, 10) || 50)),
+    };
+}
@@ -0,0 +1,14 @@
+/**
+ * Computes how long to wait before retrying, using exponential backoff with "equal jitter":
+ * half of the exponential delay is fixed and the other half is random, so retries from
+ * many requests that failed together are spread out but never retried immediately.
+ * @param {number} attempt - The number of attempts made so far (1 for the first retry).
+ * @param {number} baseDelayMs - The delay before the first retry, before jitter.
+ * @param {number} maxDelayMs - The upper bound for the delay, before jitter.
+ * @param {Function} [random] - Returns a number in [0, 1). Injectable for tests.
+ * @returns {number} The delay in milliseconds.
+ */
+export function computeBackoff(attempt, baseDelayMs, maxDelayMs, random = Math.random) {
+    const exponentialDelay = Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempt - 1));
+    return Math.round(exponentialDelay / 2 + random() * (exponentialDelay / 2));
+}
@@ -0,0 +1,249 @@
+/**
+ * What the circuit breakers count as a failed or slow call, when a sliding window of
+ * calls trips them, and the errors and events they share. Used by CircuitBreaker and
+ * RedisCircuitBreaker.
+ *
+ * Without a sliding window, a breaker opens after `failureThreshold` consecutive failures.
+ * With one, it opens once the window holds at least `minimumCalls` calls and the share of
+ * failed or slow calls in it reaches its threshold. The window is either the last `size`
+ * calls ({ type: 'count', size }) or the calls of the last `size` ms ({ type: 'time', size }).
+ */
+import { SpanStatusCode } from './tracing.js';
+
+export const WINDOW_TYPES = ['count', 'time'];
+
+// The event each breaker emits on entering a state, besides 'stateChange'
+export const STATE_EVENTS = { OPEN: 'open', HALF_OPEN: 'halfOpen', CLOSED: 'close' };
+
+/**
+ * Rejects a call because the circuit is OPEN.
+ */
+export class CircuitOpenError extends Error {
+    /**
+     * @param {number|null} [retryAfterMs] - How long until the circuit lets a trial call
+     *   through, or null if it was forced OPEN and has no known end.
+     */
+    constructor(retryAfterMs = null) {
+        super('CircuitBreaker: Circuit is OPEN');
+        this.name = 'CircuitOpenError';
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+/**
+ * Rejects a call that took longer than the breaker's call timeout.
+ */
+export class CallTimeoutError extends Error {
+    constructor(timeoutMs) {
+        super(`CircuitBreaker: Call timed out after ${timeoutMs}ms`);
+        this.name = 'CallTimeoutError';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Rejects a call its caller gave up on, e.g. a worker shutting down. Cancelled calls count
+ * as neither successes nor failures, since they say nothing about the upstream service.
+ */
+export class CallCancelledError extends Error {
+    constructor(reason = 'Call cancelled') {
+        super(`CircuitBreaker: ${reason}`);
+        this.name = 'CallCancelledError';
+    }
+}
+
+/**
+ * Counts every error, and results with a 5xx `status`, as failures.
+ * @param {Error|null} error - What the operation rejected with, or null if it resolved.
+ * @param {any} [result] - What the operation resolved with.
+ * @returns {boolean}
+ */
+export function defaultIsFailure(error, result) {
+    return error ? true : result?.status >= 500;
+}
+
+/**
+ * Builds an isFailure predicate counting the given HTTP statuses as failures, whether the
+ * operation resolved with them (`result.status`) or rejected with them
+ * (`error.response.status`, as callUpstream() does). Errors without a response, such as
+ * network errors and timeouts, always count.
+ * @param {number[]} statuses
+ * @returns {Function}
+ */
+export function failureStatuses(statuses) {
+    return (error, result) => {
+        const status = error ? error.response?.status : result?.status;
+        if (status === undefined) {
+            return Boolean(error);
+        }
+        return statuses.includes(status);
+    };
+}
+
+/**
+ * Fills in and validates the options of a circuit breaker.
+ * @param {object} [options]
+ * @param {object} [options.slidingWindow] - `{ type: 'count'|'time', size }`. Null to count consecutive failures.
+ * @param {number} [options.minimumCalls] - Calls the window must hold before its rates can trip the breaker.
+ * @param {number} [options.failureRateThreshold] - Percentage of failed calls in the window that opens the breaker.
+ * @param {number} [options.slowCallDurationMs] - Calls taking at least this long are slow. 0 disables slow-call detection.
+ * @param {number} [options.slowCallRateThreshold] - Percentage of slow calls in the window that opens the breaker.
+ * @param {number} [options.timeoutMs] - Abort calls taking longer than this and count them as failures. 0 for no timeout.
+ * @param {Function} [options.isFailure] - `(error, result) => boolean` deciding which outcomes are failures.
+ * @returns {object}
+ */
+export function breakerOptions({
+    slidingWindow = null,
+    minimumCalls = 10,
+    failureRateThreshold = 50,
+    slowCallDurationMs = 0,
+    slowCallRateThreshold = 100,
+    timeoutMs = 0,
+    isFailure = defaultIsFailure,
+} = {}) {
+    if (slidingWindow && (!WINDOW_TYPES.includes(slidingWindow.type) || !(slidingWindow.size > 0))) {
+        throw new Error(`CircuitBreaker: slidingWindow must be { type: '${WINDOW_TYPES.join("' or '")}', size: <positive number> }`);
+    }
+    for (const [name, rate] of [['failureRateThreshold', failureRateThreshold], ['slowCallRateThreshold', slowCallRateThreshold]]) {
+        if (!(rate > 0 && rate <= 100)) {
+            throw new Error(`CircuitBreaker: ${name} must be a percentage above 0`);
+        }
+    }
+    return { slidingWindow, minimumCalls, failureRateThreshold, slowCallDurationMs, slowCallRateThreshold, timeoutMs, isFailure };
+}
+
+/**
+ * Runs a breaker's operation, passing it an AbortSignal that is aborted with a
+ * CallTimeoutError if the call times out. Never rejects.
+ * @param {Function} operation - `(signal) => Promise`.
+ * @param {object} options - As returned by breakerOptions().
+ * @returns {Promise<{result: any, error: Error|null, durationMs: number, cancelled: boolean, failed: boolean, slow: boolean}>}
+ */
+export async function runCall(operation, { timeoutMs, slowCallDurationMs, isFailure }) {
+    const controller = new AbortController();
+    const startTime = performance.now();
+    let timer;
+    let result;
+    let error = null;
+    try {
+        const call = operation(controller.signal);
+        result = await (timeoutMs > 0
+            ? Promise.race([
+                call,
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        const timeout = new CallTimeoutError(timeoutMs);
+                        controller.abort(timeout);
+                        reject(timeout);
+                    }, timeoutMs);
+                }),
+            ])
+            : call);
+    } catch (e) {
+        error = e;
+    } finally {
+        clearTimeout(timer);
+    }
+    const durationMs = performance.now() - startTime;
+    const cancelled = error instanceof CallCancelledError;
+    return {
+        result,
+        error,
+        durationMs,
+        cancelled,
+        failed: !cancelled && (error instanceof CallTimeoutError || Boolean(isFailure(error, result))),
+        slow: slowCallDurationMs > 0 && durationMs >= slowCallDurationMs,
+    };
+}
+
+/**
+ * Decides whether the calls in a sliding window should open the breaker.
+ * @param {{calls: number, failures: number, slow: number}} counts
+ * @param {object} options - As returned by breakerOptions().
+ * @returns {boolean}
+ */
+export function windowTripped({ calls, failures, slow }, { minimumCalls, failureRateThreshold, slowCallDurationMs, slowCallRateThreshold }) {
+    if (calls === 0 || calls < minimumCalls) {
+        return false;
+    }
+    return (failures / calls) * 100 >= failureRateThreshold
+        || (slowCallDurationMs > 0 && (slow / calls) * 100 >= slowCallRateThreshold);
+}
+
+/**
+ * Describes a breaker's sliding window for its getStats().
+ * @param {{calls: number, failures: number, slow: number}} counts - The calls in the window.
+ * @param {object|null} slidingWindow - As in the options returned by breakerOptions().
+ * @returns {object|null} The window's type, size and counts, with the failed and slow calls
+ *   as percentages like the thresholds, or null without a sliding window.
+ */
+export function windowStats({ calls, failures, slow }, slidingWindow) {
+    if (!slidingWindow) {
+        return null;
+    }
+    return {
+        type: slidingWindow.type,
+        size: slidingWindow.size,
+        calls,
+        failures,
+        slow,
+        failureRate: calls > 0 ? (failures / calls) * 100 : 0,
+        slowCallRate: calls > 0 ? (slow / calls) * 100 : 0,
+    };
+}
+
+/**
+ * Emits a breaker's per-call events: 'success' (result, durationMs) or 'failure'
+ * (error, durationMs), and also 'timeout' (error) for calls that timed out. Cancelled
+ * calls only emit 'cancel' (error).
+ * @param {EventEmitter} breaker
+ * @param {object} outcome - As returned by runCall().
+ */
+export function emitOutcome(breaker, { result, error, durationMs, cancelled, failed }) {
+    if (cancelled) {
+        breaker.emit('cancel', error);
+        return;
+    }
+    if (error instanceof CallTimeoutError) {
+        breaker.emit('timeout', error);
+    }
+    if (failed) {
+        breaker.emit('failure', error, durationMs);
+    } else {
+        breaker.emit('success', result, durationMs);
+    }
+}
+
+/**
+ * Records the outcome of a call on its fire() span. Failed calls mark the span as an error
+ * even when a fallback answers in their place.
+ * @param {object} span - The fire() span.
+ * @param {object} outcome - As returned by runCall().
+ */
+export function traceOutcome(span, { error, cancelled, failed, slow }) {
+    span.setAttributes({
+        'circuit_breaker.outcome': cancelled ? 'cancelled' : failed ? 'failure' : 'success',
+        'circuit_breaker.slow': slow,
+    });
+    if (failed) {
+        span.setStatus({ code: SpanStatusCode.ERROR, message: error?.message ?? 'Call counted as a failure' });
+    }
+}
+
+/**
+ * Settles fire() once the call is done or rejected: the fallback, if given, turns an error
+ * into a result.
+ * @param {Error|null} error
+ * @param {any} result
+ * @param {Function} [fallback] - `(error) => any`.
+ * @returns {Promise<any>}
+ */
+export async function settle(error, result, fallback) {
+    if (!error) {
+        return result;
+    }
+    if (fallback) {
+        return fallback(error);
+    }
+    throw error;
+}
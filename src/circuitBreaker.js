@@ -1,38 +1,115 @@
-class CircuitBreaker {
-    constructor(failureThreshold = 3, resetTimeout = 5000, successThreshold = 2) {
+import { EventEmitter } from 'node:events';
+import { CircuitOpenError, STATE_EVENTS, breakerOptions, emitOutcome, runCall, settle, traceOutcome, windowStats, windowTripped } from './breakerPolicy.js';
+import logger from './logger.js';
+import { withSpan } from './tracing.js';
+
+/**
+ * An in-memory circuit breaker.
+ *
+ * Emits 'stateChange' (state) and one of 'open', 'halfOpen' or 'close' on every transition,
+ * 'reject' (error) for each call rejected while OPEN, and 'success', 'failure' and 'timeout'
+ * (or 'cancel') for the outcome of each call it lets through (see emitOutcome()).
+ */
+class CircuitBreaker extends EventEmitter {
+    /**
+     * @param {number} [failureThreshold] - Consecutive failures that open the circuit, without a sliding window.
+     * @param {number} [resetTimeout] - ms an OPEN circuit waits before letting trial calls through.
+     * @param {number} [successThreshold] - Successful HALF_OPEN trials that close the circuit.
+     * @param {object} [options] - Sliding window, slow calls, timeout and failure predicate (see breakerOptions()).
+     */
+    constructor(failureThreshold = 3, resetTimeout = 5000, successThreshold = 2, options = {}) {
+        super();
         this.failureThreshold = failureThreshold;
         this.resetTimeout = resetTimeout; // ms
         this.successThreshold = successThreshold;
+        this.options = breakerOptions(options);
 
+        this.log = logger.child({ component: 'circuitBreaker' });
         this.state = 'CLOSED';
+        this.forced = null; // 'OPEN' or 'CLOSED' while held there by forceOpen() or forceClose()
         this.failures = 0;
         this.successes = 0; // for HALF_OPEN state
         this.lastFailureTime = 0;
+        this.calls = []; // { at, failed, slow } for the calls in the sliding window
+        this.callCount = 0; // Numbers the calls, for count-based windows
+    }
+
+    /**
+     * Changes the thresholds and options of a running breaker, e.g. on a configuration
+     * reload, keeping its state. The sliding window starts over if its type changes.
+     * @param {number} failureThreshold
+     * @param {number} resetTimeout
+     * @param {number} successThreshold
+     * @param {object} [options] - As for the constructor.
+     */
+    configure(failureThreshold, resetTimeout, successThreshold, options = {}) {
+        const next = breakerOptions(options); // Validates before changing anything
+        if (next.slidingWindow?.type !== this.options.slidingWindow?.type) {
+            this.calls = [];
+        }
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.successThreshold = successThreshold;
+        this.options = next;
     }
 
     /**
      * Wraps an asynchronous operation with circuit breaker logic.
-     * @param {Function} operation - An async function that returns a Promise.
-     * @returns {Promise<any>} The result of the operation, or a rejected Promise if the circuit is open.
+     * @param {Function} operation - An async function that returns a Promise. It is passed an
+     *   AbortSignal that is aborted if the call times out.
+     * @param {Function} [fallback] - `(error) => any` answering instead when the circuit is OPEN
+     *   or the operation fails, e.g. with a cached response.
+     * @returns {Promise<any>} The result of the operation or fallback. Rejects with a
+     *   CircuitOpenError if the circuit is OPEN and there is no fallback.
      */
-    async fire(operation) {
-        if (this.state === 'OPEN') {
-            if (Date.now() - this.lastFailureTime > this.resetTimeout) {
-                this.state = 'HALF_OPEN';
-                this.successes = 0; // Reset success count for HALF_OPEN
-                console.log('CircuitBreaker: State changed to HALF_OPEN');
+    async fire(operation, fallback) {
+        return withSpan('circuitBreaker.fire', {}, async span => {
+            if (this.state === 'OPEN') {
+                if (!this.forced && Date.now() - this.lastFailureTime > this.resetTimeout) {
+                    this.successes = 0; // Reset success count for HALF_OPEN
+                    this.transition('HALF_OPEN');
+                } else {
+                    const error = new CircuitOpenError(this.forced ? null : this.getRemainingResetTimeout());
+                    span.setAttributes({ 'circuit_breaker.state': this.state, 'circuit_breaker.outcome': 'rejected' });
+                    this.emit('reject', error);
+                    return settle(error, undefined, fallback);
+                }
+            }
+
+            const state = this.state;
+            span.setAttribute('circuit_breaker.state', state);
+            const outcome = await runCall(operation, this.options);
+            const { failed, slow } = outcome;
+            traceOutcome(span, outcome);
+            emitOutcome(this, outcome);
+            if (this.forced || outcome.cancelled) {
+                // Held CLOSED, or the call says nothing about the upstream: the circuit doesn't move
+            } else if (state === 'CLOSED' && this.options.slidingWindow) {
+                this.recordInWindow(failed, slow);
+            } else if (failed || (slow && this.options.slidingWindow)) {
+                this.fail(state);
             } else {
-                return Promise.reject(new Error('CircuitBreaker: Circuit is OPEN'));
+                this.success(state);
             }
-        }
+            return settle(outcome.error, outcome.result, fallback);
+        });
+    }
+
+    recordInWindow(failed, slow) {
+        const { type, size } = this.options.slidingWindow;
+        const position = type === 'time' ? Date.now() : ++this.callCount;
+        this.calls.push({ at: position, failed, slow });
+        this.calls = this.calls.filter(call => call.at > position - size);
 
-        try {
-            const result = await operation();
-            this.success(this.state);
-            return result;
-        } catch (error) {
-            this.fail(this.state);
-            throw error;
+        const counts = {
+            calls: this.calls.length,
+            failures: this.calls.filter(call => call.failed).length,
+            slow: this.calls.filter(call => call.slow).length,
+        };
+        if (this.state === 'CLOSED' && windowTripped(counts, this.options)) {
+            this.lastFailureTime = Date.now();
+            this.calls = [];
+            this.transition('OPEN', `${counts.failures} failed and ${counts.slow} slow of ${counts.calls} calls`);
         }
     }
 
@@ -42,34 +119,117 @@ class CircuitBreaker {
         } else if (state === 'HALF_OPEN') {
             this.successes++;
             if (this.successes >= this.successThreshold) {
-                this.state = 'CLOSED';
                 this.failures = 0;
                 this.successes = 0;
-                console.log('CircuitBreaker: State changed to CLOSED');
+                this.transition('CLOSED');
             }
         }
     }
 
     fail(state) {
         if (state === 'HALF_OPEN') {
-            this.state = 'OPEN';
             this.failures = 0; // Reset failures for next HALF_OPEN cycle
             this.lastFailureTime = Date.now();
-            console.log('CircuitBreaker: State changed back to OPEN (failed in HALF_OPEN)');
+            this.transition('OPEN', 'failed in HALF_OPEN');
         } else { // CLOSED state
             this.failures++;
             if (this.failures >= this.failureThreshold) {
-                this.state = 'OPEN';
                 this.lastFailureTime = Date.now();
-                console.log('CircuitBreaker: State changed to OPEN');
+                this.transition('OPEN');
             }
         }
     }
 
+    transition(state, reason) {
+        this.state = state;
+        this.log.info('Circuit breaker state changed', { state, ...(reason && { reason }) });
+        this.emit('stateChange', state);
+        this.emit(STATE_EVENTS[state]);
+    }
+
+    /**
+     * Holds the circuit OPEN, rejecting every call, until forceClose() or reset(), e.g. to
+     * take a backend out of rotation for maintenance.
+     */
+    forceOpen() {
+        this.override('OPEN');
+    }
+
+    /**
+     * Holds the circuit CLOSED, letting every call through whatever its outcome, until
+     * forceOpen() or reset().
+     */
+    forceClose() {
+        this.override('CLOSED');
+    }
+
+    /**
+     * Ends any override and starts over CLOSED, forgetting recorded failures.
+     */
+    reset() {
+        this.override(null);
+    }
+
+    override(forced) {
+        this.forced = forced;
+        this.failures = 0;
+        this.successes = 0;
+        this.calls = [];
+        const state = forced || 'CLOSED';
+        if (state !== this.state) {
+            this.transition(state, forced ? 'forced' : 'reset');
+        }
+    }
+
     // For debugging/monitoring
     getState() {
         return this.state;
     }
+
+    /**
+     * @returns {string|null} 'OPEN' or 'CLOSED' while the circuit is held there, otherwise null.
+     */
+    getForcedState() {
+        return this.forced;
+    }
+
+    /**
+     * Gets how long an OPEN circuit keeps rejecting calls before it lets a trial through.
+     * @returns {number} Milliseconds, or 0 if the circuit is not OPEN or is held OPEN.
+     */
+    getRemainingResetTimeout() {
+        if (this.state !== 'OPEN' || this.forced) {
+            return 0;
+        }
+        return Math.max(0, this.lastFailureTime + this.resetTimeout - Date.now());
+    }
+
+    /**
+     * Gets the breaker's counters, e.g. for the admin API.
+     * @returns {{state: string, forced: string|null, failures: number, successes: number, lastFailureTime: number, window: object|null}}
+     *   Consecutive failures (CLOSED) and successful trials (HALF_OPEN), when the circuit last
+     *   opened, and the calls in the sliding window (see windowStats()).
+     */
+    getStats() {
+        const { slidingWindow } = this.options;
+        let calls = [];
+        if (slidingWindow) {
+            const position = slidingWindow.type === 'time' ? Date.now() : this.callCount;
+            calls = this.calls.filter(call => call.at > position - slidingWindow.size);
+        }
+        return {
+            state: this.state,
+            forced: this.forced,
+            failures: this.failures,
+            successes: this.successes,
+            lastFailureTime: this.lastFailureTime,
+            window: windowStats({
+                calls: calls.length,
+                failures: calls.filter(call => call.failed).length,
+                slow: calls.filter(call => call.slow).length,
+            }, slidingWindow),
+        };
+    }
 }
 
-export default CircuitBreaker;
\ No newline at end of file
+export default CircuitBreaker;
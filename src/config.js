@@ -0,0 +1,225 @@
+import { readFileSync } from 'node:fs';
+import { dirname, extname, resolve } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { LOG_FORMATS, LOG_LEVELS, SENSITIVE_FIELDS } from './logger.js';
+import { parseEncryptionKey } from './payloadCipher.js';
+import { TRACE_EXPORTERS } from './telemetry.js';
+import { isAllowedUrl } from './webhookDispatcher.js';
+import { loadRouteTable, parseRouteTable } from './routeTable.js';
+import { STORAGE_BACKENDS } from './storage/index.js';
+
+/**
+ * The settings shared by the proxy (index.js) and the worker (worker.js). Each comes from,
+ * in increasing order of precedence, its default below, an optional JSON or YAML config
+ * file (CONFIG_FILE), and its environment variable.
+ *
+ * `routes` is either a route table file, resolved against the config file's directory
+ * when set there, or the list of routes itself. Optional settings default to null.
+ */
+
+// Every setting's type, default and environment variable, by section
+const SCHEMA = {
+    routes: { type: 'routes', default: 'routes.json', env: 'ROUTES_FILE' },
+    storage: {
+        backend: { type: 'choice', choices: STORAGE_BACKENDS, default: 'redis', env: 'STORAGE_BACKEND' },
+        host: { type: 'string', default: '127.0.0.1', env: 'REDIS_HOST' },
+        port: { type: 'integer', min: 1, default: 6379, env: 'REDIS_PORT' },
+        sentinels: { type: 'hosts', optional: true, default: null, env: 'REDIS_SENTINELS' }, // Instead of host and port
+        sentinelName: { type: 'string', default: 'mymaster', env: 'REDIS_SENTINEL_NAME' },
+        clusterNodes: { type: 'hosts', optional: true, default: null, env: 'REDIS_CLUSTER_NODES' }, // Instead of host and port
+        commandTimeoutMs: { type: 'integer', min: 1, default: 1000, env: 'REDIS_COMMAND_TIMEOUT_MS' },
+    },
+    payloads: {
+        encryptionKeys: { type: 'keys', optional: true, default: null, env: 'PAYLOAD_ENCRYPTION_KEYS' }, // The first encrypts
+        allowHeaders: { type: 'names', optional: true, default: null, env: 'PAYLOAD_ALLOW_HEADERS' }, // Null for all
+        denyHeaders: { type: 'names', default: [], env: 'PAYLOAD_DENY_HEADERS' },
+        sensitiveFields: { type: 'names', default: SENSITIVE_FIELDS, env: 'PAYLOAD_SENSITIVE_FIELDS' },
+    },
+    callbacks: {
+        secret: { type: 'string', optional: true, default: null, env: 'CALLBACK_SECRET' }, // Callbacks are disabled without one
+        allowedUrls: { type: 'urls', default: [], env: 'CALLBACK_ALLOWED_URLS' },
+        maxAttempts: { type: 'integer', min: 1, default: 5, env: 'CALLBACK_MAX_ATTEMPTS' },
+        retryBaseDelayMs: { type: 'integer', min: 0, default: 1000, env: 'CALLBACK_RETRY_BASE_DELAY_MS' },
+        retryMaxDelayMs: { type: 'integer', min: 0, default: 300000, env: 'CALLBACK_RETRY_MAX_DELAY_MS' },
+        timeoutMs: { type: 'integer', min: 1, default: 5000, env: 'CALLBACK_TIMEOUT_MS' },
+    },
+    results: {
+        prefix: { type: 'string', default: 'request_result', env: 'RESULT_PREFIX' },
+        ttlSeconds: { type: 'integer', min: 1, default: 3600, env: 'RESULT_TTL_SECONDS' },
+    },
+    proxy: {
+        port: { type: 'integer', min: 0, default: 3000, env: 'PORT' },
+        maxBodySize: { type: 'size', default: '1mb', env: 'MAX_BODY_SIZE' },
+        resultMaxWaitSeconds: { type: 'number', min: 0, default: 30, env: 'RESULT_MAX_WAIT_SECONDS' },
+        trustProxy: { type: 'trust', default: false, env: 'TRUST_PROXY' }, // Express 'trust proxy': whose X-Forwarded-For to believe
+    },
+    worker: {
+        metricsPort: { type: 'integer', min: 0, default: 9091, env: 'WORKER_METRICS_PORT' },
+        maxAttempts: { type: 'integer', min: 1, default: 5, env: 'WORKER_MAX_ATTEMPTS' },
+        retryBaseDelayMs: { type: 'integer', min: 0, default: 1000, env: 'WORKER_RETRY_BASE_DELAY_MS' },
+        retryMaxDelayMs: { type: 'integer', min: 0, default: 60000, env: 'WORKER_RETRY_MAX_DELAY_MS' },
+        leaseTimeout: { type: 'integer', min: 1, default: 30000, env: 'WORKER_LEASE_TIMEOUT_MS' },
+        reapInterval: { type: 'integer', min: 1, default: 5000, env: 'WORKER_REAP_INTERVAL_MS' },
+        delayMs: { type: 'integer', min: 0, default: 50, env: 'WORKER_DELAY_MS' },
+        concurrency: { type: 'integer', min: 1, default: 1, env: 'WORKER_CONCURRENCY' },
+        maxInFlight: { type: 'integer', min: 0, default: 0, env: 'WORKER_MAX_IN_FLIGHT' }, // 0 for no cap
+        batchSize: { type: 'integer', min: 1, default: 1, env: 'WORKER_BATCH_SIZE' },
+        drainTimeoutMs: { type: 'integer', min: 0, default: 30000, env: 'WORKER_DRAIN_TIMEOUT_MS' },
+    },
+    logging: {
+        level: { type: 'choice', choices: LOG_LEVELS, default: 'info', env: 'LOG_LEVEL' },
+        format: { type: 'choice', choices: LOG_FORMATS, default: 'json', env: 'LOG_FORMAT' },
+    },
+    tracing: {
+        exporter: { type: 'choice', choices: TRACE_EXPORTERS, default: 'none', env: 'OTEL_TRACES_EXPORTER' },
+        endpoint: { type: 'string', default: 'http://localhost:4318/v1/traces', env: 'OTEL_EXPORTER_OTLP_TRACES_ENDPOINT' },
+        file: { type: 'string', default: 'traces.jsonl', env: 'TRACES_FILE' },
+        serviceName: { type: 'string', optional: true, default: null, env: 'OTEL_SERVICE_NAME' }, // Else per process
+    },
+    admin: {
+        token: { type: 'string', optional: true, default: null, env: 'ADMIN_TOKEN' }, // The admin API is disabled without one
+    },
+};
+
+// How each type of setting is read from an environment variable and checked
+const TYPES = {
+    integer: {
+        parse: Number,
+        valid: (value, { min }) => Number.isInteger(value) && value >= min,
+        expected: ({ min }) => `an integer of at least ${min}`,
+    },
+    number: {
+        parse: Number,
+        valid: (value, { min }) => Number.isFinite(value) && value >= min,
+        expected: ({ min }) => `a number of at least ${min}`,
+    },
+    string: {
+        parse: value => value,
+        valid: value => typeof value === 'string' && value !== '',
+        expected: () => 'a non-empty string',
+    },
+    size: {
+        parse: value => (/^\d+$/.test(value) ? Number(value) : value),
+        valid: value => (Number.isInteger(value) && value >= 0) || (typeof value === 'string' && /^\d+(\.\d+)?\s*(b|kb|mb|gb)?$/i.test(value)),
+        expected: () => "a number of bytes or a size such as '1mb'",
+    },
+    choice: {
+        parse: value => value,
+        valid: (value, { choices }) => choices.includes(value),
+        expected: ({ choices }) => `one of ${choices.join(', ')}`,
+    },
+    hosts: {
+        parse: value => value.split(',').map(host => host.trim()),
+        valid: value => Array.isArray(value) && value.length > 0 && value.every(host => typeof host === 'string' && /^[^:\s]+:\d+$/.test(host)),
+        expected: () => "a non-empty list of 'host:port'",
+    },
+    names: {
+        parse: value => value.split(',').map(name => name.trim()).filter(name => name !== ''),
+        valid: value => Array.isArray(value) && value.every(name => typeof name === 'string' && name !== ''),
+        expected: () => 'a list of names',
+    },
+    keys: {
+        parse: value => value.split(',').map(key => key.trim()),
+        valid: value => Array.isArray(value) && value.length > 0 && value.every(key => parseEncryptionKey(key))
+            && new Set(value.map(key => parseEncryptionKey(key).id)).size === value.length,
+        expected: () => "a non-empty list of '<key ID>:<base64 of 32 bytes>' with distinct key IDs",
+    },
+    urls: {
+        parse: value => value.split(',').map(url => url.trim()).filter(url => url !== ''),
+        valid: value => Array.isArray(value) && value.every(url => typeof url === 'string' && isAllowedUrl(url, [url])),
+        expected: () => 'a list of http(s) URLs',
+    },
+    trust: {
+        parse: value => {
+            if (value === 'true' || value === 'false') {
+                return value === 'true';
+            }
+            return /^\d+$/.test(value) ? Number(value) : value.split(',').map(address => address.trim());
+        },
+        valid: value => typeof value === 'boolean' || (Number.isInteger(value) && value >= 0)
+            || (typeof value === 'string' && value !== '')
+            || (Array.isArray(value) && value.length > 0 && value.every(address => typeof address === 'string' && address !== '')),
+        expected: () => "true, false, a number of proxy hops, or a list of trusted addresses and subnets such as 'loopback, 10.0.0.0/8'",
+    },
+    routes: {
+        parse: value => value,
+        valid: value => (typeof value === 'string' && value !== '') || (Array.isArray(value) && value.length > 0),
+        expected: () => 'a route table file or a non-empty list of routes',
+    },
+};
+
+function isSetting(node) {
+    return typeof node.type === 'string';
+}
+
+function readConfigFile(filePath) {
+    const contents = readFileSync(filePath, 'utf8');
+    const format = extname(filePath).toLowerCase();
+    try {
+        const settings = (format === '.yaml' || format === '.yml' ? parseYaml(contents) : JSON.parse(contents)) ?? {};
+        if (typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error('expected an object');
+        }
+        return settings;
+    } catch (error) {
+        error.message = `Error loading config file ${filePath}: ${error.message}`;
+        throw error;
+    }
+}
+
+// Fills in one section of the schema from the config file's values and the environment
+function resolveSection(schema, fromFile, env, path) {
+    if (fromFile !== undefined && (fromFile === null || typeof fromFile !== 'object' || Array.isArray(fromFile))) {
+        throw new Error(`Invalid config: ${path.slice(0, -1)} must be an object`);
+    }
+    for (const name of Object.keys(fromFile ?? {})) {
+        if (!Object.hasOwn(schema, name)) {
+            throw new Error(`Invalid config: unknown setting '${path}${name}'`);
+        }
+    }
+    const settings = {};
+    for (const [name, node] of Object.entries(schema)) {
+        if (!isSetting(node)) {
+            settings[name] = resolveSection(node, fromFile?.[name], env, `${path}${name}.`);
+            continue;
+        }
+        const type = TYPES[node.type];
+        const fromEnv = env[node.env] !== undefined && env[node.env] !== '';
+        const value = fromEnv ? type.parse(env[node.env]) : fromFile?.[name] ?? node.default;
+        if (!(value === null && node.optional) && !type.valid(value, node)) {
+            const source = fromEnv ? ` (${node.env})` : '';
+            throw new Error(`Invalid config: ${path}${name}${source} must be ${type.expected(node)}`);
+        }
+        settings[name] = value;
+    }
+    return settings;
+}
+
+/**
+ * Loads and validates the configuration, including the routes. Called again on every reload.
+ * @param {object} [options]
+ * @param {object} [options.env] - Environment variables. Defaults to process.env.
+ * @param {string} [options.file] - JSON or YAML config file (by extension). Defaults to
+ *   CONFIG_FILE; without one, only the defaults and environment variables apply.
+ * @returns {{routes: string|Array<object>, storage: object, payloads: object, callbacks: object, results: object, proxy: object, worker: object, logging: object, tracing: object, admin: object}}
+ *   `routes` as accepted by createProxyServer() and createWorker(), `storage` by createStorage().
+ */
+export function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+    const fromFile = file ? readConfigFile(file) : {};
+    const config = resolveSection(SCHEMA, fromFile, env, '');
+    if (config.storage.sentinels && config.storage.clusterNodes) {
+        throw new Error('Invalid config: set either storage.sentinels or storage.clusterNodes, not both');
+    }
+
+    // A routes file named in the config file is relative to it
+    if (typeof fromFile.routes === 'string' && !env[SCHEMA.routes.env]) {
+        config.routes = resolve(dirname(file), config.routes);
+    }
+    // Fail on an invalid route table now rather than once something is created from it
+    if (typeof config.routes === 'string') {
+        loadRouteTable(config.routes);
+    } else {
+        parseRouteTable({ routes: config.routes });
+    }
+    return config;
+}
@@ -0,0 +1,210 @@
+import { createHash } from 'node:crypto';
+import { createKeyExtractor } from './keyExtractors.js';
+import logger from './logger.js';
+import RedisStorage from './storage/redisStorage.js';
+import { rawBody } from './upstream.js';
+
+// What a fingerprint can be made of, besides 'header:<Name>'
+export const FINGERPRINT_PARTS = ['method', 'path', 'query', 'body'];
+
+/**
+ * Fills in and validates the options of an idempotency store.
+ * @param {object} [options]
+ * @param {string|false} [options.header] - The header clients name their idempotency key in.
+ *   False to ignore it.
+ * @param {string[]|false} [options.fingerprint] - For requests without the header, the parts of
+ *   the request identifying repeats: 'method', 'path', 'query', 'body' and 'header:<Name>'.
+ *   False to only recognize repeats by their header.
+ * @param {number} [options.windowMs] - How long after the original a repeat is recognized.
+ * @param {string|Function} [options.keyBy] - Key extractor (see createKeyExtractor()) telling
+ *   clients apart. Only repeats from the same client are recognized, so a client can't be
+ *   answered with another's response by sending the same key.
+ * @returns {object}
+ */
+export function idempotencyOptions({ header = 'idempotency-key', fingerprint = false, windowMs = 3600000, keyBy = 'ip' } = {}) {
+    if (header !== false && !(typeof header === 'string' && header !== '')) {
+        throw new Error('IdempotencyStore: header must be a header name or false');
+    }
+    if (fingerprint !== false && !(Array.isArray(fingerprint) && fingerprint.length > 0
+        && fingerprint.every(part => FINGERPRINT_PARTS.includes(part) || /^header:.+/.test(part)))) {
+        throw new Error(`IdempotencyStore: fingerprint must be false or a non-empty list of ${FINGERPRINT_PARTS.join(', ')} and header:<Name>`);
+    }
+    if (header === false && fingerprint === false) {
+        throw new Error('IdempotencyStore: header and fingerprint can\'t both be false');
+    }
+    if (!(Number.isInteger(windowMs) && windowMs > 0)) {
+        throw new Error('IdempotencyStore: windowMs must be a positive integer');
+    }
+    try {
+        createKeyExtractor(keyBy);
+    } catch {
+        throw new Error('IdempotencyStore: keyBy must be ip, username, api-key, header:<Name> or a function');
+    }
+    return { header: header && header.toLowerCase(), fingerprint, windowMs, keyBy };
+}
+
+function partValue(req, part) {
+    switch (part) {
+        case 'method':
+            return req.method;
+        case 'path':
+            return req.path;
+        case 'query':
+            return req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+        case 'body':
+            return rawBody(req);
+        default:
+            return req.get(part.slice('header:'.length)) ?? '';
+    }
+}
+
+// Hashes the given parts of a request, after the given prefix. Each is prefixed with its
+// length, so no two requests give the same input by moving bytes from one part into the next.
+function digest(req, parts, prefix = '') {
+    const hash = createHash('sha256').update(`${prefix.length}:${prefix}`);
+    for (const part of parts) {
+        const value = Buffer.from(partValue(req, part));
+        hash.update(`${part}:${value.length}:`).update(value);
+    }
+    return hash.digest('hex');
+}
+
+/**
+ * Recognizes repeats of queued requests, e.g. a client retrying `POST /login` after its 202,
+ * so they can be answered with the original request instead of being queued again.
+ *
+ * Requests are identified by their idempotency key header or else, if configured, by a
+ * fingerprint of their method, path, body and so on, together with their client (see
+ * `keyBy`): clients easily pick the same keys, such as '1' or a date. Queuing a request claims its key in
+ * Redis for `windowMs`, atomically, so of two copies arriving at different proxies only one
+ * is queued. A key sent again with a different method, URL or body is told apart by the
+ * digest kept with the claim.
+ */
+class IdempotencyStore {
+    /**
+     * @param {string} storeKey - Prefix of the Redis keys holding the claims, e.g. '<route>_idempotency'.
+     * @param {object} [options] - See idempotencyOptions().
+     * @param {Storage} [options.storage] - Where the claims are kept; a Redis connection of its own by default.
+     */
+    constructor(storeKey, { storage, ...options } = {}) {
+        this.storeKey = storeKey;
+        this.options = idempotencyOptions(options);
+        this.clientKey = createKeyExtractor(this.options.keyBy);
+        this.ownsStorage = !storage;
+        this.storage = storage ?? new RedisStorage();
+        this.redis = this.storage.client;
+        this.log = logger.child({ component: 'idempotencyStore', store: storeKey });
+
+        // Lua script claiming a key for a request, unless another request holds it.
+        // Returns the claim holding it, or nothing if this request got it.
+        this.claimScript = `
+            local claim = redis.call('GET', KEYS[1])
+            if claim then
+                return claim
+            end
+            redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+            return false
+        `;
+
+        // Lua script giving up a claim, if it is still the given one
+        this.releaseScript = `
+            if redis.call('GET', KEYS[1]) == ARGV[1] then
+                return redis.call('DEL', KEYS[1])
+            end
+            return 0
+        `;
+    }
+
+    /**
+     * Tells which requests are repeats of one another.
+     * @param {object} req - Express request, with its body read by express.raw().
+     * @returns {{key: string, digest: string|null}|null} The request's idempotency key, hashed with
+     *   its client's key, and, for keys from the header, a digest of its method, URL and body.
+     *   Null if it has neither the header nor a configured fingerprint.
+     */
+    identify(req) {
+        const { header, fingerprint } = this.options;
+        const provided = header && req.get(header);
+        if (provided) {
+            const client = this.clientKey(req);
+            return {
+                key: `key:${createHash('sha256').update(`${client.length}:${client}`).update(provided).digest('hex')}`,
+                digest: digest(req, ['method', 'path', 'query', 'body']),
+            };
+        }
+        return fingerprint ? { key: `fingerprint:${digest(req, fingerprint, this.clientKey(req))}`, digest: null } : null;
+    }
+
+    redisKey({ key }) {
+        return `${this.storeKey}:${key}`;
+    }
+
+    /**
+     * Looks up the request that claimed a key.
+     * @param {{key: string}} identity - As returned by identify().
+     * @returns {Promise<{requestId: string, digest: string|null}|null>} Null if it isn't claimed.
+     */
+    async lookup(identity) {
+        try {
+            const claim = await this.redis.get(this.redisKey(identity));
+            return claim ? JSON.parse(claim) : null;
+        } catch (error) {
+            this.log.error('Error looking up idempotency key', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Claims a key for a request about to be queued, unless another request claimed it first.
+     * @param {{key: string, digest: string|null}} identity - As returned by identify().
+     * @param {string} requestId
+     * @returns {Promise<{requestId: string, digest: string|null}|null>} The claim of the original
+     *   request, or null if this request got the key.
+     */
+    async claim(identity, requestId) {
+        try {
+            const claim = await this.storage.evalScript(
+                this.claimScript,
+                [this.redisKey(identity)],
+                [JSON.stringify({ requestId, digest: identity.digest }), this.options.windowMs]
+            );
+            return claim ? JSON.parse(claim) : null;
+        } catch (error) {
+            this.log.error('Error claiming idempotency key', { requestId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Gives up a request's claim, e.g. because it couldn't be queued after all, so that it can
+     * be retried.
+     * @param {{key: string, digest: string|null}} identity
+     * @param {string} requestId
+     * @returns {Promise<boolean>} Whether the request still held the key.
+     */
+    async release(identity, requestId) {
+        try {
+            const released = await this.storage.evalScript(
+                this.releaseScript,
+                [this.redisKey(identity)],
+                [JSON.stringify({ requestId, digest: identity.digest })]
+            );
+            return released === 1;
+        } catch (error) {
+            this.log.error('Error releasing idempotency key', { requestId, error });
+            throw error;
+        }
+    }
+
+    describe() {
+        return { key: this.storeKey, ...this.options };
+    }
+
+    async disconnect() {
+        if (this.ownsStorage) {
+            await this.storage.disconnect();
+        }
+    }
+}
+
+export default IdempotencyStore;
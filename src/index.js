@@ -0,0 +1,35 @@
+// Library entry point. Importing it has no side effects: nothing connects to Redis,
+// listens or registers signal handlers until you create something.
+export { idempotentRequests, rateLimitQueue } from './middleware.js';
+export { createProxyServer, createRouteResources, disconnectRouteResources, payloadOptions, reloadRouteResources, resolveRoutes } from './proxyServer.js';
+export { createAdminRouter } from './adminApi.js';
+export { loadConfig } from './config.js';
+export { createWorker, workerOptions } from './worker.js';
+export { default as logger, LOG_FORMATS, LOG_LEVELS, SENSITIVE_FIELDS, createLogger } from './logger.js';
+export { REQUEST_ID_HEADER, assignRequestContext, requestContext, requestIdFrom } from './requestContext.js';
+export { TRACER_NAME, injectTraceContext, traceLinks, traceRequest, withSpan } from './tracing.js';
+export { FileSpanExporter, TRACE_EXPORTERS, startTracing } from './telemetry.js';
+export { default as Metrics, statusClass } from './metrics.js';
+
+export { ALGORITHMS, FAILURE_POLICIES, configureLimiter, createLimiter } from './limiters/index.js';
+export { default as TokenBucket } from './rateLimiter.js';
+export { default as FixedWindowLimiter } from './limiters/fixedWindow.js';
+export { default as SlidingWindowLogLimiter } from './limiters/slidingWindowLog.js';
+export { default as SlidingWindowCounterLimiter } from './limiters/slidingWindowCounter.js';
+export { default as GcraLimiter } from './limiters/gcra.js';
+export { default as LocalTokenBucket } from './limiters/localTokenBucket.js';
+export { default as AdaptiveConcurrencyLimiter, CONCURRENCY_ALGORITHMS, concurrencyOptions } from './limiters/adaptiveConcurrency.js';
+export { default as RequestQueue, PRIORITIES, SHED_POLICIES } from './requestQueue.js';
+export { default as CircuitBreaker } from './circuitBreaker.js';
+export { default as RedisCircuitBreaker } from './redisCircuitBreaker.js';
+export { CallCancelledError, CallTimeoutError, CircuitOpenError, STATE_EVENTS, breakerOptions, defaultIsFailure, failureStatuses } from './breakerPolicy.js';
+export { STORAGE_BACKENDS, MemoryClient, MemoryStorage, MemoryStore, RedisStorage, Storage, createStorage } from './storage/index.js';
+export { default as ResultStore, RequestStatus, isTerminal } from './resultStore.js';
+export { default as WebhookDispatcher, DELIVERY_ID_HEADER, DeliveryStatus, SIGNATURE_HEADER, TIMESTAMP_HEADER, isAllowedUrl, signPayload, verifySignature } from './webhookDispatcher.js';
+export { default as IdempotencyStore, FINGERPRINT_PARTS, idempotencyOptions } from './idempotencyStore.js';
+export { computeBackoff } from './backoff.js';
+export { createKeyExtractor, ipKey, usernameKey, apiKeyKey } from './keyExtractors.js';
+export { estimateQueueWait, mostRestrictive, setRateLimitHeaders, setRetryAfter } from './rateLimitHeaders.js';
+export { compilePath, loadRouteTable, matchRoute, parseRouteTable } from './routeTable.js';
+export { callUpstream, describeRequest, filterHeaders, relayResponse, restoredResponse, sendUpstream, storedResponse } from './upstream.js';
+export { default as PayloadCipher, parseEncryptionKey } from './payloadCipher.js';
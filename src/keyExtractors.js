@@ -0,0 +1,75 @@
+import { createHash } from 'node:crypto';
+
+/**
+ * Key extractors decide which client a request belongs to, so each client can be given
+ * its own rate limit bucket. They take an Express request and return a string key.
+ */
+
+export function clientIp(req) {
+    return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+export function ipKey(req) {
+    return `ip:${clientIp(req)}`;
+}
+
+// The proxy reads bodies raw so it can forward them unchanged; parse them when they're JSON
+function jsonBody(req) {
+    if (!Buffer.isBuffer(req.body)) {
+        return req.body;
+    }
+    try {
+        return JSON.parse(req.body.toString('utf8'));
+    } catch {
+        return undefined;
+    }
+}
+
+export function usernameKey(req) {
+    const username = jsonBody(req)?.username;
+    return typeof username === 'string' && username !== '' ? `user:${username}` : null;
+}
+
+export function apiKeyKey(req) {
+    const apiKey = req.get('x-api-key');
+    if (!apiKey) {
+        return null;
+    }
+    // Hash the key so API keys don't end up in Redis key names
+    return `apikey:${createHash('sha256').update(apiKey).digest('hex').slice(0, 32)}`;
+}
+
+const EXTRACTORS = {
+    ip: ipKey,
+    username: usernameKey,
+    'api-key': apiKeyKey,
+};
+
+// 'header:<Name>' keys requests by the value of a header, e.g. a tenant ID set by a gateway
+function headerKey(spec) {
+    const name = spec.slice('header:'.length).toLowerCase();
+    if (!name) {
+        return undefined;
+    }
+    return req => {
+        const value = req.get(name);
+        return value ? `${name}:${value}` : null;
+    };
+}
+
+/**
+ * Builds a key extractor. Requests the extractor can't identify (no username, no API key,
+ * no header, or a custom function returning nothing) fall back to the client IP.
+ * @param {string|Function} spec - 'ip', 'username', 'api-key', 'header:<Name>', or a function
+ *   `(req) => string`.
+ * @returns {Function} `(req) => string`
+ */
+export function createKeyExtractor(spec = 'ip') {
+    const extractor = typeof spec === 'function'
+        ? spec
+        : EXTRACTORS[spec] || (String(spec).startsWith('header:') && headerKey(spec));
+    if (!extractor) {
+        throw new Error(`Unknown rate limit key extractor '${spec}'`);
+    }
+    return req => extractor(req) || ipKey(req);
+}
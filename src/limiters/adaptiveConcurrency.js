@@ -0,0 +1,242 @@
+import { v4 as uuidv4 } from 'uuid'; // Identifies each in-flight call
+import logger from '../logger.js';
+import RedisStorage from '../storage/redisStorage.js';
+
+export const CONCURRENCY_ALGORITHMS = ['aimd', 'gradient'];
+
+/**
+ * Fills in and validates the options of an adaptive concurrency limiter.
+ * @param {object} [options]
+ * @param {string} [options.algorithm] - 'aimd' or 'gradient'.
+ * @param {number} [options.initialLimit] - The limit before any latency has been observed.
+ * @param {number} [options.minLimit] - The limit never drops below this.
+ * @param {number} [options.maxLimit] - The limit never grows beyond this.
+ * @param {number} [options.slotTimeoutMs] - ms after which the slot of a call that was never released
+ *   (e.g. its instance crashed) is freed.
+ * @param {number} [options.backoffRatio] - Multiplies the limit on a dropped call (and, for AIMD, a slow one).
+ * @param {number} [options.latencyThresholdMs] - AIMD: calls slower than this shrink the limit.
+ * @param {number} [options.tolerance] - Gradient: how far latency may rise above its long-term average
+ *   before the limit shrinks, e.g. 1.5 for 50%.
+ * @param {number} [options.smoothing] - Gradient: how far each call moves the limit towards its new estimate (0-1).
+ * @param {number} [options.longWindow] - Gradient: number of calls the long-term latency average spans.
+ * @returns {object}
+ */
+export function concurrencyOptions({
+    algorithm = 'aimd',
+    initialLimit = 20,
+    minLimit = 1,
+    maxLimit = 200,
+    slotTimeoutMs = 30000,
+    backoffRatio = 0.9,
+    latencyThresholdMs = 1000,
+    tolerance = 1.5,
+    smoothing = 0.2,
+    longWindow = 600,
+} = {}) {
+    if (!CONCURRENCY_ALGORITHMS.includes(algorithm)) {
+        throw new Error(`AdaptiveConcurrencyLimiter: algorithm must be one of ${CONCURRENCY_ALGORITHMS.join(', ')}`);
+    }
+    if (!(minLimit >= 1 && minLimit <= initialLimit && initialLimit <= maxLimit)) {
+        throw new Error('AdaptiveConcurrencyLimiter: limits must satisfy 1 <= minLimit <= initialLimit <= maxLimit');
+    }
+    if (!(backoffRatio > 0 && backoffRatio < 1) || !(smoothing > 0 && smoothing <= 1)) {
+        throw new Error('AdaptiveConcurrencyLimiter: backoffRatio must be between 0 and 1, and smoothing above 0 and at most 1');
+    }
+    for (const [name, value] of [['slotTimeoutMs', slotTimeoutMs], ['latencyThresholdMs', latencyThresholdMs], ['tolerance', tolerance], ['longWindow', longWindow]]) {
+        if (!(value > 0)) {
+            throw new Error(`AdaptiveConcurrencyLimiter: ${name} must be a positive number`);
+        }
+    }
+    return { algorithm, initialLimit, minLimit, maxLimit, slotTimeoutMs, backoffRatio, latencyThresholdMs, tolerance, smoothing, longWindow };
+}
+
+/**
+ * Caps the number of calls in flight to an upstream service, adjusting the cap from the
+ * latency of the calls, in the style of Netflix's concurrency-limits:
+ *
+ * - 'aimd' grows the limit by one after each call that was fast enough and shrinks it by
+ *   `backoffRatio` after each call slower than `latencyThresholdMs` or dropped.
+ * - 'gradient' compares each call's latency to the long-term average latency. While latency
+ *   stays within `tolerance` of the average the limit grows by about its square root; as
+ *   latency rises beyond it, the limit shrinks in proportion (by at most half per call).
+ *   Dropped calls shrink it by `backoffRatio`.
+ *
+ * Either way the limit only grows while at least half of it is in use, so a quiet period
+ * doesn't inflate it. The limit, the latency average and the calls in flight live in Redis,
+ * so every proxy and worker instance shares them.
+ *
+ * Unlike the rate limiters, a call takes a slot with acquire() and must give it back with
+ * release() once it is done, reporting whether the upstream dropped it (a 5xx or timeout).
+ */
+class AdaptiveConcurrencyLimiter {
+    /**
+     * @param {string} limiterKey - Key of the Redis hash holding the limit. In-flight calls are kept under `<key>:inflight`.
+     * @param {object} [options] - See concurrencyOptions().
+     * @param {Storage} [options.storage] - Where the limit lives; a Redis connection of its own by default.
+     */
+    constructor(limiterKey, { storage, ...options } = {}) {
+        this.limiterKey = limiterKey;
+        this.ownsStorage = !storage;
+        this.storage = storage ?? new RedisStorage();
+        this.redis = this.storage.client;
+        this.hashKey = this.storage.hashTag(limiterKey);
+        this.inflightKey = `${this.hashKey}:inflight`;
+        this.options = concurrencyOptions(options);
+        this.log = logger.child({ component: 'concurrencyLimiter', limiter: limiterKey });
+
+        // Lua script taking a slot if fewer calls than the limit are in flight.
+        // Returns 1 if it did, the calls in flight (including this one) and the limit.
+        this.acquireScript = `
+            local key, inflightKey = KEYS[1], KEYS[2]
+            local now = tonumber(ARGV[1])
+            local slotId = ARGV[2]
+            local slotTimeout = tonumber(ARGV[3])
+            local initialLimit = tonumber(ARGV[4])
+
+            -- Free the slots of calls whose instance never released them
+            redis.call('ZREMRANGEBYSCORE', inflightKey, '-inf', now)
+            local limit = math.floor(tonumber(redis.call('HGET', key, 'limit')) or initialLimit)
+            local inflight = redis.call('ZCARD', inflightKey)
+            if inflight >= limit then
+                return { 0, inflight, limit }
+            end
+            redis.call('ZADD', inflightKey, now + slotTimeout, slotId)
+            redis.call('PEXPIRE', inflightKey, slotTimeout)
+            return { 1, inflight + 1, limit }
+        `;
+
+        // Lua script giving back a slot and, unless the call is to be ignored, adjusting the
+        // limit from its latency. Returns the new limit.
+        this.releaseScript = `
+            local key, inflightKey = KEYS[1], KEYS[2]
+            local slotId = ARGV[1]
+            local rtt = math.max(tonumber(ARGV[2]), 0.001) -- ms
+            local inflight = tonumber(ARGV[3]) -- Calls in flight when this one started
+            local outcome = ARGV[4] -- 'ok', 'dropped' or 'ignored'
+            local algorithm = ARGV[5]
+            local initialLimit, minLimit, maxLimit = tonumber(ARGV[6]), tonumber(ARGV[7]), tonumber(ARGV[8])
+            local backoffRatio = tonumber(ARGV[9])
+            local latencyThreshold = tonumber(ARGV[10])
+            local tolerance, smoothing, longWindow = tonumber(ARGV[11]), tonumber(ARGV[12]), tonumber(ARGV[13])
+
+            local state = redis.call('HMGET', key, 'limit', 'longRtt')
+            local limit = tonumber(state[1]) or initialLimit
+            -- A slot that already timed out says little about the upstream's current latency
+            if redis.call('ZREM', inflightKey, slotId) == 0 or outcome == 'ignored' then
+                return math.floor(limit)
+            end
+
+            local newLimit = limit
+            if outcome == 'dropped' then
+                newLimit = limit * backoffRatio
+            elseif algorithm == 'aimd' then
+                if rtt > latencyThreshold then
+                    newLimit = limit * backoffRatio
+                elseif inflight * 2 >= limit then
+                    newLimit = limit + 1
+                end
+            else
+                local longRtt = tonumber(state[2]) or rtt
+                longRtt = longRtt + (rtt - longRtt) / longWindow
+                -- Let the average come back down after a sustained spike, instead of treating
+                -- the spike's latency as the new normal
+                if longRtt / rtt > 2 then
+                    longRtt = longRtt * 0.95
+                end
+                redis.call('HSET', key, 'longRtt', longRtt)
+                if inflight * 2 >= limit then
+                    local gradient = math.max(0.5, math.min(1.0, tolerance * longRtt / rtt))
+                    local estimate = limit * gradient + math.sqrt(limit)
+                    newLimit = limit * (1 - smoothing) + estimate * smoothing
+                end
+            end
+            newLimit = math.max(minLimit, math.min(maxLimit, newLimit))
+            redis.call('HSET', key, 'limit', newLimit)
+            return math.floor(newLimit)
+        `;
+    }
+
+    /**
+     * Takes a slot for a call, if fewer calls than the current limit are in flight.
+     * Redis errors deny the call to prevent potential overload.
+     * @returns {Promise<{allowed: boolean, limit: number, inflight: number, slot: object|null}>}
+     *   Whether the call may go ahead, the current limit, the calls in flight, and the slot to release.
+     */
+    async acquire() {
+        const slot = { id: uuidv4(), startTime: performance.now(), inflight: 0 };
+        try {
+            const [allowed, inflight, limit] = await this.storage.evalScript(
+                this.acquireScript,
+                [this.hashKey, this.inflightKey],
+                [Date.now(), slot.id, this.options.slotTimeoutMs, this.options.initialLimit]
+            );
+            slot.inflight = inflight;
+            return { allowed: allowed === 1, limit, inflight, slot: allowed === 1 ? slot : null };
+        } catch (error) {
+            this.log.error('Error acquiring from concurrency limiter', { error });
+            return { allowed: false, limit: 0, inflight: 0, slot: null };
+        }
+    }
+
+    /**
+     * Gives back the slot of a finished call and adjusts the limit from its latency.
+     * @param {object} slot - As returned by acquire().
+     * @param {object} [outcome]
+     * @param {boolean} [outcome.dropped] - The upstream failed or timed out, a sign of overload.
+     * @param {boolean} [outcome.ignored] - Says nothing about the upstream (e.g. the client went away);
+     *   only frees the slot.
+     * @returns {Promise<number|null>} The new limit, or null on a Redis error.
+     */
+    async release(slot, { dropped = false, ignored = false } = {}) {
+        const { algorithm, initialLimit, minLimit, maxLimit, backoffRatio, latencyThresholdMs, tolerance, smoothing, longWindow } = this.options;
+        try {
+            return await this.storage.evalScript(
+                this.releaseScript,
+                [this.hashKey, this.inflightKey],
+                [
+                    slot.id,
+                    performance.now() - slot.startTime,
+                    slot.inflight,
+                    ignored ? 'ignored' : dropped ? 'dropped' : 'ok',
+                    algorithm,
+                    initialLimit,
+                    minLimit,
+                    maxLimit,
+                    backoffRatio,
+                    latencyThresholdMs,
+                    tolerance,
+                    smoothing,
+                    longWindow,
+                ]
+            );
+        } catch (error) {
+            // The call itself already finished; its slot times out eventually
+            this.log.error('Error releasing from concurrency limiter', { error });
+            return null;
+        }
+    }
+
+    /**
+     * Gets the current limit and the calls in flight, for status output.
+     * @returns {Promise<{limit: number, inflight: number}>}
+     */
+    async getState() {
+        const [limit, inflight] = await Promise.all([
+            this.redis.hget(this.hashKey, 'limit'),
+            this.redis.zcount(this.inflightKey, Date.now(), '+inf'),
+        ]);
+        return { limit: limit === null ? this.options.initialLimit : Math.floor(Number(limit)), inflight };
+    }
+
+    describe() {
+        return { key: this.limiterKey, ...this.options };
+    }
+
+    async disconnect() {
+        if (this.ownsStorage) {
+            await this.storage.disconnect();
+        }
+    }
+}
+
+export default AdaptiveConcurrencyLimiter;
@@ -0,0 +1,68 @@
+import RedisLimiter from './redisLimiter.js';
+
+/**
+ * Fixed window counter: allows `limit` requests per window of `windowMs`, with windows
+ * aligned to multiples of `windowMs`. Cheap, but lets up to twice the limit through
+ * around a window boundary.
+ */
+class FixedWindowLimiter extends RedisLimiter {
+    constructor(limit, windowMs, limiterKey, storage) {
+        super(limiterKey, storage);
+        this.setLimits(limit, windowMs);
+
+        // Lua script counting the request in the current window's key, which expires with the window
+        this.consumeScript = `
+            local key = KEYS[1]
+            local limit = tonumber(ARGV[1])
+            local now = tonumber(ARGV[2])
+            local windowEnd = tonumber(ARGV[3])
+
+            local count = tonumber(redis.call('GET', key)) or 0
+            local allowed = 0
+            if count < limit then
+                count = redis.call('INCR', key)
+                redis.call('PEXPIRE', key, windowEnd - now)
+                allowed = 1
+            end
+
+            local remaining = limit - count
+            local retryAfter = 0
+            if remaining < 1 then
+                retryAfter = windowEnd - now
+            end
+            return { allowed, remaining, retryAfter, windowEnd - now }
+        `;
+    }
+
+    /**
+     * Changes the limit and window length, from the next request on.
+     * @param {number} limit
+     * @param {number} windowMs
+     */
+    setLimits(limit, windowMs) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.ratePerSecond = limit * 1000 / windowMs;
+    }
+
+    /**
+     * Attempts to count a request against the current window.
+     * @param {string} [clientKey] - Count against this client's own limit instead of the shared one.
+     * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfterMs: number, resetMs: number}>}
+     */
+    async tryConsume(clientKey) {
+        const now = Date.now();
+        const windowStart = now - (now % this.windowMs);
+        return this.consumeWith(
+            this.consumeScript,
+            [`${this.redisKey(clientKey)}:${windowStart}`],
+            [this.limit, now, windowStart + this.windowMs]
+        );
+    }
+
+    describe() {
+        return { algorithm: 'fixed-window', key: this.limiterKey, limit: this.limit, windowMs: this.windowMs };
+    }
+}
+
+export default FixedWindowLimiter;
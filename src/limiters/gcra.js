@@ -0,0 +1,79 @@
+import RedisLimiter from './redisLimiter.js';
+
+/**
+ * Generic cell rate algorithm: schedules requests at one per emission interval
+ * (`windowMs / limit`) and lets through up to `burst` requests ahead of schedule. Only a
+ * single timestamp, the theoretical arrival time (TAT) of the next request, is stored.
+ */
+class GcraLimiter extends RedisLimiter {
+    constructor(limit, windowMs, burst, limiterKey, storage) {
+        super(limiterKey, storage);
+        this.setLimits(limit, windowMs, burst);
+
+        // Lua script advancing the TAT by one emission interval if the request is within the burst tolerance
+        this.consumeScript = `
+            local key = KEYS[1]
+            local emissionInterval = tonumber(ARGV[1])
+            local burst = tonumber(ARGV[2])
+            local now = tonumber(ARGV[3])
+            local burstOffset = emissionInterval * burst
+
+            local tat = math.max(tonumber(redis.call('GET', key)) or now, now)
+            local newTat = tat + emissionInterval
+            local allowAt = newTat - burstOffset
+
+            if now < allowAt then
+                return { 0, 0, math.ceil(allowAt - now), math.ceil(tat - now) }
+            end
+
+            redis.call('SET', key, newTat, 'PX', math.ceil(newTat - now))
+            local remaining = math.floor((now - allowAt) / emissionInterval)
+            local retryAfter = 0
+            if remaining < 1 then
+                retryAfter = math.ceil(allowAt + emissionInterval - now)
+            end
+            return { 1, remaining, retryAfter, math.ceil(newTat - now) }
+        `;
+    }
+
+    /**
+     * Changes the sustained rate and burst size, from the next request on. The stored TAT is
+     * kept, so requests already scheduled ahead stay scheduled.
+     * @param {number} limit
+     * @param {number} windowMs
+     * @param {number} burst
+     */
+    setLimits(limit, windowMs, burst) {
+        this.requestsPerWindow = limit;
+        this.windowMs = windowMs;
+        this.burst = burst;
+        this.limit = burst;
+        this.ratePerSecond = limit * 1000 / windowMs;
+        this.emissionInterval = windowMs / limit; // ms between requests at the sustained rate
+    }
+
+    /**
+     * Attempts to schedule a request.
+     * @param {string} [clientKey] - Schedule against this client's own limit instead of the shared one.
+     * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfterMs: number, resetMs: number}>}
+     */
+    async tryConsume(clientKey) {
+        return this.consumeWith(
+            this.consumeScript,
+            [this.redisKey(clientKey)],
+            [this.emissionInterval, this.burst, Date.now()]
+        );
+    }
+
+    describe() {
+        return {
+            algorithm: 'gcra',
+            key: this.limiterKey,
+            limit: this.requestsPerWindow,
+            windowMs: this.windowMs,
+            burst: this.burst,
+        };
+    }
+}
+
+export default GcraLimiter;
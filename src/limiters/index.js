@@ -0,0 +1,66 @@
+import TokenBucket from '../rateLimiter.js';
+import FixedWindowLimiter from './fixedWindow.js';
+import SlidingWindowLogLimiter from './slidingWindowLog.js';
+import SlidingWindowCounterLimiter from './slidingWindowCounter.js';
+import GcraLimiter from './gcra.js';
+
+export { FAILURE_POLICIES } from './redisLimiter.js';
+
+// Each algorithm's limiter class, and its limits (its constructor arguments besides the key)
+// from the settings shared by every algorithm
+const LIMITERS = {
+    'token-bucket': [TokenBucket, ({ limit, windowMs, burst }) => [burst, limit * 1000 / windowMs]],
+    'fixed-window': [FixedWindowLimiter, ({ limit, windowMs }) => [limit, windowMs]],
+    'sliding-window-log': [SlidingWindowLogLimiter, ({ limit, windowMs }) => [limit, windowMs]],
+    'sliding-window-counter': [SlidingWindowCounterLimiter, ({ limit, windowMs }) => [limit, windowMs]],
+    'gcra': [GcraLimiter, ({ limit, windowMs, burst }) => [limit, windowMs, burst]],
+};
+
+export const ALGORITHMS = Object.keys(LIMITERS);
+
+function limiterClassAndLimits({ algorithm = 'token-bucket', limit, windowMs = 1000, burst = limit }) {
+    if (!Object.hasOwn(LIMITERS, algorithm)) {
+        throw new Error(`Unknown rate limiting algorithm '${algorithm}'. Expected one of: ${ALGORITHMS.join(', ')}`);
+    }
+    const [Limiter, limitsOf] = LIMITERS[algorithm];
+    return [Limiter, limitsOf({ limit, windowMs, burst })];
+}
+
+/**
+ * Creates a rate limiter from configuration. Every algorithm is described by the same
+ * settings: `limit` requests per `windowMs` sustained, with bursts of up to `burst`
+ * requests for the algorithms that allow them.
+ * @param {object} config
+ * @param {string} [config.algorithm] - One of ALGORITHMS. Defaults to 'token-bucket'.
+ * @param {string} config.key - Key (or key prefix, for per-client limits) of the limiter's Redis state.
+ * @param {number} config.limit - Requests allowed per window.
+ * @param {number} [config.windowMs] - Window length in ms. Defaults to one second.
+ * @param {number} [config.burst] - Token bucket capacity or GCRA burst size. Defaults to `limit`.
+ * @param {string} [config.failurePolicy] - How requests are decided while Redis can't be reached:
+ *   one of FAILURE_POLICIES (see setFailurePolicy()). Defaults to 'fail-closed'.
+ * @param {number} [config.instances] - How many instances share the limit, for the 'local' policy.
+ * @param {Storage} [storage] - Where the limiter's state lives (see createStorage()). By default
+ *   the limiter connects to Redis on its own.
+ * @returns {TokenBucket|FixedWindowLimiter|SlidingWindowLogLimiter|SlidingWindowCounterLimiter|GcraLimiter}
+ */
+export function createLimiter(config, storage) {
+    const [Limiter, limits] = limiterClassAndLimits(config);
+    const limiter = new Limiter(...limits, config.key, storage);
+    limiter.setFailurePolicy(config.failurePolicy, { instances: config.instances });
+    return limiter;
+}
+
+/**
+ * Applies new limits and failure policy to a running limiter created by createLimiter(), e.g.
+ * on a configuration reload. Its algorithm and key can't change.
+ * @param {object} limiter
+ * @param {object} config - As for createLimiter().
+ */
+export function configureLimiter(limiter, config) {
+    const [Limiter, limits] = limiterClassAndLimits(config);
+    if (!(limiter instanceof Limiter) || limiter.limiterKey !== config.key) {
+        throw new Error(`Rate limiter '${limiter.limiterKey}' can't change its algorithm or key while running`);
+    }
+    limiter.setFailurePolicy(config.failurePolicy, { instances: config.instances });
+    limiter.setLimits(...limits);
+}
@@ -0,0 +1,75 @@
+/**
+ * In-memory token buckets for a single process, one per key, which RedisLimiter falls back
+ * to under the 'local' failure policy while Redis can't be reached. Nothing is shared with
+ * other instances, so each one should get its share of the limit.
+ *
+ * Tokens refill continuously. The limits are given with each call, so they follow the
+ * limiter's own when it is reconfigured. The least recently used buckets are forgotten
+ * beyond `maxKeys`, so per-client keys can't grow the map without bound.
+ */
+class LocalTokenBucket {
+    /**
+     * @param {number} [maxKeys] - Most buckets kept at once.
+     */
+    constructor(maxKeys = 10000) {
+        this.maxKeys = maxKeys;
+        this.buckets = new Map(); // Key -> { tokens, lastRefillTime }, least recently used first
+    }
+
+    /**
+     * Attempts to consume a token from a key's bucket, which starts full.
+     * @param {string} key
+     * @param {number} capacity - Most tokens the bucket holds.
+     * @param {number} fillRate - Tokens added per second.
+     * @returns {{allowed: boolean, limit: number, remaining: number, retryAfterMs: number, resetMs: number}}
+     *   As for the Redis limiters' tryConsume().
+     */
+    tryConsume(key, capacity, fillRate) {
+        const now = Date.now();
+        let tokens = this.refill(key, capacity, fillRate, now);
+        const allowed = tokens >= 1;
+        if (allowed) {
+            tokens -= 1;
+        }
+        this.buckets.delete(key); // Set again below, as the most recently used
+        this.buckets.set(key, { tokens, lastRefillTime: now });
+        if (this.buckets.size > this.maxKeys) {
+            this.buckets.delete(this.buckets.keys().next().value);
+        }
+        return {
+            allowed,
+            limit: capacity,
+            remaining: Math.floor(tokens),
+            retryAfterMs: tokens >= 1 ? 0 : Math.ceil((1 - tokens) * 1000 / fillRate),
+            resetMs: Math.ceil((capacity - tokens) * 1000 / fillRate),
+        };
+    }
+
+    /**
+     * Gets the tokens in a key's bucket, without consuming any.
+     * @param {string} key
+     * @param {number} capacity
+     * @param {number} fillRate
+     * @returns {number} Whole tokens; a full bucket for keys without one.
+     */
+    getTokens(key, capacity, fillRate) {
+        return Math.floor(this.refill(key, capacity, fillRate, Date.now()));
+    }
+
+    refill(key, capacity, fillRate, now) {
+        const bucket = this.buckets.get(key);
+        if (!bucket) {
+            return capacity;
+        }
+        return Math.min(capacity, bucket.tokens + (now - bucket.lastRefillTime) * fillRate / 1000);
+    }
+
+    /**
+     * Forgets every bucket, e.g. once Redis is back and the shared state applies again.
+     */
+    clear() {
+        this.buckets.clear();
+    }
+}
+
+export default LocalTokenBucket;
@@ -0,0 +1,144 @@
+import logger from '../logger.js';
+import { withSpan } from '../tracing.js';
+import RedisStorage from '../storage/redisStorage.js';
+import LocalTokenBucket from './localTokenBucket.js';
+
+export const FAILURE_POLICIES = ['fail-closed', 'fail-open', 'local'];
+
+/**
+ * Base class for rate limiters whose state lives in Redis and is updated by one atomic
+ * Lua script per request. Every limiter has the same interface:
+ *
+ * - `tryConsume(clientKey?)` resolves to `{ allowed, limit, remaining, retryAfterMs, resetMs }`:
+ *   whether the request is allowed, the most requests the limiter lets through at once,
+ *   how many more are allowed right now, the time until the next request would be allowed
+ *   (0 if one would be allowed now), and the time until the limit is fully restored.
+ * - `ratePerSecond` is the sustained rate the limiter allows.
+ * - `describe()` returns the limiter's configuration for status output.
+ * - `setLimits(...)` changes the limits of a running limiter, taking the same limits as its constructor.
+ * - `setFailurePolicy(policy, options?)` chooses how requests are decided while Redis can't be reached.
+ * - `disconnect()` closes the Redis connection, unless the storage was given.
+ *
+ * The state can also live in another storage backend (see createStorage()), e.g. in memory.
+ */
+class RedisLimiter {
+    /**
+     * @param {string} limiterKey - Key (or key prefix, for per-client limits) of the limiter's state.
+     * @param {Storage} [storage] - Where the state lives, e.g. shared with other limiters. By
+     *   default the limiter connects to Redis on its own.
+     */
+    constructor(limiterKey, storage) {
+        this.limiterKey = limiterKey;
+        this.log = logger.child({ component: 'rateLimiter', limiter: limiterKey });
+        this.failurePolicy = 'fail-closed';
+        this.instances = 1; // Processes sharing the limit, for the 'local' failure policy
+        this.localBuckets = new LocalTokenBucket();
+        this.degraded = false; // Whether the last request was decided without Redis
+        this.ownsStorage = !storage;
+        this.storage = storage ?? new RedisStorage();
+        this.redis = this.storage.client;
+        this.keyPrefix = this.storage.hashTag(limiterKey);
+    }
+
+    /**
+     * Chooses how requests are decided while Redis can't be reached:
+     * - 'fail-closed' (the default) denies them, protecting the upstream at the cost of availability.
+     * - 'fail-open' allows them all.
+     * - 'local' limits each instance on its own, with an in-memory token bucket per key holding
+     *   `limit / instances` tokens and refilling at `ratePerSecond / instances`, so the instances
+     *   together stay close to the shared limit. The buckets are dropped once Redis is back.
+     * @param {string} [policy] - One of FAILURE_POLICIES.
+     * @param {object} [options]
+     * @param {number} [options.instances] - How many instances (proxies and workers) share the
+     *   limit, for 'local'. Defaults to 1.
+     */
+    setFailurePolicy(policy = 'fail-closed', { instances = 1 } = {}) {
+        if (!FAILURE_POLICIES.includes(policy)) {
+            throw new Error(`RedisLimiter: Unknown failure policy '${policy}'`);
+        }
+        if (!Number.isInteger(instances) || instances < 1) {
+            throw new Error('RedisLimiter: instances must be a positive integer');
+        }
+        this.failurePolicy = policy;
+        this.instances = instances;
+    }
+
+    /**
+     * Gets the key identifying the limiter, or one of its per-client limiters, e.g. in
+     * overrides and the admin API.
+     * @param {string} [clientKey] - Identifies a client, e.g. from a key extractor.
+     * @returns {string}
+     */
+    keyFor(clientKey) {
+        return clientKey === undefined ? this.limiterKey : `${this.limiterKey}:${clientKey}`;
+    }
+
+    /**
+     * Gets the Redis key of the limiter, or of one of its per-client limiters: the same as
+     * keyFor(), except on a Redis Cluster, where the limiter's keys share a hash tag.
+     * @param {string} [clientKey]
+     * @returns {string}
+     */
+    redisKey(clientKey) {
+        return clientKey === undefined ? this.keyPrefix : `${this.keyPrefix}:${clientKey}`;
+    }
+
+    /**
+     * Runs a limiter script returning `{ allowed, remaining, retryAfterMs, resetMs }` as an array,
+     * optionally followed by the limit when the script decides it (e.g. an override).
+     * Redis errors leave the decision to the failure policy (see setFailurePolicy()).
+     */
+    async consumeWith(script, keys, args) {
+        return withSpan('rateLimiter.tryConsume', {
+            attributes: { 'rate_limiter.algorithm': this.describe().algorithm, 'rate_limiter.key': keys[0] },
+        }, async span => {
+            let result;
+            try {
+                const [allowed, remaining, retryAfterMs, resetMs, limit = this.limit] = await this.storage.evalScript(script, keys, args);
+                result = { allowed: allowed === 1, limit, remaining, retryAfterMs, resetMs };
+                if (this.degraded) {
+                    this.degraded = false;
+                    this.localBuckets.clear();
+                    this.log.info('Rate limiter reached Redis again');
+                }
+            } catch (error) {
+                span.recordException(error); // Decided by the failure policy rather than failed, so the span isn't an error
+                span.setAttribute('rate_limiter.failure_policy', this.failurePolicy);
+                if (!this.degraded) { // Once per outage, rather than for every request
+                    this.degraded = true;
+                    this.log.error('Error consuming from rate limiter. Deciding requests by failure policy.', {
+                        failurePolicy: this.failurePolicy,
+                        error,
+                    });
+                }
+                result = this.decideWithoutRedis(keys[0]);
+            }
+            span.setAttributes({ 'rate_limiter.allowed': result.allowed, 'rate_limiter.remaining': result.remaining });
+            return result;
+        });
+    }
+
+    decideWithoutRedis(key) {
+        switch (this.failurePolicy) {
+            case 'fail-open':
+                return { allowed: true, limit: this.limit, remaining: this.limit, retryAfterMs: 0, resetMs: 0 };
+            case 'local':
+                return this.localBuckets.tryConsume(key, ...this.localLimits());
+            default:
+                return { allowed: false, limit: this.limit, remaining: 0, retryAfterMs: 0, resetMs: 0 };
+        }
+    }
+
+    // This instance's share of the limits, for its local buckets
+    localLimits() {
+        return [Math.max(1, Math.floor(this.limit / this.instances)), this.ratePerSecond / this.instances];
+    }
+
+    async disconnect() {
+        if (this.ownsStorage) {
+            await this.storage.disconnect();
+        }
+    }
+}
+
+export default RedisLimiter;
@@ -0,0 +1,80 @@
+import { v4 as uuidv4 } from 'uuid'; // Keeps log entries unique when requests share a timestamp
+import RedisLimiter from './redisLimiter.js';
+
+/**
+ * Sliding window log: records the time of every allowed request in a sorted set and allows
+ * a request if fewer than `limit` were allowed in the last `windowMs`. Exact, at the cost
+ * of memory proportional to the limit.
+ */
+class SlidingWindowLogLimiter extends RedisLimiter {
+    constructor(limit, windowMs, limiterKey, storage) {
+        super(limiterKey, storage);
+        this.setLimits(limit, windowMs);
+
+        // Lua script dropping entries older than the window, then logging the request if there is room
+        this.consumeScript = `
+            local key = KEYS[1]
+            local limit = tonumber(ARGV[1])
+            local windowMs = tonumber(ARGV[2])
+            local now = tonumber(ARGV[3])
+            local member = ARGV[4]
+
+            redis.call('ZREMRANGEBYSCORE', key, '-inf', now - windowMs)
+            local count = redis.call('ZCARD', key)
+            local allowed = 0
+            if count < limit then
+                redis.call('ZADD', key, now, member)
+                count = count + 1
+                allowed = 1
+            end
+            if count > 0 then
+                redis.call('PEXPIRE', key, windowMs)
+            end
+
+            local remaining = limit - count
+            local retryAfter = 0
+            if remaining < 1 then
+                -- The next request is allowed once the oldest entry leaves the window
+                local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+                retryAfter = tonumber(oldest[2]) + windowMs - now
+            end
+            local reset = 0
+            if count > 0 then
+                local newest = redis.call('ZRANGE', key, -1, -1, 'WITHSCORES')
+                reset = tonumber(newest[2]) + windowMs - now
+            end
+            return { allowed, remaining, retryAfter, reset }
+        `;
+    }
+
+    /**
+     * Changes the limit and window length, from the next request on.
+     * @param {number} limit
+     * @param {number} windowMs
+     */
+    setLimits(limit, windowMs) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.ratePerSecond = limit * 1000 / windowMs;
+    }
+
+    /**
+     * Attempts to log a request in the sliding window.
+     * @param {string} [clientKey] - Count against this client's own limit instead of the shared one.
+     * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfterMs: number, resetMs: number}>}
+     */
+    async tryConsume(clientKey) {
+        const now = Date.now();
+        return this.consumeWith(
+            this.consumeScript,
+            [this.redisKey(clientKey)],
+            [this.limit, this.windowMs, now, `${now}:${uuidv4()}`]
+        );
+    }
+
+    describe() {
+        return { algorithm: 'sliding-window-log', key: this.limiterKey, limit: this.limit, windowMs: this.windowMs };
+    }
+}
+
+export default SlidingWindowLogLimiter;
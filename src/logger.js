@@ -0,0 +1,156 @@
+/**
+ * Structured logging. Each entry is one line: a JSON object with `time`, `level`, `msg` and
+ * the logger's fields (the default), or a human-readable line for development ('pretty').
+ *
+ * Every module logs through a child of the root logger naming its component, and request
+ * handling through a child carrying the request's context (requestId, route, limiter,
+ * attempt), so one request can be followed from the proxy through the queue to the worker.
+ *
+ * Fields named like credentials (SENSITIVE_FIELDS by default) are logged as '[REDACTED]',
+ * however deep in an entry they are, e.g. a request's Authorization header or password.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+export const LOG_FORMATS = ['json', 'pretty'];
+// Headers and body fields carrying credentials, never logged and not queued in the clear
+export const SENSITIVE_FIELDS = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie', 'x-api-key', 'password'];
+
+const REDACTED = '[REDACTED]';
+
+const SEVERITY = Object.fromEntries(LOG_LEVELS.map((level, i) => [level, i]));
+
+// Errors have no enumerable properties, so JSON.stringify() would log them as {}
+function serialize(value) {
+    if (value instanceof Error) {
+        return {
+            name: value.name,
+            message: value.message,
+            ...(value.code !== undefined && { code: value.code }),
+            stack: value.stack,
+        };
+    }
+    return value;
+}
+
+// For JSON.stringify(), redacting the fields named in `redact` (lowercase) at any depth
+function replacer(redact) {
+    return (key, value) => {
+        if (redact.has(key.toLowerCase())) {
+            return REDACTED;
+        }
+        return typeof value === 'bigint' ? String(value) : serialize(value);
+    };
+}
+
+function formatJson(entry, redact) {
+    try {
+        return JSON.stringify(entry, replacer(redact));
+    } catch (error) { // e.g. a circular structure: still log the message
+        return JSON.stringify({ time: entry.time, level: entry.level, msg: entry.msg, logError: error.message });
+    }
+}
+
+function formatPretty({ time, level, msg, ...fields }, redact) {
+    const details = Object.entries(fields).map(([name, value]) => {
+        const shown = serialize(value);
+        if (redact.has(name.toLowerCase())) {
+            return `${name}=${REDACTED}`;
+        }
+        if (value instanceof Error) {
+            return `${name}=${shown.stack || shown.message}`;
+        }
+        return `${name}=${typeof shown === 'string' ? shown : JSON.stringify(shown, replacer(redact))}`;
+    });
+    return [time, level.toUpperCase().padEnd(5), msg, ...details].join(' ');
+}
+
+class Logger {
+    constructor(settings, fields) {
+        this.settings = settings; // Shared with every child, so configure() applies to all of them
+        this.fields = fields;
+    }
+
+    /**
+     * Creates a logger adding fields to every entry, on top of this logger's.
+     * @param {object} fields - e.g. `{ requestId, route }`.
+     * @returns {Logger}
+     */
+    child(fields) {
+        return new Logger(this.settings, { ...this.fields, ...fields });
+    }
+
+    /**
+     * Changes the level, format and redacted fields of this logger and every logger sharing its root.
+     * @param {object} options
+     * @param {string} [options.level] - One of LOG_LEVELS.
+     * @param {string} [options.format] - One of LOG_FORMATS.
+     * @param {string[]} [options.redact] - Names of the fields to redact, case-insensitive.
+     */
+    configure({ level = this.settings.level, format = this.settings.format, redact }) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Logger: Unknown level '${level}'`);
+        }
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Logger: Unknown format '${format}'`);
+        }
+        this.settings.level = level;
+        this.settings.format = format;
+        if (redact) {
+            this.settings.redact = new Set(redact.map(name => name.toLowerCase()));
+        }
+    }
+
+    isLevelEnabled(level) {
+        return SEVERITY[level] >= SEVERITY[this.settings.level];
+    }
+
+    debug(message, fields) {
+        this.write('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.write('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.write('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.write('error', message, fields);
+    }
+
+    write(level, message, fields) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+        const entry = { time: new Date().toISOString(), level, msg: message, ...this.fields, ...fields };
+        const line = this.settings.format === 'pretty' ? formatPretty(entry, this.settings.redact) : formatJson(entry, this.settings.redact);
+        this.settings.stream.write(`${line}\n`);
+    }
+}
+
+/**
+ * Creates a root logger.
+ * @param {object} [options]
+ * @param {string} [options.level] - Least severe level written: one of LOG_LEVELS. Defaults to 'info'.
+ * @param {string} [options.format] - 'json' (the default) or 'pretty'.
+ * @param {object} [options.stream] - Where lines are written. Defaults to stdout.
+ * @param {object} [options.fields] - Fields added to every entry.
+ * @param {string[]} [options.redact] - Fields logged as '[REDACTED]'. Defaults to SENSITIVE_FIELDS.
+ * @returns {Logger}
+ */
+export function createLogger({ level = 'info', format = 'json', stream = process.stdout, fields = {}, redact = SENSITIVE_FIELDS } = {}) {
+    const logger = new Logger({ level: 'info', format: 'json', stream }, fields);
+    logger.configure({ level, format, redact });
+    return logger;
+}
+
+// The logger every module logs through, set up from LOG_LEVEL and LOG_FORMAT until the
+// entry points apply the loaded configuration. Bad values are reported by loadConfig().
+const logger = createLogger({
+    level: LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : undefined,
+    format: LOG_FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : undefined,
+});
+
+export default logger;
@@ -0,0 +1,220 @@
+import { createServer } from 'node:http';
+import { Counter, Gauge, Histogram, Registry, collectDefaultMetrics } from 'prom-client';
+import logger from './logger.js';
+
+const log = logger.child({ component: 'metrics' });
+
+const BREAKER_STATES = ['CLOSED', 'HALF_OPEN', 'OPEN'];
+
+/**
+ * Groups HTTP statuses into classes ('2xx', '5xx', ...), or 'error' when there was no
+ * response at all, to keep label cardinality bounded.
+ * @param {number} [status]
+ * @returns {string}
+ */
+export function statusClass(status) {
+    return status ? `${Math.floor(status / 100)}xx` : 'error';
+}
+
+/**
+ * Prometheus metrics for the proxy and the worker, in a registry of their own so several
+ * instances can live in one process. Labels only ever take configured values (route
+ * names, limiter keys, queue names) or small fixed sets, never per-client or per-request
+ * values, so cardinality stays bounded.
+ */
+class Metrics {
+    /**
+     * @param {object} [options]
+     * @param {string} [options.prefix] - Prefix of every metric name.
+     * @param {boolean} [options.defaultMetrics] - Also collect the Node.js process metrics.
+     */
+    constructor({ prefix = 'rate_limiter_proxy_', defaultMetrics = true } = {}) {
+        this.registry = new Registry();
+        this.queues = []; // { route, queue } watched for the depth gauge
+        this.breakers = []; // { route, breaker } watched for the state gauge
+
+        if (defaultMetrics) {
+            collectDefaultMetrics({ register: this.registry, prefix });
+        }
+
+        this.requests = new Counter({
+            name: `${prefix}rate_limit_requests_total`,
+            help: 'Requests checked against a rate limit, by outcome (allowed, queued or rejected).',
+            labelNames: ['route', 'limiter', 'outcome'],
+            registers: [this.registry],
+        });
+
+        const queues = this.queues;
+        this.queueDepth = new Gauge({
+            name: `${prefix}queue_depth`,
+            help: 'Requests in a queue: waiting (ready), waiting for a retry (delayed) or given up on (dead).',
+            labelNames: ['route', 'queue', 'state'],
+            registers: [this.registry],
+            async collect() {
+                for (const { route, queue } of queues) {
+                    const [ready, delayed, dead] = await Promise.all([
+                        queue.length(),
+                        queue.delayedLength(),
+                        queue.deadLength(),
+                    ]);
+                    this.set({ route, queue: queue.queueName, state: 'ready' }, ready);
+                    this.set({ route, queue: queue.queueName, state: 'delayed' }, delayed);
+                    this.set({ route, queue: queue.queueName, state: 'dead' }, dead);
+                }
+            },
+        });
+
+        this.queueShed = new Counter({
+            name: `${prefix}queue_shed_total`,
+            help: 'Queued requests dropped by this instance to make room in a full queue.',
+            labelNames: ['route', 'queue'],
+            registers: [this.registry],
+        });
+
+        this.queueWait = new Histogram({
+            name: `${prefix}queue_wait_seconds`,
+            help: 'Time from enqueuing a request to its first dispatch attempt.',
+            labelNames: ['route'],
+            buckets: [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600],
+            registers: [this.registry],
+        });
+
+        this.upstreamLatency = new Histogram({
+            name: `${prefix}upstream_request_duration_seconds`,
+            help: 'Duration of requests to upstream services, by status class (error when there was no response).',
+            labelNames: ['route', 'status_class'],
+            buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+            registers: [this.registry],
+        });
+
+        this.breakerTransitions = new Counter({
+            name: `${prefix}circuit_breaker_transitions_total`,
+            help: 'Circuit breaker state changes made by this instance, by the state changed to.',
+            labelNames: ['route', 'breaker', 'state'],
+            registers: [this.registry],
+        });
+
+        const breakers = this.breakers;
+        this.breakerState = new Gauge({
+            name: `${prefix}circuit_breaker_state`,
+            help: 'Current circuit breaker state: 1 for the current state, 0 for the others.',
+            labelNames: ['route', 'breaker', 'state'],
+            registers: [this.registry],
+            async collect() {
+                for (const { route, breaker } of breakers) {
+                    const current = await breaker.getState();
+                    for (const state of BREAKER_STATES) {
+                        this.set({ route, breaker: breaker.breakerKey || route, state }, state === current ? 1 : 0);
+                    }
+                }
+            },
+        });
+
+        this.workerRequests = new Counter({
+            name: `${prefix}worker_requests_total`,
+            help: 'Queued requests handled by the worker, by outcome (succeeded, failed, retried, dead_lettered, deferred, expired or requeued).',
+            labelNames: ['route', 'outcome'],
+            registers: [this.registry],
+        });
+    }
+
+    /**
+     * Counts a rate limit decision.
+     * @param {string} route
+     * @param {string} limiter - The limiter's key (not the per-client key).
+     * @param {string} outcome - 'allowed', 'queued' or 'rejected'.
+     */
+    recordLimit(route, limiter, outcome) {
+        this.requests.inc({ route, limiter, outcome });
+    }
+
+    observeQueueWait(route, seconds) {
+        this.queueWait.observe({ route }, seconds);
+    }
+
+    /**
+     * @param {string} route
+     * @param {number|null} status - The upstream status, or null if there was no response.
+     * @param {number} seconds
+     */
+    observeUpstream(route, status, seconds) {
+        this.upstreamLatency.observe({ route, status_class: statusClass(status) }, seconds);
+    }
+
+    recordWorkerOutcome(route, outcome) {
+        this.workerRequests.inc({ route, outcome });
+    }
+
+    /**
+     * Reports a queue's depth on each scrape and counts the requests it sheds.
+     * @param {string} route
+     * @param {object} queue - A RequestQueue.
+     */
+    watchQueue(route, queue) {
+        this.queues.push({ route, queue });
+        queue.on?.('shed', () => this.queueShed.inc({ route, queue: queue.queueName }));
+    }
+
+    /**
+     * Counts a circuit breaker's state changes and reports its state on each scrape.
+     * @param {string} route
+     * @param {object} breaker - A CircuitBreaker or RedisCircuitBreaker.
+     */
+    watchBreaker(route, breaker) {
+        const key = breaker.breakerKey || route;
+        this.breakers.push({ route, breaker });
+        breaker.on('stateChange', state => this.breakerTransitions.inc({ route, breaker: key, state }));
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    /**
+     * @returns {Promise<string>} Every metric in the Prometheus text format.
+     */
+    async render() {
+        return this.registry.metrics();
+    }
+
+    /**
+     * Express handler serving the metrics.
+     */
+    handler() {
+        return async (req, res) => {
+            try {
+                res.set('Content-Type', this.contentType);
+                res.send(await this.render());
+            } catch (error) {
+                log.error('Error collecting metrics', { error });
+                res.status(500).end();
+            }
+        };
+    }
+
+    /**
+     * Starts a bare HTTP server serving the metrics on GET /metrics, for processes that
+     * don't run Express.
+     * @param {number} port
+     * @param {Function} [callback] - Called once listening.
+     * @returns {object} The http.Server.
+     */
+    listen(port, callback) {
+        const server = createServer(async (req, res) => {
+            if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+                res.writeHead(404).end();
+                return;
+            }
+            try {
+                const body = await this.render();
+                res.writeHead(200, { 'Content-Type': this.contentType }).end(body);
+            } catch (error) {
+                log.error('Error collecting metrics', { error });
+                res.writeHead(500).end();
+            }
+        });
+        return server.listen(port, callback);
+    }
+}
+
+export default Metrics;
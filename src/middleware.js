@@ -0,0 +1,309 @@
+import { v4 as uuidv4 } from 'uuid'; // For queued request IDs
+import { CircuitOpenError } from './breakerPolicy.js';
+import { createKeyExtractor } from './keyExtractors.js';
+import { estimateQueueWait, mostRestrictive, setRateLimitHeaders, setRetryAfter } from './rateLimitHeaders.js';
+import { assignRequestContext } from './requestContext.js';
+import { RequestStatus, isTerminal } from './resultStore.js';
+import { describeRequest, relayResponse, restoredResponse } from './upstream.js';
+
+function defaultOnQueued(req, res, { requestId, name }) {
+    res.status(202).json({
+        message: 'Request queued. Please wait.',
+        limit: name,
+        requestId,
+        statusUrl: `/requests/${requestId}`,
+    });
+}
+
+/**
+ * Waits for the rest of the middleware chain to respond, so the circuit breaker can record
+ * the outcome. Resolves with `{ status }`, which the breaker's isFailure predicate judges
+ * (by default 5xx responses count as failures). Responses the client aborted don't count.
+ */
+function untilResponded(res) {
+    return new Promise(resolve => {
+        res.once('finish', () => resolve({ status: res.statusCode }));
+        res.once('close', () => resolve(null));
+    });
+}
+
+// Result store errors are logged by the store. They mustn't fail a request that can still be
+// queued: a spilled request is recorded once it reaches the queue (see the proxy's 'flush' handler).
+async function record(write) {
+    try {
+        await write();
+    } catch {
+        // Already logged
+    }
+}
+
+// The queue length for Retry-After. Requests spilled in memory mean Redis is unreachable, so
+// they are counted instead of waiting for Redis to time out.
+async function queuedLength(queue) {
+    const spilled = queue.spilledLength?.() ?? 0;
+    if (spilled > 0) {
+        return spilled;
+    }
+    try {
+        return await queue.length();
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Answers a repeat of a queued request with the original: its stored response once it has one,
+ * else its ID and status. A repeat sending the original's idempotency key with another method,
+ * URL or body gets 422.
+ */
+async function answerRepeat(req, res, { identity, original, resultStore }) {
+    const { requestId } = original;
+    if (identity.digest && original.digest && identity.digest !== original.digest) {
+        req.log.info('Idempotency key reused for a different request. Rejecting it.', { originalRequestId: requestId });
+        return res.status(422).json({ message: 'The idempotency key was already used for a different request.', requestId });
+    }
+    let result = null;
+    try {
+        result = await resultStore?.get(requestId) ?? null;
+    } catch {
+        // Already logged; answered as still pending
+    }
+    const status = result?.status ?? RequestStatus.PENDING;
+    req.log.info('Repeated request. Answering with the original.', { originalRequestId: requestId, status });
+    if (result?.response && isTerminal(status)) {
+        res.setHeader('Idempotent-Replayed', 'true');
+        return relayResponse(res, restoredResponse(result.response));
+    }
+    res.status(isTerminal(status) ? 200 : 202).json({
+        message: isTerminal(status) ? 'Request already processed.' : 'Request already queued. Please wait.',
+        requestId,
+        status,
+        ...(result?.error && { error: result.error }),
+        statusUrl: `/requests/${requestId}`,
+    });
+}
+
+/**
+ * Express middleware answering repeats of queued requests (see IdempotencyStore) with the
+ * original request, without queuing or forwarding them again. It goes before any rate limit,
+ * so repeats don't use up the client's budget either. Requests that aren't repeats continue
+ * down the chain, identified in `req.idempotency` for rateLimitQueue() to claim if queued.
+ *
+ * Repeats are only recognized once the original has been queued. While the store can't be
+ * reached, requests continue as if they weren't repeats.
+ *
+ * @param {object} options
+ * @param {IdempotencyStore} options.store
+ * @param {object} [options.resultStore] - Where the outcome of the original is read from.
+ * @returns {Function} Express middleware.
+ */
+export function idempotentRequests({ store, resultStore }) {
+    if (!store) {
+        throw new Error('idempotentRequests requires a store');
+    }
+
+    return async function idempotentRequestsMiddleware(req, res, next) {
+        assignRequestContext(req, res);
+        const identity = store.identify(req);
+        if (!identity) {
+            return next();
+        }
+        req.idempotency = identity;
+        let original;
+        try {
+            original = await store.lookup(identity);
+        } catch {
+            return next(); // Already logged
+        }
+        if (!original) {
+            return next();
+        }
+        return answerRepeat(req, res, { identity, original, resultStore });
+    };
+}
+
+/**
+ * Express middleware applying a rate limit, and optionally a queue, a circuit breaker and
+ * an adaptive concurrency limit, in front of the handlers mounted after it.
+ *
+ * Requests within the limit continue down the chain (through the breaker, if given).
+ * Requests over the limit, or finding the concurrency limit reached, are enqueued for a
+ * worker and answered with 202 if there is a queue (unless it is full), and rejected with
+ * 429 otherwise; with 503 if they can't be queued at all, e.g. without Redis or a spill buffer
+ * (see RequestQueue). Several instances can be chained, e.g. a
+ * per-client limit without a queue followed by a shared limit with one; RateLimit-*
+ * headers always describe the most restrictive of them. Requests keep the ID they came with
+ * (X-Request-Id or traceparent, see assignRequestContext()) for logging. Queued requests also
+ * get an ID of their own, generated here, as any client could send another client's ID.
+ *
+ * @param {object} options
+ * @param {object} options.bucket - Any rate limiter (see createLimiter()).
+ * @param {Function|string} [options.keyFn] - Key extractor (see createKeyExtractor()). When given,
+ *   each client gets its own limit; otherwise the limit is shared by all requests.
+ * @param {object} [options.queue] - RequestQueue for requests over the limit.
+ * @param {object} [options.breaker] - CircuitBreaker or RedisCircuitBreaker guarding the handlers
+ *   after this middleware. Open circuits are answered with 503. The handlers find the breaker's
+ *   AbortSignal, aborted when the call times out, in `req.breakerSignal`.
+ * @param {object} [options.concurrency] - AdaptiveConcurrencyLimiter capping the requests in flight
+ *   through the handlers after this middleware. Each request holds a slot until its response has
+ *   been sent; 5xx responses count as dropped.
+ * @param {Function} [options.priorityFn] - `(req) => string` choosing the priority of a queued request.
+ *   The queue's default priority when omitted or when it returns nothing.
+ * @param {Function|string} [options.tenantFn] - Key extractor (see createKeyExtractor()) choosing whose
+ *   share of the queue a queued request counts against. All requests share one tenant when omitted.
+ * @param {object} [options.resultStore] - Records queued requests as pending.
+ * @param {IdempotencyStore} [options.idempotency] - Claims the idempotency key of each request
+ *   before queuing it. A repeat of a request queued meanwhile, e.g. through another proxy, is
+ *   answered with the original instead (see idempotentRequests()).
+ * @param {Function} [options.serialize] - `(req) => object` building the queued request. Defaults to
+ *   describeRequest(), which expects the body to have been read with express.raw().
+ * @param {Function} [options.onQueued] - `(req, res, { requestId, name, retryAfterMs })` sending the
+ *   response for a queued request. Defaults to 202 with a link to GET /requests/:requestId.
+ * @param {string} [options.name] - Names this limit in responses and logs. Defaults to 'client' when
+ *   keyed per client and 'global' otherwise.
+ * @param {object} [options.metrics] - Metrics counting allowed, queued and rejected requests.
+ * @param {string} [options.route] - The route label for metrics. Defaults to 'default'.
+ * @returns {Function} Express middleware.
+ */
+export function rateLimitQueue({
+    bucket,
+    keyFn,
+    queue,
+    breaker,
+    concurrency,
+    priorityFn,
+    tenantFn,
+    resultStore,
+    idempotency,
+    serialize = describeRequest,
+    onQueued = defaultOnQueued,
+    name = keyFn ? 'client' : 'global',
+    metrics,
+    route = 'default',
+}) {
+    if (!bucket) {
+        throw new Error('rateLimitQueue requires a bucket');
+    }
+    const clientKey = keyFn && createKeyExtractor(keyFn);
+    const tenantKey = tenantFn && createKeyExtractor(tenantFn);
+    // The limiter's configured key, never the per-client one, so the label stays bounded
+    const limiterLabel = bucket.limiterKey || name;
+
+    return async function rateLimitQueueMiddleware(req, res, next) {
+        // Shared by chained instances, so a request keeps one ID and its headers reflect every limit
+        assignRequestContext(req, res);
+        const log = req.log.child({ route, limiter: limiterLabel });
+
+        let result;
+        try {
+            result = await bucket.tryConsume(clientKey ? clientKey(req) : undefined);
+        } catch (error) {
+            return next(error);
+        }
+        req.rateLimit = req.rateLimit ? mostRestrictive(req.rateLimit, result) : result;
+        setRateLimitHeaders(res, req.rateLimit);
+
+        let exceeded = result.allowed ? null : 'Rate limit';
+        let slot = null;
+        if (!exceeded && concurrency) {
+            let acquired;
+            try {
+                acquired = await concurrency.acquire();
+            } catch (error) {
+                return next(error);
+            }
+            if (acquired.allowed) {
+                slot = acquired.slot;
+            } else {
+                log.info('Concurrency limit reached', { inflight: acquired.inflight, concurrencyLimit: acquired.limit });
+                exceeded = 'Concurrency limit';
+            }
+        }
+
+        if (exceeded) {
+            if (!queue) {
+                log.info(`${exceeded} exceeded. Rejecting request.`, { limit: name });
+                metrics?.recordLimit(route, limiterLabel, 'rejected');
+                setRetryAfter(res, result.retryAfterMs);
+                return res.status(429).json({ message: 'Too many requests. Please slow down.', limit: name });
+            }
+
+            // Keys the request's result, status URL and callback, so it can't come from the client
+            const requestId = uuidv4();
+            const identity = idempotency && (req.idempotency ?? idempotency.identify(req));
+            if (identity) {
+                let original = null;
+                try {
+                    original = await idempotency.claim(identity, requestId);
+                } catch {
+                    // Already logged. Queued all the same, as repeats can't be told apart without Redis.
+                }
+                if (original) {
+                    return answerRepeat(req, res, { identity, original, resultStore });
+                }
+            }
+            // Repeats of a request that wasn't queued after all are let through
+            const unclaim = () => record(() => identity && idempotency.release(identity, requestId));
+
+            log.info(`${exceeded} exceeded. Enqueuing request.`, { limit: name, queuedRequestId: requestId });
+            const queuedRequest = { requestId, correlationId: req.requestId, ...serialize(req) };
+            const queueOptions = { priority: priorityFn?.(req) || undefined, tenant: tenantKey?.(req) };
+            // Record the request before enqueuing so the worker's update can't be overwritten
+            await record(() => resultStore?.setPending(requestId));
+            let queued;
+            try {
+                queued = await queue.enqueue(queuedRequest, queueOptions);
+            } catch {
+                log.warn('Request could not be queued. Rejecting it.'); // The queue logged why
+                await unclaim();
+                metrics?.recordLimit(route, limiterLabel, 'rejected');
+                return res.status(503).json({ message: 'Service temporarily unavailable. The request could not be queued.', limit: name });
+            }
+            if (!queued) {
+                log.warn('Queue is full. Rejecting request.');
+                await record(() => resultStore?.setShed(requestId));
+                await unclaim();
+                metrics?.recordLimit(route, limiterLabel, 'rejected');
+                setRetryAfter(res, estimateQueueWait(result, await queuedLength(queue), bucket.ratePerSecond));
+                return res.status(429).json({ message: 'Too many requests. The queue is full.', limit: name });
+            }
+            metrics?.recordLimit(route, limiterLabel, 'queued');
+            const retryAfterMs = estimateQueueWait(result, await queuedLength(queue), bucket.ratePerSecond);
+            setRetryAfter(res, retryAfterMs);
+            return onQueued(req, res, { requestId, name, retryAfterMs });
+        }
+
+        metrics?.recordLimit(route, limiterLabel, 'allowed');
+        if (slot) {
+            untilResponded(res).then(outcome => concurrency.release(slot, {
+                dropped: outcome?.status >= 500,
+                ignored: !outcome, // The client went away before the upstream answered
+            }));
+        }
+        if (!breaker) {
+            return next();
+        }
+        let passedOn = false;
+        try {
+            await breaker.fire(signal => {
+                passedOn = true;
+                req.breakerSignal = signal;
+                const responded = untilResponded(res);
+                next();
+                return responded;
+            });
+        } catch (error) {
+            if (passedOn) {
+                return; // Timed out; the handlers after us respond once their call is aborted
+            }
+            if (error instanceof CircuitOpenError) {
+                // Circuits held OPEN have no known end, so clients aren't told when to retry
+                if (error.retryAfterMs !== null) {
+                    setRetryAfter(res, error.retryAfterMs);
+                }
+                return res.status(503).json({ message: 'Service temporarily unavailable. Circuit is OPEN.' });
+            }
+            next(error);
+        }
+    };
+}
@@ -0,0 +1,112 @@
+import { createCipheriv, createDecipheriv, randomBytes } from 'node:crypto';
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12; // The size GCM is designed for
+const KEY_PATTERN = /^([\w.-]+):([A-Za-z0-9+/]+={0,2})$/;
+
+// The parts of a queued request that may carry credentials or personal data. Its ID, route,
+// priority, tenant and timestamps stay readable, for the queue's scripts and the admin API.
+const SEALED_FIELDS = ['headers', 'body'];
+
+/**
+ * Parses an encryption key given as '<key ID>:<base64 of 32 random bytes>', e.g. from
+ * `openssl rand -base64 32`.
+ * @param {string} text
+ * @returns {{id: string, key: Buffer}|null} Null if it isn't a valid key.
+ */
+export function parseEncryptionKey(text) {
+    const match = KEY_PATTERN.exec(String(text).trim());
+    if (!match) {
+        return null;
+    }
+    const key = Buffer.from(match[2], 'base64');
+    return key.length === KEY_BYTES ? { id: match[1], key } : null;
+}
+
+/**
+ * Encrypts the headers and body of queued requests with AES-256-GCM, so credentials in them
+ * (passwords, cookies, Authorization headers) aren't readable in Redis. The request's ID is
+ * authenticated along with them, so a payload can't be moved to another request.
+ *
+ * Keys have IDs, and each sealed request names the key it was sealed with. To rotate, put
+ * the new key first: it seals new requests, while the others still open requests sealed
+ * before. Drop an old key once no queue, retry or dead letter holds requests sealed with it.
+ */
+class PayloadCipher {
+    /**
+     * @param {Array<string|{id: string, key: Buffer}>} keys - The first one seals; all of them open.
+     *   Strings as for parseEncryptionKey().
+     */
+    constructor(keys) {
+        const parsed = keys.map(key => (typeof key === 'string' ? parseEncryptionKey(key) : key));
+        if (parsed.length === 0) {
+            throw new Error('PayloadCipher: At least one key is required');
+        }
+        parsed.forEach((key, i) => {
+            if (!key || typeof key.id !== 'string' || !Buffer.isBuffer(key.key) || key.key.length !== KEY_BYTES) {
+                throw new Error(`PayloadCipher: Key ${i + 1} must be '<key ID>:<base64 of ${KEY_BYTES} bytes>'`);
+            }
+        });
+        this.activeKey = parsed[0];
+        this.keys = new Map(parsed.map(({ id, key }) => [id, key]));
+    }
+
+    /**
+     * Replaces a request's headers and body by an `encrypted` envelope.
+     * @param {object} request - A queued request, with its `id`.
+     * @returns {object} A copy; the request as is if it has nothing to seal or is sealed already.
+     */
+    seal(request) {
+        if (request.encrypted || !SEALED_FIELDS.some(field => request[field] !== undefined)) {
+            return request;
+        }
+        const sealed = { ...request };
+        const payload = {};
+        for (const field of SEALED_FIELDS) {
+            payload[field] = sealed[field];
+            delete sealed[field];
+        }
+        const iv = randomBytes(IV_BYTES);
+        const cipher = createCipheriv(ALGORITHM, this.activeKey.key, iv);
+        cipher.setAAD(Buffer.from(String(request.id)));
+        const data = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+        sealed.encrypted = {
+            keyId: this.activeKey.id,
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64'),
+        };
+        return sealed;
+    }
+
+    /**
+     * Restores the headers and body of a sealed request.
+     * @param {object} request
+     * @returns {object} A copy; the request as is if it isn't sealed, e.g. queued before
+     *   encryption was turned on.
+     * @throws {Error} If the key it was sealed with is unknown, or it was tampered with.
+     */
+    open(request) {
+        if (!request.encrypted) {
+            return request;
+        }
+        const { encrypted: { keyId, iv, tag, data }, ...opened } = request;
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error(`PayloadCipher: Unknown key ID '${keyId}'`);
+        }
+        let payload;
+        try {
+            const decipher = createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+            decipher.setAAD(Buffer.from(String(request.id)));
+            decipher.setAuthTag(Buffer.from(tag, 'base64'));
+            payload = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]);
+        } catch (error) {
+            throw new Error(`PayloadCipher: Can't decrypt request ${request.id}: ${error.message}`);
+        }
+        return { ...opened, ...JSON.parse(payload.toString('utf8')) };
+    }
+}
+
+export default PayloadCipher;
@@ -0,0 +1,515 @@
+import { isDeepStrictEqual } from 'node:util';
+import express from 'express';
+import { configureLimiter, createLimiter } from './limiters/index.js';
+import AdaptiveConcurrencyLimiter from './limiters/adaptiveConcurrency.js';
+import RequestQueue from './requestQueue.js';
+import PayloadCipher from './payloadCipher.js';
+import RedisCircuitBreaker from './redisCircuitBreaker.js';
+import ResultStore from './resultStore.js';
+import IdempotencyStore from './idempotencyStore.js';
+import WebhookDispatcher, { isAllowedUrl } from './webhookDispatcher.js';
+import Metrics from './metrics.js';
+import { idempotentRequests, rateLimitQueue } from './middleware.js';
+import { createAdminRouter } from './adminApi.js';
+import { CallTimeoutError, failureStatuses } from './breakerPolicy.js';
+import { loadRouteTable, matchRoute, parseRouteTable } from './routeTable.js';
+import { describeRequest, relayResponse, sendUpstream } from './upstream.js';
+import { assignRequestContext, requestContext } from './requestContext.js';
+import { traceRequest } from './tracing.js';
+import logger, { SENSITIVE_FIELDS } from './logger.js';
+
+const log = logger.child({ component: 'proxy' });
+
+/**
+ * Loads routes given either as a route table file or as a list of route definitions.
+ * @param {string|Array<object>} routes
+ * @returns {Array<object>} The normalized routes.
+ */
+export function resolveRoutes(routes) {
+    return typeof routes === 'string' ? loadRouteTable(routes) : parseRouteTable({ routes });
+}
+
+// The RedisCircuitBreaker arguments, besides the key, for a route's circuitBreaker settings
+function breakerArgs({ failureThreshold, resetTimeout, successThreshold, slidingWindow, minimumCalls, failureRateThreshold, slowCallDurationMs, slowCallRateThreshold, timeoutMs, failureStatuses: statuses }) {
+    return [failureThreshold, resetTimeout, successThreshold, resetTimeout, {
+        slidingWindow,
+        minimumCalls,
+        failureRateThreshold,
+        slowCallDurationMs,
+        slowCallRateThreshold,
+        timeoutMs,
+        isFailure: statuses ? failureStatuses(statuses) : undefined,
+    }];
+}
+
+/**
+ * Maps the `payloads` settings (see loadConfig()) to the RequestQueue options protecting
+ * queued requests.
+ * @param {object} [payloads]
+ * @param {string[]|null} [payloads.encryptionKeys] - As for PayloadCipher. No encryption without.
+ * @param {string[]|null} [payloads.allowHeaders]
+ * @param {string[]} [payloads.denyHeaders]
+ * @param {string[]} [payloads.sensitiveFields] - Headers only queued encrypted.
+ * @returns {{cipher: PayloadCipher|null, allowHeaders: string[]|null, denyHeaders: string[], sensitiveHeaders: string[]}}
+ */
+export function payloadOptions({ encryptionKeys = null, allowHeaders = null, denyHeaders = [], sensitiveFields = SENSITIVE_FIELDS } = {}) {
+    return {
+        cipher: encryptionKeys ? new PayloadCipher(encryptionKeys) : null,
+        allowHeaders,
+        denyHeaders,
+        sensitiveHeaders: sensitiveFields,
+    };
+}
+
+/**
+ * Creates the limiters, queue and circuit breaker of a route.
+ * @param {object} route - A normalized route.
+ * @param {object} [queueOptions] - Options for the route's RequestQueue, besides those from the
+ *   route's queue settings.
+ * @param {Storage} [queueOptions.storage] - Shared by all of the route's resources, which
+ *   otherwise each connect to Redis. It stays connected when they are disconnected.
+ * @returns {{route: object, rateLimiter: object, clientRateLimiter: object|null, requestQueue: RequestQueue, circuitBreaker: RedisCircuitBreaker, concurrencyLimiter: AdaptiveConcurrencyLimiter|null, idempotencyStore: IdempotencyStore|null}}
+ */
+export function createRouteResources(route, { storage, ...queueOptions } = {}) {
+    const [failureThreshold, resetTimeout, successThreshold, trialLeaseTimeout, options] = breakerArgs(route.circuitBreaker);
+    return {
+        route,
+        rateLimiter: createLimiter(route.rateLimit, storage),
+        // Each client gets its own limiter state under '<key>:<client key>', expiring when idle
+        clientRateLimiter: route.clientRateLimit && createLimiter(route.clientRateLimit, storage),
+        requestQueue: new RequestQueue(route.queueName, {
+            priorities: route.queue.priorities,
+            defaultPriority: route.queue.priority,
+            tenantWeights: route.queue.tenantWeights,
+            maxDepth: route.queue.maxDepth,
+            shedPolicy: route.queue.shedPolicy,
+            maxWaitMs: route.queue.maxWaitMs,
+            spillMaxSize: route.queue.spillMaxSize,
+            storage,
+            ...queueOptions,
+        }),
+        // Shared through Redis so the proxy and every worker see the same breaker state
+        circuitBreaker: new RedisCircuitBreaker(route.circuitBreaker.key, failureThreshold, resetTimeout, successThreshold, trialLeaseTimeout, {
+            ...options,
+            storage,
+        }),
+        // Also shared, so the cap covers the calls of the proxy and every worker together
+        concurrencyLimiter: route.concurrency && new AdaptiveConcurrencyLimiter(route.concurrency.key, { ...route.concurrency, storage }),
+        idempotencyStore: route.idempotency && new IdempotencyStore(route.idempotency.key, { ...route.idempotency, storage }),
+    };
+}
+
+/**
+ * Disconnects the Redis clients of a route's resources, except for a storage passed to
+ * createRouteResources().
+ * @param {object} resources - As returned by createRouteResources().
+ */
+export async function disconnectRouteResources({ rateLimiter, clientRateLimiter, requestQueue, circuitBreaker, concurrencyLimiter, idempotencyStore }) {
+    await rateLimiter.disconnect();
+    await clientRateLimiter?.disconnect();
+    await requestQueue.disconnect();
+    await circuitBreaker.disconnect();
+    await concurrencyLimiter?.disconnect();
+    await idempotencyStore?.disconnect();
+}
+
+// The route settings a reload applies to running resources, if `reloadable` (current, next)
+// settings. Changing any other setting, or these in other ways, needs a restart.
+const RELOADABLE_SETTINGS = {
+    rateLimit: {
+        reloadable: (current, next) => current.algorithm === next.algorithm && current.key === next.key,
+        apply: ({ rateLimiter }, settings) => configureLimiter(rateLimiter, settings),
+    },
+    clientRateLimit: {
+        reloadable: (current, next) => Boolean(current && next) && current.algorithm === next.algorithm
+            && current.key === next.key && current.keyBy === next.keyBy,
+        apply: ({ clientRateLimiter }, settings) => configureLimiter(clientRateLimiter, settings),
+    },
+    circuitBreaker: {
+        reloadable: (current, next) => current.key === next.key,
+        apply: ({ circuitBreaker }, settings) => circuitBreaker.configure(...breakerArgs(settings)),
+    },
+};
+
+/**
+ * Applies a reloaded route table to running route resources. Changed rate limits and
+ * circuit breaker settings take effect right away on the running limiters and breakers;
+ * other changes, and added or removed routes, are only reported as needing a restart.
+ * @param {Array<object>} resourcesList - As returned by createRouteResources(), one per route.
+ * @param {Array<object>} routes - The reloaded routes, normalized.
+ * @returns {Promise<{applied: string[], restartRequired: string[]}>} Changed settings as
+ *   '<route>.<setting>', and the names of added or removed routes.
+ */
+export async function reloadRouteResources(resourcesList, routes) {
+    const applied = [];
+    const restartRequired = [];
+    const added = new Map(routes.map(route => [route.name, route]));
+    for (const resources of resourcesList) {
+        const { route } = resources;
+        const next = added.get(route.name);
+        if (!next) {
+            restartRequired.push(route.name); // Removed
+            continue;
+        }
+        added.delete(route.name);
+        for (const setting of Object.keys(next)) {
+            if (setting === 'pattern' || isDeepStrictEqual(route[setting], next[setting])) {
+                continue; // The pattern is compiled from the path, which is compared instead
+            }
+            const reload = RELOADABLE_SETTINGS[setting];
+            if (!reload?.reloadable(route[setting], next[setting])) {
+                restartRequired.push(`${route.name}.${setting}`);
+                continue;
+            }
+            await reload.apply(resources, next[setting]);
+            route[setting] = next[setting]; // Seen by everything holding the route, e.g. the status output
+            applied.push(`${route.name}.${setting}`);
+        }
+    }
+    restartRequired.push(...added.keys());
+
+    log.info('Configuration reloaded.', { applied });
+    if (restartRequired.length > 0) {
+        log.warn('Configuration changes need a restart.', { restartRequired });
+    }
+    return { applied, restartRequired };
+}
+
+// Reads the priority of a queued request from the route's priority header, if it has one
+function priorityFromHeader(route) {
+    const { priorityHeader, priorities } = route.queue;
+    if (!priorityHeader) {
+        return undefined;
+    }
+    return req => {
+        const priority = req.get(priorityHeader)?.trim();
+        return priorities.includes(priority) ? priority : undefined; // Unknown values get the default
+    };
+}
+
+// What a limiter does while Redis can't be reached, and whether it is doing so now
+function describeFailurePolicy(limiter) {
+    return {
+        failurePolicy: limiter.failurePolicy,
+        ...(limiter.failurePolicy === 'local' && { instances: limiter.instances }),
+        degraded: limiter.degraded,
+    };
+}
+
+// With Redis down, the readings kept there are null rather than each waiting to time out
+async function describeRouteProxy({ route, rateLimiter, clientRateLimiter, requestQueue, circuitBreaker, concurrencyLimiter, idempotencyStore }, redisUp) {
+    const read = async reading => (redisUp ? reading() : null);
+    const queueLengths = await read(() => requestQueue.lengths());
+    return {
+        name: route.name,
+        methods: route.methods || '*',
+        path: route.path,
+        upstream: route.upstream,
+        rateLimiter: {
+            ...rateLimiter.describe(),
+            ...describeFailurePolicy(rateLimiter),
+            // Only token buckets have a meaningful point-in-time reading
+            ...(rateLimiter.getTokens && { currentTokens: await read(() => rateLimiter.getTokens()) }),
+        },
+        clientRateLimiter: clientRateLimiter && {
+            ...clientRateLimiter.describe(),
+            ...describeFailurePolicy(clientRateLimiter),
+            keyedBy: route.clientRateLimit.keyBy,
+        },
+        requestQueue: {
+            name: route.queueName,
+            length: queueLengths?.total ?? null,
+            byPriority: queueLengths?.byPriority ?? null,
+            byTenant: queueLengths?.byTenant ?? null, // The tenants with the most queued requests
+            maxDepth: route.queue.maxDepth || null,
+            paused: await read(() => requestQueue.isPaused()),
+            delayedRetries: await read(() => requestQueue.delayedLength()),
+            deadLettered: await read(() => requestQueue.deadLength()),
+            spilled: requestQueue.spilledLength(), // Waiting in this instance's memory for Redis
+        },
+        circuitBreaker: {
+            state: await read(() => circuitBreaker.getState()),
+            forced: await read(() => circuitBreaker.getForcedState()),
+            failureThreshold: route.circuitBreaker.failureThreshold,
+            resetTimeout: route.circuitBreaker.resetTimeout,
+            successThreshold: route.circuitBreaker.successThreshold,
+            slidingWindow: route.circuitBreaker.slidingWindow || null,
+            timeoutMs: route.circuitBreaker.timeoutMs || null,
+        },
+        concurrencyLimiter: concurrencyLimiter && {
+            ...concurrencyLimiter.describe(),
+            ...await read(() => concurrencyLimiter.getState()), // The current adaptive limit and calls in flight
+        },
+        idempotency: idempotencyStore?.describe() ?? null,
+    };
+}
+
+async function describeRedis(resultStore) {
+    try {
+        return { status: 'up', latencyMs: Math.round(await resultStore.ping() * 100) / 100 };
+    } catch (error) {
+        return { status: 'down', error: error.message };
+    }
+}
+
+/**
+ * Creates the rate limiting reverse proxy as an Express app. Nothing listens or connects
+ * to Redis until this is called; the caller decides when to listen and when to close.
+ *
+ * Besides the routes from the route table, the app serves GET /requests/:requestId, the
+ * delivery log of its callback under GET /requests/:requestId/callback, the admin API under
+ * /admin (see createAdminRouter()), GET /status and GET /metrics (Prometheus).
+ * Requests are logged under their X-Request-Id (see assignRequestContext()), which is sent
+ * upstream, returned to the client and kept when a request is queued.
+ *
+ * @param {object} config
+ * @param {string|Array<object>} config.routes - A route table file (JSON or YAML) or a list of routes.
+ * @param {string} [config.resultPrefix] - Key prefix of the stored request outcomes.
+ * @param {number} [config.resultTtlSeconds] - How long request outcomes are kept.
+ * @param {number} [config.resultMaxWaitSeconds] - Upper bound for the long-poll ?wait= parameter.
+ * @param {string|number} [config.maxBodySize] - Largest request body accepted, as for express.raw().
+ * @param {boolean|number|string|string[]} [config.trustProxy] - Express's 'trust proxy' setting: the
+ *   proxies in front of this one whose X-Forwarded-For is believed. Without it, clients told apart
+ *   by IP are all the load balancer's address.
+ * @param {Metrics} [config.metrics] - Where to record metrics. A new registry by default.
+ * @param {Function} [config.reloadRoutes] - Returns the routes to apply on reload(), as for
+ *   `routes`. By default the route table file is read again.
+ * @param {string|null} [config.adminToken] - Bearer token of the admin API. Disabled without one.
+ * @param {object} [config.payloads] - Encryption keys and header filters of queued requests,
+ *   as in the configuration (see payloadOptions()). Workers need the same keys.
+ * @param {object} [config.callbacks] - The `callbacks` settings. With a `secret`, requests are queued
+ *   with the callback URL of their route or header, if it is on the allowlist (see WebhookDispatcher).
+ * @param {Storage} [config.storage] - Where the limiters, queues, breakers and request outcomes
+ *   live (see createStorage()). Without one, each of them connects to Redis on its own. It is
+ *   left connected by close(), for the caller to disconnect.
+ * @returns {{app: object, routes: Array<object>, metrics: Metrics, listen: Function, reload: Function, close: Function}}
+ */
+export function createProxyServer({
+    routes: routeConfig,
+    resultPrefix = 'request_result',
+    resultTtlSeconds = 3600,
+    resultMaxWaitSeconds = 30,
+    maxBodySize = '1mb',
+    trustProxy = false,
+    metrics = new Metrics(),
+    reloadRoutes = () => routeConfig,
+    adminToken = null,
+    payloads,
+    callbacks,
+    storage,
+}) {
+    const routes = resolveRoutes(routeConfig);
+    if (callbacks?.secret) {
+        // Route URLs are held to the allowlist too, as the worker checks it again before calling them
+        for (const route of routes) {
+            if (route.callback?.url && !isAllowedUrl(route.callback.url, callbacks.allowedUrls ?? [])) {
+                throw new Error(`Route '${route.name}': callback.url ${route.callback.url} is not in callbacks.allowedUrls`);
+            }
+        }
+    }
+    const webhooks = callbacks?.secret ? new WebhookDispatcher({ ...callbacks, ttlSeconds: resultTtlSeconds, storage }) : null;
+    const app = express();
+    app.set('trust proxy', trustProxy); // Decides req.ip, the default client key
+    app.use(requestContext()); // Every response carries the request's X-Request-Id
+    const proxies = new Map(routes.map(route => [route.name, createRouteResources(route, { storage, ...payloadOptions(payloads) })]));
+    const resultStore = new ResultStore(resultPrefix, resultTtlSeconds, storage);
+    let server = null;
+
+    for (const { route, requestQueue, circuitBreaker } of proxies.values()) {
+        metrics.watchQueue(route.name, requestQueue);
+        metrics.watchBreaker(route.name, circuitBreaker);
+        // Tell clients polling for a shed request that it won't be processed
+        requestQueue.on('shed', request => {
+            resultStore.setShed(request.requestId).catch(error => {
+                log.error('Error recording shed request', { requestId: request.requestId, route: route.name, error });
+            });
+        });
+        // Requests spilled while Redis was unreachable couldn't be recorded when they were accepted
+        requestQueue.on('flush', request => {
+            resultStore.setPending(request.requestId, { ifAbsent: true }).catch(error => {
+                log.error('Error recording flushed request', { requestId: request.requestId, route: route.name, error });
+            });
+        });
+    }
+
+    // --- Queued Request Results ---
+    // Returns the stored outcome of a queued request. `?wait=<seconds>` long-polls
+    // until the request finishes or the wait expires.
+    app.get('/requests/:requestId', async (req, res) => {
+        const { requestId } = req.params;
+        const wait = Number(req.query.wait ?? 0);
+        if (!Number.isFinite(wait) || wait < 0) {
+            return res.status(400).json({ message: 'wait must be a non-negative number of seconds.' });
+        }
+
+        try {
+            const waitMs = Math.min(wait, resultMaxWaitSeconds) * 1000;
+            const record = await resultStore.waitFor(requestId, waitMs);
+            if (!record) {
+                return res.status(404).json({ message: 'Unknown or expired request.', requestId });
+            }
+            res.json(record);
+        } catch (error) {
+            req.log.error('Error reading request result', { queuedRequestId: requestId, error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    // The delivery log of a queued request's callback
+    app.get('/requests/:requestId/callback', async (req, res) => {
+        const { requestId } = req.params;
+        try {
+            const delivery = await webhooks?.getDelivery(requestId);
+            if (!delivery) {
+                return res.status(404).json({ message: 'No callback for this request, or its delivery log has expired.', requestId });
+            }
+            res.json(delivery);
+        } catch (error) {
+            req.log.error('Error reading callback delivery', { queuedRequestId: requestId, error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    // --- Admin API ---
+    async function reload() {
+        return reloadRouteResources([...proxies.values()], resolveRoutes(await reloadRoutes()));
+    }
+
+    app.use('/admin', createAdminRouter({ proxies, resultStore, reload, token: adminToken }));
+
+    // --- Health Check / Status Endpoint ---
+    // 'degraded' while Redis can't be reached: requests are then decided by each limiter's
+    // failure policy, and queued ones are spilled in memory
+    app.get('/status', async (req, res) => {
+        try {
+            const redis = await describeRedis(resultStore);
+            const redisUp = redis.status === 'up';
+            res.json({
+                service: 'Rate Limiter Proxy',
+                status: redisUp ? 'running' : 'degraded',
+                storage: resultStore.storage.describe(),
+                redis,
+                callbacks: webhooks?.describe() ?? null,
+                routes: await Promise.all([...proxies.values()].map(resources => describeRouteProxy(resources, redisUp))),
+            });
+        } catch (error) {
+            req.log.error('Error reading proxy status', { error });
+            res.status(500).json({ message: 'Internal Server Error' });
+        }
+    });
+
+    // --- Prometheus Metrics ---
+    app.get('/metrics', metrics.handler());
+
+    // --- Main Proxy Endpoint ---
+    // Everything not handled above is matched against the route table. Bodies are read raw
+    // so they can be forwarded (or queued) byte for byte.
+    const routeMiddleware = new Map([...proxies.values()].map(({ route, rateLimiter, clientRateLimiter, requestQueue, circuitBreaker, concurrencyLimiter, idempotencyStore }) => {
+        const chain = [];
+        if (idempotencyStore) {
+            // Repeats of queued requests are answered before they count against any limit
+            chain.push(idempotentRequests({ store: idempotencyStore, resultStore }));
+        }
+        if (clientRateLimiter) {
+            // Clients over their own limit are rejected rather than queued, so they can't fill the queue either
+            chain.push(rateLimitQueue({
+                bucket: clientRateLimiter,
+                keyFn: route.clientRateLimit.keyBy,
+                metrics,
+                route: route.name,
+            }));
+        }
+        chain.push(rateLimitQueue({
+            bucket: rateLimiter,
+            queue: requestQueue,
+            breaker: circuitBreaker,
+            concurrency: concurrencyLimiter,
+            priorityFn: priorityFromHeader(route),
+            tenantFn: route.queue.tenantKey,
+            resultStore,
+            idempotency: idempotencyStore,
+            serialize: req => ({ route: route.name, ...describeRequest(req), ...(req.callbackUrl && { callbackUrl: req.callbackUrl }) }),
+            metrics,
+            route: route.name,
+        }));
+        return [route.name, express.Router().use(traceRequest(route.name, route.path), chain)];
+    }));
+
+    app.use(express.raw({ type: () => true, limit: maxBodySize }), (req, res, next) => {
+        const route = matchRoute(routes, req.method, req.path);
+        if (!route) {
+            return res.status(404).json({ message: `No route matches ${req.method} ${req.path}` });
+        }
+        req.proxyRoute = route;
+        assignRequestContext(req, res, { route: route.name });
+        req.log.info(`Received ${req.method} ${req.originalUrl}`);
+        if (webhooks && route.callback) {
+            // Checked now, so clients learn of a URL that won't be called before their request is queued
+            const requested = route.callback.header && req.get(route.callback.header);
+            if (requested && !webhooks.allows(requested)) {
+                req.log.warn('Callback URL not allowed. Rejecting request.', { callbackUrl: requested });
+                return res.status(400).json({ message: 'Callback URL is not allowed.' });
+            }
+            req.callbackUrl = requested || route.callback.url;
+        }
+        routeMiddleware.get(route.name)(req, res, next);
+    }, async (req, res) => {
+        const { proxyRoute: route, log: requestLog } = req;
+        const startTime = performance.now();
+        try {
+            requestLog.debug(`Forwarding to ${route.upstream}.`);
+            const upstreamResponse = await sendUpstream(route.upstream, describeRequest(req), { signal: req.breakerSignal });
+            metrics.observeUpstream(route.name, upstreamResponse.status, (performance.now() - startTime) / 1000);
+            requestLog.info('Upstream responded.', { status: upstreamResponse.status });
+            // Passed on as-is. 5xx responses count as failures for the route's circuit breaker.
+            relayResponse(res, upstreamResponse);
+        } catch (error) {
+            metrics.observeUpstream(route.name, null, (performance.now() - startTime) / 1000);
+            if (error instanceof CallTimeoutError) {
+                requestLog.error(`Upstream did not respond within ${error.timeoutMs}ms.`);
+                return res.status(504).json({ message: 'Gateway Timeout. The upstream service did not respond in time.' });
+            }
+            requestLog.error('Error forwarding request', { error });
+            res.status(502).json({ message: 'Bad Gateway. The upstream service could not be reached.' });
+        }
+    });
+
+    return {
+        app,
+        routes,
+        metrics,
+
+        /**
+         * Starts listening. Same arguments as app.listen().
+         * @returns {object} The http.Server.
+         */
+        listen(...args) {
+            server = app.listen(...args);
+            return server;
+        },
+
+        /**
+         * Reloads the routes and applies their new rate limits and circuit breaker settings
+         * to the running limiters and breakers (see reloadRouteResources()). Rejects, changing
+         * nothing, if the reloaded routes are invalid.
+         * @returns {Promise<{applied: string[], restartRequired: string[]}>}
+         */
+        reload,
+
+        /**
+         * Stops listening, if listening, and disconnects every Redis client but those of
+         * `config.storage`.
+         */
+        async close() {
+            if (server) {
+                await new Promise(resolve => server.close(resolve));
+                server = null;
+            }
+            for (const proxy of proxies.values()) {
+                await disconnectRouteResources(proxy);
+            }
+            await resultStore.disconnect();
+            await webhooks?.disconnect();
+        },
+    };
+}
@@ -0,0 +1,51 @@
+/**
+ * Helpers for the rate limit response headers from the IETF draft
+ * (draft-ietf-httpapi-ratelimit-headers) and for Retry-After.
+ */
+
+/**
+ * Picks the limit result to report to the client: the one that denied the request,
+ * otherwise the one with the fewest requests remaining.
+ * @param {...object} results - Results of a limiter's tryConsume().
+ * @returns {object}
+ */
+export function mostRestrictive(...results) {
+    return results.reduce((chosen, result) => {
+        if (chosen.allowed !== result.allowed) {
+            return chosen.allowed ? result : chosen;
+        }
+        return result.remaining < chosen.remaining ? result : chosen;
+    });
+}
+
+/**
+ * Sets RateLimit-Limit, RateLimit-Remaining and RateLimit-Reset (seconds until the limit is fully restored).
+ * @param {object} res - Express response.
+ * @param {object} result - A result of a limiter's tryConsume().
+ */
+export function setRateLimitHeaders(res, result) {
+    res.set('RateLimit-Limit', String(result.limit));
+    res.set('RateLimit-Remaining', String(Math.max(0, Math.floor(result.remaining))));
+    res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+}
+
+/**
+ * Sets Retry-After in whole seconds, never less than one.
+ * @param {object} res - Express response.
+ * @param {number} delayMs
+ */
+export function setRetryAfter(res, delayMs) {
+    res.set('Retry-After', String(Math.max(1, Math.ceil(delayMs / 1000))));
+}
+
+/**
+ * Estimates how long a newly queued request waits: until the limiter allows the next
+ * request, plus the time the limiter needs to let through every request queued ahead of it.
+ * @param {object} result - The result of the limiter's tryConsume() that denied the request.
+ * @param {number} queueDepth - The number of requests queued ahead of it.
+ * @param {number} ratePerSecond - The limiter's sustained rate.
+ * @returns {number} Milliseconds.
+ */
+export function estimateQueueWait(result, queueDepth, ratePerSecond) {
+    return result.retryAfterMs + (queueDepth / ratePerSecond) * 1000;
+}
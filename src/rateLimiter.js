@@ -1,120 +1,239 @@
-import Redis from 'ioredis';
+import RedisLimiter from './limiters/redisLimiter.js';
 
-const REDIS_HOST = process.env.REDIS_HOST || '127.0.0.1';
-const REDIS_PORT = process.env.REDIS_PORT || 6379;
+// Hash of limits set at runtime through setOverride(), shared by every token bucket.
+// Fields are bucket keys (or limiter keys, for every client of a limiter), values '<capacity>:<fillRate>'.
+// On a Redis Cluster, each limiter has a hash of its own in its hash slot, '<this key>:<hash tag>'.
+export const OVERRIDES_KEY = 'rate_limit_overrides';
 
-class TokenBucket {
-    constructor(capacity, fillRate, bucketKey) {
-        this.capacity = capacity; // Maximum tokens the bucket can hold
-        this.fillRate = fillRate; // Tokens added per second
+// Lua function picking a bucket's limits: an override for the bucket's key, else one for its
+// whole limiter, else the configured capacity and fill rate
+const EFFECTIVE_LIMITS = `
+    local function effectiveLimits(overridesKey, key, limiterKey, capacity, fillRate)
+        local override = redis.call('HMGET', overridesKey, key, limiterKey)
+        local limits = override[1] or override[2]
+        if limits then
+            local overrideCapacity, overrideRate = string.match(limits, '^([^:]+):([^:]+)$')
+            return tonumber(overrideCapacity), tonumber(overrideRate), 1
+        end
+        return capacity, fillRate, 0
+    end
+`;
+
+class TokenBucket extends RedisLimiter {
+    constructor(capacity, fillRate, bucketKey, storage) {
+        super(bucketKey, storage);
         this.bucketKey = bucketKey; // Key for Redis to store this bucket's state
-        this.redis = new Redis({
-            host: REDIS_HOST,
-            port: REDIS_PORT
-        });
+        this.overridesKey = this.redis.isCluster ? `${OVERRIDES_KEY}:${this.keyPrefix}` : OVERRIDES_KEY;
+        this.setLimits(capacity, fillRate);
 
-        // Lua script for atomic token consumption
-        this.consumeScript = `
+        // Lua script for atomic token consumption. Times are in ms. Tokens are added one at a
+        // time, every 1000 / fillRate ms, and lastRefillTime only advances by the time those
+        // whole tokens took, so partial progress towards the next token is never lost.
+        this.consumeScript = `${EFFECTIVE_LIMITS}
             local key = KEYS[1]
-            local capacity = tonumber(ARGV[1])
-            local fillRate = tonumber(ARGV[2])
             local now = tonumber(ARGV[3])
+            local capacity, fillRate = effectiveLimits(KEYS[2], key, ARGV[4], tonumber(ARGV[1]), tonumber(ARGV[2]))
+            local tokenInterval = 1000 / fillRate -- ms per token
+            local idleTtl = math.ceil(capacity * 1000 / fillRate) + 1000
 
-            local bucket = redis.call('HGETALL', key)
-            local tokens = tonumber(bucket[2]) or capacity -- current tokens, default to capacity if not set
-            local lastRefillTime = tonumber(bucket[4]) or now -- last refill time, default to now
-
-            local timePassed = now - lastRefillTime
-            local tokensToAdd = math.floor(timePassed * fillRate)
+            local bucket = redis.call('HMGET', key, 'tokens', 'lastRefillTime')
+            local tokens = tonumber(bucket[1]) or capacity -- current tokens, default to capacity if not set
+            local lastRefillTime = tonumber(bucket[2]) or now -- last refill time, default to now
 
+            local tokensToAdd = math.floor((now - lastRefillTime) / tokenInterval)
             tokens = math.min(capacity, tokens + tokensToAdd)
-            lastRefillTime = now
+            if tokens >= capacity then
+                lastRefillTime = now
+            else
+                lastRefillTime = lastRefillTime + tokensToAdd * tokenInterval
+            end
 
+            local consumed = 0
             if tokens >= 1 then
                 tokens = tokens - 1
-                redis.call('HSET', key, 'tokens', tokens, 'lastRefillTime', lastRefillTime)
-                return 1 -- Token consumed
-            else
-                redis.call('HSET', key, 'tokens', tokens, 'lastRefillTime', lastRefillTime) -- Update refill time even if no token consumed
-                return 0 -- No token available
+                consumed = 1 -- Token consumed
+            end
+            -- Update refill time even if no token consumed
+            redis.call('HSET', key, 'tokens', tokens, 'lastRefillTime', lastRefillTime)
+            redis.call('PEXPIRE', key, idleTtl)
+
+            -- ms until the next token is available and until the bucket is full again
+            local retryAfter = 0
+            if tokens < 1 then
+                retryAfter = math.ceil(lastRefillTime + tokenInterval - now)
             end
+            local reset = math.ceil(lastRefillTime + (capacity - tokens) * tokenInterval - now)
+            return { consumed, tokens, retryAfter, math.max(0, reset), capacity }
+        `;
+
+        // Lua script returning a bucket's tokens after a potential refill, without updating
+        // it, and its limits
+        this.inspectScript = `${EFFECTIVE_LIMITS}
+            local key = KEYS[1]
+            local now = tonumber(ARGV[3])
+            local capacity, fillRate, overridden = effectiveLimits(KEYS[2], key, ARGV[4], tonumber(ARGV[1]), tonumber(ARGV[2]))
+
+            local bucket = redis.call('HMGET', key, 'tokens', 'lastRefillTime')
+            local tokens = tonumber(bucket[1]) or capacity -- current tokens, default to capacity if not set
+            local lastRefillTime = tonumber(bucket[2]) or now -- last refill time, default to now
+            tokens = math.min(capacity, tokens + math.floor((now - lastRefillTime) * fillRate / 1000))
+            -- Fractional fill rates would be truncated as numbers
+            return { tokens, tostring(capacity), tostring(fillRate), overridden }
+        `;
+
+        // Lua script setting a bucket's tokens (capped at its capacity), e.g. to refill or drain it
+        this.setTokensScript = `${EFFECTIVE_LIMITS}
+            local key = KEYS[1]
+            local now = tonumber(ARGV[3])
+            local capacity, fillRate = effectiveLimits(KEYS[2], key, ARGV[4], tonumber(ARGV[1]), tonumber(ARGV[2]))
+            local tokens = math.max(0, math.min(capacity, tonumber(ARGV[5])))
+            redis.call('HSET', key, 'tokens', tokens, 'lastRefillTime', now)
+            redis.call('PEXPIRE', key, math.ceil(capacity * 1000 / fillRate) + 1000)
+            return tokens
         `;
     }
 
+    /**
+     * Changes the configured capacity and fill rate, from the next request on. The tokens
+     * already in the bucket are kept, up to the new capacity. Overrides still take precedence.
+     * @param {number} capacity
+     * @param {number} fillRate
+     */
+    setLimits(capacity, fillRate) {
+        this.capacity = capacity; // Maximum tokens the bucket can hold
+        this.fillRate = fillRate; // Tokens added per second
+        this.limit = capacity;
+        this.ratePerSecond = fillRate;
+        // An idle bucket is full again after this many ms, so its key can expire. The scripts
+        // work it out the same way from the limits in effect, which may be overridden.
+        this.idleTtl = Math.ceil(capacity * 1000 / fillRate) + 1000;
+    }
+
     /**
      * Attempts to consume a token from the bucket.
-     * @returns {Promise<boolean>} True if a token was consumed, false otherwise.
+     * @param {string} [clientKey] - Consume from this client's own bucket instead of the shared one.
+     * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfterMs: number, resetMs: number}>}
+     *   Whether a token was consumed, the bucket capacity (overridden or not), the tokens left,
+     *   the time until a token is available, and the time until the bucket is full again.
+     */
+    async tryConsume(clientKey) {
+        // On a Redis error, consumeWith() decides by the failure policy (see setFailurePolicy())
+        return this.consumeWith(this.consumeScript, this.scriptKeys(clientKey), this.scriptArgs());
+    }
+
+    // Keys and arguments shared by the scripts: extra arguments start at ARGV[5]
+    scriptKeys(clientKey) {
+        return [this.redisKey(clientKey), this.overridesKey];
+    }
+
+    scriptArgs(...extra) {
+        return [this.capacity, this.fillRate, Date.now(), this.limiterKey, ...extra];
+    }
+
+    /**
+     * Gets the current number of tokens in the bucket.
+     * This is primarily for debugging/monitoring and not used in the core logic of tryConsume.
+     * @param {string} [clientKey] - Read this client's own bucket instead of the shared one.
+     * @returns {Promise<number|null>} The current token count, or null if Redis can't be reached.
      */
-    async tryConsume() {
-        const now = Math.floor(Date.now() / 1000); // Current time in seconds
+    async getTokens(clientKey) {
         try {
-            const result = await this.redis.eval(
-                this.consumeScript,
-                1, // Number of keys
-                this.bucketKey,
-                this.capacity,
-                this.fillRate,
-                now
+            return (await this.inspect(clientKey)).tokens;
+        } catch (error) {
+            return null; // Unknown: a full bucket would hide the outage
+        }
+    }
+
+    /**
+     * Reads a bucket without consuming from it.
+     * @param {string} [clientKey] - Read this client's own bucket instead of the shared one.
+     * @returns {Promise<{key: string, tokens: number, capacity: number, fillRate: number, overridden: boolean}>}
+     *   The bucket's Redis key, its tokens after a potential refill, and the limits in effect for it.
+     */
+    async inspect(clientKey) {
+        const key = this.keyFor(clientKey);
+        try {
+            const [tokens, capacity, fillRate, overridden] = await this.storage.evalScript(
+                this.inspectScript,
+                this.scriptKeys(clientKey),
+                this.scriptArgs()
             );
-            return result === 1;
+            return { key, tokens, capacity: Number(capacity), fillRate: Number(fillRate), overridden: overridden === 1 };
         } catch (error) {
-            console.error('Error consuming token:', error);
-            // In case of Redis error, we might want to fail safe (allow access) or fail closed (deny access).
-            // For a critical service, failing closed might be safer to prevent overload.
-            // For now, let's deny access to prevent potential overload.
-            return false;
+            this.log.error('Error inspecting token bucket', { key, error });
+            throw error;
         }
     }
 
     /**
-     * Gets the current number of tokens in the bucket.
-     * This is primarily for debugging/monitoring and not used in the core logic of tryConsume.
-     * @returns {Promise<number>} The current token count.
+     * Sets the tokens in a bucket, capped at its capacity, for every instance sharing it.
+     * @param {number} tokens - e.g. Infinity to refill the bucket, or 0 to drain it.
+     * @param {string} [clientKey] - Set this client's own bucket instead of the shared one.
+     * @returns {Promise<number>} The tokens now in the bucket.
      */
-    async getTokens() {
-        const key = this.bucketKey;
-        const capacity = this.capacity;
-        const fillRate = this.fillRate;
-        const now = Math.floor(Date.now() / 1000); // Current time in seconds
-
-        // Execute a Lua script to get the current tokens after a potential refill
-        const script = `
-            local key = KEYS[1]
-            local capacity = tonumber(ARGV[1])
-            local fillRate = tonumber(ARGV[2])
-            local now = tonumber(ARGV[3])
+    async setTokens(tokens, clientKey) {
+        try {
+            return await this.storage.evalScript(
+                this.setTokensScript,
+                this.scriptKeys(clientKey),
+                this.scriptArgs(Number.isFinite(tokens) ? tokens : Number.MAX_SAFE_INTEGER)
+            );
+        } catch (error) {
+            this.log.error('Error setting tokens of bucket', { key: this.keyFor(clientKey), error });
+            throw error;
+        }
+    }
 
-            local bucket = redis.call('HGETALL', key)
-            local tokens = tonumber(bucket[2]) or capacity -- current tokens, default to capacity if not set
-            local lastRefillTime = tonumber(bucket[4]) or now -- last refill time, default to now
+    /**
+     * Overrides the configured capacity and fill rate for every instance sharing the bucket,
+     * until clearOverride(). Stored in Redis, so it outlasts restarts and configuration reloads.
+     * @param {{capacity: number, fillRate: number}} limits
+     * @param {string} [clientKey] - Only override this client's bucket. Overrides the limiter as a
+     *   whole (every client's bucket, for per-client limits) when omitted.
+     */
+    async setOverride({ capacity, fillRate }, clientKey) {
+        if (!Number.isInteger(capacity) || capacity < 1 || !(fillRate > 0) || !Number.isFinite(fillRate)) {
+            throw new Error('TokenBucket: capacity must be a positive integer and fillRate a positive number');
+        }
+        try {
+            await this.redis.hset(this.overridesKey, this.keyFor(clientKey), `${capacity}:${fillRate}`);
+        } catch (error) {
+            this.log.error('Error overriding limits of bucket', { key: this.keyFor(clientKey), error });
+            throw error;
+        }
+    }
 
-            local timePassed = now - lastRefillTime
-            local tokensToAdd = math.floor(timePassed * fillRate)
+    /**
+     * Removes an override set by setOverride(), returning to the configured limits.
+     * @param {string} [clientKey]
+     * @returns {Promise<boolean>} Whether there was an override.
+     */
+    async clearOverride(clientKey) {
+        try {
+            return (await this.redis.hdel(this.overridesKey, this.keyFor(clientKey))) === 1;
+        } catch (error) {
+            this.log.error('Error clearing limits override of bucket', { key: this.keyFor(clientKey), error });
+            throw error;
+        }
+    }
 
-            tokens = math.min(capacity, tokens + tokensToAdd)
-            -- Note: We are not updating lastRefillTime here unless we explicitly consume a token
-            -- This function just calculates and returns the current state.
-            return tokens
-        `;
-        
+    /**
+     * Lists the clients with their own bucket in Redis, i.e. those seen within the idle TTL.
+     * @returns {Promise<string[]>} Client keys, sorted.
+     */
+    async clientKeys() {
+        const prefix = `${this.keyPrefix}:`;
         try {
-            const result = await this.redis.eval(
-                script,
-                1, // Number of keys
-                key,
-                capacity,
-                fillRate,
-                now
-            );
-            return result;
+            const keys = await this.storage.scanKeys(`${prefix.replace(/[*?[\]\\]/g, '\\$&')}*`);
+            return keys.map(key => key.slice(prefix.length)).sort();
         } catch (error) {
-            console.error('Error getting tokens (with refill calculation):', error);
-            return capacity; // Default to capacity on error
+            this.log.error('Error listing clients of token bucket', { error });
+            throw error;
         }
     }
 
-    async disconnect() {
-        await this.redis.disconnect();
+    describe() {
+        return { algorithm: 'token-bucket', key: this.bucketKey, capacity: this.capacity, fillRate: this.fillRate };
     }
 }
 
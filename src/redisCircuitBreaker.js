@@ -0,0 +1,463 @@
+import { EventEmitter } from 'node:events';
+import { v4 as uuidv4 } from 'uuid'; // Identifies this instance as the HALF_OPEN trial owner
+import { CircuitOpenError, STATE_EVENTS, breakerOptions, emitOutcome, runCall, settle, traceOutcome, windowStats } from './breakerPolicy.js';
+import logger from './logger.js';
+import { withSpan } from './tracing.js';
+import RedisStorage from './storage/redisStorage.js';
+
+/**
+ * A circuit breaker whose state lives in a Redis hash, so every proxy and worker
+ * instance sharing the same key sees the same state. It has the same fire()/getState()
+ * API as the in-memory CircuitBreaker, except that getState() returns a Promise.
+ *
+ * Only one instance at a time may send trial requests while HALF_OPEN. That instance
+ * holds a trial lease that it renews each time it fires; if it disappears, another
+ * instance takes over once the lease expires.
+ *
+ * With a sliding window, the window is shared too: every instance's calls are kept in sorted
+ * sets next to the hash, scored by time (time-based windows) or by a shared call counter
+ * (count-based windows), with failed and slow calls also in sets of their own.
+ *
+ * forceOpen(), forceClose() and reset() override the shared state for every instance.
+ *
+ * Emits the same events as CircuitBreaker. The state events ('stateChange', 'open',
+ * 'halfOpen', 'close') are emitted only by the instance that changed the shared state.
+ */
+class RedisCircuitBreaker extends EventEmitter {
+    /**
+     * @param {string} breakerKey - Key of the Redis hash holding the breaker's state.
+     * @param {number} [failureThreshold] - Consecutive failures that open the circuit, without a sliding window.
+     * @param {number} [resetTimeout] - ms an OPEN circuit waits before letting trial calls through.
+     * @param {number} [successThreshold] - Successful HALF_OPEN trials that close the circuit.
+     * @param {number} [trialLeaseTimeout] - ms a HALF_OPEN trial owner keeps its lease without firing.
+     * @param {object} [options] - Sliding window, slow calls, timeout and failure predicate (see breakerOptions()).
+     * @param {Storage} [options.storage] - Where the shared state lives; a Redis connection of its own by default.
+     */
+    constructor(breakerKey, failureThreshold = 3, resetTimeout = 5000, successThreshold = 2, trialLeaseTimeout = resetTimeout, { storage, ...options } = {}) {
+        super();
+        this.breakerKey = breakerKey; // Key for Redis to store this breaker's state
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout; // ms
+        this.successThreshold = successThreshold;
+        this.trialLeaseTimeout = trialLeaseTimeout; // ms a HALF_OPEN trial owner keeps its lease without firing
+        this.options = breakerOptions(options);
+        this.ownsStorage = !storage;
+        this.storage = storage ?? new RedisStorage();
+        this.redis = this.storage.client;
+        this.hashKey = this.storage.hashTag(breakerKey); // So the window keys share its hash slot
+        this.windowKeys = ['calls', 'failures', 'slow', 'seq'].map(name => `${this.hashKey}:window:${name}`);
+        this.instanceId = uuidv4();
+        this.unreachable = false; // Whether the last call found Redis unreachable
+        this.log = logger.child({ component: 'circuitBreaker', breaker: breakerKey });
+
+        // Lua script deciding whether a call may go through. Returns the state the call
+        // is made in ('CLOSED' or 'HALF_OPEN'), or 'REJECTED' if it must not be made,
+        // together with 1 if this call changed the state and, when rejected, the ms until
+        // the circuit lets a trial through (-1 if it is held OPEN).
+        this.acquireScript = `
+            local key = KEYS[1]
+            local now = tonumber(ARGV[1])
+            local resetTimeout = tonumber(ARGV[2])
+            local trialLeaseTimeout = tonumber(ARGV[3])
+            local instanceId = ARGV[4]
+
+            local breaker = redis.call('HMGET', key, 'state', 'lastFailureTime', 'trialOwner', 'trialExpiresAt', 'forced')
+            local state = breaker[1] or 'CLOSED'
+            local lastFailureTime = tonumber(breaker[2]) or 0
+            local trialOwner = breaker[3]
+            local trialExpiresAt = tonumber(breaker[4]) or 0
+            local forced = breaker[5]
+
+            if forced == 'OPEN' then
+                return { 'REJECTED', 0, -1 }
+            end
+            if state == 'CLOSED' or forced == 'CLOSED' then
+                return { 'CLOSED', 0 }
+            end
+
+            if state == 'OPEN' then
+                if now - lastFailureTime <= resetTimeout then
+                    return { 'REJECTED', 0, lastFailureTime + resetTimeout - now }
+                end
+                redis.call('HSET', key, 'state', 'HALF_OPEN', 'successes', 0,
+                    'trialOwner', instanceId, 'trialExpiresAt', now + trialLeaseTimeout)
+                return { 'HALF_OPEN', 1 }
+            end
+
+            -- HALF_OPEN: only the trial owner may send requests, unless its lease has run out
+            if trialOwner == instanceId or trialExpiresAt < now then
+                redis.call('HSET', key, 'trialOwner', instanceId, 'trialExpiresAt', now + trialLeaseTimeout)
+                return { 'HALF_OPEN', 0 }
+            end
+            return { 'REJECTED', 0, trialExpiresAt - now }
+        `;
+
+        // Lua script recording the outcome of a call against the current shared state.
+        // Returns the state after the outcome has been applied, and 1 if it changed.
+        this.recordScript = `
+            local key = KEYS[1]
+            local callsKey, failuresKey, slowKey, seqKey = KEYS[2], KEYS[3], KEYS[4], KEYS[5]
+            local outcome = ARGV[1]
+            local now = tonumber(ARGV[2])
+            local failureThreshold = tonumber(ARGV[3])
+            local successThreshold = tonumber(ARGV[4])
+            local instanceId = ARGV[5]
+            local slow = ARGV[6] == '1'
+            local windowType = ARGV[7] -- '' without a sliding window
+            local windowSize = tonumber(ARGV[8])
+            local minimumCalls = tonumber(ARGV[9])
+            local failureRateThreshold = tonumber(ARGV[10])
+            local slowCallRateThreshold = tonumber(ARGV[11]) -- 0 when slow-call detection is off
+
+            local breaker = redis.call('HMGET', key, 'state', 'failures', 'successes', 'trialOwner', 'forced')
+            local state = breaker[1] or 'CLOSED'
+            local failures = tonumber(breaker[2]) or 0
+            local successes = tonumber(breaker[3]) or 0
+            local trialOwner = breaker[4]
+
+            -- Outcomes don't move a circuit held OPEN or CLOSED
+            if breaker[5] then
+                return { state, 0 }
+            end
+
+            if state == 'CLOSED' and windowType ~= '' then
+                local seq = redis.call('INCR', seqKey)
+                local position = windowType == 'time' and now or seq
+                redis.call('ZADD', callsKey, position, seq)
+                if outcome == 'failure' then
+                    redis.call('ZADD', failuresKey, position, seq)
+                end
+                if slow then
+                    redis.call('ZADD', slowKey, position, seq)
+                end
+                local counts = {}
+                for i, windowKey in ipairs({ callsKey, failuresKey, slowKey }) do
+                    redis.call('ZREMRANGEBYSCORE', windowKey, '-inf', position - windowSize)
+                    if windowType == 'time' then
+                        redis.call('PEXPIRE', windowKey, windowSize)
+                    end
+                    counts[i] = redis.call('ZCARD', windowKey)
+                end
+                local calls, failed, slowCalls = counts[1], counts[2], counts[3]
+                if calls >= minimumCalls and (failed * 100 >= failureRateThreshold * calls
+                    or (slowCallRateThreshold > 0 and slowCalls * 100 >= slowCallRateThreshold * calls)) then
+                    redis.call('HSET', key, 'state', 'OPEN', 'failures', 0, 'lastFailureTime', now)
+                    redis.call('DEL', callsKey, failuresKey, slowKey)
+                    return { 'OPEN', 1 }
+                end
+                return { 'CLOSED', 0 }
+            end
+
+            if state == 'CLOSED' then
+                if outcome == 'success' then
+                    redis.call('HSET', key, 'state', 'CLOSED', 'failures', 0)
+                else
+                    failures = failures + 1
+                    if failures >= failureThreshold then
+                        redis.call('HSET', key, 'state', 'OPEN', 'failures', 0, 'lastFailureTime', now)
+                        return { 'OPEN', 1 }
+                    end
+                    redis.call('HSET', key, 'state', 'CLOSED', 'failures', failures)
+                end
+                return { 'CLOSED', 0 }
+            end
+
+            -- Outcomes from calls that are not this instance's HALF_OPEN trials don't count,
+            -- e.g. a CLOSED call that finished after another instance opened the circuit
+            if state ~= 'HALF_OPEN' or trialOwner ~= instanceId then
+                return { state, 0 }
+            end
+
+            if outcome == 'success' then
+                successes = successes + 1
+                if successes >= successThreshold then
+                    redis.call('HSET', key, 'state', 'CLOSED', 'failures', 0, 'successes', 0)
+                    redis.call('HDEL', key, 'trialOwner', 'trialExpiresAt')
+                    return { 'CLOSED', 1 }
+                end
+                redis.call('HSET', key, 'successes', successes)
+                return { 'HALF_OPEN', 0 }
+            end
+
+            redis.call('HSET', key, 'state', 'OPEN', 'failures', 0, 'successes', 0, 'lastFailureTime', now)
+            redis.call('HDEL', key, 'trialOwner', 'trialExpiresAt')
+            return { 'OPEN', 1 }
+        `;
+
+        // Lua script holding the circuit OPEN or CLOSED (ARGV[1] 'OPEN' or 'CLOSED'), or ending
+        // the override (ARGV[1] ''), starting over without recorded failures or trials.
+        // Returns the state before the override.
+        this.overrideScript = `
+            local key = KEYS[1]
+            local forced = ARGV[1]
+
+            local previous = redis.call('HMGET', key, 'state')[1] or 'CLOSED'
+            local state = forced ~= '' and forced or 'CLOSED'
+            redis.call('HSET', key, 'state', state, 'failures', 0, 'successes', 0)
+            redis.call('HDEL', key, 'trialOwner', 'trialExpiresAt')
+            if forced ~= '' then
+                redis.call('HSET', key, 'forced', forced)
+            else
+                redis.call('HDEL', key, 'forced')
+            end
+            redis.call('DEL', KEYS[2], KEYS[3], KEYS[4])
+            return previous
+        `;
+
+        // Lua script reading the shared state and counting the calls still in the sliding window,
+        // which only drops old calls when the next one is recorded
+        this.statsScript = `
+            local key = KEYS[1]
+            local callsKey, failuresKey, slowKey, seqKey = KEYS[2], KEYS[3], KEYS[4], KEYS[5]
+            local windowType = ARGV[1] -- '' without a sliding window
+            local windowSize = tonumber(ARGV[2])
+            local now = tonumber(ARGV[3])
+
+            local breaker = redis.call('HMGET', key, 'state', 'failures', 'successes', 'lastFailureTime', 'forced')
+            local counts = { 0, 0, 0 }
+            if windowType ~= '' then
+                local position = windowType == 'time' and now or (tonumber(redis.call('GET', seqKey)) or 0)
+                for i, windowKey in ipairs({ callsKey, failuresKey, slowKey }) do
+                    counts[i] = redis.call('ZCOUNT', windowKey, '(' .. (position - windowSize), '+inf')
+                end
+            end
+            return { breaker[1] or 'CLOSED', tonumber(breaker[2]) or 0, tonumber(breaker[3]) or 0,
+                tonumber(breaker[4]) or 0, breaker[5] or '', counts[1], counts[2], counts[3] }
+        `;
+    }
+
+    /**
+     * Changes the thresholds and options of this instance, e.g. on a configuration reload,
+     * keeping the shared state. Every instance sharing the key should be given the same
+     * settings. The shared sliding window starts over if its type changes.
+     * @param {number} failureThreshold
+     * @param {number} resetTimeout
+     * @param {number} successThreshold
+     * @param {number} [trialLeaseTimeout]
+     * @param {object} [options] - As for the constructor.
+     * @returns {Promise<void>}
+     */
+    async configure(failureThreshold, resetTimeout, successThreshold, trialLeaseTimeout = resetTimeout, options = {}) {
+        const next = breakerOptions(options); // Validates before changing anything
+        if (next.slidingWindow?.type !== this.options.slidingWindow?.type) {
+            try {
+                await this.redis.del(...this.windowKeys); // Positions in the old window mean nothing in the new one
+            } catch (error) {
+                this.log.error('Error resetting circuit breaker window', { error });
+                throw error;
+            }
+        }
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.successThreshold = successThreshold;
+        this.trialLeaseTimeout = trialLeaseTimeout;
+        this.options = next;
+    }
+
+    /**
+     * Wraps an asynchronous operation with circuit breaker logic.
+     * @param {Function} operation - An async function that returns a Promise. It is passed an
+     *   AbortSignal that is aborted if the call times out.
+     * @param {Function} [fallback] - `(error) => any` answering instead when the circuit is OPEN
+     *   or the operation fails, e.g. with a cached response.
+     * @returns {Promise<any>} The result of the operation or fallback. Rejects with a
+     *   CircuitOpenError if the circuit is OPEN and there is no fallback. While Redis can't be
+     *   reached, calls go through without being counted.
+     */
+    async fire(operation, fallback) {
+        return withSpan('circuitBreaker.fire', { attributes: { 'circuit_breaker.key': this.breakerKey } }, async span => {
+            const [state, changed, retryAfterMs] = await this.acquire();
+
+            if (state === 'REJECTED') {
+                const error = new CircuitOpenError(retryAfterMs < 0 ? null : Math.max(0, retryAfterMs));
+                span.setAttributes({ 'circuit_breaker.state': 'OPEN', 'circuit_breaker.outcome': 'rejected' });
+                this.emit('reject', error);
+                return settle(error, undefined, fallback);
+            }
+            if (changed) {
+                this.transitioned('HALF_OPEN');
+            }
+
+            span.setAttribute('circuit_breaker.state', state);
+            const outcome = await runCall(operation, this.options);
+            const { failed, slow } = outcome;
+            traceOutcome(span, outcome);
+            emitOutcome(this, outcome);
+            // Within a sliding window slow calls only count towards the slow-call rate, but a slow trial fails
+            const trialFailed = state === 'HALF_OPEN' && slow && this.options.slidingWindow;
+            if (!outcome.cancelled && state !== 'UNKNOWN') { // A cancelled trial is retried once its lease expires
+                await this.record(failed || trialFailed ? 'failure' : 'success', slow);
+            }
+            return settle(outcome.error, outcome.result, fallback);
+        });
+    }
+
+    // Decides whether a call may go through (see acquireScript). Without Redis the shared state
+    // is unknown: the call goes through as 'UNKNOWN' and isn't recorded, so an outage of Redis
+    // doesn't also take down the calls the breaker guards.
+    async acquire() {
+        try {
+            const acquired = await this.storage.evalScript(
+                this.acquireScript,
+                [this.hashKey],
+                [Date.now(), this.resetTimeout, this.trialLeaseTimeout, this.instanceId]
+            );
+            if (this.unreachable) {
+                this.unreachable = false;
+                this.log.info('Circuit breaker reached Redis again');
+            }
+            return acquired;
+        } catch (error) {
+            if (!this.unreachable) { // Once per outage, rather than for every call
+                this.unreachable = true;
+                this.log.error('Error reading circuit breaker state. Letting calls through.', { error });
+            }
+            return ['UNKNOWN', 0, 0];
+        }
+    }
+
+    async record(outcome, slow = false) {
+        const { slidingWindow, minimumCalls, failureRateThreshold, slowCallDurationMs, slowCallRateThreshold } = this.options;
+        try {
+            const [state, changed] = await this.storage.evalScript(
+                this.recordScript,
+                [this.hashKey, ...this.windowKeys],
+                [
+                    outcome,
+                    Date.now(),
+                    this.failureThreshold,
+                    this.successThreshold,
+                    this.instanceId,
+                    slow ? 1 : 0,
+                    slidingWindow?.type || '',
+                    slidingWindow?.size || 0,
+                    minimumCalls,
+                    failureRateThreshold,
+                    slowCallDurationMs > 0 ? slowCallRateThreshold : 0,
+                ]
+            );
+            if (changed) {
+                this.transitioned(state);
+            }
+            return state;
+        } catch (error) {
+            // The operation itself already ran; losing one outcome is preferable to hiding its result
+            this.log.error('Error recording circuit breaker outcome', { outcome, error });
+            return null;
+        }
+    }
+
+    transitioned(state, reason) {
+        this.log.info('Circuit breaker state changed', { state, ...(reason && { reason }) });
+        this.emit('stateChange', state);
+        this.emit(STATE_EVENTS[state]);
+    }
+
+    /**
+     * Holds the circuit OPEN for every instance, rejecting every call, until forceClose()
+     * or reset(), e.g. to take a backend out of rotation for maintenance.
+     * @returns {Promise<void>}
+     */
+    async forceOpen() {
+        await this.override('OPEN');
+    }
+
+    /**
+     * Holds the circuit CLOSED for every instance, letting every call through whatever its
+     * outcome, until forceOpen() or reset().
+     * @returns {Promise<void>}
+     */
+    async forceClose() {
+        await this.override('CLOSED');
+    }
+
+    /**
+     * Ends any override and starts over CLOSED, forgetting recorded failures.
+     * @returns {Promise<void>}
+     */
+    async reset() {
+        await this.override(null);
+    }
+
+    async override(forced) {
+        try {
+            const previous = await this.storage.evalScript(
+                this.overrideScript,
+                [this.hashKey, ...this.windowKeys],
+                [forced || '']
+            );
+            const state = forced || 'CLOSED';
+            if (previous !== state) {
+                this.transitioned(state, forced ? 'forced' : 'reset');
+            }
+        } catch (error) {
+            this.log.error('Error overriding circuit breaker', { forced, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the shared state of the breaker.
+     * @returns {Promise<string>} 'CLOSED', 'OPEN' or 'HALF_OPEN'.
+     */
+    async getState() {
+        const state = await this.redis.hget(this.hashKey, 'state');
+        return state || 'CLOSED';
+    }
+
+    /**
+     * Gets how long an OPEN circuit keeps rejecting calls before it lets a trial through.
+     * @returns {Promise<number>} Milliseconds, or 0 if the circuit is not OPEN or is held OPEN.
+     */
+    async getRemainingResetTimeout() {
+        const [state, lastFailureTime, forced] = await this.redis.hmget(this.hashKey, 'state', 'lastFailureTime', 'forced');
+        if (state !== 'OPEN' || forced) {
+            return 0;
+        }
+        return Math.max(0, Number(lastFailureTime) + this.resetTimeout - Date.now());
+    }
+
+    /**
+     * @returns {Promise<string|null>} 'OPEN' or 'CLOSED' while the circuit is held there, otherwise null.
+     */
+    async getForcedState() {
+        return (await this.redis.hget(this.hashKey, 'forced')) || null;
+    }
+
+    /**
+     * Gets the shared counters of the breaker, as CircuitBreaker.getStats() does.
+     * @returns {Promise<{state: string, forced: string|null, failures: number, successes: number, lastFailureTime: number, window: object|null}>}
+     */
+    async getStats() {
+        const { slidingWindow } = this.options;
+        try {
+            const [state, failures, successes, lastFailureTime, forced, calls, failed, slow] = await this.storage.evalScript(
+                this.statsScript,
+                [this.hashKey, ...this.windowKeys],
+                [slidingWindow?.type || '', slidingWindow?.size || 0, Date.now()]
+            );
+            return {
+                state,
+                forced: forced || null,
+                failures,
+                successes,
+                lastFailureTime,
+                window: windowStats({ calls, failures: failed, slow }, slidingWindow),
+            };
+        } catch (error) {
+            this.log.error('Error reading circuit breaker stats', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Closes the breaker's own connection. A storage passed in stays connected, for its owner to close.
+     */
+    async disconnect() {
+        if (this.ownsStorage) {
+            await this.storage.disconnect();
+        }
+    }
+}
+
+export default RedisCircuitBreaker;
@@ -0,0 +1,56 @@
+import { v4 as uuidv4 } from 'uuid';
+import logger from './logger.js';
+
+export const REQUEST_ID_HEADER = 'x-request-id';
+
+// Request IDs end up in logs, headers and spans, so only plain ones are taken from clients
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+// W3C Trace Context: version-traceid-parentid-flags
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+
+/**
+ * Picks the ID of an incoming request: its X-Request-Id header, else the trace ID of its
+ * W3C traceparent header, else a new UUID. Malformed headers are ignored.
+ * @param {object} req - Express request.
+ * @returns {string}
+ */
+export function requestIdFrom(req) {
+    const requestId = req.get(REQUEST_ID_HEADER)?.trim();
+    if (requestId && REQUEST_ID.test(requestId)) {
+        return requestId;
+    }
+    const traceparent = TRACEPARENT.exec(req.get('traceparent')?.trim().toLowerCase() || '');
+    if (traceparent && traceparent[1] !== 'ff' && traceparent[2] !== INVALID_TRACE_ID) {
+        return traceparent[2];
+    }
+    return uuidv4();
+}
+
+/**
+ * Gives a request its ID, once: sets `req.requestId`, `req.log` (a child logger carrying the
+ * ID) and the X-Request-Id response header. The ID is sent upstream with the request (see
+ * forwardedHeaders()) and queued with it as its `correlationId`, so the worker logs under the
+ * same ID. It is only used to correlate logs: clients choose it, so it keys nothing.
+ * @param {object} req - Express request.
+ * @param {object} res - Express response.
+ * @param {object} [fields] - More fields for the request's logger, e.g. the route.
+ */
+export function assignRequestContext(req, res, fields = {}) {
+    if (!req.requestId) {
+        req.requestId = requestIdFrom(req);
+        res.set(REQUEST_ID_HEADER, req.requestId);
+    }
+    req.log = (req.log || logger.child({ requestId: req.requestId })).child(fields);
+}
+
+/**
+ * Express middleware calling assignRequestContext() for every request.
+ * @returns {Function}
+ */
+export function requestContext() {
+    return (req, res, next) => {
+        assignRequestContext(req, res);
+        next();
+    };
+}
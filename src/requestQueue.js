@@ -1,56 +1,628 @@
-import Redis from 'ioredis';
+import { EventEmitter } from 'node:events';
 import { v4 as uuidv4 } from 'uuid'; // To generate unique IDs for queued requests
+import logger, { SENSITIVE_FIELDS } from './logger.js';
+import { SpanKind, injectTraceContext, traceLinks, withSpan } from './tracing.js';
+import { filterHeaders } from './upstream.js';
+import RedisStorage from './storage/redisStorage.js';
 
-const REDIS_HOST = process.env.REDIS_HOST || '127.0.0.1';
-const REDIS_PORT = process.env.REDIS_PORT || 6379;
+export const PRIORITIES = ['high', 'normal', 'low']; // Highest first
+const PRIORITY_NAME = /^[A-Za-z0-9_-]+$/; // Priority names end up in Lua source and key names
+export const SHED_POLICIES = ['reject', 'oldest', 'lowest-priority'];
+const MAX_SIGNALS = 100; // Wake-up signals kept for blocked consumers
+const FLUSH_RETRY_MS = 1000; // How often spilled requests are retried while Redis stays unreachable
 
-class RequestQueue {
-    constructor(queueName) {
+/**
+ * Lua functions shared by the scripts that add requests to or take them from the queue.
+ *
+ * Requests are kept in one list per priority and tenant, '<queue>:p:<priority>:t:<tenant>'.
+ * The tenants with queued requests at a priority are in the sorted set
+ * '<queue>:p:<priority>:tenants', scored by virtual finish time: each request taken from a
+ * tenant advances its finish time by 1 / weight, and the tenant with the lowest finish time
+ * goes next. That is weighted fair queuing across tenants (stride scheduling), with strict
+ * priority between levels. '<queue>:p:<priority>:count' counts the requests at a priority.
+ */
+function queueFunctions(priorities, defaultPriority) {
+    const levels = priorities.map(priority => `'${priority}'`).join(', ');
+    return `
+        local priorities = { ${levels} }
+        local rankOf = {} -- Priority -> position, 1 being the highest
+        for rank, priority in ipairs(priorities) do
+            rankOf[priority] = rank
+        end
+
+        -- Adds a request to the end (or, for requests going back to the head, the start) of its
+        -- tenant's list, activating the tenant if it had nothing queued
+        local function pushRequest(prefix, raw, atHead)
+            local request = cjson.decode(raw)
+            local priority = request.priority
+            if not rankOf[priority] then
+                priority = '${defaultPriority}'
+            end
+            local tenant = tostring(request.tenant or 'default')
+            local levelPrefix = prefix .. ':p:' .. priority
+            local listKey = levelPrefix .. ':t:' .. tenant
+            if atHead then
+                redis.call('LPUSH', listKey, raw)
+            else
+                redis.call('RPUSH', listKey, raw)
+            end
+            redis.call('INCR', levelPrefix .. ':count')
+            if not redis.call('ZSCORE', levelPrefix .. ':tenants', tenant) then
+                -- Start at the current virtual time, so being idle earns no credit
+                local now = tonumber(redis.call('GET', levelPrefix .. ':vtime')) or 0
+                redis.call('ZADD', levelPrefix .. ':tenants', now, tenant)
+            end
+            -- Wake up a consumer blocked in reserve()
+            redis.call('RPUSH', prefix .. ':signal', 1)
+            redis.call('LTRIM', prefix .. ':signal', -${MAX_SIGNALS}, -1)
+        end
+
+        -- Takes the next request: from the highest priority with queued requests, and there
+        -- from the tenant with the lowest virtual finish time
+        local function popRequest(prefix)
+            for _, priority in ipairs(priorities) do
+                local levelPrefix = prefix .. ':p:' .. priority
+                local tenantsKey = levelPrefix .. ':tenants'
+                while true do
+                    local head = redis.call('ZRANGE', tenantsKey, 0, 0, 'WITHSCORES')
+                    if #head == 0 then
+                        break
+                    end
+                    local tenant, finish = head[1], tonumber(head[2])
+                    local listKey = levelPrefix .. ':t:' .. tenant
+                    local raw = redis.call('LPOP', listKey)
+                    if raw then
+                        redis.call('DECR', levelPrefix .. ':count')
+                        redis.call('SET', levelPrefix .. ':vtime', finish)
+                        if redis.call('LLEN', listKey) == 0 then
+                            redis.call('ZREM', tenantsKey, tenant)
+                        else
+                            local weight = tonumber(cjson.decode(raw).weight) or 1
+                            redis.call('ZADD', tenantsKey, finish + 1 / weight, tenant)
+                        end
+                        return raw
+                    end
+                    redis.call('ZREM', tenantsKey, tenant) -- Stale entry
+                end
+            end
+            return false
+        end
+
+        local function queueLength(prefix)
+            local total = 0
+            for _, priority in ipairs(priorities) do
+                total = total + (tonumber(redis.call('GET', prefix .. ':p:' .. priority .. ':count')) or 0)
+            end
+            return total
+        end
+
+        -- Removes the oldest request at the given priorities. Each tenant's list is in order, so
+        -- only the heads need comparing. The enqueue time is read without decoding the request,
+        -- which may carry a large body; JSON.stringify() puts it near the start.
+        local function shedOldest(prefix, levels)
+            local oldest
+            for _, priority in ipairs(levels) do
+                local levelPrefix = prefix .. ':p:' .. priority
+                for _, tenant in ipairs(redis.call('ZRANGE', levelPrefix .. ':tenants', 0, -1)) do
+                    local head = redis.call('LINDEX', levelPrefix .. ':t:' .. tenant, 0)
+                    local time = head and (tonumber(string.match(head, '"timestamp":(%d+)')) or 0)
+                    if time and (not oldest or time < oldest.time) then
+                        oldest = { time = time, levelPrefix = levelPrefix, tenant = tenant }
+                    end
+                end
+            end
+            if not oldest then
+                return false
+            end
+            local listKey = oldest.levelPrefix .. ':t:' .. oldest.tenant
+            local raw = redis.call('LPOP', listKey)
+            redis.call('DECR', oldest.levelPrefix .. ':count')
+            if redis.call('LLEN', listKey) == 0 then
+                redis.call('ZREM', oldest.levelPrefix .. ':tenants', oldest.tenant)
+            end
+            return raw
+        end
+    `;
+}
+
+// Errors from Redis itself (e.g. in a script) would recur on every retry, so only connection
+// errors and timeouts spill a request
+function isUnavailable(error) {
+    return error.name !== 'ReplyError';
+}
+
+// Emits 'shed' with each request dropped to make room for a new one, 'spill' with each request
+// kept in memory while Redis can't be reached, and 'flush' with each of those once it is queued
+class RequestQueue extends EventEmitter {
+    /**
+     * @param {string} queueName - Prefix of the queue's Redis keys.
+     * @param {object} [options]
+     * @param {string} [options.consumerId] - Identifies this consumer's processing list. Random by default.
+     * @param {number} [options.leaseTimeout] - ms a reserved request may stay unacknowledged before
+     *   the reaper returns it to the queue.
+     * @param {string[]} [options.priorities] - Priority levels, highest first. Defaults to PRIORITIES.
+     * @param {string} [options.defaultPriority] - Priority of requests enqueued without one.
+     *   Defaults to 'normal', or the middle level for custom priorities.
+     * @param {object} [options.tenantWeights] - Tenant key -> weight. A tenant with weight 2 gets
+     *   twice the share of one with the default weight of 1 when both have requests queued.
+     * @param {number} [options.maxDepth] - Most requests waiting in the queue (not counting delayed
+     *   retries and reserved requests). 0 for no limit.
+     * @param {string} [options.shedPolicy] - What to do when a request arrives at a full queue:
+     *   'reject' it, drop the 'oldest' queued request, or drop the oldest request of the
+     *   'lowest-priority' with queued requests (rejecting the new one if its priority is lower still).
+     * @param {number} [options.maxWaitMs] - Default deadline of queued requests, in ms after they
+     *   are enqueued. 0 for none.
+     * @param {number} [options.spillMaxSize] - Most requests kept in this process's memory while
+     *   Redis can't be reached, to be queued once it is back. 0 (the default) to fail instead.
+     * @param {Storage} [options.storage] - Where the queue lives, e.g. shared with the route's
+     *   limiters (see createStorage()). By default the queue connects to Redis on its own.
+     *   Blocking reads always get a connection of their own.
+     * @param {PayloadCipher} [options.cipher] - Encrypts the headers and body of queued requests
+     *   (see PayloadCipher); consumers need it too, to read them. In the clear by default.
+     * @param {string[]|null} [options.allowHeaders] - The only headers of enqueued requests that
+     *   are queued. All but those dropped below by default.
+     * @param {string[]} [options.denyHeaders] - Headers dropped from enqueued requests. Hop-by-hop
+     *   headers always are.
+     * @param {string[]} [options.sensitiveHeaders] - Headers queued only when encrypted, and
+     *   dropped without a cipher. Defaults to SENSITIVE_FIELDS (Authorization, Cookie, ...).
+     */
+    constructor(queueName, {
+        consumerId = uuidv4(),
+        leaseTimeout = 30000,
+        priorities = PRIORITIES,
+        defaultPriority = priorities.includes('normal') ? 'normal' : priorities[Math.floor((priorities.length - 1) / 2)],
+        tenantWeights = {},
+        maxDepth = 0,
+        shedPolicy = 'reject',
+        maxWaitMs = 0,
+        spillMaxSize = 0,
+        storage,
+        cipher = null,
+        allowHeaders = null,
+        denyHeaders = [],
+        sensitiveHeaders = SENSITIVE_FIELDS,
+    } = {}) {
+        super();
+        if (priorities.length === 0 || !priorities.every(priority => PRIORITY_NAME.test(priority))) {
+            throw new Error('RequestQueue: Priorities must be a non-empty list of letters, digits, \'_\' and \'-\'');
+        }
+        if (!priorities.includes(defaultPriority)) {
+            throw new Error(`RequestQueue: Unknown default priority '${defaultPriority}'`);
+        }
+        if (!SHED_POLICIES.includes(shedPolicy)) {
+            throw new Error(`RequestQueue: Unknown shed policy '${shedPolicy}'`);
+        }
         this.queueName = queueName;
-        this.redis = new Redis({
-            host: REDIS_HOST,
-            port: REDIS_PORT
-        });
-        this.subRedis = new Redis({ // Separate client for blocking operations
-            host: REDIS_HOST,
-            port: REDIS_PORT
+        this.priorities = priorities;
+        this.defaultPriority = defaultPriority;
+        this.tenantWeights = tenantWeights;
+        this.maxDepth = maxDepth;
+        this.shedPolicy = shedPolicy;
+        this.maxWaitMs = maxWaitMs;
+        this.spillMaxSize = spillMaxSize;
+        this.cipher = cipher;
+        this.allowHeaders = allowHeaders;
+        this.deniedHeaders = cipher ? denyHeaders : [...denyHeaders, ...sensitiveHeaders];
+        this.spilled = []; // Requests enqueued while Redis couldn't be reached, oldest first
+        this.flushing = null; // The running flushSpilled(), if any
+        this.flushTimer = null;
+        this.ownsStorage = !storage;
+        this.storage = storage ?? new RedisStorage();
+        this.keyPrefix = this.storage.hashTag(queueName); // Of every key below, and of the queued requests'
+        this.signalName = `${this.keyPrefix}:signal`; // One entry per enqueued request, to wake up blocked consumers
+        this.delayedQueueName = `${this.keyPrefix}:delayed`; // Sorted set of retries, scored by when they are due
+        this.deadQueueName = `${this.keyPrefix}:dead`; // Requests that ran out of attempts
+        this.consumerId = consumerId;
+        this.leaseTimeout = leaseTimeout;
+        this.processingPrefix = `${this.keyPrefix}:processing:`;
+        this.processingQueueName = `${this.processingPrefix}${consumerId}`; // Requests reserved by this consumer
+        this.leasesName = `${this.keyPrefix}:leases`; // Sorted set of '<consumerId>:<request>', scored by lease expiry
+        this.consumersName = `${this.keyPrefix}:consumers`; // Consumers that may have reserved requests
+        this.pausedName = `${this.keyPrefix}:paused`; // Set while workers must not reserve requests
+        this.reserved = new Map(); // Request ID -> raw queue entry, for requests reserved by this instance
+        this.redis = this.storage.client;
+        this.redis.on('ready', () => this.flushSpilled()); // Including after a reconnect
+        this.blockingStorage = this.storage.duplicate(); // Blocking reads would hold up every other command
+        this.log = logger.child({ component: 'requestQueue', queue: queueName });
+        this.log.info('RequestQueue initialized', { storage: this.storage.describe() });
+
+        const functions = queueFunctions(priorities, defaultPriority);
+
+        // Lua script adding a request to the end of its tenant's list, if the queue has room
+        // or room can be made. Returns 0 if the queue is full, 1 if the request was added, or
+        // the request shed to make room.
+        this.enqueueScript = `${functions}
+            local prefix = KEYS[1]
+            local maxDepth = tonumber(ARGV[2])
+            local shedPolicy = ARGV[3]
+            local rank = rankOf[ARGV[4]]
+
+            local shed = false
+            if maxDepth > 0 and queueLength(prefix) >= maxDepth then
+                if shedPolicy == 'oldest' then
+                    shed = shedOldest(prefix, priorities)
+                elseif shedPolicy == 'lowest-priority' then
+                    for i = #priorities, rank, -1 do
+                        local count = tonumber(redis.call('GET', prefix .. ':p:' .. priorities[i] .. ':count')) or 0
+                        if count > 0 then
+                            shed = shedOldest(prefix, { priorities[i] })
+                            break
+                        end
+                    end
+                end
+                if not shed then
+                    return 0
+                end
+            end
+            pushRequest(prefix, ARGV[1], false)
+            return shed or 1
+        `;
+
+        // Lua script taking the next request off the queue
+        this.dequeueScript = `${functions}
+            return popRequest(KEYS[1])
+        `;
+
+        // Lua script taking up to ARGV[4] requests off the queue and moving them to this
+        // consumer's processing list under a lease
+        this.reserveScript = `${functions}
+            local processingKey = KEYS[2]
+            local leasesKey = KEYS[3]
+            local consumersKey = KEYS[4]
+            local now = tonumber(ARGV[1])
+            local leaseTimeout = tonumber(ARGV[2])
+            local consumerId = ARGV[3]
+            local count = tonumber(ARGV[4])
+
+            local reserved = {}
+            for i = 1, count do
+                local raw = popRequest(KEYS[1])
+                if not raw then
+                    break
+                end
+                redis.call('RPUSH', processingKey, raw)
+                redis.call('ZADD', leasesKey, now + leaseTimeout, consumerId .. ':' .. raw)
+                reserved[i] = raw
+            end
+            if #reserved > 0 then
+                redis.call('SADD', consumersKey, consumerId)
+            end
+            return reserved
+        `;
+
+        // Lua script moving retries that are due from the delayed set to the end of the queue
+        this.promoteScript = `${functions}
+            local delayedKey = KEYS[1]
+            local queueKey = KEYS[2]
+            local now = tonumber(ARGV[1])
+            local limit = tonumber(ARGV[2])
+
+            local due = redis.call('ZRANGEBYSCORE', delayedKey, '-inf', now, 'LIMIT', 0, limit)
+            for _, request in ipairs(due) do
+                redis.call('ZREM', delayedKey, request)
+                pushRequest(queueKey, request, false)
+            end
+            return #due
+        `;
+
+        // Lua script removing a reserved request from the processing list and its lease, then
+        // optionally putting a (possibly updated) copy back at the head of the queue, in the
+        // delayed-retry set or in the dead-letter list
+        this.releaseScript = `${functions}
+            local processingKey = KEYS[1]
+            local leasesKey = KEYS[2]
+            local queueKey = KEYS[3]
+            local targetKey = KEYS[4] -- The delayed-retry set or the dead-letter list
+            local raw = ARGV[1]
+            local member = ARGV[2]
+            local action = ARGV[3]
+            local newRaw = ARGV[4]
+            local dueAt = tonumber(ARGV[5])
+
+            local removed = redis.call('LREM', processingKey, 1, raw)
+            redis.call('ZREM', leasesKey, member)
+            if removed == 0 then
+                return 0 -- The lease expired and the reaper already requeued it
+            end
+            if action == 'requeue' then
+                pushRequest(queueKey, newRaw, true)
+            elseif action == 'delay' then
+                redis.call('ZADD', targetKey, dueAt, newRaw)
+            elseif action == 'dead' then
+                redis.call('RPUSH', targetKey, newRaw)
+            end
+            return 1
+        `;
+
+        // Lua script pushing back the expiry of a reserved request's lease, unless it already
+        // expired and the reaper requeued the request
+        this.extendLeaseScript = `
+            local leasesKey = KEYS[1]
+            local member = ARGV[1]
+            local expiresAt = tonumber(ARGV[2])
+
+            if not redis.call('ZSCORE', leasesKey, member) then
+                return 0
+            end
+            redis.call('ZADD', leasesKey, expiresAt, member)
+            return 1
+        `;
+
+        // Lua script returning requests whose lease has expired to the head of the queue.
+        // Requests found in a processing list without a lease are given one now, so they
+        // expire too.
+        this.reapScript = `${functions}
+            local queueKey = KEYS[1]
+            local leasesKey = KEYS[2]
+            local consumersKey = KEYS[3]
+            local now = tonumber(ARGV[1])
+            local leaseTimeout = tonumber(ARGV[2])
+            local processingPrefix = ARGV[3]
+
+            local requeued = 0
+            for _, consumer in ipairs(redis.call('SMEMBERS', consumersKey)) do
+                local processingKey = processingPrefix .. consumer
+                local items = redis.call('LRANGE', processingKey, 0, -1)
+                if #items == 0 then
+                    redis.call('SREM', consumersKey, consumer)
+                end
+                for _, raw in ipairs(items) do
+                    local member = consumer .. ':' .. raw
+                    local expiresAt = tonumber(redis.call('ZSCORE', leasesKey, member))
+                    if not expiresAt then
+                        redis.call('ZADD', leasesKey, now + leaseTimeout, member)
+                    elseif expiresAt <= now then
+                        redis.call('LREM', processingKey, 1, raw)
+                        redis.call('ZREM', leasesKey, member)
+                        pushRequest(queueKey, raw, true)
+                        requeued = requeued + 1
+                    end
+                end
+            end
+            return requeued
+        `;
+
+        // Lua script moving one dead-lettered request back to the queue, if it is still there
+        this.replayScript = `${functions}
+            local deadKey = KEYS[1]
+            local queueKey = KEYS[2]
+
+            if redis.call('LREM', deadKey, 1, ARGV[1]) == 0 then
+                return 0
+            end
+            pushRequest(queueKey, ARGV[2], false)
+            return 1
+        `;
+
+        // Lua script removing one queued request from its tenant's list, if it is still there,
+        // and optionally putting an updated copy (e.g. at another priority) at the end of the queue
+        this.moveScript = `${functions}
+            local prefix = KEYS[1]
+            local raw = ARGV[1]
+            local priority = ARGV[2]
+            local tenant = ARGV[3]
+            local newRaw = ARGV[4]
+
+            local levelPrefix = prefix .. ':p:' .. priority
+            local listKey = levelPrefix .. ':t:' .. tenant
+            if redis.call('LREM', listKey, 1, raw) == 0 then
+                return 0
+            end
+            redis.call('DECR', levelPrefix .. ':count')
+            if redis.call('LLEN', listKey) == 0 then
+                redis.call('ZREM', levelPrefix .. ':tenants', tenant)
+            end
+            if newRaw ~= '' then
+                pushRequest(prefix, newRaw, false)
+            end
+            return 1
+        `;
+    }
+
+    /**
+     * Adds a request to the end of the queue, behind the other requests of its tenant at
+     * its priority.
+     * @param {object} requestData - The data of the request to enqueue. Its `requestId`, if it has
+     *   one, becomes the queued request's `id`, so the request is known by one ID end to end.
+     * @param {object} [options]
+     * @param {string} [options.priority] - One of the queue's priorities. The default priority when omitted.
+     * @param {string} [options.tenant] - Who the request is queued for, e.g. a client key. Requests of
+     *   different tenants at the same priority are dequeued in turn, according to the tenants' weights.
+     * @param {number} [options.maxWaitMs] - Give up on the request if it is still queued after this
+     *   many ms. Defaults to the queue's maxWaitMs.
+     * @returns {Promise<string|null>} The ID of the enqueued request, or null if the queue is full.
+     *   With a spill buffer, requests that can't reach Redis are kept in memory and also get their
+     *   ID (null once the buffer is full); later requests join them until they are flushed.
+     */
+    async enqueue(requestData, { priority = this.defaultPriority, tenant = 'default', maxWaitMs = this.maxWaitMs } = {}) {
+        if (!this.priorities.includes(priority)) {
+            throw new Error(`RequestQueue: Unknown priority '${priority}'`);
+        }
+        const requestId = requestData.requestId ?? uuidv4();
+        return withSpan('requestQueue.enqueue', {
+            kind: SpanKind.PRODUCER,
+            attributes: this.spanAttributes('send', { 'messaging.message.id': requestId, 'requestQueue.priority': priority }),
+        }, async span => {
+            const queuedRequest = {
+                id: requestId,
+                timestamp: Date.now(),
+                ...requestData,
+                ...(requestData.headers && { headers: filterHeaders(requestData.headers, { allow: this.allowHeaders, deny: this.deniedHeaders }) }),
+                priority,
+                tenant: String(tenant),
+                weight: this.tenantWeights[tenant] ?? 1,
+            };
+            if (maxWaitMs > 0) {
+                queuedRequest.expiresAt = queuedRequest.timestamp + maxWaitMs;
+            }
+            // Lets the worker's spans link back to this trace when it dispatches the request
+            const traceContext = injectTraceContext();
+            if (traceContext) {
+                queuedRequest.traceContext = traceContext;
+            }
+            if (this.spilled.length > 0) {
+                return this.spill(queuedRequest, span); // Behind the requests already spilled, keeping their order
+            }
+            try {
+                const result = await this.push(queuedRequest);
+                if (result === 0) {
+                    span.setAttribute('requestQueue.outcome', 'rejected');
+                    this.log.warn('Queue is full. Rejected request.', { requestId });
+                    return null;
+                }
+                span.setAttribute('requestQueue.outcome', 'enqueued');
+                this.log.debug('Enqueued request', { requestId, priority, tenant });
+                if (typeof result === 'string') {
+                    span.setAttribute('requestQueue.shed_id', this.shed(result).id);
+                }
+                return requestId;
+            } catch (error) {
+                if (this.spillMaxSize > 0 && isUnavailable(error)) {
+                    this.log.error('Error enqueuing request. Spilling it until Redis is back.', { requestId, error });
+                    return this.spill(queuedRequest, span);
+                }
+                this.log.error('Error enqueuing request', { error });
+                throw error;
+            }
         });
-        console.log(`RequestQueue '${queueName}' initialized with Redis at ${REDIS_HOST}:${REDIS_PORT}`);
+    }
+
+    // Runs the enqueue script: 0 if the queue is full, else 1 or the request shed to make room
+    async push(queuedRequest) {
+        return this.storage.evalScript(
+            this.enqueueScript,
+            [this.keyPrefix],
+            [this.encode(queuedRequest), this.maxDepth, this.shedPolicy, queuedRequest.priority]
+        );
+    }
+
+    // A request as stored in Redis: JSON, with its headers and body encrypted given a cipher
+    encode(request) {
+        return JSON.stringify(this.cipher ? this.cipher.seal(request) : request);
+    }
+
+    // A stored request as handed to consumers, decrypted
+    decode(raw) {
+        const request = JSON.parse(raw);
+        if (!request.encrypted) {
+            return request;
+        }
+        if (!this.cipher) {
+            throw new Error(`RequestQueue: Request ${request.id} is encrypted, but the queue has no cipher`);
+        }
+        return this.cipher.open(request);
+    }
+
+    shed(raw) {
+        const shed = JSON.parse(raw);
+        this.log.warn('Shed request from full queue', { requestId: shed.id });
+        this.emit('shed', shed);
+        return shed;
+    }
+
+    spill(queuedRequest, span) {
+        if (this.spilled.length >= this.spillMaxSize) {
+            span.setAttribute('requestQueue.outcome', 'rejected');
+            this.log.warn('Spill buffer is full. Rejected request.', { requestId: queuedRequest.id });
+            return null;
+        }
+        this.spilled.push(queuedRequest);
+        span.setAttribute('requestQueue.outcome', 'spilled');
+        this.emit('spill', queuedRequest);
+        this.scheduleFlush();
+        return queuedRequest.id;
+    }
+
+    scheduleFlush() {
+        if (!this.flushTimer) {
+            this.flushTimer = setTimeout(() => {
+                this.flushTimer = null;
+                this.flushSpilled();
+            }, FLUSH_RETRY_MS);
+            this.flushTimer.unref(); // Doesn't keep the process alive
+        }
     }
 
     /**
-     * Adds a request to the end of the queue.
-     * @param {object} requestData - The data of the request to enqueue.
-     * @returns {Promise<string>} The ID of the enqueued request.
+     * Moves the requests spilled while Redis couldn't be reached into the queue, oldest first.
+     * Runs by itself when the connection is ready again, and every second while requests are
+     * spilled. Stops at the first error, keeping the rest for the next attempt. Spilled requests
+     * arriving at a full queue are shed.
+     * @returns {Promise<number>} How many requests left the spill buffer.
      */
-    async enqueue(requestData) {
-        const requestId = uuidv4();
-        const queuedRequest = { id: requestId, timestamp: Date.now(), ...requestData };
-        try {
-            await this.redis.rpush(this.queueName, JSON.stringify(queuedRequest));
-            console.log(`Enqueued request ${requestId} to queue '${this.queueName}'`);
-            return requestId;
-        } catch (error) {
-            console.error('Error enqueuing request:', error);
-            throw error;
+    async flushSpilled() {
+        if (!this.flushing) {
+            this.flushing = this.flushEach().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async flushEach() {
+        let flushed = 0;
+        while (this.spilled.length > 0) {
+            const queuedRequest = this.spilled[0];
+            let result;
+            try {
+                result = await this.push(queuedRequest);
+            } catch (error) {
+                this.log.warn('Error flushing spilled requests. Retrying later.', { spilled: this.spilled.length, error });
+                this.scheduleFlush();
+                break;
+            }
+            this.spilled.shift();
+            flushed++;
+            if (result === 0) {
+                this.log.warn('Queue is full. Shed spilled request.', { requestId: queuedRequest.id });
+                this.emit('shed', queuedRequest);
+                continue;
+            }
+            if (typeof result === 'string') {
+                this.shed(result);
+            }
+            this.emit('flush', queuedRequest);
         }
+        if (flushed > 0) {
+            this.log.info('Flushed spilled requests', { flushed, spilled: this.spilled.length });
+        }
+        return flushed;
     }
 
     /**
-     * Removes and returns a request from the beginning of the queue.
+     * Gets how many requests are spilled in this process's memory, waiting for Redis.
+     * @returns {number}
+     */
+    spilledLength() {
+        return this.spilled.length;
+    }
+
+    // Span attributes following the OpenTelemetry messaging conventions
+    spanAttributes(operation, attributes = {}) {
+        return {
+            'messaging.system': 'redis',
+            'messaging.destination.name': this.queueName,
+            'messaging.operation.type': operation,
+            ...attributes,
+        };
+    }
+
+    /**
+     * Removes and returns the next request: the highest priority first, and within a priority
+     * the next tenant in turn.
      * @returns {Promise<object|null>} The dequeued request data, or null if the queue is empty.
      */
     async dequeue() {
         try {
-            const result = await this.redis.lpop(this.queueName);
+            const result = await this.storage.evalScript(this.dequeueScript, [this.keyPrefix], []);
             if (result) {
-                const request = JSON.parse(result);
-                console.log(`Dequeued request ${request.id} from queue '${this.queueName}'`);
+                const request = this.decode(result);
+                this.log.debug('Dequeued request', { requestId: request.id });
                 return request;
             }
             return null;
         } catch (error) {
-            console.error('Error dequeuing request:', error);
+            this.log.error('Error dequeuing request', { error });
             throw error;
         }
     }
@@ -61,37 +633,619 @@ class RequestQueue {
      * @returns {Promise<object|null>} The dequeued request data, or null if a timeout occurred.
      */
     async blockDequeue(timeout = 0) {
+        return withSpan('requestQueue.blockDequeue', { kind: SpanKind.CONSUMER, attributes: this.spanAttributes('receive') }, async span => {
+            try {
+                const result = await this.waitFor(() => this.storage.evalScript(this.dequeueScript, [this.keyPrefix], []), timeout);
+                if (result) {
+                    const request = this.decode(result);
+                    span.setAttribute('messaging.message.id', request.id);
+                    span.addLinks(traceLinks(request.traceContext)); // To the trace that queued it
+                    this.log.debug('Dequeued request after blocking', { requestId: request.id });
+                    return request;
+                }
+                return null;
+            } catch (error) {
+                this.log.error('Error in blocked dequeue', { error });
+                throw error;
+            }
+        });
+    }
+
+    /**
+     * Blocks until a request is available and reserves it: the request is moved to this
+     * consumer's processing list under a lease instead of being removed, so it is not lost
+     * if the consumer dies. Every reserved request must be passed to ack() or nack().
+     * @param {number} timeout - The maximum time in seconds to wait for a request. 0 means block indefinitely.
+     * @returns {Promise<object|null>} The reserved request data, or null if a timeout occurred.
+     */
+    async reserve(timeout = 0) {
+        const [request = null] = await this.reserveBatch(1, timeout);
+        return request;
+    }
+
+    /**
+     * Like reserve(), but reserves up to `count` requests in one round trip. Blocks only
+     * until at least one request is available.
+     * @param {number} count - The most requests to reserve.
+     * @param {number} timeout - The maximum time in seconds to wait for a request. 0 means block indefinitely.
+     * @returns {Promise<Array<object>>} The reserved requests, in queue order. Empty if a timeout occurred.
+     */
+    async reserveBatch(count, timeout = 0) {
         try {
-            // BLPOP returns an array: [queueName, element]
-            const result = await this.subRedis.blpop(this.queueName, timeout);
-            if (result && result[1]) {
-                const request = JSON.parse(result[1]);
-                console.log(`Blocked dequeued request ${request.id} from queue '${this.queueName}'`);
-                return request;
+            const raws = await this.waitFor(async () => {
+                const reserved = await this.storage.evalScript(
+                    this.reserveScript,
+                    [this.keyPrefix, this.processingQueueName, this.leasesName, this.consumersName],
+                    [Date.now(), this.leaseTimeout, this.consumerId, count]
+                );
+                return reserved.length > 0 ? reserved : null;
+            }, timeout);
+            const requests = [];
+            for (const raw of raws || []) {
+                const request = JSON.parse(raw);
+                this.reserved.set(request.id, raw);
+                try {
+                    requests.push(this.decode(raw));
+                    this.log.debug('Reserved request', { requestId: request.id });
+                } catch (error) {
+                    // Would fail again on every retry, e.g. sealed with a key since dropped
+                    this.log.error('Error decrypting reserved request. Dead-lettering it.', { requestId: request.id, error });
+                    await this.deadLetter(request, error.message);
+                }
             }
-            return null;
+            return requests;
+        } catch (error) {
+            this.log.error('Error reserving requests', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Runs take() until it returns a request, waiting on the signal list in between.
+     * The queue is spread over many keys, so a plain BLPOP on it is not possible.
+     * @param {Function} take - Async function returning a raw request (or several) or null.
+     * @param {number} timeout - In seconds. 0 means block indefinitely.
+     * @returns {Promise<string|Array<string>|null>}
+     */
+    async waitFor(take, timeout) {
+        const deadline = Date.now() + timeout * 1000;
+        for (;;) {
+            const raw = await take();
+            if (raw) {
+                return raw;
+            }
+            const remaining = timeout > 0 ? (deadline - Date.now()) / 1000 : 0;
+            if (timeout > 0 && remaining <= 0) {
+                return null;
+            }
+            // A signal may be left over from a request someone else took; then we just look again
+            const signal = await this.blockingStorage.client.blpop(this.signalName, timeout > 0 ? Math.max(remaining, 0.01).toFixed(2) : 0);
+            if (!signal && timeout > 0) {
+                return take(); // Last look, in case the request arrived without waking us
+            }
+        }
+    }
+
+    /**
+     * Acknowledges a reserved request, removing it for good.
+     * @param {object} request - The request returned by reserve().
+     * @returns {Promise<boolean>} False if the lease had already expired and the request was requeued.
+     */
+    async ack(request) {
+        return this.release(request, 'ack');
+    }
+
+    /**
+     * Negatively acknowledges a reserved request, returning it to the queue.
+     * @param {object} request - The request returned by reserve(). It is stored as passed,
+     *   so changes such as an incremented attempt count are kept.
+     * @param {object} [options]
+     * @param {number} [options.delayMs] - Put the request in the delayed-retry set for this long
+     *   instead of back at the head of the queue.
+     * @returns {Promise<boolean>} False if the lease had already expired and the request was requeued.
+     */
+    async nack(request, { delayMs = 0 } = {}) {
+        return this.release(request, delayMs > 0 ? 'delay' : 'requeue', delayMs);
+    }
+
+    async release(request, action, delayMs = 0) {
+        const raw = this.reserved.get(request.id);
+        if (raw === undefined) {
+            throw new Error(`RequestQueue: Request ${request.id} is not reserved by this consumer`);
+        }
+        try {
+            const released = await this.storage.evalScript(
+                this.releaseScript,
+                [
+                    this.processingQueueName,
+                    this.leasesName,
+                    this.keyPrefix,
+                    action === 'dead' ? this.deadQueueName : this.delayedQueueName,
+                ],
+                [raw, this.leaseMember(raw), action, this.encode(request), Date.now() + delayMs]
+            );
+            this.reserved.delete(request.id);
+            if (released !== 1) {
+                this.log.warn('Lease expired before the request was released', { requestId: request.id });
+            }
+            return released === 1;
+        } catch (error) {
+            this.log.error('Error releasing request', { requestId: request.id, action, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Renews the lease of a reserved request for another `leaseTimeout` ms, so the reaper leaves
+     * it alone while it is still being processed.
+     * @param {object} request - The request returned by reserve().
+     * @returns {Promise<boolean>} False if the request was already released, or its lease had
+     *   expired and the request was requeued.
+     */
+    async extendLease(request) {
+        const raw = this.reserved.get(request.id);
+        if (raw === undefined) {
+            return false;
+        }
+        try {
+            const extended = await this.storage.evalScript(
+                this.extendLeaseScript,
+                [this.leasesName],
+                [this.leaseMember(raw), Date.now() + this.leaseTimeout]
+            );
+            return extended === 1;
+        } catch (error) {
+            this.log.error('Error extending lease', { requestId: request.id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Returns reserved requests whose lease has expired, e.g. because their consumer crashed,
+     * to the head of the queue.
+     * @returns {Promise<number>} The number of requests returned to the queue.
+     */
+    async reapExpiredLeases() {
+        try {
+            const requeued = await this.storage.evalScript(
+                this.reapScript,
+                [this.keyPrefix, this.leasesName, this.consumersName],
+                [Date.now(), this.leaseTimeout, this.processingPrefix]
+            );
+            if (requeued > 0) {
+                this.log.warn('Returned requests with expired leases to the queue', { requeued });
+            }
+            return requeued;
         } catch (error) {
-            console.error('Error in blocked dequeue:', error);
+            this.log.error('Error reaping expired leases', { error });
             throw error;
         }
     }
 
+    leaseMember(raw) {
+        return `${this.consumerId}:${raw}`;
+    }
+
     /**
      * Gets the current length of the queue.
-     * @returns {Promise<number>} The number of requests in the queue.
+     * @returns {Promise<number>} The number of requests in the queue, over all priorities and tenants.
      */
     async length() {
         try {
-            return await this.redis.llen(this.queueName);
+            const counts = await this.redis.mget(this.priorities.map(priority => `${this.levelPrefix(priority)}:count`));
+            return counts.reduce((total, count) => total + (Number(count) || 0), 0);
+        } catch (error) {
+            this.log.error('Error getting queue length', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Breaks the queue length down by priority and by tenant.
+     * @param {object} [options]
+     * @param {number} [options.maxTenants] - Report at most this many tenants per priority,
+     *   those with the most queued requests.
+     * @returns {Promise<{total: number, byPriority: object, byTenant: object}>} byTenant maps
+     *   each priority to an object of tenant -> queued requests.
+     */
+    async lengths({ maxTenants = 20 } = {}) {
+        try {
+            const byPriority = {};
+            const byTenant = {};
+            let total = 0;
+            for (const priority of this.priorities) {
+                const prefix = this.levelPrefix(priority);
+                const [count, tenants] = await Promise.all([
+                    this.redis.get(`${prefix}:count`),
+                    this.redis.zrange(`${prefix}:tenants`, 0, -1),
+                ]);
+                byPriority[priority] = Number(count) || 0;
+                total += byPriority[priority];
+                const pipeline = this.redis.pipeline();
+                for (const tenant of tenants) {
+                    pipeline.llen(`${prefix}:t:${tenant}`);
+                }
+                const tenantLengths = tenants.length > 0 ? await pipeline.exec() : [];
+                byTenant[priority] = Object.fromEntries(
+                    tenants
+                        .map((tenant, i) => [tenant, tenantLengths[i][1]])
+                        .filter(([, length]) => length > 0)
+                        .sort(([, a], [, b]) => b - a)
+                        .slice(0, maxTenants)
+                );
+            }
+            return { total, byPriority, byTenant };
+        } catch (error) {
+            this.log.error('Error getting queue lengths', { error });
+            throw error;
+        }
+    }
+
+    levelPrefix(priority) {
+        return `${this.keyPrefix}:p:${priority}`;
+    }
+
+    /**
+     * Lists queued requests in the order they would be dequeued if nothing else were enqueued:
+     * by priority, and within a priority taking turns between tenants by their weights.
+     * @param {number} [offset]
+     * @param {number} [limit]
+     * @returns {Promise<{total: number, requests: object[]}>}
+     */
+    async peek(offset = 0, limit = 50) {
+        const wanted = offset + limit;
+        const requests = [];
+        try {
+            const total = await this.length();
+            for (const priority of this.priorities) {
+                if (requests.length >= wanted) {
+                    break;
+                }
+                const prefix = this.levelPrefix(priority);
+                const tenants = await this.redis.zrange(`${prefix}:tenants`, 0, -1, 'WITHSCORES');
+                // No tenant can contribute more than `wanted` requests, so that's all we read of each
+                const pipeline = this.redis.pipeline();
+                for (let i = 0; i < tenants.length; i += 2) {
+                    pipeline.lrange(`${prefix}:t:${tenants[i]}`, 0, wanted - 1);
+                }
+                const lists = tenants.length > 0 ? await pipeline.exec() : [];
+                const turns = lists.map(([, items], i) => ({ items, finish: Number(tenants[i * 2 + 1]), next: 0 }));
+
+                // Replay the scheduling of popRequest(): the tenant with the lowest finish time goes next
+                while (requests.length < wanted) {
+                    let turn = null;
+                    for (const candidate of turns) {
+                        if (candidate.next < candidate.items.length && (!turn || candidate.finish < turn.finish)) {
+                            turn = candidate;
+                        }
+                    }
+                    if (!turn) {
+                        break;
+                    }
+                    const request = JSON.parse(turn.items[turn.next++]);
+                    turn.finish += 1 / (Number(request.weight) || 1);
+                    requests.push(request);
+                }
+            }
+            return { total, requests: requests.slice(offset) };
         } catch (error) {
-            console.error('Error getting queue length:', error);
+            this.log.error('Error peeking at queued requests', { error });
+            throw error;
+        }
+    }
+
+    // Finds a queued request by the ID handed out to the client: the proxy's request ID, or
+    // the ID returned by enqueue()
+    async findQueued(requestId) {
+        try {
+            for (const priority of this.priorities) {
+                const prefix = this.levelPrefix(priority);
+                for (const tenant of await this.redis.zrange(`${prefix}:tenants`, 0, -1)) {
+                    for (const raw of await this.redis.lrange(`${prefix}:t:${tenant}`, 0, -1)) {
+                        const request = JSON.parse(raw);
+                        if ((request.requestId ?? request.id) === requestId) {
+                            return { raw, request, priority, tenant };
+                        }
+                    }
+                }
+            }
+            return null;
+        } catch (error) {
+            this.log.error('Error reading queued requests', { error });
+            throw error;
+        }
+    }
+
+    async moveQueued(found, newRaw = '') {
+        try {
+            const moved = await this.storage.evalScript(
+                this.moveScript,
+                [this.keyPrefix],
+                [found.raw, found.priority, found.tenant, newRaw]
+            );
+            return moved === 1;
+        } catch (error) {
+            this.log.error('Error moving queued request', { requestId: found.request.id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Removes a request from the queue before it is dispatched. Reserved requests are no
+     * longer in the queue and can't be removed.
+     * @param {string} requestId - The proxy's request ID, or the ID returned by enqueue().
+     * @returns {Promise<object|null>} The removed request, or null if it was not queued.
+     */
+    async remove(requestId) {
+        const found = await this.findQueued(requestId);
+        if (!found || !(await this.moveQueued(found))) {
+            return null; // Not queued, or dequeued concurrently
+        }
+        this.log.info('Removed queued request', { requestId: found.request.id });
+        return found.request;
+    }
+
+    /**
+     * Moves a queued request to another priority, behind the requests of its tenant already
+     * queued there.
+     * @param {string} requestId - The proxy's request ID, or the ID returned by enqueue().
+     * @param {string} priority - One of the queue's priorities.
+     * @returns {Promise<object|null>} The updated request, or null if it was not queued.
+     */
+    async reprioritize(requestId, priority) {
+        if (!this.priorities.includes(priority)) {
+            throw new Error(`RequestQueue: Unknown priority '${priority}'`);
+        }
+        const found = await this.findQueued(requestId);
+        if (!found) {
+            return null;
+        }
+        if (found.priority === priority) {
+            return found.request;
+        }
+        const request = { ...found.request, priority };
+        if (!(await this.moveQueued(found, JSON.stringify(request)))) {
+            return null; // Dequeued concurrently
+        }
+        this.log.info('Moved queued request to another priority', { requestId: request.id, from: found.priority, to: priority });
+        return request;
+    }
+
+    /**
+     * Pauses the queue for every worker: they stop reserving requests from it until resume().
+     * Requests can still be enqueued, and those already reserved are still dispatched.
+     */
+    async pause() {
+        try {
+            await this.redis.set(this.pausedName, Date.now());
+            this.log.info('Paused queue');
+        } catch (error) {
+            this.log.error('Error pausing queue', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Lets workers reserve requests from the queue again after pause().
+     */
+    async resume() {
+        try {
+            await this.redis.del(this.pausedName);
+            this.log.info('Resumed queue');
+        } catch (error) {
+            this.log.error('Error resuming queue', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * @returns {Promise<boolean>} Whether the queue is paused.
+     */
+    async isPaused() {
+        try {
+            return (await this.redis.exists(this.pausedName)) === 1;
+        } catch (error) {
+            this.log.error('Error reading whether queue is paused', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Schedules a request to be put back on the queue after a delay.
+     * @param {object} request - The dequeued request, including its `id`.
+     * @param {number} delayMs - How long to wait before the request becomes available again.
+     */
+    async scheduleRetry(request, delayMs) {
+        try {
+            await this.redis.zadd(this.delayedQueueName, Date.now() + delayMs, this.encode(request));
+            this.log.debug('Scheduled retry', { requestId: request.id, delayMs });
+        } catch (error) {
+            this.log.error('Error scheduling retry', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Moves retries whose delay has elapsed back to the end of the queue.
+     * @param {number} [limit] - The maximum number of retries to move at once.
+     * @returns {Promise<number>} The number of requests moved.
+     */
+    async promoteDueRetries(limit = 100) {
+        try {
+            return await this.storage.evalScript(
+                this.promoteScript,
+                [this.delayedQueueName, this.keyPrefix],
+                [Date.now(), limit]
+            );
+        } catch (error) {
+            this.log.error('Error promoting due retries', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the number of retries waiting in the delayed set.
+     * @returns {Promise<number>}
+     */
+    async delayedLength() {
+        try {
+            return await this.redis.zcard(this.delayedQueueName);
+        } catch (error) {
+            this.log.error('Error getting delayed retry count', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Moves a request to the dead-letter list. A request reserved by this consumer is
+     * acknowledged in the same step.
+     * @param {object} request - The dequeued or reserved request.
+     * @param {string} lastError - The error from the last attempt.
+     */
+    async deadLetter(request, lastError) {
+        const deadRequest = { ...request, lastError, deadLetteredAt: Date.now() };
+        if (this.reserved.has(request.id)) {
+            await this.release(deadRequest, 'dead');
+            this.log.warn('Dead-lettered request', { requestId: request.id });
+            return;
+        }
+        try {
+            await this.redis.rpush(this.deadQueueName, this.encode(deadRequest));
+            this.log.warn('Dead-lettered request', { requestId: request.id });
+        } catch (error) {
+            this.log.error('Error dead-lettering request', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Gets the number of dead-lettered requests.
+     * @returns {Promise<number>}
+     */
+    async deadLength() {
+        try {
+            return await this.redis.llen(this.deadQueueName);
+        } catch (error) {
+            this.log.error('Error getting dead-letter queue length', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Lists dead-lettered requests, oldest first.
+     * @param {number} [offset]
+     * @param {number} [limit]
+     * @returns {Promise<{total: number, requests: object[]}>}
+     */
+    async listDeadLetters(offset = 0, limit = 50) {
+        try {
+            const [total, items] = await Promise.all([
+                this.redis.llen(this.deadQueueName),
+                this.redis.lrange(this.deadQueueName, offset, offset + limit - 1),
+            ]);
+            return { total, requests: items.map(item => JSON.parse(item)) };
+        } catch (error) {
+            this.log.error('Error listing dead-lettered requests', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Finds a dead-lettered request by the request ID handed out to the client, or the ID
+     * returned by enqueue() for requests queued without one.
+     * @param {string} requestId
+     * @returns {Promise<object|null>}
+     */
+    async getDeadLetter(requestId) {
+        const found = await this.findDeadLetter(requestId);
+        return found ? found.request : null;
+    }
+
+    async findDeadLetter(requestId) {
+        try {
+            const items = await this.redis.lrange(this.deadQueueName, 0, -1);
+            for (const raw of items) {
+                const request = JSON.parse(raw);
+                if ((request.requestId ?? request.id) === requestId) {
+                    return { raw, request };
+                }
+            }
+            return null;
+        } catch (error) {
+            this.log.error('Error reading dead-lettered requests', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Puts a dead-lettered request back on the queue with its attempt count reset. A request
+     * with a deadline gets as long to wait as when it was first queued, counted from now.
+     * @param {string} requestId
+     * @returns {Promise<object|null>} The requeued request, or null if it was not found.
+     */
+    async replayDeadLetter(requestId) {
+        const found = await this.findDeadLetter(requestId);
+        if (!found) {
+            return null;
+        }
+        const { lastError, deadLetteredAt, expiresAt, ...request } = found.request;
+        const replayed = { ...request, attempts: 0, timestamp: Date.now() };
+        if (expiresAt) {
+            // Its old deadline has long passed, so the worker would drop it straight away
+            replayed.expiresAt = replayed.timestamp + (expiresAt - request.timestamp);
+        }
+        try {
+            const moved = await this.storage.evalScript(
+                this.replayScript,
+                [this.deadQueueName, this.keyPrefix],
+                [found.raw, JSON.stringify(replayed)]
+            );
+            if (moved !== 1) {
+                return null; // Replayed or purged concurrently
+            }
+            this.log.info('Replayed dead-lettered request', { requestId: request.id });
+            return replayed;
+        } catch (error) {
+            this.log.error('Error replaying dead-lettered request', { error });
+            throw error;
+        }
+    }
+
+    /**
+     * Removes dead-lettered requests.
+     * @param {string} [requestId] - Only remove this request. Removes all when omitted.
+     * @returns {Promise<number>} The number of requests removed.
+     */
+    async purgeDeadLetters(requestId) {
+        try {
+            if (requestId === undefined) {
+                const [[, total]] = await this.redis.multi()
+                    .llen(this.deadQueueName)
+                    .del(this.deadQueueName)
+                    .exec();
+                return total;
+            }
+            const found = await this.findDeadLetter(requestId);
+            return found ? await this.redis.lrem(this.deadQueueName, 1, found.raw) : 0;
+        } catch (error) {
+            this.log.error('Error purging dead-lettered requests', { error });
             throw error;
         }
     }
 
     async disconnect() {
-        await this.redis.disconnect();
-        await this.subRedis.disconnect();
+        if (this.spilled.length > 0) {
+            await this.flushSpilled(); // A last attempt, as they only live in memory
+        }
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.spilled.length > 0) {
+            this.log.error('Disconnecting with spilled requests that never reached Redis. They are lost.', { spilled: this.spilled.length });
+        }
+        if (this.ownsStorage) {
+            await this.storage.disconnect();
+        }
+        await this.blockingStorage.disconnect();
     }
 }
 
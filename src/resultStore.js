@@ -0,0 +1,197 @@
+import logger from './logger.js';
+import RedisStorage from './storage/redisStorage.js';
+
+const POLL_INTERVAL_MS = 200; // How often waitFor() re-reads the record while long-polling
+
+export const RequestStatus = Object.freeze({
+    PENDING: 'pending',
+    PROCESSING: 'processing',
+    SUCCEEDED: 'succeeded',
+    FAILED: 'failed',
+    DEAD_LETTERED: 'dead_lettered',
+    EXPIRED: 'expired', // Still queued when its deadline passed
+    SHED: 'shed', // Dropped from a full queue to make room
+    CANCELLED: 'cancelled', // Removed from the queue through the admin API
+});
+
+const TERMINAL_STATUSES = new Set([
+    RequestStatus.SUCCEEDED,
+    RequestStatus.FAILED,
+    RequestStatus.DEAD_LETTERED,
+    RequestStatus.EXPIRED,
+    RequestStatus.SHED,
+    RequestStatus.CANCELLED,
+]);
+
+/**
+ * Stores the outcome of queued requests in Redis so clients that received a 202
+ * can later look up what happened to their request.
+ */
+class ResultStore {
+    /**
+     * @param {string} [prefix] - Of the records' keys.
+     * @param {number} [ttlSeconds] - How long a record is kept after its last update.
+     * @param {Storage} [storage] - Where the records are kept. Connects to Redis by default.
+     */
+    constructor(prefix = 'request_result', ttlSeconds = 3600, storage = undefined) {
+        this.prefix = prefix;
+        this.ttlSeconds = ttlSeconds; // How long a record is kept after its last update
+        this.log = logger.child({ component: 'resultStore' });
+        this.ownsStorage = !storage;
+        this.storage = storage ?? new RedisStorage();
+        this.redis = this.storage.client;
+    }
+
+    key(requestId) {
+        return `${this.prefix}:${requestId}`;
+    }
+
+    /**
+     * Writes the record for a request, replacing any previous one.
+     * @param {string} requestId - The request ID handed out to the client.
+     * @param {string} status - One of RequestStatus.
+     * @param {object} [details] - Extra fields to store, e.g. `response` or `error`.
+     * @returns {Promise<object>} The stored record.
+     */
+    async set(requestId, status, details = {}) {
+        const record = { requestId, status, updatedAt: Date.now(), ...details };
+        try {
+            await this.redis.set(this.key(requestId), JSON.stringify(record), 'EX', this.ttlSeconds);
+            return record;
+        } catch (error) {
+            this.log.error('Error storing result', { requestId, status, error });
+            throw error;
+        }
+    }
+
+    /**
+     * @param {string} requestId
+     * @param {object} [options]
+     * @param {boolean} [options.ifAbsent] - Only if the request has no record yet, e.g. for a spilled
+     *   request reaching the queue, which a worker may already have taken.
+     * @returns {Promise<object|null>} The stored record, or null if there was one already.
+     */
+    async setPending(requestId, { ifAbsent = false } = {}) {
+        if (!ifAbsent) {
+            return this.set(requestId, RequestStatus.PENDING);
+        }
+        const record = { requestId, status: RequestStatus.PENDING, updatedAt: Date.now() };
+        try {
+            const stored = await this.redis.set(this.key(requestId), JSON.stringify(record), 'EX', this.ttlSeconds, 'NX');
+            return stored ? record : null;
+        } catch (error) {
+            this.log.error('Error storing result', { requestId, status: record.status, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Puts back a record read with get() earlier, e.g. to undo a write made in advance of
+     * something that then didn't happen. Removes the request's record if it had none.
+     * @param {string} requestId
+     * @param {object|null} record - As returned by get().
+     */
+    async restore(requestId, record) {
+        try {
+            if (record) {
+                await this.redis.set(this.key(requestId), JSON.stringify(record), 'EX', this.ttlSeconds);
+            } else {
+                await this.redis.del(this.key(requestId));
+            }
+        } catch (error) {
+            this.log.error('Error restoring result', { requestId, error });
+            throw error;
+        }
+    }
+
+    async setProcessing(requestId) {
+        return this.set(requestId, RequestStatus.PROCESSING);
+    }
+
+    /**
+     * @param {string} requestId
+     * @param {{status: number, body: any}} response - The backend status code and body.
+     */
+    async setSucceeded(requestId, response) {
+        return this.set(requestId, RequestStatus.SUCCEEDED, { response });
+    }
+
+    /**
+     * @param {string} requestId
+     * @param {string} error - A description of why the request failed.
+     * @param {{status: number, body: any}} [response] - The backend response, if one was received.
+     */
+    async setFailed(requestId, error, response) {
+        return this.set(requestId, RequestStatus.FAILED, response ? { error, response } : { error });
+    }
+
+    async setDeadLettered(requestId, error) {
+        return this.set(requestId, RequestStatus.DEAD_LETTERED, { error });
+    }
+
+    async setExpired(requestId) {
+        return this.set(requestId, RequestStatus.EXPIRED, { error: 'Request expired before it could be processed' });
+    }
+
+    async setShed(requestId) {
+        return this.set(requestId, RequestStatus.SHED, { error: 'Request dropped from a full queue' });
+    }
+
+    async setCancelled(requestId) {
+        return this.set(requestId, RequestStatus.CANCELLED, { error: 'Request removed from the queue by an administrator' });
+    }
+
+    /**
+     * Gets the stored record for a request.
+     * @param {string} requestId
+     * @returns {Promise<object|null>} The record, or null if it is unknown or has expired.
+     */
+    async get(requestId) {
+        try {
+            const result = await this.redis.get(this.key(requestId));
+            return result ? JSON.parse(result) : null;
+        } catch (error) {
+            this.log.error('Error reading result', { requestId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Long-polls the record until it reaches a terminal status or the timeout is reached.
+     * @param {string} requestId
+     * @param {number} timeoutMs - The maximum time to wait. 0 returns immediately.
+     * @returns {Promise<object|null>} The latest record, or null if it is unknown.
+     */
+    async waitFor(requestId, timeoutMs = 0) {
+        const deadline = Date.now() + timeoutMs;
+        let record = await this.get(requestId);
+        while (record && !isTerminal(record.status) && Date.now() < deadline) {
+            const delay = Math.min(POLL_INTERVAL_MS, deadline - Date.now());
+            await new Promise(resolve => setTimeout(resolve, delay));
+            record = await this.get(requestId);
+        }
+        return record;
+    }
+
+    /**
+     * Checks that the storage answers, e.g. for the proxy's status.
+     * @returns {Promise<number>} The round trip in ms. Rejects if it can't be reached.
+     */
+    async ping() {
+        const start = performance.now();
+        await this.redis.ping();
+        return performance.now() - start;
+    }
+
+    async disconnect() {
+        if (this.ownsStorage) {
+            await this.storage.disconnect();
+        }
+    }
+}
+
+export function isTerminal(status) {
+    return TERMINAL_STATUSES.has(status);
+}
+
+export default ResultStore;
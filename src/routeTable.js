@@ -0,0 +1,242 @@
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+import { PRIORITIES, SHED_POLICIES } from './requestQueue.js';
+import { breakerOptions } from './breakerPolicy.js';
+import { concurrencyOptions } from './limiters/adaptiveConcurrency.js';
+import { idempotencyOptions } from './idempotencyStore.js';
+import { FAILURE_POLICIES } from './limiters/redisLimiter.js';
+
+/**
+ * The route table maps path patterns and methods to upstream services. Each route gets
+ * its own rate limits, queue, circuit breaker, idempotency keys and optional adaptive
+ * concurrency limit, whose Redis keys are derived from the route's name unless set explicitly.
+ *
+ * Path patterns are matched against the request path (without the query string):
+ * `:name` matches a single segment and a trailing `*` matches the rest of the path.
+ */
+
+// Instances (proxies and workers) sharing each limit, which the 'local' failure policy divides it by
+const INSTANCES = Number(process.env.RATE_LIMIT_INSTANCES) || 1;
+
+const DEFAULT_RATE_LIMIT = {
+    algorithm: process.env.RATE_LIMIT_ALGORITHM || 'token-bucket',
+    limit: 100,
+    windowMs: 1000,
+    failurePolicy: process.env.RATE_LIMIT_FAILURE_POLICY || 'fail-closed',
+    instances: INSTANCES,
+};
+
+const DEFAULT_CLIENT_RATE_LIMIT = {
+    algorithm: process.env.CLIENT_RATE_LIMIT_ALGORITHM || 'token-bucket',
+    limit: 5,
+    windowMs: 1000,
+    keyBy: process.env.CLIENT_RATE_LIMIT_KEY || 'ip',
+    failurePolicy: process.env.CLIENT_RATE_LIMIT_FAILURE_POLICY || 'fail-closed',
+    instances: INSTANCES,
+};
+
+const DEFAULT_CIRCUIT_BREAKER = {
+    failureThreshold: 3,
+    resetTimeout: 15000, // 15 seconds
+    successThreshold: 2,
+};
+
+const DEFAULT_QUEUE = {
+    priorities: PRIORITIES,
+    priority: 'normal', // For requests without (or with an invalid) priority header
+    priorityHeader: 'x-priority', // false to ignore the header
+    tenantWeights: {},
+    maxDepth: 0, // No limit
+    shedPolicy: 'reject',
+    maxWaitMs: 0, // Queued requests never expire
+    spillMaxSize: 1000, // Requests buffered in memory while Redis can't be reached
+};
+
+const DEFAULT_CALLBACK = {
+    header: 'x-callback-url', // false to ignore the header
+    url: null, // For requests without the header; none by default
+};
+
+const ROUTE_NAME = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * Compiles a path pattern into a regular expression.
+ * @param {string} pattern - e.g. '/users/:id' or '/api/*'.
+ * @returns {RegExp}
+ */
+export function compilePath(pattern) {
+    const wildcard = pattern.endsWith('/*') || pattern === '*';
+    const fixed = wildcard ? pattern.slice(0, -1).replace(/\/$/, '') : pattern;
+    const source = fixed
+        .split('/')
+        .map(segment => segment.startsWith(':')
+            ? '[^/]+'
+            : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('/');
+    return new RegExp(`^${source}${wildcard ? '(?:/.*)?' : '/?'}$`);
+}
+
+function normalizeRoute(route, index) {
+    const where = `route ${index + 1}${route?.name ? ` ('${route.name}')` : ''}`;
+    if (!route || typeof route !== 'object') {
+        throw new Error(`Invalid ${where}: expected an object`);
+    }
+    if (typeof route.name !== 'string' || !ROUTE_NAME.test(route.name)) {
+        throw new Error(`Invalid ${where}: name must consist of letters, digits, '_' and '-'`);
+    }
+    if (typeof route.path !== 'string' || !route.path.startsWith('/')) {
+        throw new Error(`Invalid ${where}: path must start with '/'`);
+    }
+    let upstream;
+    try {
+        upstream = new URL(route.upstream);
+    } catch {
+        throw new Error(`Invalid ${where}: upstream must be an absolute URL`);
+    }
+    const methods = route.methods === undefined || route.methods === '*'
+        ? null // Any method
+        : [].concat(route.methods).map(method => String(method).toUpperCase());
+
+    const queue = { ...DEFAULT_QUEUE, ...route.queue };
+    if (!Array.isArray(queue.priorities) || queue.priorities.length === 0
+        || !queue.priorities.every(priority => typeof priority === 'string' && ROUTE_NAME.test(priority))) {
+        throw new Error(`Invalid ${where}: queue.priorities must be a non-empty list of letters, digits, '_' and '-'`);
+    }
+    if (!queue.priorities.includes(queue.priority)) {
+        throw new Error(`Invalid ${where}: queue.priority must be one of ${queue.priorities.join(', ')}`);
+    }
+    for (const setting of ['maxDepth', 'maxWaitMs']) {
+        if (!Number.isInteger(queue[setting]) || queue[setting] < 0) {
+            throw new Error(`Invalid ${where}: queue.${setting} must be a non-negative integer (0 for no limit)`);
+        }
+    }
+    if (!Number.isInteger(queue.spillMaxSize) || queue.spillMaxSize < 0) {
+        throw new Error(`Invalid ${where}: queue.spillMaxSize must be a non-negative integer (0 to disable spilling)`);
+    }
+    if (!SHED_POLICIES.includes(queue.shedPolicy)) {
+        throw new Error(`Invalid ${where}: queue.shedPolicy must be one of ${SHED_POLICIES.join(', ')}`);
+    }
+
+    const circuitBreaker = { ...DEFAULT_CIRCUIT_BREAKER, ...route.circuitBreaker };
+    if (circuitBreaker.failureStatuses !== undefined
+        && !(Array.isArray(circuitBreaker.failureStatuses) && circuitBreaker.failureStatuses.every(Number.isInteger))) {
+        throw new Error(`Invalid ${where}: circuitBreaker.failureStatuses must be a list of HTTP status codes`);
+    }
+    try {
+        breakerOptions(circuitBreaker); // Validates the sliding window and thresholds
+    } catch (error) {
+        throw new Error(`Invalid ${where}: ${error.message.replace('CircuitBreaker: ', 'circuitBreaker.')}`);
+    }
+
+    let concurrency = null; // No cap on calls in flight
+    if (route.concurrency) {
+        try {
+            concurrency = concurrencyOptions(route.concurrency);
+        } catch (error) {
+            throw new Error(`Invalid ${where}: ${error.message.replace('AdaptiveConcurrencyLimiter: ', 'concurrency.')}`);
+        }
+    }
+
+    let idempotency = null; // Repeats are queued again
+    if (route.idempotency !== false) {
+        try {
+            idempotency = idempotencyOptions(route.idempotency);
+        } catch (error) {
+            throw new Error(`Invalid ${where}: ${error.message.replace('IdempotencyStore: ', 'idempotency.')}`);
+        }
+    }
+
+    const callback = route.callback === false ? null : { ...DEFAULT_CALLBACK, ...route.callback };
+    if (callback && callback.header !== false && !(typeof callback.header === 'string' && callback.header !== '')) {
+        throw new Error(`Invalid ${where}: callback.header must be a header name or false`);
+    }
+    if (callback && callback.url !== null && !/^https?:\/\/./.test(String(callback.url))) {
+        throw new Error(`Invalid ${where}: callback.url must be an http(s) URL`);
+    }
+
+    const { name } = route;
+    const rateLimit = { key: `${name}_rate_limit`, ...DEFAULT_RATE_LIMIT, ...route.rateLimit };
+    const clientRateLimit = route.clientRateLimit === false
+        ? null
+        : { key: `${name}_rate_limit:client`, ...DEFAULT_CLIENT_RATE_LIMIT, ...route.clientRateLimit };
+    for (const [setting, limits] of [['rateLimit', rateLimit], ['clientRateLimit', clientRateLimit]]) {
+        if (limits && !FAILURE_POLICIES.includes(limits.failurePolicy)) {
+            throw new Error(`Invalid ${where}: ${setting}.failurePolicy must be one of ${FAILURE_POLICIES.join(', ')}`);
+        }
+        if (limits && !(Number.isInteger(limits.instances) && limits.instances >= 1)) {
+            throw new Error(`Invalid ${where}: ${setting}.instances must be a positive integer`);
+        }
+    }
+    return {
+        name,
+        path: route.path,
+        pattern: compilePath(route.path),
+        methods,
+        upstream: upstream.href.replace(/\/$/, ''),
+        rateLimit,
+        clientRateLimit,
+        queueName: route.queueName || `${name}_queue`,
+        // Queued requests are shared fairly between tenants, by default the same clients as the client rate limit
+        queue: { tenantKey: clientRateLimit?.keyBy || 'ip', ...queue },
+        circuitBreaker: { key: `${name}_circuit_breaker`, ...circuitBreaker },
+        concurrency: concurrency && { key: route.concurrency.key || `${name}_concurrency`, ...concurrency },
+        callback,
+        // Repeats are told apart per client, by default the same clients as the client rate limit
+        idempotency: idempotency && {
+            key: route.idempotency?.key || `${name}_idempotency`,
+            ...idempotency,
+            keyBy: route.idempotency?.keyBy || clientRateLimit?.keyBy || 'ip',
+        },
+    };
+}
+
+/**
+ * Validates a route table and fills in the defaults.
+ * @param {object} table - `{ routes: [...] }`.
+ * @returns {Array<object>} The normalized routes, in matching order.
+ */
+export function parseRouteTable(table) {
+    if (!table || !Array.isArray(table.routes) || table.routes.length === 0) {
+        throw new Error('Route table must have a non-empty "routes" list');
+    }
+    const routes = table.routes.map(normalizeRoute);
+    const names = new Set();
+    for (const route of routes) {
+        if (names.has(route.name)) {
+            throw new Error(`Duplicate route name '${route.name}'`);
+        }
+        names.add(route.name);
+    }
+    return routes;
+}
+
+/**
+ * Loads a route table from a JSON or YAML file (by extension).
+ * @param {string} filePath
+ * @returns {Array<object>} The normalized routes.
+ */
+export function loadRouteTable(filePath) {
+    const contents = readFileSync(filePath, 'utf8');
+    const format = extname(filePath).toLowerCase();
+    try {
+        const table = format === '.yaml' || format === '.yml' ? parseYaml(contents) : JSON.parse(contents);
+        return parseRouteTable(table);
+    } catch (error) {
+        error.message = `Error loading route table ${filePath}: ${error.message}`;
+        throw error;
+    }
+}
+
+/**
+ * Finds the first route matching a request.
+ * @param {Array<object>} routes - Normalized routes.
+ * @param {string} method
+ * @param {string} path - The request path, without the query string.
+ * @returns {object|null}
+ */
+export function matchRoute(routes, method, path) {
+    return routes.find(route =>
+        (!route.methods || route.methods.includes(method)) && route.pattern.test(path)
+    ) || null;
+}
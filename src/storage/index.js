@@ -0,0 +1,28 @@
+import MemoryStorage from './memoryStorage.js';
+import RedisStorage from './redisStorage.js';
+
+export const STORAGE_BACKENDS = ['redis', 'memory'];
+
+/**
+ * Creates a storage backend from the `storage` configuration section.
+ * @param {object} [config]
+ * @param {string} [config.backend] - 'redis' (the default) or 'memory'.
+ * @param {...*} [config.options] - For 'redis', the options of RedisStorage: `host`, `port`,
+ *   `sentinels`, `sentinelName`, `clusterNodes`, `commandTimeoutMs`.
+ * @returns {RedisStorage|MemoryStorage}
+ */
+export function createStorage({ backend = 'redis', ...options } = {}) {
+    switch (backend) {
+        case 'redis':
+            return new RedisStorage(options);
+        case 'memory':
+            return new MemoryStorage();
+        default:
+            throw new Error(`Storage: Unknown backend '${backend}'`);
+    }
+}
+
+export { default as Storage } from './storage.js';
+export { default as MemoryClient } from './memoryClient.js';
+export { default as MemoryStore } from './memoryStore.js';
+export { MemoryStorage, RedisStorage };
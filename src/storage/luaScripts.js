@@ -0,0 +1,311 @@
+import fengari from 'fengari';
+import { ReplyError } from 'ioredis';
+import { sha1 } from './storage.js';
+
+const { lua, lauxlib, lualib, to_luastring: toLuaString } = fengari;
+
+// A light userdata standing for JSON null, as cjson.null does in Redis
+const JSON_NULL = Object.freeze({});
+
+// Run once per Lua state, after the redis and cjson libraries are installed. Redis embeds
+// Lua 5.1, where every number is a float; Fengari is Lua 5.3 with 32-bit integers, which
+// overflow silently. Numbers read from arguments and replies, and rounded with math.floor()
+// and math.ceil(), are therefore kept as floats too, and tostring() formats them as 5.1 does.
+// Only `..` still shows whole floats with a trailing '.0'.
+const PRELUDE = `
+    local tonumber, floor, ceil = tonumber, math.floor, math.ceil
+    _G.tonumber = function (...)
+        local number = tonumber(...)
+        return number and number + 0.0
+    end
+    math.floor = function (x) return floor(x) + 0.0 end
+    math.ceil = function (x) return ceil(x) + 0.0 end
+    _G.unpack = table.unpack
+    _G.io, _G.os, _G.dofile, _G.loadfile, _G.require, _G.package = nil, nil, nil, nil, nil, nil
+`;
+
+/**
+ * Formats a number as Lua 5.1 does ('%.14g'), which is how Redis turns numbers passed to
+ * redis.call() into arguments.
+ * @param {number} number
+ * @returns {string}
+ */
+export function formatNumber(number) {
+    if (!Number.isFinite(number)) {
+        return Number.isNaN(number) ? 'nan' : number > 0 ? 'inf' : '-inf';
+    }
+    const trimZeros = digits => (digits.includes('.') ? digits.replace(/\.?0+$/, '') : digits);
+    const [mantissa, exponent] = number.toExponential(13).split('e');
+    const power = Number(exponent);
+    if (power < -4 || power >= 14) {
+        return `${trimZeros(mantissa)}e${power < 0 ? '-' : '+'}${String(Math.abs(power)).padStart(2, '0')}`;
+    }
+    return trimZeros(number.toFixed(13 - power));
+}
+
+/**
+ * Runs Redis Lua scripts in process, with Fengari, against a MemoryStore. Scripts see what
+ * they see in Redis: KEYS and ARGV, redis.call() and redis.pcall() with Redis's conversions
+ * between Lua values and replies (nil replies are false, tables stop at the first nil, numbers
+ * returned are truncated to integers), redis.error_reply(), redis.status_reply() and
+ * cjson.decode().
+ *
+ * Scripts share one Lua state and run one at a time, each to completion, so they are atomic.
+ */
+class LuaScripts {
+    /**
+     * @param {Function} call - `(command, args) => reply`, running a command for redis.call().
+     */
+    constructor(call) {
+        this.call = call;
+        this.refs = new Map(); // SHA1 -> registry reference to the compiled script
+        this.L = lauxlib.luaL_newstate();
+        lualib.luaL_openlibs(this.L);
+        this.installLibraries();
+    }
+
+    installLibraries() {
+        const L = this.L;
+        lua.lua_createtable(L, 0, 4);
+        this.setFunction('call', L => this.redisCall(L, false));
+        this.setFunction('pcall', L => this.redisCall(L, true));
+        this.setFunction('error_reply', L => this.pushReplyTable(L, 'err', lauxlib.luaL_checkstring(L, 1)));
+        this.setFunction('status_reply', L => this.pushReplyTable(L, 'ok', lauxlib.luaL_checkstring(L, 1)));
+        lua.lua_setglobal(L, toLuaString('redis'));
+
+        lua.lua_createtable(L, 0, 2);
+        this.setFunction('decode', L => this.jsonDecode(L));
+        lua.lua_pushlightuserdata(L, JSON_NULL);
+        lua.lua_setfield(L, -2, toLuaString('null'));
+        lua.lua_setglobal(L, toLuaString('cjson'));
+
+        this.setFunction('tostring', L => {
+            lauxlib.luaL_checkany(L, 1);
+            if (lua.lua_type(L, 1) === lua.LUA_TNUMBER) {
+                lua.lua_pushstring(L, toLuaString(formatNumber(lua.lua_tonumber(L, 1))));
+            } else {
+                lauxlib.luaL_tolstring(L, 1);
+            }
+            return 1;
+        }, true);
+
+        if (lauxlib.luaL_dostring(L, toLuaString(PRELUDE)) !== lua.LUA_OK) {
+            throw new Error(`LuaScripts: ${lua.lua_tojsstring(L, -1)}`);
+        }
+    }
+
+    // Sets a function in the table on top of the stack, or a global
+    setFunction(name, fn, global = false) {
+        lua.lua_pushjsfunction(this.L, fn);
+        if (global) {
+            lua.lua_setglobal(this.L, toLuaString(name));
+        } else {
+            lua.lua_setfield(this.L, -2, toLuaString(name));
+        }
+    }
+
+    /**
+     * Compiles a script, unless it already was.
+     * @param {string} script
+     * @returns {string} Its SHA1.
+     */
+    load(script) {
+        const sha = sha1(script);
+        if (!this.refs.has(sha)) {
+            const L = this.L;
+            if (lauxlib.luaL_loadbuffer(L, toLuaString(script), null, toLuaString('@user_script')) !== lua.LUA_OK) {
+                const message = lua.lua_tojsstring(L, -1);
+                lua.lua_settop(L, 0);
+                throw new ReplyError(`ERR Error compiling script (new function): ${message}`);
+            }
+            this.refs.set(sha, lauxlib.luaL_ref(L, lua.LUA_REGISTRYINDEX));
+        }
+        return sha;
+    }
+
+    has(sha) {
+        return this.refs.has(sha);
+    }
+
+    flush() {
+        for (const ref of this.refs.values()) {
+            lauxlib.luaL_unref(this.L, lua.LUA_REGISTRYINDEX, ref);
+        }
+        this.refs.clear();
+    }
+
+    /**
+     * Runs a loaded script.
+     * @param {string} sha
+     * @param {string[]} keys
+     * @param {string[]} args
+     * @returns {*} Its reply.
+     */
+    run(sha, keys, args) {
+        const ref = this.refs.get(sha);
+        if (ref === undefined) {
+            throw new ReplyError('NOSCRIPT No matching script. Please use EVAL.');
+        }
+        const L = this.L;
+        this.setGlobalArray('KEYS', keys);
+        this.setGlobalArray('ARGV', args);
+        lua.lua_rawgeti(L, lua.LUA_REGISTRYINDEX, ref);
+        try {
+            if (lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+                throw new ReplyError(this.errorMessage(L, -1));
+            }
+            const reply = this.toReply(L, -1);
+            if (reply instanceof ReplyError) {
+                throw reply;
+            }
+            return reply;
+        } finally {
+            lua.lua_settop(L, 0);
+        }
+    }
+
+    setGlobalArray(name, values) {
+        const L = this.L;
+        lua.lua_createtable(L, values.length, 0);
+        values.forEach((value, i) => {
+            lua.lua_pushstring(L, toLuaString(value));
+            lua.lua_rawseti(L, -2, i + 1);
+        });
+        lua.lua_setglobal(L, toLuaString(name));
+    }
+
+    // redis.call() raises errors, as an error reply table; redis.pcall() returns them
+    redisCall(L, isProtected) {
+        const args = [];
+        for (let i = 1; i <= lua.lua_gettop(L); i++) {
+            const type = lua.lua_type(L, i);
+            if (type === lua.LUA_TSTRING) {
+                args.push(lua.lua_tojsstring(L, i));
+            } else if (type === lua.LUA_TNUMBER) {
+                args.push(formatNumber(lua.lua_tonumber(L, i)));
+            } else {
+                return this.raise(L, 'ERR Lua redis lib command arguments must be strings or integers', isProtected);
+            }
+        }
+        if (args.length === 0) {
+            return this.raise(L, 'ERR Please specify at least one argument for this redis lib call', isProtected);
+        }
+        let reply;
+        try {
+            reply = this.call(args[0], args.slice(1));
+        } catch (error) {
+            return this.raise(L, error.message, isProtected);
+        }
+        this.push(L, reply);
+        return 1;
+    }
+
+    raise(L, message, isProtected) {
+        this.pushReplyTable(L, 'err', message);
+        return isProtected ? 1 : lua.lua_error(L);
+    }
+
+    pushReplyTable(L, field, text) {
+        lua.lua_createtable(L, 0, 1);
+        lua.lua_pushstring(L, typeof text === 'string' ? toLuaString(text) : text);
+        lua.lua_setfield(L, -2, toLuaString(field));
+        return 1;
+    }
+
+    // Pushes a command's reply as Redis hands it to scripts
+    push(L, reply) {
+        if (reply === null || reply === undefined) {
+            lua.lua_pushboolean(L, false);
+        } else if (typeof reply === 'number') {
+            lua.lua_pushnumber(L, reply);
+        } else if (typeof reply === 'string') {
+            lua.lua_pushstring(L, toLuaString(reply));
+        } else if (Array.isArray(reply)) {
+            lua.lua_createtable(L, reply.length, 0);
+            reply.forEach((item, i) => {
+                this.push(L, item);
+                lua.lua_rawseti(L, -2, i + 1);
+            });
+        } else {
+            this.pushReplyTable(L, 'ok', reply.ok); // A status reply
+        }
+    }
+
+    // Converts the Lua value at `index` to a reply; error replies become ReplyErrors
+    toReply(L, index) {
+        const at = lua.lua_absindex(L, index);
+        switch (lua.lua_type(L, at)) {
+            case lua.LUA_TSTRING:
+                return lua.lua_tojsstring(L, at);
+            case lua.LUA_TNUMBER:
+                return Math.trunc(lua.lua_tonumber(L, at));
+            case lua.LUA_TBOOLEAN:
+                return lua.lua_toboolean(L, at) ? 1 : null;
+            case lua.LUA_TTABLE: {
+                for (const field of ['err', 'ok']) {
+                    const isString = lua.lua_getfield(L, at, toLuaString(field)) === lua.LUA_TSTRING;
+                    const text = isString ? lua.lua_tojsstring(L, -1) : null;
+                    lua.lua_pop(L, 1);
+                    if (isString) {
+                        return field === 'err' ? new ReplyError(text) : text;
+                    }
+                }
+                const items = [];
+                while (lua.lua_rawgeti(L, at, items.length + 1) !== lua.LUA_TNIL) {
+                    items.push(this.toReply(L, -1));
+                    lua.lua_pop(L, 1);
+                }
+                lua.lua_pop(L, 1);
+                return items;
+            }
+            default:
+                return null;
+        }
+    }
+
+    errorMessage(L, index) {
+        if (lua.lua_type(L, index) === lua.LUA_TTABLE && lua.lua_getfield(L, index, toLuaString('err')) === lua.LUA_TSTRING) {
+            return lua.lua_tojsstring(L, -1); // Raised by redis.call(), with the command's own error
+        }
+        return `ERR ${lua.lua_tojsstring(L, index) ?? 'Unknown Lua error'}`;
+    }
+
+    jsonDecode(L) {
+        const text = lauxlib.luaL_checkstring(L, 1);
+        let value;
+        try {
+            value = JSON.parse(fengari.to_jsstring(text));
+        } catch (error) {
+            lua.lua_pushstring(L, toLuaString(`Expected value but found invalid token: ${error.message}`));
+            return lua.lua_error(L);
+        }
+        this.pushJson(L, value);
+        return 1;
+    }
+
+    pushJson(L, value) {
+        if (value === null) {
+            lua.lua_pushlightuserdata(L, JSON_NULL);
+        } else if (typeof value === 'number') {
+            lua.lua_pushnumber(L, value);
+        } else if (typeof value === 'string') {
+            lua.lua_pushstring(L, toLuaString(value));
+        } else if (typeof value === 'boolean') {
+            lua.lua_pushboolean(L, value);
+        } else if (Array.isArray(value)) {
+            lua.lua_createtable(L, value.length, 0);
+            value.forEach((item, i) => {
+                this.pushJson(L, item);
+                lua.lua_rawseti(L, -2, i + 1);
+            });
+        } else {
+            lua.lua_createtable(L, 0, Object.keys(value).length);
+            for (const [key, item] of Object.entries(value)) {
+                this.pushJson(L, item);
+                lua.lua_setfield(L, -2, toLuaString(key));
+            }
+        }
+    }
+}
+
+export default LuaScripts;
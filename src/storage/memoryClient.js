@@ -0,0 +1,199 @@
+import { EventEmitter } from 'node:events';
+import { ReplyError } from 'ioredis';
+import { MEMORY_COMMANDS } from './memoryStore.js';
+
+// ioredis turns these replies into something handier
+const REPLY_TRANSFORMS = {
+    hgetall: pairs => Object.fromEntries(pairs.flatMap((field, i) => (i % 2 === 0 ? [[field, pairs[i + 1]]] : []))),
+};
+
+// ioredis flattens array arguments and sends everything as strings
+function toArgs(args) {
+    return args.flat().map(arg => String(arg));
+}
+
+function toReply(command, reply) {
+    if (reply !== null && typeof reply === 'object' && !Array.isArray(reply)) {
+        return reply.ok; // A status reply
+    }
+    return REPLY_TRANSFORMS[command]?.(reply) ?? reply;
+}
+
+function closedError() {
+    return new Error('Connection is closed.');
+}
+
+/**
+ * A client of a MemoryStore with the parts of the ioredis API this project uses: a method per
+ * command (MEMORY_COMMANDS) resolving to the reply ioredis would give, call(), blpop(),
+ * pipeline(), multi(), duplicate(), and the 'ready' event.
+ *
+ * Like an ioredis client, it rejects commands with 'Connection is closed.' once disconnected,
+ * until connect() is called again, e.g. to try out what happens while Redis is down.
+ */
+class MemoryClient extends EventEmitter {
+    /**
+     * @param {MemoryStore} store
+     */
+    constructor(store) {
+        super();
+        this.store = store;
+        this.status = 'ready';
+        this.blocked = new Set(); // Cancels the blocking commands waiting on this client
+        process.nextTick(() => this.emit('ready'));
+    }
+
+    /**
+     * Runs a command by name, as ioredis's call() does.
+     * @param {string} command
+     * @param {...*} args
+     * @returns {Promise<*>}
+     */
+    call(command, ...args) {
+        return this.send(command.toLowerCase(), args);
+    }
+
+    send(command, args) {
+        if (this.status !== 'ready') {
+            return Promise.reject(closedError());
+        }
+        try {
+            return Promise.resolve(toReply(command, this.store.call(command, toArgs(args))));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Pops the first value of the first non-empty list, waiting up to `timeout` seconds (0 for
+     * no limit) for one to be pushed.
+     * @param {...*} args - Keys, then the timeout.
+     * @returns {Promise<[string, string]|null>} The key and the value, or null on timeout.
+     */
+    blpop(...args) {
+        const keys = toArgs(args);
+        const timeout = Number(keys.pop());
+        if (this.status !== 'ready') {
+            return Promise.reject(closedError());
+        }
+        if (keys.length === 0) {
+            return Promise.reject(new ReplyError("ERR wrong number of arguments for 'blpop' command"));
+        }
+        if (!(timeout >= 0)) {
+            return Promise.reject(new ReplyError('ERR timeout is not a float or out of range'));
+        }
+        return new Promise((resolve, reject) => {
+            let done = false;
+            let timer = null;
+            const stops = [];
+            const finish = settle => {
+                done = true;
+                stops.forEach(stop => stop());
+                clearTimeout(timer);
+                this.blocked.delete(cancel);
+                settle();
+            };
+            const cancel = () => finish(() => reject(closedError()));
+            const attempt = () => {
+                for (const key of keys) {
+                    if (done) {
+                        return true;
+                    }
+                    try {
+                        const value = this.store.call('lpop', [key]);
+                        if (value !== null) {
+                            finish(() => resolve([key, value]));
+                        }
+                    } catch (error) {
+                        finish(() => reject(error));
+                    }
+                }
+                return done;
+            };
+            if (attempt()) {
+                return;
+            }
+            keys.forEach(key => stops.push(this.store.onPush(key, attempt)));
+            this.blocked.add(cancel);
+            if (timeout > 0) {
+                timer = setTimeout(() => finish(() => resolve(null)), timeout * 1000);
+            }
+        });
+    }
+
+    /**
+     * Queues commands to run together with exec(), which resolves to `[error, reply]` pairs.
+     * @returns {MemoryPipeline}
+     */
+    pipeline() {
+        return new MemoryPipeline(this);
+    }
+
+    /**
+     * As pipeline(): the commands already run one after another with nothing in between.
+     * @returns {MemoryPipeline}
+     */
+    multi() {
+        return new MemoryPipeline(this);
+    }
+
+    /**
+     * A new client of the same store.
+     * @returns {MemoryClient}
+     */
+    duplicate() {
+        return new MemoryClient(this.store);
+    }
+
+    async connect() {
+        if (this.status !== 'ready') {
+            this.status = 'ready';
+            this.emit('ready');
+        }
+    }
+
+    disconnect() {
+        if (this.status === 'ready') {
+            this.status = 'end';
+            this.blocked.forEach(cancel => cancel());
+            this.emit('end');
+        }
+    }
+
+    async quit() {
+        this.disconnect();
+        return 'OK';
+    }
+}
+
+class MemoryPipeline {
+    constructor(client) {
+        this.client = client;
+        this.commands = [];
+    }
+
+    async exec() {
+        if (this.client.status !== 'ready') {
+            throw closedError();
+        }
+        return this.commands.map(([command, args]) => {
+            try {
+                return [null, toReply(command, this.client.store.call(command, toArgs(args)))];
+            } catch (error) {
+                return [error, null];
+            }
+        });
+    }
+}
+
+for (const command of MEMORY_COMMANDS) {
+    MemoryClient.prototype[command] = function (...args) {
+        return this.send(command, args);
+    };
+    MemoryPipeline.prototype[command] = function (...args) {
+        this.commands.push([command, args]);
+        return this;
+    };
+}
+
+export default MemoryClient;
@@ -0,0 +1,29 @@
+import Storage from './storage.js';
+import MemoryClient from './memoryClient.js';
+import MemoryStore from './memoryStore.js';
+
+/**
+ * Keeps everything in the memory of this process: for development without a Redis server,
+ * a proxy that runs its own worker (see index.js), and fast tests. The Lua scripts run as
+ * they would in Redis (see LuaScripts), so limits, queues and breakers behave the same, but
+ * nothing is shared with other processes, and it is all gone on exit.
+ */
+class MemoryStorage extends Storage {
+    /**
+     * @param {MemoryStore} [store] - Data shared with other storages, e.g. duplicates. A new store by default.
+     */
+    constructor(store = new MemoryStore()) {
+        super(new MemoryClient(store));
+        this.store = store;
+    }
+
+    duplicate() {
+        return new MemoryStorage(this.store);
+    }
+
+    describe() {
+        return { backend: 'memory' };
+    }
+}
+
+export default MemoryStorage;
@@ -0,0 +1,633 @@
+import { ReplyError } from 'ioredis';
+import LuaScripts from './luaScripts.js';
+
+const WRONGTYPE = 'WRONGTYPE Operation against a key holding the wrong kind of value';
+const NOT_INTEGER = 'ERR value is not an integer or out of range';
+const NOT_FLOAT = 'ERR value is not a valid float';
+const SYNTAX_ERROR = 'ERR syntax error';
+const SWEEP_INTERVAL_MS = 1000; // How often keys past their expiry are dropped, besides when read
+
+/**
+ * A status reply, e.g. SET's OK, as opposed to a string. Clients turn it into its text.
+ * @param {string} text
+ * @returns {{ok: string}}
+ */
+export function status(text) {
+    return { ok: text };
+}
+
+const OK = status('OK');
+
+function fail(message) {
+    throw new ReplyError(message);
+}
+
+function toInteger(value, message = NOT_INTEGER) {
+    const number = Number(value);
+    if (!/^-?\d+$/.test(value) || !Number.isSafeInteger(number)) {
+        fail(message);
+    }
+    return number;
+}
+
+function toScore(value, message = NOT_FLOAT) {
+    const lower = value.toLowerCase();
+    const score = lower === 'inf' || lower === '+inf' ? Infinity : lower === '-inf' ? -Infinity : Number(value);
+    if (value.trim() !== value || value === '' || Number.isNaN(score)) {
+        fail(message);
+    }
+    return score;
+}
+
+// A ZRANGEBYSCORE-style bound: a score, '-inf' or '+inf', exclusive with a leading '('
+function toBound(value) {
+    const exclusive = value.startsWith('(');
+    return { score: toScore(exclusive ? value.slice(1) : value, 'ERR min or max is not a float'), exclusive };
+}
+
+function inBounds(score, min, max) {
+    return (min.exclusive ? score > min.score : score >= min.score) && (max.exclusive ? score < max.score : score <= max.score);
+}
+
+function formatScore(score) {
+    return Number.isFinite(score) ? String(score) : score > 0 ? 'inf' : '-inf';
+}
+
+// Members by score, then lexicographically, as Redis orders them
+function sortedMembers(zset) {
+    return [...zset].sort(([a, x], [b, y]) => x - y || (a < b ? -1 : a > b ? 1 : 0));
+}
+
+function withScores(members, scores) {
+    return scores ? members.flatMap(([member, score]) => [member, formatScore(score)]) : members.map(([member]) => member);
+}
+
+// LRANGE-style indexes, counting from the end when negative, clamped to the list
+function listRange(length, start, stop) {
+    const from = toInteger(start);
+    const to = toInteger(stop);
+    return [from < 0 ? Math.max(0, length + from) : from, Math.min(to < 0 ? length + to : to, length - 1)];
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[\\^$.*+?()[\]{}|/-]/g, '\\$&');
+}
+
+/**
+ * Turns a Redis glob-style pattern (KEYS, SCAN's MATCH) into a regular expression:
+ * `*`, `?`, `[abc]`, `[^a-z]` and `\` escapes.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+export function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            source += '[\\s\\S]*';
+        } else if (char === '?') {
+            source += '[\\s\\S]';
+        } else if (char === '\\' && i + 1 < pattern.length) {
+            source += escapeRegExp(pattern[++i]);
+        } else if (char === '[' && pattern.indexOf(']', i + 1) !== -1) {
+            let j = i + 1;
+            const negate = pattern[j] === '^';
+            let set = '';
+            for (j += negate ? 1 : 0; pattern[j] !== ']'; j++) {
+                if (pattern[j] === '\\' && j + 1 < pattern.length) {
+                    j++;
+                }
+                if (pattern[j + 1] === '-' && pattern[j + 2] !== undefined && pattern[j + 2] !== ']') {
+                    const [from, to] = [pattern[j], pattern[j + 2]].sort();
+                    set += `${escapeRegExp(from)}-${escapeRegExp(to)}`;
+                    j += 2;
+                } else {
+                    set += escapeRegExp(pattern[j]);
+                }
+            }
+            source += `[${negate ? '^' : ''}${set}]`;
+            i = j;
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+// Commands by name, with their arity as Redis counts it (including the command name):
+// exactly that many arguments when positive, at least that many when negative. Each runs
+// with `this` bound to the store, taking string arguments.
+const COMMANDS = {
+    // Keys
+    del: [-2, function (...keys) {
+        return keys.filter(key => this.remove(key)).length;
+    }],
+    exists: [-2, function (...keys) {
+        return keys.filter(key => this.lookup(key) !== undefined).length;
+    }],
+    type: [2, function (key) {
+        return status(this.lookup(key)?.type ?? 'none');
+    }],
+    pexpire: [3, function (key, ms) {
+        return this.expire(key, toInteger(ms));
+    }],
+    expire: [3, function (key, seconds) {
+        return this.expire(key, toInteger(seconds) * 1000);
+    }],
+    pttl: [2, function (key) {
+        if (this.lookup(key) === undefined) {
+            return -2;
+        }
+        const expiresAt = this.expires.get(key);
+        return expiresAt === undefined ? -1 : expiresAt - Date.now();
+    }],
+    ttl: [2, function (key) {
+        const ms = COMMANDS.pttl[1].call(this, key);
+        return ms < 0 ? ms : Math.round(ms / 1000);
+    }],
+    keys: [2, function (pattern) {
+        const regExp = globToRegExp(pattern);
+        return this.liveKeys().filter(key => regExp.test(key));
+    }],
+    // Every matching key at once: COUNT is only a hint, and one pass can't miss keys
+    scan: [-2, function (cursor, ...options) {
+        toInteger(cursor, 'ERR invalid cursor');
+        let pattern = '*';
+        for (let i = 0; i < options.length; i += 2) {
+            const option = options[i].toUpperCase();
+            if (options[i + 1] === undefined || (option !== 'MATCH' && option !== 'COUNT')) {
+                fail(SYNTAX_ERROR);
+            }
+            if (option === 'MATCH') {
+                pattern = options[i + 1];
+            } else if (toInteger(options[i + 1]) < 1) {
+                fail(SYNTAX_ERROR);
+            }
+        }
+        return ['0', COMMANDS.keys[1].call(this, pattern)];
+    }],
+    flushall: [-1, function () {
+        this.entries.clear();
+        this.expires.clear();
+        return OK;
+    }],
+    flushdb: [-1, function () {
+        return COMMANDS.flushall[1].call(this);
+    }],
+    ping: [-1, function (message) {
+        return message ?? status('PONG');
+    }],
+
+    // Strings
+    get: [2, function (key) {
+        return this.read(key, 'string')?.value ?? null;
+    }],
+    set: [-3, function (key, value, ...options) {
+        let ttl = null;
+        let condition = null;
+        let keepTtl = false;
+        for (let i = 0; i < options.length; i++) {
+            const option = options[i].toUpperCase();
+            if ((option === 'EX' || option === 'PX') && ttl === null && !keepTtl && i + 1 < options.length) {
+                const amount = toInteger(options[++i]);
+                if (amount <= 0) {
+                    fail("ERR invalid expire time in 'set' command");
+                }
+                ttl = option === 'EX' ? amount * 1000 : amount;
+            } else if ((option === 'NX' || option === 'XX') && condition === null) {
+                condition = option;
+            } else if (option === 'KEEPTTL' && ttl === null) {
+                keepTtl = true;
+            } else {
+                fail(SYNTAX_ERROR);
+            }
+        }
+        const exists = this.lookup(key) !== undefined;
+        if ((condition === 'NX' && exists) || (condition === 'XX' && !exists)) {
+            return null;
+        }
+        this.entries.set(key, { type: 'string', value });
+        if (ttl !== null) {
+            this.expires.set(key, Date.now() + ttl);
+        } else if (!keepTtl) {
+            this.expires.delete(key);
+        }
+        return OK;
+    }],
+    mget: [-2, function (...keys) {
+        return keys.map(key => {
+            const entry = this.lookup(key);
+            return entry?.type === 'string' ? entry.value : null;
+        });
+    }],
+    incr: [2, function (key) {
+        return this.increment(key, 1);
+    }],
+    decr: [2, function (key) {
+        return this.increment(key, -1);
+    }],
+    incrby: [3, function (key, increment) {
+        return this.increment(key, toInteger(increment));
+    }],
+
+    // Hashes
+    hget: [3, function (key, field) {
+        return this.read(key, 'hash')?.value.get(field) ?? null;
+    }],
+    hmget: [-3, function (key, ...fields) {
+        const hash = this.read(key, 'hash')?.value;
+        return fields.map(field => hash?.get(field) ?? null);
+    }],
+    hset: [-4, function (key, ...pairs) {
+        if (pairs.length % 2 !== 0) {
+            fail("ERR wrong number of arguments for 'hset' command");
+        }
+        const hash = this.write(key, 'hash', () => new Map()).value;
+        let added = 0;
+        for (let i = 0; i < pairs.length; i += 2) {
+            added += hash.has(pairs[i]) ? 0 : 1;
+            hash.set(pairs[i], pairs[i + 1]);
+        }
+        return added;
+    }],
+    hdel: [-3, function (key, ...fields) {
+        const entry = this.read(key, 'hash');
+        const removed = entry ? fields.filter(field => entry.value.delete(field)).length : 0;
+        this.removeIfEmpty(key, entry);
+        return removed;
+    }],
+    hincrby: [4, function (key, field, increment) {
+        const delta = toInteger(increment);
+        const hash = this.write(key, 'hash', () => new Map()).value;
+        const value = toInteger(hash.get(field) ?? '0', 'ERR hash value is not an integer') + delta;
+        hash.set(field, String(value));
+        return value;
+    }],
+    hkeys: [2, function (key) {
+        return [...(this.read(key, 'hash')?.value.keys() ?? [])];
+    }],
+    hlen: [2, function (key) {
+        return this.read(key, 'hash')?.value.size ?? 0;
+    }],
+    hgetall: [2, function (key) {
+        return [...(this.read(key, 'hash')?.value ?? [])].flat();
+    }],
+
+    // Lists
+    lpush: [-3, function (key, ...values) {
+        const list = this.write(key, 'list', () => []).value;
+        list.unshift(...values.reverse());
+        this.notify(key);
+        return list.length;
+    }],
+    rpush: [-3, function (key, ...values) {
+        const list = this.write(key, 'list', () => []).value;
+        list.push(...values);
+        this.notify(key);
+        return list.length;
+    }],
+    lpop: [-2, function (key, count) {
+        return this.pop(key, count, list => list.shift());
+    }],
+    rpop: [-2, function (key, count) {
+        return this.pop(key, count, list => list.pop());
+    }],
+    llen: [2, function (key) {
+        return this.read(key, 'list')?.value.length ?? 0;
+    }],
+    lrange: [4, function (key, start, stop) {
+        const list = this.read(key, 'list')?.value ?? [];
+        const [from, to] = listRange(list.length, start, stop);
+        return list.slice(from, to + 1);
+    }],
+    lindex: [3, function (key, index) {
+        const list = this.read(key, 'list')?.value ?? [];
+        const i = toInteger(index);
+        return list[i < 0 ? list.length + i : i] ?? null;
+    }],
+    lrem: [4, function (key, count, value) {
+        const entry = this.read(key, 'list');
+        const limit = toInteger(count);
+        if (!entry) {
+            return 0;
+        }
+        // Counting from the tail when negative, removing every occurrence when 0
+        const indexes = [...entry.value.keys()];
+        if (limit < 0) {
+            indexes.reverse();
+        }
+        const remove = new Set(indexes.filter(i => entry.value[i] === value).slice(0, limit === 0 ? undefined : Math.abs(limit)));
+        entry.value = entry.value.filter((_, i) => !remove.has(i));
+        this.removeIfEmpty(key, entry);
+        return remove.size;
+    }],
+    ltrim: [4, function (key, start, stop) {
+        const entry = this.read(key, 'list');
+        if (entry) {
+            const [from, to] = listRange(entry.value.length, start, stop);
+            entry.value = entry.value.slice(from, to + 1);
+            this.removeIfEmpty(key, entry);
+        }
+        return OK;
+    }],
+
+    // Sets
+    sadd: [-3, function (key, ...members) {
+        const set = this.write(key, 'set', () => new Set()).value;
+        const size = set.size;
+        members.forEach(member => set.add(member));
+        return set.size - size;
+    }],
+    srem: [-3, function (key, ...members) {
+        const entry = this.read(key, 'set');
+        const removed = entry ? members.filter(member => entry.value.delete(member)).length : 0;
+        this.removeIfEmpty(key, entry);
+        return removed;
+    }],
+    smembers: [2, function (key) {
+        return [...(this.read(key, 'set')?.value ?? [])];
+    }],
+    sismember: [3, function (key, member) {
+        return this.read(key, 'set')?.value.has(member) ? 1 : 0;
+    }],
+    scard: [2, function (key) {
+        return this.read(key, 'set')?.value.size ?? 0;
+    }],
+
+    // Sorted sets
+    zadd: [-4, function (key, ...pairs) {
+        if (pairs.length % 2 !== 0) {
+            fail(SYNTAX_ERROR);
+        }
+        const scores = pairs.filter((_, i) => i % 2 === 0).map(score => toScore(score)); // All valid before any is added
+        const zset = this.write(key, 'zset', () => new Map()).value;
+        let added = 0;
+        scores.forEach((score, i) => {
+            added += zset.has(pairs[2 * i + 1]) ? 0 : 1;
+            zset.set(pairs[2 * i + 1], score);
+        });
+        return added;
+    }],
+    zrem: [-3, function (key, ...members) {
+        const entry = this.read(key, 'zset');
+        const removed = entry ? members.filter(member => entry.value.delete(member)).length : 0;
+        this.removeIfEmpty(key, entry);
+        return removed;
+    }],
+    zcard: [2, function (key) {
+        return this.read(key, 'zset')?.value.size ?? 0;
+    }],
+    zscore: [3, function (key, member) {
+        const score = this.read(key, 'zset')?.value.get(member);
+        return score === undefined ? null : formatScore(score);
+    }],
+    zcount: [4, function (key, min, max) {
+        const [low, high] = [toBound(min), toBound(max)];
+        return [...(this.read(key, 'zset')?.value.values() ?? [])].filter(score => inBounds(score, low, high)).length;
+    }],
+    zrange: [-4, function (key, start, stop, ...options) {
+        if (options.length > 1 || (options.length === 1 && options[0].toUpperCase() !== 'WITHSCORES')) {
+            fail(SYNTAX_ERROR);
+        }
+        const members = sortedMembers(this.read(key, 'zset')?.value ?? []);
+        const [from, to] = listRange(members.length, start, stop);
+        return withScores(members.slice(from, to + 1), options.length === 1);
+    }],
+    zrangebyscore: [-4, function (key, min, max, ...options) {
+        const [low, high] = [toBound(min), toBound(max)];
+        let scores = false;
+        let offset = 0;
+        let count = -1;
+        for (let i = 0; i < options.length; i++) {
+            const option = options[i].toUpperCase();
+            if (option === 'WITHSCORES') {
+                scores = true;
+            } else if (option === 'LIMIT' && i + 2 < options.length) {
+                offset = toInteger(options[++i]);
+                count = toInteger(options[++i]);
+            } else {
+                fail(SYNTAX_ERROR);
+            }
+        }
+        const members = sortedMembers(this.read(key, 'zset')?.value ?? []).filter(([, score]) => inBounds(score, low, high));
+        if (offset < 0) {
+            return [];
+        }
+        return withScores(members.slice(offset, count < 0 ? undefined : offset + count), scores);
+    }],
+    zremrangebyscore: [4, function (key, min, max) {
+        const [low, high] = [toBound(min), toBound(max)];
+        const entry = this.read(key, 'zset');
+        let removed = 0;
+        for (const [member, score] of entry?.value ?? []) {
+            if (inBounds(score, low, high)) {
+                entry.value.delete(member);
+                removed++;
+            }
+        }
+        this.removeIfEmpty(key, entry);
+        return removed;
+    }],
+
+    // Scripting
+    eval: [-3, function (script, numKeys, ...rest) {
+        return this.runScript(this.scripts.load(script), numKeys, rest);
+    }],
+    evalsha: [-3, function (sha, numKeys, ...rest) {
+        return this.runScript(sha.toLowerCase(), numKeys, rest);
+    }],
+    script: [-2, function (subcommand, ...args) {
+        switch (subcommand.toUpperCase()) {
+            case 'LOAD':
+                return args.length === 1 ? this.scripts.load(args[0]) : fail(SYNTAX_ERROR);
+            case 'EXISTS':
+                return args.map(sha => (this.scripts.has(sha.toLowerCase()) ? 1 : 0));
+            case 'FLUSH':
+                this.scripts.flush();
+                return OK;
+            default:
+                return fail(`ERR unknown subcommand '${subcommand}'`);
+        }
+    }],
+};
+
+// Commands that can't be called from scripts
+const SCRIPTING_COMMANDS = new Set(['eval', 'evalsha', 'script']);
+
+/**
+ * Redis data in process memory: strings, hashes, lists, sets and sorted sets with key
+ * expiry, the commands this project uses on them, and Lua scripts run by EVAL and EVALSHA
+ * (see LuaScripts). Commands run synchronously, one at a time, so each one, a script
+ * included, is atomic as in Redis; clients wrap them in promises (see MemoryClient).
+ * Replies take the shapes ioredis gives them, and errors are ReplyErrors with Redis's messages.
+ */
+class MemoryStore {
+    constructor() {
+        this.entries = new Map(); // Key -> { type, value }
+        this.expires = new Map(); // Key -> ms since the epoch at which it expires
+        this.waiters = new Map(); // List key -> callbacks of clients blocked on it, longest waiting first
+        this.scripts = new LuaScripts((command, args) => this.callFromScript(command, args));
+        this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+        this.sweepTimer.unref();
+    }
+
+    /**
+     * Runs a command.
+     * @param {string} command - e.g. 'hget', in any case.
+     * @param {string[]} args
+     * @returns {*} The reply: a string, number, null, status() or an array of those.
+     */
+    call(command, args) {
+        const name = command.toLowerCase();
+        const [arity, run] = COMMANDS[name] ?? fail(`ERR unknown command '${command}'`);
+        if (arity > 0 ? args.length + 1 !== arity : args.length + 1 < -arity) {
+            fail(`ERR wrong number of arguments for '${name}' command`);
+        }
+        return run.apply(this, args);
+    }
+
+    callFromScript(command, args) {
+        if (SCRIPTING_COMMANDS.has(command.toLowerCase())) {
+            fail('ERR This Redis command is not allowed from script');
+        }
+        return this.call(command, args);
+    }
+
+    runScript(sha, numKeys, rest) {
+        const count = toInteger(numKeys);
+        if (count > rest.length) {
+            fail("ERR Number of keys can't be greater than number of args");
+        }
+        if (count < 0) {
+            fail("ERR Number of keys can't be negative");
+        }
+        return this.scripts.run(sha, rest.slice(0, count), rest.slice(count));
+    }
+
+    /**
+     * Waits for a list to get values, as BLPOP does: `callback` is called after each push,
+     * once the command or script that pushed has finished.
+     * @param {string} key
+     * @param {Function} callback
+     * @returns {Function} Stops waiting.
+     */
+    onPush(key, callback) {
+        const callbacks = this.waiters.get(key) ?? new Set();
+        this.waiters.set(key, callbacks.add(callback));
+        return () => {
+            callbacks.delete(callback);
+            if (callbacks.size === 0 && this.waiters.get(key) === callbacks) {
+                this.waiters.delete(key);
+            }
+        };
+    }
+
+    notify(key) {
+        const callbacks = this.waiters.get(key);
+        if (callbacks) {
+            queueMicrotask(() => callbacks.forEach(callback => callback()));
+        }
+    }
+
+    // The entry of a key, unless missing or expired
+    lookup(key) {
+        const expiresAt = this.expires.get(key);
+        if (expiresAt !== undefined && expiresAt <= Date.now()) {
+            this.remove(key);
+        }
+        return this.entries.get(key);
+    }
+
+    // The entry of a key holding a value of the given type, if any
+    read(key, type) {
+        const entry = this.lookup(key);
+        if (entry && entry.type !== type) {
+            fail(WRONGTYPE);
+        }
+        return entry;
+    }
+
+    // The entry of a key holding a value of the given type, created empty if missing
+    write(key, type, empty) {
+        let entry = this.read(key, type);
+        if (!entry) {
+            entry = { type, value: empty() };
+            this.entries.set(key, entry);
+        }
+        return entry;
+    }
+
+    remove(key) {
+        this.expires.delete(key);
+        return this.entries.delete(key);
+    }
+
+    // Redis drops hashes, lists, sets and sorted sets left empty
+    removeIfEmpty(key, entry) {
+        if (entry && (entry.value.length ?? entry.value.size) === 0) {
+            this.remove(key);
+        }
+    }
+
+    expire(key, ms) {
+        if (this.lookup(key) === undefined) {
+            return 0;
+        }
+        if (ms <= 0) {
+            this.remove(key);
+        } else {
+            this.expires.set(key, Date.now() + ms);
+        }
+        return 1;
+    }
+
+    increment(key, delta) {
+        const entry = this.read(key, 'string');
+        const value = (entry ? toInteger(entry.value) : 0) + delta;
+        if (entry) {
+            entry.value = String(value); // Keeps its expiry
+        } else {
+            this.entries.set(key, { type: 'string', value: String(value) });
+        }
+        return value;
+    }
+
+    pop(key, count, take) {
+        const entry = this.read(key, 'list');
+        const many = count !== undefined;
+        const limit = many ? toInteger(count) : 1;
+        if (!entry) {
+            return null;
+        }
+        const values = [];
+        while (values.length < limit && entry.value.length > 0) {
+            values.push(take(entry.value));
+        }
+        this.removeIfEmpty(key, entry);
+        return many ? values : values[0];
+    }
+
+    liveKeys() {
+        return [...this.entries.keys()].filter(key => this.lookup(key) !== undefined);
+    }
+
+    sweep() {
+        const now = Date.now();
+        for (const [key, expiresAt] of this.expires) {
+            if (expiresAt <= now) {
+                this.remove(key);
+            }
+        }
+    }
+
+    /**
+     * Stops the background expiry sweep, e.g. once no client uses the store any more.
+     */
+    close() {
+        clearInterval(this.sweepTimer);
+    }
+}
+
+export const MEMORY_COMMANDS = Object.keys(COMMANDS);
+
+export default MemoryStore;
@@ -0,0 +1,96 @@
+import Redis, { Cluster } from 'ioredis';
+import Storage from './storage.js';
+
+const REDIS_HOST = process.env.REDIS_HOST || '127.0.0.1';
+const REDIS_PORT = Number(process.env.REDIS_PORT) || 6379;
+// Commands fail after this long instead of waiting for Redis to come back, so requests don't hang
+const REDIS_COMMAND_TIMEOUT_MS = Number(process.env.REDIS_COMMAND_TIMEOUT_MS) || 1000;
+
+// A valid hash tag: the first '{' followed, later on, by a '}' with something in between
+const HASH_TAG = /^[^{]*\{[^}]+\}/;
+
+// 'host:port' or { host, port }
+function toNode(address) {
+    if (typeof address !== 'string') {
+        return address;
+    }
+    const separator = address.lastIndexOf(':');
+    return { host: address.slice(0, separator), port: Number(address.slice(separator + 1)) };
+}
+
+/**
+ * Keeps state in Redis: a single server, a master found through Redis Sentinel, or a Redis
+ * Cluster, or whichever ioredis client is given. Scripts run by SHA1 (see evalScript()).
+ *
+ * On a cluster, each limiter, queue and breaker keeps its keys under a hash tag of its key,
+ * e.g. '{login_queue}:signal', so the keys a script uses together share a hash slot.
+ */
+class RedisStorage extends Storage {
+    /**
+     * @param {object} [options]
+     * @param {Redis|Cluster} [options.client] - An ioredis client or cluster to use, e.g. one the
+     *   application already has. The other options are ignored then.
+     * @param {string} [options.host] - Defaults to REDIS_HOST, else 127.0.0.1.
+     * @param {number} [options.port] - Defaults to REDIS_PORT, else 6379.
+     * @param {Array<string|object>} [options.sentinels] - Sentinels ('host:port' or { host, port })
+     *   to ask for the master named `sentinelName`, instead of connecting to `host` and `port`.
+     * @param {string} [options.sentinelName] - Defaults to 'mymaster'.
+     * @param {Array<string|object>} [options.clusterNodes] - Nodes of a Redis Cluster to start from,
+     *   instead of connecting to `host` and `port`.
+     * @param {number} [options.commandTimeoutMs] - Defaults to REDIS_COMMAND_TIMEOUT_MS, else 1000.
+     */
+    constructor({
+        client,
+        host = REDIS_HOST,
+        port = REDIS_PORT,
+        sentinels = null,
+        sentinelName = 'mymaster',
+        clusterNodes = null,
+        commandTimeoutMs = REDIS_COMMAND_TIMEOUT_MS,
+    } = {}) {
+        if (sentinels && clusterNodes) {
+            throw new Error('RedisStorage: Set either sentinels or clusterNodes, not both');
+        }
+        if (!client) {
+            if (clusterNodes) {
+                client = new Cluster(clusterNodes.map(toNode), { redisOptions: { commandTimeout: commandTimeoutMs } });
+            } else if (sentinels) {
+                client = new Redis({ sentinels: sentinels.map(toNode), name: sentinelName, commandTimeout: commandTimeoutMs });
+            } else {
+                client = new Redis({ host, port, commandTimeout: commandTimeoutMs });
+            }
+        }
+        super(client);
+    }
+
+    hashTag(key) {
+        return this.client.isCluster && !HASH_TAG.test(key) ? `{${key}}` : key;
+    }
+
+    nodes() {
+        return this.client.isCluster ? this.client.nodes('master') : [this.client];
+    }
+
+    // Without a command timeout, which blocking commands would run into
+    duplicate() {
+        const { client } = this;
+        return new RedisStorage({
+            client: client.isCluster
+                ? client.duplicate([], { redisOptions: { ...client.options.redisOptions, commandTimeout: undefined } })
+                : client.duplicate({ commandTimeout: undefined }),
+        });
+    }
+
+    describe() {
+        const { options } = this.client;
+        if (this.client.isCluster) {
+            return { backend: 'redis', mode: 'cluster' };
+        }
+        if (options.sentinels) {
+            return { backend: 'redis', mode: 'sentinel', master: options.name };
+        }
+        return { backend: 'redis', mode: 'standalone', address: `${options.host}:${options.port}` };
+    }
+}
+
+export default RedisStorage;
@@ -0,0 +1,100 @@
+import { createHash } from 'node:crypto';
+
+const SCAN_COUNT = 100; // Keys asked for per SCAN round trip
+
+/**
+ * SHA1 digest of a script, by which EVALSHA finds it.
+ * @param {string} script
+ * @returns {string}
+ */
+export function sha1(script) {
+    return createHash('sha1').update(script).digest('hex');
+}
+
+const shas = new Map(); // Script -> SHA1, as scripts are run over and over
+
+/**
+ * Base class of the storage backends the limiters, queues, circuit breakers and result store
+ * keep their state in. Every backend has:
+ *
+ * - `client`, with the ioredis command API (get(), hset(), pipeline(), multi(), ...), its
+ *   'ready' event and disconnect().
+ * - `evalScript(script, keys, args)`, running a Lua script atomically.
+ * - `hashTag(key)`, the prefix under which a key's related keys must share a hash slot.
+ * - `scanKeys(pattern)`, finding keys across every node.
+ * - `duplicate()`, a storage with a connection of its own, for blocking commands.
+ * - `describe()`, for logs and status output.
+ * - `disconnect()`.
+ */
+class Storage {
+    /**
+     * @param {object} client - An ioredis Redis or Cluster, or a MemoryClient.
+     */
+    constructor(client) {
+        this.client = client;
+    }
+
+    /**
+     * Runs a Lua script by its SHA1 (EVALSHA), sending the whole script (EVAL) only when the
+     * server doesn't have it yet, e.g. after a restart or on another cluster node. EVAL also
+     * caches it there for the next time.
+     * @param {string} script
+     * @param {string[]} keys - Every key the script uses, as KEYS.
+     * @param {Array<string|number>} args - As ARGV.
+     * @returns {Promise<*>} The script's reply.
+     */
+    async evalScript(script, keys, args) {
+        let sha = shas.get(script);
+        if (!sha) {
+            sha = sha1(script);
+            shas.set(script, sha);
+        }
+        try {
+            return await this.client.evalsha(sha, keys.length, ...keys, ...args);
+        } catch (error) {
+            if (!error.message?.startsWith('NOSCRIPT')) {
+                throw error;
+            }
+            return this.client.eval(script, keys.length, ...keys, ...args);
+        }
+    }
+
+    /**
+     * Gives the key (or key prefix) from which a limiter, queue or breaker derives its keys.
+     * Only differs on a Redis Cluster, where the keys a script uses must share a hash slot.
+     * @param {string} key
+     * @returns {string}
+     */
+    hashTag(key) {
+        return key;
+    }
+
+    /**
+     * Finds the keys matching a pattern, with SCAN rather than the blocking KEYS.
+     * @param {string} pattern - Glob-style, as for SCAN's MATCH.
+     * @returns {Promise<string[]>}
+     */
+    async scanKeys(pattern) {
+        const keys = new Set(); // SCAN may return a key more than once
+        for (const node of this.nodes()) {
+            let cursor = '0';
+            do {
+                const [next, batch] = await node.scan(cursor, 'MATCH', pattern, 'COUNT', SCAN_COUNT);
+                cursor = next;
+                batch.forEach(key => keys.add(key));
+            } while (cursor !== '0');
+        }
+        return [...keys];
+    }
+
+    // The clients holding the keys, to scan them all
+    nodes() {
+        return [this.client];
+    }
+
+    async disconnect() {
+        await this.client.disconnect();
+    }
+}
+
+export default Storage;
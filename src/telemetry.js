@@ -0,0 +1,114 @@
+/**
+ * Sets up OpenTelemetry tracing in the proxy and the worker: registers a tracer provider that
+ * exports the spans made in tracing.js to an OTLP collector, a file or the console.
+ */
+import { appendFile } from 'node:fs/promises';
+import { SpanKind } from '@opentelemetry/api';
+import { ExportResultCode, hrTimeToMicroseconds } from '@opentelemetry/core';
+import { OTLPTraceExporter } from '@opentelemetry/exporter-trace-otlp-http';
+import { resourceFromAttributes } from '@opentelemetry/resources';
+import { BatchSpanProcessor, ConsoleSpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+import { NodeTracerProvider } from '@opentelemetry/sdk-trace-node';
+import logger from './logger.js';
+
+export const TRACE_EXPORTERS = ['none', 'otlp', 'file', 'console'];
+
+const log = logger.child({ component: 'tracing' });
+
+/**
+ * A span exporter appending each span to a file as one JSON line, e.g. for tests or for
+ * following a request without running a collector.
+ */
+export class FileSpanExporter {
+    /**
+     * @param {string} file - Created if it doesn't exist.
+     */
+    constructor(file) {
+        this.file = file;
+        this.writing = Promise.resolve(); // Keeps batches in order
+    }
+
+    export(spans, resultCallback) {
+        const lines = spans.map(span => `${JSON.stringify(describeSpan(span))}\n`).join('');
+        this.writing = this.writing
+            .then(() => appendFile(this.file, lines))
+            .then(
+                () => resultCallback({ code: ExportResultCode.SUCCESS }),
+                error => resultCallback({ code: ExportResultCode.FAILED, error })
+            );
+    }
+
+    forceFlush() {
+        return this.writing;
+    }
+
+    shutdown() {
+        return this.writing;
+    }
+}
+
+function describeSpan(span) {
+    const { traceId, spanId } = span.spanContext();
+    return {
+        traceId,
+        spanId,
+        parentSpanId: span.parentSpanContext?.spanId,
+        name: span.name,
+        kind: SpanKind[span.kind],
+        service: span.resource.attributes['service.name'],
+        startTime: hrTimeToMicroseconds(span.startTime), // µs since the epoch
+        durationMicros: hrTimeToMicroseconds(span.duration),
+        attributes: span.attributes,
+        status: span.status,
+        events: span.events.map(({ name, attributes }) => ({ name, attributes })),
+        links: span.links.map(({ context, attributes }) => ({ traceId: context.traceId, spanId: context.spanId, attributes })),
+    };
+}
+
+// Spans go out in batches, except to exporters given directly, which get each span as it ends
+function spanProcessor(exporter, { endpoint, file }) {
+    switch (exporter) {
+        case 'otlp':
+            return new BatchSpanProcessor(new OTLPTraceExporter({ url: endpoint }));
+        case 'file':
+            return new BatchSpanProcessor(new FileSpanExporter(file));
+        case 'console':
+            return new SimpleSpanProcessor(new ConsoleSpanExporter());
+        default:
+            if (typeof exporter?.export !== 'function') {
+                throw new Error(`Tracing: Unknown exporter '${exporter}'`);
+            }
+            return new SimpleSpanProcessor(exporter);
+    }
+}
+
+/**
+ * Starts exporting spans, unless the exporter is 'none'. Registers the tracer provider
+ * globally, with W3C trace context propagation and async context tracking, so it can only
+ * be called once per process.
+ * @param {object} options
+ * @param {string|object} [options.exporter] - One of TRACE_EXPORTERS, or an OpenTelemetry
+ *   SpanExporter, e.g. an InMemorySpanExporter in tests.
+ * @param {string} [options.endpoint] - URL spans are posted to with 'otlp' (OTLP over HTTP).
+ * @param {string} [options.file] - File spans are appended to with 'file', one JSON object per line.
+ * @param {string} options.serviceName - The `service.name` of the spans, e.g. 'rate-limiter-worker'.
+ * @returns {NodeTracerProvider|null} Call its shutdown() before exiting to export the last
+ *   spans. Null for 'none'.
+ */
+export function startTracing({ exporter = 'none', endpoint, file, serviceName }) {
+    if (exporter === 'none') {
+        return null;
+    }
+    const provider = new NodeTracerProvider({
+        resource: resourceFromAttributes({ 'service.name': serviceName }),
+        spanProcessors: [spanProcessor(exporter, { endpoint, file })],
+    });
+    provider.register();
+    log.info('Tracing started', {
+        serviceName,
+        exporter: typeof exporter === 'string' ? exporter : exporter.constructor.name,
+        ...(exporter === 'otlp' && { endpoint }),
+        ...(exporter === 'file' && { file }),
+    });
+    return provider;
+}
@@ -0,0 +1,109 @@
+/**
+ * OpenTelemetry instrumentation. Spans are made through the OpenTelemetry API only, so they
+ * cost next to nothing until a tracer provider is registered (see startTracing() in
+ * telemetry.js, or register your own when using this as a library).
+ *
+ * Queued requests carry the trace context of the request that queued them (`traceContext`,
+ * W3C traceparent/tracestate), so the spans of the worker that dispatches them, possibly in
+ * another process much later, link back to the original trace.
+ */
+import { ROOT_CONTEXT, SpanKind, SpanStatusCode, context, isSpanContextValid, propagation, trace } from '@opentelemetry/api';
+
+export const TRACER_NAME = 'rate-limiter-proxy';
+
+// A proxy tracer: it uses whatever provider is registered, even if that happens later
+const tracer = trace.getTracer(TRACER_NAME);
+
+export { SpanKind, SpanStatusCode };
+
+/**
+ * Runs `fn(span)` inside a new active span, which ends when it settles. Rejections are
+ * recorded on the span and passed on.
+ * @param {string} name - Span name, e.g. 'requestQueue.enqueue'.
+ * @param {object} options - Span options: `kind`, `attributes`, `links`.
+ * @param {Function} fn - `async span => result`.
+ * @returns {Promise<any>} What `fn` resolves to.
+ */
+export function withSpan(name, options, fn) {
+    return tracer.startActiveSpan(name, options, async span => {
+        try {
+            return await fn(span);
+        } catch (error) {
+            span.recordException(error);
+            span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+            throw error;
+        } finally {
+            span.end();
+        }
+    });
+}
+
+/**
+ * Sets attributes on the active span, if there is one.
+ * @param {object} attributes
+ */
+export function setActiveSpanAttributes(attributes) {
+    trace.getActiveSpan()?.setAttributes(attributes);
+}
+
+/**
+ * Captures the active trace context to be stored with a queued request.
+ * @returns {object|undefined} `{ traceparent, tracestate? }`, or undefined outside a trace.
+ */
+export function injectTraceContext() {
+    const carrier = {};
+    propagation.inject(context.active(), carrier);
+    return Object.keys(carrier).length > 0 ? carrier : undefined;
+}
+
+/**
+ * Turns the trace context stored with a queued request into span links.
+ * @param {object} [traceContext] - As captured by injectTraceContext().
+ * @returns {Array<{context: object}>} One link, or none without a valid trace context.
+ */
+export function traceLinks(traceContext) {
+    if (!traceContext) {
+        return [];
+    }
+    const spanContext = trace.getSpanContext(propagation.extract(ROOT_CONTEXT, traceContext));
+    return spanContext && isSpanContextValid(spanContext) ? [{ context: spanContext }] : [];
+}
+
+/**
+ * Express middleware starting a server span for each request, continuing the trace of the
+ * request's traceparent header, and running the handlers after it inside that span. The span
+ * ends when the response is sent; 5xx responses mark it as an error.
+ * @param {string} route - The route's name, recorded on the span.
+ * @param {string} [path] - The route's path pattern, used in the span name.
+ * @returns {Function}
+ */
+export function traceRequest(route, path = route) {
+    return (req, res, next) => {
+        const parent = propagation.extract(context.active(), req.headers);
+        const span = tracer.startSpan(`${req.method} ${path}`, {
+            kind: SpanKind.SERVER,
+            attributes: {
+                'http.request.method': req.method,
+                'http.route': path,
+                'url.path': req.path,
+                'proxy.route': route,
+                ...(req.requestId && { 'proxy.request_id': req.requestId }),
+            },
+        }, parent);
+        let ended = false;
+        const end = () => {
+            if (ended) {
+                return;
+            }
+            ended = true;
+            span.setAttribute('http.response.status_code', res.statusCode);
+            if (res.statusCode >= 500) {
+                span.setStatus({ code: SpanStatusCode.ERROR });
+            }
+            span.end();
+        };
+        res.once('finish', end);
+        res.once('close', end); // Also when the client goes away first
+        context.with(trace.setSpan(parent, span), next);
+    };
+}
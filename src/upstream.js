@@ -0,0 +1,215 @@
+/**
+ * Helpers for forwarding requests to an upstream service and relaying its responses.
+ * Requests are described by plain objects, `{ method, url, headers, body }` with `url`
+ * being the original path and query string, so they can be queued as JSON.
+ */
+import { REQUEST_ID_HEADER } from './requestContext.js';
+import { SpanKind, SpanStatusCode, injectTraceContext, withSpan } from './tracing.js';
+
+// Hop-by-hop headers (RFC 9110, section 7.6.1) apply to a single connection and must not be forwarded
+const HOP_BY_HOP_HEADERS = new Set([
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'proxy-connection',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade',
+]);
+
+function withoutHeaders(headers, excluded) {
+    // Headers named in Connection are hop-by-hop as well
+    const connection = String(headers.connection || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase());
+    return Object.fromEntries(Object.entries(headers).filter(([name]) => {
+        const lower = name.toLowerCase();
+        return !HOP_BY_HOP_HEADERS.has(lower) && !excluded.includes(lower) && !connection.includes(lower);
+    }));
+}
+
+/**
+ * Filters the headers of a request about to be queued: hop-by-hop headers are always dropped,
+ * then those not in `allow` (if given) and those in `deny`. Names are case-insensitive.
+ * @param {object} headers
+ * @param {object} [options]
+ * @param {string[]|null} [options.allow] - The only headers kept. All of them when null.
+ * @param {string[]} [options.deny] - Headers dropped.
+ * @returns {object} The kept headers.
+ */
+export function filterHeaders(headers, { allow = null, deny = [] } = {}) {
+    const allowed = allow && allow.map(name => name.toLowerCase());
+    const kept = withoutHeaders(headers, deny.map(name => name.toLowerCase()));
+    return allowed ? Object.fromEntries(Object.entries(kept).filter(([name]) => allowed.includes(name.toLowerCase()))) : kept;
+}
+
+/**
+ * Builds the headers to send upstream: the client's headers without hop-by-hop headers,
+ * plus X-Forwarded-For/-Host/-Proto and the request's X-Request-Id, if it has been given
+ * one (see assignRequestContext()). Host and Content-Length are set by fetch.
+ * @param {object} req - Express request.
+ * @returns {object}
+ */
+export function forwardedHeaders(req) {
+    const headers = withoutHeaders(req.headers, ['host', 'content-length']);
+    const forwardedFor = req.headers['x-forwarded-for'];
+    const clientAddress = req.socket?.remoteAddress;
+    if (clientAddress) {
+        headers['x-forwarded-for'] = forwardedFor ? `${forwardedFor}, ${clientAddress}` : clientAddress;
+    }
+    if (req.headers.host) {
+        headers['x-forwarded-host'] = req.headers.host;
+    }
+    headers['x-forwarded-proto'] = req.protocol;
+    if (req.requestId) {
+        headers[REQUEST_ID_HEADER] = req.requestId;
+    }
+    return headers;
+}
+
+/**
+ * The body of a request as read by express.raw(), or re-encoded as JSON if it was parsed.
+ * @param {object} req - Express request.
+ * @returns {Buffer} Empty if it has none.
+ */
+export function rawBody(req) {
+    if (Buffer.isBuffer(req.body)) {
+        return req.body;
+    }
+    if (typeof req.body === 'string') {
+        return Buffer.from(req.body);
+    }
+    // Already parsed, e.g. by express.json(); send it on as JSON
+    if (req.body && typeof req.body === 'object' && Object.keys(req.body).length > 0) {
+        return Buffer.from(JSON.stringify(req.body));
+    }
+    return Buffer.alloc(0);
+}
+
+/**
+ * Describes an incoming Express request so it can be forwarded now or queued as JSON and
+ * forwarded later. Bodies are forwarded byte for byte if they were read with express.raw().
+ * @param {object} req - Express request.
+ * @returns {{method: string, url: string, headers: object, body: string|null}} The body is base64-encoded.
+ */
+export function describeRequest(req) {
+    const body = rawBody(req);
+    return {
+        method: req.method,
+        url: req.originalUrl,
+        headers: forwardedHeaders(req),
+        body: body.length > 0 ? body.toString('base64') : null,
+    };
+}
+
+/**
+ * Sends a described request to an upstream service. Redirects are not followed, so they
+ * reach the client as-is. The request's traceparent is that of its 'upstream.request' span.
+ * @param {string} upstream - Base URL of the upstream service; the request's path is appended to it.
+ * @param {object} request - As returned by describeRequest().
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the request, e.g. when a circuit breaker's call times out.
+ * @returns {Promise<{status: number, headers: object, body: Buffer}>}
+ */
+export async function sendUpstream(upstream, request, { signal } = {}) {
+    const url = upstream + request.url;
+    return withSpan('upstream.request', {
+        kind: SpanKind.CLIENT,
+        attributes: { 'http.request.method': request.method, 'url.full': url },
+    }, async span => {
+        const response = await fetch(url, {
+            method: request.method,
+            headers: { ...request.headers, ...injectTraceContext() },
+            body: request.body === null ? undefined : Buffer.from(request.body, 'base64'),
+            redirect: 'manual',
+            signal,
+        });
+        span.setAttribute('http.response.status_code', response.status);
+        if (response.status >= 400) {
+            span.setStatus({ code: SpanStatusCode.ERROR });
+        }
+        const headers = Object.fromEntries(response.headers);
+        const cookies = response.headers.getSetCookie(); // Set-Cookie can't be joined into one header
+        if (cookies.length > 0) {
+            headers['set-cookie'] = cookies;
+        }
+        return {
+            status: response.status,
+            headers,
+            body: Buffer.from(await response.arrayBuffer()),
+        };
+    });
+}
+
+/**
+ * Sends a request upstream and rejects if the upstream service responded with a server
+ * error (5xx), so the circuit breaker counts it as a failure. The response is kept on the
+ * error's `response` property. Client errors (4xx) resolve like any other response.
+ * @param {string} upstream
+ * @param {object} request
+ * @param {object} [options] - As for sendUpstream().
+ * @returns {Promise<{status: number, headers: object, body: Buffer}>}
+ */
+export async function callUpstream(upstream, request, options) {
+    const response = await sendUpstream(upstream, request, options);
+    if (response.status >= 500) {
+        const error = new Error(`Upstream service responded with ${response.status}`);
+        error.response = response;
+        throw error;
+    }
+    return response;
+}
+
+/**
+ * Relays an upstream response to the client. fetch has already decoded the body, so
+ * Content-Encoding and Content-Length no longer apply and are left to Express.
+ * @param {object} res - Express response.
+ * @param {{status: number, headers: object, body: Buffer}} response
+ */
+export function relayResponse(res, response) {
+    res.status(response.status);
+    // The request's own ID wins over whatever the upstream service answers with
+    const excluded = ['content-encoding', 'content-length', ...(res.hasHeader(REQUEST_ID_HEADER) ? [REQUEST_ID_HEADER] : [])];
+    // setHeader() rather than res.set(), which would add a charset to Content-Type
+    for (const [name, value] of Object.entries(withoutHeaders(response.headers, excluded))) {
+        res.setHeader(name, value);
+    }
+    res.end(response.body);
+}
+
+/**
+ * Converts an upstream response into a JSON-friendly form for the result store. Text and
+ * JSON bodies are kept readable; anything else is base64-encoded.
+ * @param {{status: number, headers: object, body: Buffer}} response
+ * @returns {{status: number, headers: object, body: any, bodyEncoding?: string}}
+ */
+export function storedResponse(response) {
+    const headers = withoutHeaders(response.headers, ['content-encoding', 'content-length']);
+    const contentType = String(headers['content-type'] || '');
+    if (/[/+]json\b/.test(contentType)) {
+        try {
+            return { status: response.status, headers, body: JSON.parse(response.body.toString('utf8')) };
+        } catch {
+            // Not actually JSON; store it as text
+        }
+    }
+    if (contentType === '' || /^text\/|[/+](json|xml)\b|urlencoded/.test(contentType)) {
+        return { status: response.status, headers, body: response.body.toString('utf8') };
+    }
+    return { status: response.status, headers, body: response.body.toString('base64'), bodyEncoding: 'base64' };
+}
+
+/**
+ * Turns a response kept by storedResponse() back into one relayResponse() can send, e.g. to
+ * answer a repeated request with the original's response.
+ * @param {{status: number, headers: object, body: any, bodyEncoding?: string}} stored
+ * @returns {{status: number, headers: object, body: Buffer}}
+ */
+export function restoredResponse({ status, headers = {}, body, bodyEncoding }) {
+    if (bodyEncoding === 'base64') {
+        return { status, headers, body: Buffer.from(body, 'base64') };
+    }
+    return { status, headers, body: Buffer.from(typeof body === 'string' ? body : JSON.stringify(body ?? null)) };
+}
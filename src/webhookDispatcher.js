@@ -0,0 +1,330 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { computeBackoff } from './backoff.js';
+import logger from './logger.js';
+import RedisStorage from './storage/redisStorage.js';
+
+export const SIGNATURE_HEADER = 'x-webhook-signature';
+export const TIMESTAMP_HEADER = 'x-webhook-timestamp';
+export const DELIVERY_ID_HEADER = 'x-webhook-id';
+
+export const DeliveryStatus = Object.freeze({
+    PENDING: 'pending', // Not yet delivered; attempts left
+    DELIVERED: 'delivered',
+    FAILED: 'failed', // Out of attempts, or its URL is no longer allowed
+});
+
+/**
+ * Signs a callback body: HMAC-SHA256 over '<timestamp>.<body>', so a receiver can check both
+ * who sent it and that it isn't an old callback sent again.
+ * @param {string} secret
+ * @param {number} timestamp - Unix time in seconds, as sent in X-Webhook-Timestamp.
+ * @param {string} body
+ * @returns {string} The X-Webhook-Signature value, 'sha256=<hex>'.
+ */
+export function signPayload(secret, timestamp, body) {
+    return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Checks a callback's signature, as a receiver would.
+ * @param {string} secret
+ * @param {object} callback
+ * @param {string} callback.signature - The X-Webhook-Signature header.
+ * @param {string|number} callback.timestamp - The X-Webhook-Timestamp header.
+ * @param {string} callback.body - The raw body.
+ * @param {number} [toleranceSeconds] - How old the callback may be.
+ * @returns {boolean}
+ */
+export function verifySignature(secret, { signature, timestamp, body }, toleranceSeconds = 300) {
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+    if (!(age <= toleranceSeconds) || typeof signature !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const given = Buffer.from(signature);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+/**
+ * Checks a callback URL against an allowlist, so clients can't have the worker call internal
+ * services. A URL is allowed if it has the origin of an allowed URL and its path is that URL's
+ * path or below it. User names and passwords in URLs are never allowed.
+ * @param {string} url
+ * @param {string[]} allowedUrls - e.g. ['https://hooks.example.com/rate-limiter/'].
+ * @returns {boolean}
+ */
+export function isAllowedUrl(url, allowedUrls) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return false;
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol) || parsed.username || parsed.password) {
+        return false;
+    }
+    return allowedUrls.some(allowedUrl => {
+        const allowed = new URL(allowedUrl);
+        const below = allowed.pathname.endsWith('/') ? allowed.pathname : `${allowed.pathname}/`;
+        return parsed.origin === allowed.origin && (parsed.pathname === allowed.pathname || parsed.pathname.startsWith(below));
+    });
+}
+
+/**
+ * Notifies callers of the outcome of their queued requests with signed webhook callbacks:
+ * the request's stored result (see ResultStore), POSTed as JSON to the callback URL it was
+ * queued with.
+ *
+ * Deliveries are kept in Redis: one record per request, holding its attempts, and a sorted set
+ * of when each pending delivery is due. Any worker can send a due callback; it leases it while
+ * sending, so a worker that dies mid-delivery only delays it. Failed attempts (anything but a
+ * 2xx answer, including redirects, which aren't followed) are retried with exponential backoff
+ * until `maxAttempts` have been made. The record stays readable for `ttlSeconds` after its last
+ * attempt, as the request's delivery log.
+ */
+class WebhookDispatcher {
+    /**
+     * @param {object} options
+     * @param {string} options.secret - Signs every callback.
+     * @param {string[]} [options.allowedUrls] - Callback URLs must be on it (see isAllowedUrl()),
+     *   when queued and again when sent.
+     * @param {number} [options.maxAttempts] - Gives up on a callback after this many attempts.
+     * @param {number} [options.retryBaseDelayMs] - Delay before the first retry, doubled on each further one.
+     * @param {number} [options.retryMaxDelayMs] - Upper bound for the retry delay.
+     * @param {number} [options.timeoutMs] - How long to wait for the receiver to answer.
+     * @param {number} [options.ttlSeconds] - How long a delivery record is kept after its last attempt.
+     * @param {string} [options.prefix] - Of the Redis keys.
+     * @param {Storage} [options.storage] - Where deliveries are kept; a Redis connection of its own by default.
+     */
+    constructor({
+        secret,
+        allowedUrls = [],
+        maxAttempts = 5,
+        retryBaseDelayMs = 1000,
+        retryMaxDelayMs = 300000,
+        timeoutMs = 5000,
+        ttlSeconds = 3600,
+        prefix = 'webhook',
+        storage,
+    }) {
+        if (typeof secret !== 'string' || secret === '') {
+            throw new Error('WebhookDispatcher: A secret is required');
+        }
+        for (const allowedUrl of allowedUrls) {
+            if (!isAllowedUrl(allowedUrl, [allowedUrl])) {
+                throw new Error(`WebhookDispatcher: '${allowedUrl}' is not an http(s) URL`);
+            }
+        }
+        this.secret = secret;
+        this.allowedUrls = allowedUrls;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseDelayMs = retryBaseDelayMs;
+        this.retryMaxDelayMs = retryMaxDelayMs;
+        this.timeoutMs = timeoutMs;
+        this.ttlSeconds = ttlSeconds;
+        this.ownsStorage = !storage;
+        this.storage = storage ?? new RedisStorage();
+        this.redis = this.storage.client;
+        this.keyPrefix = this.storage.hashTag(prefix); // The scripts' keys share a slot on a cluster
+        this.dueKey = `${this.keyPrefix}:due`;
+        this.log = logger.child({ component: 'webhookDispatcher' });
+
+        // Lua script storing a new delivery and making it due, unless the request has one
+        // already, e.g. because its worker crashed after scheduling it. Returns 1 if stored.
+        this.scheduleScript = `
+            if not redis.call('SET', KEYS[2], ARGV[2], 'EX', ARGV[3], 'NX') then
+                return 0
+            end
+            redis.call('ZADD', KEYS[1], ARGV[4], ARGV[1])
+            return 1
+        `;
+
+        // Lua script leasing up to ARGV[2] due deliveries until ARGV[3], so no other worker
+        // sends them meanwhile. Returns their request IDs.
+        this.leaseScript = `
+            local due = redis.call('ZRANGEBYSCORE', KEYS[1], '-inf', ARGV[1], 'LIMIT', 0, ARGV[2])
+            for _, requestId in ipairs(due) do
+                redis.call('ZADD', KEYS[1], ARGV[3], requestId)
+            end
+            return due
+        `;
+
+        // Lua script saving a delivery after an attempt, and making it due again at ARGV[4]
+        // or, if that is empty, dropping it from the due deliveries
+        this.saveScript = `
+            redis.call('SET', KEYS[2], ARGV[2], 'EX', ARGV[3])
+            if ARGV[4] == '' then
+                redis.call('ZREM', KEYS[1], ARGV[1])
+            else
+                redis.call('ZADD', KEYS[1], ARGV[4], ARGV[1])
+            end
+            return 1
+        `;
+    }
+
+    recordKey(requestId) {
+        return `${this.keyPrefix}:delivery:${requestId}`;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {boolean} Whether callbacks may be sent to the URL.
+     */
+    allows(url) {
+        return isAllowedUrl(url, this.allowedUrls);
+    }
+
+    /**
+     * Schedules the callback for a finished request, to be sent by deliverDue().
+     * @param {string} url - The callback URL the request was queued with.
+     * @param {object} result - The request's stored result, with its `requestId`.
+     * @returns {Promise<boolean>} False if the request already had a callback scheduled.
+     */
+    async schedule(url, result) {
+        const { requestId } = result;
+        const record = { requestId, url, status: DeliveryStatus.PENDING, body: JSON.stringify(result), attempts: [] };
+        try {
+            const scheduled = await this.storage.evalScript(
+                this.scheduleScript,
+                [this.dueKey, this.recordKey(requestId)],
+                [requestId, JSON.stringify(record), this.ttlSeconds, Date.now()]
+            );
+            return scheduled === 1;
+        } catch (error) {
+            this.log.error('Error scheduling callback', { requestId, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Sends the callbacks that are due, up to `limit` of them at once.
+     * @param {number} [limit]
+     * @returns {Promise<number>} How many were attempted.
+     */
+    async deliverDue(limit = 10) {
+        let requestIds;
+        try {
+            const now = Date.now();
+            // Leased long enough for the attempt to time out before anyone else tries
+            requestIds = await this.storage.evalScript(this.leaseScript, [this.dueKey], [now, limit, now + this.timeoutMs * 2]);
+        } catch (error) {
+            this.log.error('Error leasing due callbacks', { error });
+            throw error;
+        }
+        await Promise.all(requestIds.map(requestId => this.deliver(requestId)));
+        return requestIds.length;
+    }
+
+    // One attempt at a leased delivery. Never rejects; a delivery it couldn't save stays leased
+    // and is retried once the lease is up.
+    async deliver(requestId) {
+        const log = this.log.child({ requestId });
+        try {
+            const stored = await this.redis.get(this.recordKey(requestId));
+            const record = stored && JSON.parse(stored);
+            if (!record || record.status !== DeliveryStatus.PENDING) {
+                await this.redis.zrem(this.dueKey, requestId); // Expired, or finished by another worker
+                return;
+            }
+            const attempt = { attempt: record.attempts.length + 1, at: Date.now() };
+            const allowed = this.allows(record.url); // The allowlist may have changed since it was queued
+            if (allowed) {
+                Object.assign(attempt, await this.send(record));
+            } else {
+                attempt.error = 'Callback URL is not allowed';
+            }
+
+            let dueAt = '';
+            if (attempt.error === undefined) {
+                record.status = DeliveryStatus.DELIVERED;
+                log.info('Callback delivered.', { url: record.url, status: attempt.status, attempt: attempt.attempt });
+            } else if (attempt.attempt >= this.maxAttempts || !allowed) {
+                record.status = DeliveryStatus.FAILED;
+                log.warn('Callback failed. Giving up.', { url: record.url, attempt: attempt.attempt, reason: attempt.error });
+            } else {
+                dueAt = attempt.at + computeBackoff(attempt.attempt, this.retryBaseDelayMs, this.retryMaxDelayMs);
+                attempt.nextAttemptAt = dueAt;
+                log.info('Callback failed. Retrying.', { url: record.url, attempt: attempt.attempt, reason: attempt.error, retryDelayMs: dueAt - attempt.at });
+            }
+            record.attempts.push(attempt);
+            if (record.status !== DeliveryStatus.PENDING) {
+                delete record.body; // Only needed for further attempts
+            }
+            await this.storage.evalScript(
+                this.saveScript,
+                [this.dueKey, this.recordKey(requestId)],
+                [requestId, JSON.stringify(record), this.ttlSeconds, dueAt]
+            );
+        } catch (error) {
+            log.error('Error delivering callback', { error });
+        }
+    }
+
+    // POSTs a callback, signed with the time of this attempt
+    async send({ requestId, url, body }) {
+        const timestamp = Math.floor(Date.now() / 1000);
+        const start = performance.now();
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'content-type': 'application/json',
+                    [DELIVERY_ID_HEADER]: requestId,
+                    [TIMESTAMP_HEADER]: String(timestamp),
+                    [SIGNATURE_HEADER]: signPayload(this.secret, timestamp, body),
+                },
+                body,
+                redirect: 'manual', // A redirect could lead anywhere, allowed or not
+                signal: AbortSignal.timeout(this.timeoutMs),
+            });
+            await response.arrayBuffer(); // Frees the connection
+            const durationMs = Math.round(performance.now() - start);
+            return response.ok
+                ? { status: response.status, durationMs }
+                : { status: response.status, durationMs, error: `Receiver responded with ${response.status}` };
+        } catch (error) {
+            return { status: null, durationMs: Math.round(performance.now() - start), error: error.message };
+        }
+    }
+
+    /**
+     * Reads the delivery log of a request's callback.
+     * @param {string} requestId
+     * @returns {Promise<{requestId: string, url: string, status: string, attempts: object[]}|null>}
+     *   Each attempt has its number, time, the receiver's status (null if it couldn't be reached),
+     *   its duration and, if it failed, the error and when the next attempt is due. Null if the
+     *   request has no callback, or its log has expired.
+     */
+    async getDelivery(requestId) {
+        try {
+            const stored = await this.redis.get(this.recordKey(requestId));
+            if (!stored) {
+                return null;
+            }
+            const delivery = JSON.parse(stored);
+            delete delivery.body;
+            return delivery;
+        } catch (error) {
+            this.log.error('Error reading callback delivery', { requestId, error });
+            throw error;
+        }
+    }
+
+    describe() {
+        return {
+            allowedUrls: this.allowedUrls,
+            maxAttempts: this.maxAttempts,
+            retryBaseDelayMs: this.retryBaseDelayMs,
+            retryMaxDelayMs: this.retryMaxDelayMs,
+            timeoutMs: this.timeoutMs,
+        };
+    }
+
+    async disconnect() {
+        if (this.ownsStorage) {
+            await this.storage.disconnect();
+        }
+    }
+}
+
+export default WebhookDispatcher;
@@ -1,103 +1,504 @@
-import TokenBucket from './rateLimiter.js';
-import RequestQueue from './requestQueue.js';
-import CircuitBreaker from './circuitBreaker.js';
-import fetch from 'node-fetch'; // For making HTTP requests
-
-// --- Configuration ---
-const RATE_LIMIT_CAPACITY = 1000;
-const RATE_LIMIT_FILL_RATE = 100;
-const QUEUE_NAME = 'login_queue';
-const TARGET_SERVICE_URL = 'http://localhost:3001/db-login';
-
-const CIRCUIT_BREAKER_FAILURE_THRESHOLD = 3;
-const CIRCUIT_BREAKER_RESET_TIMEOUT = 15000; // 15 seconds
-const CIRCUIT_BREAKER_SUCCESS_THRESHOLD = 2;
-
-const WORKER_DELAY_MS = 50; // Delay between queue processing attempts
-
-// --- Instantiation ---
-const tokenBucket = new TokenBucket(RATE_LIMIT_CAPACITY, RATE_LIMIT_FILL_RATE, 'login_rate_limit');
-const requestQueue = new RequestQueue(QUEUE_NAME);
-const circuitBreaker = new CircuitBreaker(
-    CIRCUIT_BREAKER_FAILURE_THRESHOLD,
-    CIRCUIT_BREAKER_RESET_TIMEOUT,
-    CIRCUIT_BREAKER_SUCCESS_THRESHOLD
-);
-
-console.log('Request processing worker started.');
-
-async function processQueue() {
-    while (true) {
+import ResultStore from './resultStore.js';
+import WebhookDispatcher from './webhookDispatcher.js';
+import Metrics from './metrics.js';
+import { computeBackoff } from './backoff.js';
+import { CallCancelledError, CircuitOpenError } from './breakerPolicy.js';
+import { createRouteResources, disconnectRouteResources, payloadOptions, reloadRouteResources, resolveRoutes } from './proxyServer.js';
+import { callUpstream, storedResponse } from './upstream.js';
+import logger from './logger.js';
+import { SpanKind, setActiveSpanAttributes, traceLinks, withSpan } from './tracing.js';
+
+const log = logger.child({ component: 'worker' });
+
+const PAUSED_POLL_MS = 1000; // How often to check whether a paused queue was resumed
+const CALLBACK_POLL_MS = 1000; // How often to look for due callbacks when none were
+
+/**
+ * Creates a worker dispatching the queued requests of every route to its upstream service,
+ * when allowed by the route's rate limiter, circuit breaker and concurrency limit. Nothing runs or connects
+ * to Redis until this is called, and the processing loops only start with start().
+ *
+ * Each route's loop keeps up to `concurrency` requests in flight at once, and never more
+ * than `maxInFlight` across routes, reserving up to `batchSize` requests per round trip to
+ * Redis. stop() drains the worker: it stops reserving requests, waits up to `drainTimeoutMs`
+ * for those in flight and returns whatever is left to the queue. A queue paused with
+ * RequestQueue.pause() is left alone until resumed. Requests queued with a callback URL have
+ * the outcome POSTed there once they are finished (see WebhookDispatcher), by a loop of its own.
+ *
+ * @param {object} config
+ * @param {string|Array<object>} config.routes - The proxy's route table file or list of routes.
+ * @param {string} [config.resultPrefix] - Key prefix of the stored request outcomes.
+ * @param {number} [config.resultTtlSeconds] - How long request outcomes are kept.
+ * @param {number} [config.maxAttempts] - Dead-letter a request after this many failed attempts.
+ * @param {number} [config.retryBaseDelayMs] - Delay before the first retry, doubled on each further attempt.
+ * @param {number} [config.retryMaxDelayMs] - Upper bound for the retry delay.
+ * @param {number} [config.leaseTimeout] - ms a reserved request may stay unacknowledged before it returns to the queue.
+ *   Renewed while the request is dispatched, so only requests of a worker that died or hung expire.
+ * @param {number} [config.reapInterval] - How often to look for requests with expired leases, in ms.
+ * @param {number} [config.delayMs] - Delay before polling again after an empty queue, a deferred request or an error.
+ * @param {number} [config.concurrency] - Requests of each route dispatched at once.
+ * @param {number} [config.maxInFlight] - Requests dispatched at once across all routes. No limit by default.
+ * @param {number} [config.batchSize] - Most requests reserved per round trip to Redis.
+ * @param {number} [config.drainTimeoutMs] - How long stop() waits for requests in flight before requeuing them.
+ * @param {Metrics} [config.metrics] - Where to record metrics. A new registry by default.
+ * @param {Function} [config.reloadRoutes] - Returns the routes to apply on reload(), as for
+ *   `routes`. By default the route table file is read again.
+ * @param {object} [config.payloads] - As for createProxyServer(): with the proxy's encryption keys,
+ *   to decrypt what it queued.
+ * @param {object} [config.callbacks] - The `callbacks` settings, as for the proxy. Callbacks are
+ *   only sent with a `secret` to sign them.
+ * @param {Storage} [config.storage] - Where the queues and the state shared with the proxy live;
+ *   with the memory backend, the proxy's own storage. Left connected by stop().
+ * @returns {{routes: Array<object>, metrics: Metrics, start: Function, listenMetrics: Function, reload: Function, stop: Function}}
+ */
+export function createWorker({
+    routes: routeConfig,
+    resultPrefix = 'request_result',
+    resultTtlSeconds = 3600,
+    maxAttempts = 5,
+    retryBaseDelayMs = 1000,
+    retryMaxDelayMs = 60000, // 1 minute
+    leaseTimeout = 30000,
+    reapInterval = 5000,
+    delayMs = 50,
+    concurrency = 1,
+    maxInFlight = Infinity,
+    batchSize = 1,
+    drainTimeoutMs = 30000,
+    metrics = new Metrics(),
+    reloadRoutes = () => routeConfig,
+    payloads,
+    callbacks,
+    storage,
+}) {
+    for (const [name, value] of Object.entries({ concurrency, maxInFlight, batchSize })) {
+        if (!(value >= 1)) {
+            throw new Error(`createWorker: ${name} must be at least 1`);
+        }
+    }
+
+    // The same route table as the proxy, so both consume from the same limiter state
+    const routes = resolveRoutes(routeConfig);
+    const resources = routes.map(route => createRouteResources(route, { leaseTimeout, storage, ...payloadOptions(payloads) }));
+    const resultStore = new ResultStore(resultPrefix, resultTtlSeconds, storage);
+    const webhooks = callbacks?.secret ? new WebhookDispatcher({ ...callbacks, ttlSeconds: resultTtlSeconds, storage }) : null;
+    let running = false;
+    let loops = [];
+    let metricsServer = null;
+    const inFlight = new Set(); // Dispatches still running, across routes
+    let draining = new AbortController(); // Aborted with a CallCancelledError when the drain times out
+
+    for (const { route, requestQueue, circuitBreaker } of resources) {
+        metrics.watchQueue(route.name, requestQueue);
+        metrics.watchBreaker(route.name, circuitBreaker);
+    }
+
+    const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+    // Counted in the metrics and recorded on the request's 'worker.dispatch' span
+    function recordOutcome(route, outcome) {
+        metrics.recordWorkerOutcome(route.name, outcome);
+        setActiveSpanAttributes({ 'worker.outcome': outcome });
+    }
+
+    // Schedules the callback of a finished request, if it was queued with one. Errors are only
+    // logged: the request must not be dispatched again for the sake of its callback.
+    async function notify(queuedRequest, result) {
+        if (!webhooks || !queuedRequest.callbackUrl) {
+            return;
+        }
+        try {
+            await webhooks.schedule(queuedRequest.callbackUrl, result);
+        } catch {
+            // Already logged
+        }
+    }
+
+    /**
+     * Retries a failed request with exponential backoff, or dead-letters it once it has
+     * used up its attempts.
+     */
+    async function handleFailedAttempt(route, requestQueue, queuedRequest, error, requestLog) {
+        const { requestId } = queuedRequest;
+        const attempts = (queuedRequest.attempts || 0) + 1;
+
+        if (attempts >= maxAttempts) {
+            requestLog.warn(`Request failed ${attempts} times. Moving it to the dead-letter queue.`);
+            await requestQueue.deadLetter({ ...queuedRequest, attempts }, error.message); // Also acknowledges it
+            const result = await resultStore.setDeadLettered(requestId, error.message);
+            recordOutcome(route, 'dead_lettered');
+            await notify(queuedRequest, result);
+            return;
+        }
+
+        const retryDelayMs = computeBackoff(attempts, retryBaseDelayMs, retryMaxDelayMs);
+        requestLog.info(`Retrying request in ${retryDelayMs}ms.`, { retryDelayMs, maxAttempts });
+        await resultStore.setPending(requestId);
+        await requestQueue.nack({ ...queuedRequest, attempts }, { delayMs: retryDelayMs });
+        recordOutcome(route, 'retried');
+    }
+
+    /**
+     * Returns a request the circuit breaker kept from the backend to the queue until the
+     * circuit lets a trial call through. The backend wasn't called, so this isn't a failed
+     * attempt: an outage outlasting the retries mustn't dead-letter requests never sent.
+     */
+    async function waitForCircuit(route, requestQueue, queuedRequest, error, requestLog) {
+        // Circuits forced OPEN have no known end, and HALF_OPEN ones are trying a call already
+        const delayMs = error.retryAfterMs || computeBackoff(1, retryBaseDelayMs, retryMaxDelayMs);
+        requestLog.warn(`Circuit is OPEN. Request not dispatched. Returning it to the queue for ${delayMs}ms.`, { delayMs });
+        await resultStore.setPending(queuedRequest.requestId);
+        await requestQueue.nack(queuedRequest, { delayMs });
+        recordOutcome(route, 'deferred');
+    }
+
+    async function timedCallUpstream(route, request, signal) {
+        const startTime = performance.now();
         try {
-            // Block and wait for a request
-            const queuedRequest = await requestQueue.blockDequeue(1); // Wait for 1 second
-
-            if (queuedRequest) {
-                const { requestId, method, url, headers, body } = queuedRequest;
-                console.log(`[Worker] Processing request ${requestId} from queue.`);
-
-                // 1. Try to consume a token
-                const tokenConsumed = await tokenBucket.tryConsume();
-
-                if (!tokenConsumed) {
-                    console.log(`[Worker] No token available for ${requestId}. Re-enqueueing.`);
-                    // Re-enqueue the request if no token is available
-                    // Using RPUSH to add to the end of the queue, LIFO
-                    await requestQueue.enqueue({ requestId, method, url, headers, body });
-                    // Add a small delay to prevent tight-loop re-enqueuing
-                    await new Promise(resolve => setTimeout(resolve, WORKER_DELAY_MS));
-                    continue; // Skip to next iteration
+            const response = await callUpstream(route.upstream, request, { signal });
+            metrics.observeUpstream(route.name, response.status, (performance.now() - startTime) / 1000);
+            return response;
+        } catch (error) {
+            metrics.observeUpstream(route.name, error.response?.status ?? null, (performance.now() - startTime) / 1000);
+            throw error;
+        }
+    }
+
+    // Puts a request back at the head of the queue. This is not a failed attempt.
+    async function defer(route, requestQueue, queuedRequest) {
+        await resultStore.setPending(queuedRequest.requestId);
+        await requestQueue.nack(queuedRequest);
+        recordOutcome(route, 'deferred');
+        // Add a small delay to prevent tight-loop re-enqueuing
+        await sleep(delayMs);
+    }
+
+    /**
+     * Renews the lease of a request while it is dispatched, for however long the upstream takes
+     * to answer, so the reaper doesn't hand it to another worker to be sent again meanwhile.
+     * Returns a function to call once the request is released.
+     */
+    function holdLease(requestQueue, queuedRequest, requestLog) {
+        let held = true;
+        const timer = setInterval(async () => {
+            try {
+                if (!await requestQueue.extendLease(queuedRequest) && held) {
+                    requestLog.warn('Lease expired during dispatch. The request may be sent again.');
+                    clearInterval(timer);
                 }
+            } catch {
+                // Already logged; the next renewal may get through
+            }
+        }, requestQueue.leaseTimeout / 3);
+        return () => {
+            held = false;
+            clearInterval(timer);
+        };
+    }
 
-                // 2. Dispatch request to backend via Circuit Breaker
-                try {
-                    const backendResponse = await circuitBreaker.fire(async () => {
-                        const response = await fetch(TARGET_SERVICE_URL, {
-                            method: method,
-                            headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify(body),
-                        });
-
-                        if (!response.ok) {
-                            const errorBody = await response.json();
-                            throw new Error(`Backend service responded with ${response.status}: ${errorBody.message}`);
-                        }
-
-                        return response.json();
-                    });
+    /**
+     * Dispatches one reserved request inside a 'worker.dispatch' span. The span links to the
+     * trace of the request that queued it, which may have been in another process long ago.
+     */
+    function tracedDispatch(routeResources, queuedRequest) {
+        return withSpan('worker.dispatch', {
+            kind: SpanKind.CONSUMER,
+            links: traceLinks(queuedRequest.traceContext),
+            attributes: {
+                'messaging.system': 'redis',
+                'messaging.destination.name': routeResources.route.queueName,
+                'messaging.operation.type': 'process',
+                'messaging.message.id': queuedRequest.id,
+                'proxy.route': routeResources.route.name,
+                'worker.attempt': (queuedRequest.attempts || 0) + 1,
+            },
+        }, () => dispatch(routeResources, queuedRequest));
+    }
 
-                    console.log(`[Worker] Successfully processed and dispatched ${requestId}. Backend response:`, backendResponse);
-                    // Here, you would typically send the response back to the original client
-                    // This is a complex problem in a queued system as the original HTTP connection is long gone.
-                    // Possible solutions: WebSockets, long polling, or client-side polling for results by requestId.
-                    // For this exercise, we'll just log success.
-
-                } catch (error) {
-                    console.error(`[Worker] Error dispatching request ${requestId} to backend:`, error.message);
-                    if (error.message.includes('Circuit is OPEN')) {
-                        console.warn(`[Worker] Circuit is OPEN. Request ${requestId} not dispatched.`);
-                        // If circuit is open, we can't dispatch.
-                        // Re-enqueue or move to a dead-letter queue. Re-enqueueing for simplicity.
-                        await requestQueue.enqueue({ requestId, method, url, headers, body });
-                    }
-                    // Other errors (e.g., backend actual failure): potentially re-enqueue with retry count, or dead-letter.
+    /**
+     * Dispatches one reserved request, acknowledging, retrying, deferring or requeuing it.
+     * Never rejects.
+     */
+    async function dispatch({ route, rateLimiter, requestQueue, circuitBreaker, concurrencyLimiter }, queuedRequest) {
+        const { requestId } = queuedRequest;
+        // The proxy logged the request under the same IDs, so it can be followed from there
+        const requestLog = log.child({
+            requestId: queuedRequest.correlationId ?? requestId,
+            queuedRequestId: requestId,
+            route: route.name,
+            attempt: (queuedRequest.attempts || 0) + 1,
+        });
+        const releaseLease = holdLease(requestQueue, queuedRequest, requestLog);
+        try {
+            requestLog.debug(`Processing request from queue '${route.queueName}'.`);
+
+            // The client has likely given up on requests past their deadline, so don't replay them
+            if (queuedRequest.expiresAt && Date.now() >= queuedRequest.expiresAt) {
+                requestLog.warn('Request expired in the queue. Dropping it.');
+                const result = await resultStore.setExpired(requestId);
+                await requestQueue.ack(queuedRequest);
+                recordOutcome(route, 'expired');
+                await notify(queuedRequest, result);
+                return;
+            }
+
+            await resultStore.setProcessing(requestId);
+
+            // 1. Try to consume a token
+            const { allowed: tokenConsumed } = await rateLimiter.tryConsume();
+
+            if (!tokenConsumed) {
+                requestLog.debug('No token available. Returning the request to the queue.');
+                await defer(route, requestQueue, queuedRequest);
+                return;
+            }
+
+            // 2. Take a slot below the route's adaptive concurrency limit, shared with the proxy
+            const acquired = concurrencyLimiter && await concurrencyLimiter.acquire();
+            if (acquired && !acquired.allowed) {
+                requestLog.debug('Concurrency limit reached. Returning the request to the queue.', { inflight: acquired.inflight, concurrencyLimit: acquired.limit });
+                await defer(route, requestQueue, queuedRequest);
+                return;
+            }
+
+            if (!queuedRequest.attempts) {
+                metrics.observeQueueWait(route.name, (Date.now() - queuedRequest.timestamp) / 1000);
+            }
+
+            // 3. Dispatch request to backend via Circuit Breaker
+            let outcome = { ignored: true }; // Unless the call is made
+            try {
+                const upstreamResponse = await circuitBreaker.fire(signal =>
+                    timedCallUpstream(route, queuedRequest, AbortSignal.any([signal, draining.signal])));
+                outcome = { dropped: upstreamResponse.status >= 500 };
+
+                requestLog.info('Dispatched request. Upstream responded.', { status: upstreamResponse.status });
+                // The original HTTP connection is long gone, so store the outcome for GET /requests/:requestId
+                let result;
+                if (upstreamResponse.status >= 400) {
+                    // The backend rejected the request itself (e.g. bad credentials); retrying won't help
+                    result = await resultStore.setFailed(
+                        requestId,
+                        `Upstream service responded with ${upstreamResponse.status}`,
+                        storedResponse(upstreamResponse)
+                    );
+                    recordOutcome(route, 'failed');
+                } else {
+                    result = await resultStore.setSucceeded(requestId, storedResponse(upstreamResponse));
+                    recordOutcome(route, 'succeeded');
+                }
+                await requestQueue.ack(queuedRequest);
+                await notify(queuedRequest, result);
+
+            } catch (error) {
+                if (error instanceof CallCancelledError) {
+                    // Cut short by the shutdown drain: another worker sends it again, without counting an attempt
+                    requestLog.warn('Request cancelled by shutdown. Returning it to the queue.');
+                    await resultStore.setPending(requestId);
+                    await requestQueue.nack(queuedRequest);
+                    recordOutcome(route, 'requeued');
+                    return;
+                }
+                if (error instanceof CircuitOpenError) {
+                    await waitForCircuit(route, requestQueue, queuedRequest, error, requestLog);
+                    return;
+                }
+                requestLog.error('Error dispatching request to backend', { error });
+                if (outcome.ignored) {
+                    outcome = { dropped: true }; // The upstream answered 5xx, timed out or couldn't be reached
+                }
+                await handleFailedAttempt(route, requestQueue, queuedRequest, error, requestLog);
+            } finally {
+                if (acquired) {
+                    await concurrencyLimiter.release(acquired.slot, outcome);
                 }
             }
         } catch (error) {
-            console.error('[Worker] Uncaught error in processQueue:', error);
+            // The request stays reserved, so the lease reaper returns it to the queue
+            requestLog.error('Uncaught error dispatching request', { error });
+        } finally {
+            releaseLease();
+        }
+    }
+
+    async function processQueue(routeResources) {
+        const { requestQueue } = routeResources;
+        const dispatching = new Set(); // This route's dispatches still running
+        let lastReapTime = 0;
+        while (running) {
+            try {
+                // Recover requests reserved by workers that crashed or were killed mid-dispatch
+                if (Date.now() - lastReapTime >= reapInterval) {
+                    lastReapTime = Date.now();
+                    await requestQueue.reapExpiredLeases();
+                }
+
+                // Make retries whose backoff has elapsed available again
+                await requestQueue.promoteDueRetries();
+
+                // Paused through the admin API: leave the queue alone, but keep recovering leases
+                if (await requestQueue.isPaused()) {
+                    await sleep(PAUSED_POLL_MS);
+                    continue;
+                }
+
+                const free = Math.min(concurrency - dispatching.size, maxInFlight - inFlight.size);
+                if (free <= 0) {
+                    // Wait for a dispatch of this route (or, at the process-wide cap, of any route) to finish
+                    await Promise.race(dispatching.size >= concurrency ? dispatching : inFlight);
+                    continue;
+                }
+
+                // Block and wait for requests. They stay leased to this worker until acked or nacked.
+                const queuedRequests = await requestQueue.reserveBatch(Math.min(batchSize, free), 1); // Wait for 1 second
+                if (queuedRequests.length === 0) {
+                    await sleep(delayMs); // Prevent busy-waiting
+                    continue;
+                }
+
+                for (const queuedRequest of queuedRequests) {
+                    if (!running) {
+                        // Stopped while waiting: leave the request to another worker
+                        await requestQueue.nack(queuedRequest);
+                        continue;
+                    }
+                    const task = tracedDispatch(routeResources, queuedRequest).finally(() => {
+                        dispatching.delete(task);
+                        inFlight.delete(task);
+                    });
+                    dispatching.add(task);
+                    inFlight.add(task);
+                }
+            } catch (error) {
+                log.error('Uncaught error in processQueue', { route: routeResources.route.name, error });
+                await sleep(delayMs); // Don't spin while Redis is unreachable
+            }
+        }
+    }
+
+    // Sends the callbacks due, of any route. Deliveries stay in Redis, so those still due when
+    // the worker stops are sent by another worker, or this one once restarted.
+    async function deliverCallbacks() {
+        while (running) {
+            try {
+                if (await webhooks.deliverDue() === 0) {
+                    await sleep(CALLBACK_POLL_MS);
+                }
+            } catch {
+                await sleep(CALLBACK_POLL_MS); // Already logged
+            }
+        }
+    }
+
+    /**
+     * Waits for the dispatches in flight to finish, until the deadline. Those still running
+     * then are cancelled and their requests returned to the queue.
+     */
+    async function drain(deadline) {
+        if (inFlight.size > 0) {
+            log.info(`Draining ${inFlight.size} in-flight request(s).`);
+        }
+        let timer;
+        await Promise.race([
+            Promise.all(inFlight),
+            new Promise(resolve => {
+                timer = setTimeout(resolve, Math.max(0, deadline - Date.now()));
+            }),
+        ]);
+        clearTimeout(timer);
+        if (inFlight.size > 0) {
+            log.warn(`Drain timed out. Cancelling ${inFlight.size} request(s) and returning them to the queue.`);
+            draining.abort(new CallCancelledError('Worker is shutting down'));
+            await Promise.all(inFlight);
         }
-        await new Promise(resolve => setTimeout(resolve, WORKER_DELAY_MS)); // Prevent busy-waiting
     }
+
+    return {
+        routes,
+        metrics,
+
+        /**
+         * Starts one processing loop per route, and one sending callbacks.
+         */
+        start() {
+            if (running) {
+                return;
+            }
+            running = true;
+            draining = new AbortController();
+            loops = resources.map(processQueue);
+            if (webhooks) {
+                loops.push(deliverCallbacks());
+            }
+            log.info('Request processing worker started.');
+        },
+
+        /**
+         * Serves the worker's metrics on GET /metrics.
+         * @param {number} port
+         * @param {Function} [callback] - Called once listening.
+         * @returns {object} The http.Server.
+         */
+        listenMetrics(port, callback) {
+            metricsServer = metrics.listen(port, callback);
+            return metricsServer;
+        },
+
+        /**
+         * Reloads the routes and applies their new rate limits and circuit breaker settings
+         * to the running limiters and breakers, as the proxy's reload() does.
+         * @returns {Promise<{applied: string[], restartRequired: string[]}>}
+         */
+        async reload() {
+            return reloadRouteResources(resources, resolveRoutes(await reloadRoutes()));
+        },
+
+        /**
+         * Stops reserving requests and drains those in flight, then disconnects every Redis
+         * client but those of `config.storage`.
+         */
+        async stop() {
+            const deadline = Date.now() + drainTimeoutMs;
+            running = false;
+            if (metricsServer) {
+                await new Promise(resolve => metricsServer.close(resolve));
+                metricsServer = null;
+            }
+            // Drained while the loops wind down: a loop at its concurrency limit waits for its
+            // dispatches in flight, which only the drain's deadline may cut short
+            await Promise.all([...loops, drain(deadline)]);
+            loops = [];
+            for (const routeResources of resources) {
+                await disconnectRouteResources(routeResources);
+            }
+            await resultStore.disconnect();
+            await webhooks?.disconnect();
+        },
+    };
 }
 
-// Start the worker
-processQueue();
-
-// --- Graceful Shutdown ---
-process.on('SIGTERM', async () => {
-    console.log('SIGTERM signal received by worker: disconnecting Redis clients.');
-    await tokenBucket.disconnect();
-    await requestQueue.disconnect();
-    console.log('Worker Redis clients disconnected. Exiting.');
-    process.exit(0);
-});
+/**
+ * Maps the loaded configuration (see loadConfig()) to createWorker() options, for worker.js
+ * and for the proxy running the worker itself with the memory backend.
+ * @param {object} config
+ * @returns {object}
+ */
+export function workerOptions(config) {
+    return {
+        routes: config.routes,
+        resultPrefix: config.results.prefix,
+        resultTtlSeconds: config.results.ttlSeconds,
+        maxAttempts: config.worker.maxAttempts,             // Dead-letter after this many failed attempts
+        retryBaseDelayMs: config.worker.retryBaseDelayMs,   // Delay before the first retry, doubled on each further attempt
+        retryMaxDelayMs: config.worker.retryMaxDelayMs,
+        leaseTimeout: config.worker.leaseTimeout,           // A reserved request returns to the queue if not acknowledged within this time
+        reapInterval: config.worker.reapInterval,           // How often to look for requests with expired leases
+        delayMs: config.worker.delayMs,
+        concurrency: config.worker.concurrency,             // Requests of each route dispatched at once
+        maxInFlight: config.worker.maxInFlight || Infinity, // Across all routes
+        batchSize: config.worker.batchSize,                 // Requests reserved per round trip to Redis
+        drainTimeoutMs: config.worker.drainTimeoutMs,       // How long SIGTERM waits for requests in flight
+        payloads: config.payloads,                          // The proxy's keys, to decrypt queued requests
+        callbacks: config.callbacks,                        // Signing secret, allowlist and retries of callbacks
+    };
+}
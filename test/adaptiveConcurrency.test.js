@@ -0,0 +1,106 @@
+// test/adaptiveConcurrency.test.js
+import { expect } from 'chai';
+import AdaptiveConcurrencyLimiter from '../src/limiters/adaptiveConcurrency.js';
+import Redis from 'ioredis';
+
+const REDIS_TEST_LIMITER_KEY = 'test_concurrency';
+
+describe('AdaptiveConcurrencyLimiter', () => {
+    let limiters;
+    let redisClient;
+
+    function createLimiter(options) {
+        const limiter = new AdaptiveConcurrencyLimiter(REDIS_TEST_LIMITER_KEY, options);
+        limiters.push(limiter);
+        return limiter;
+    }
+
+    // Makes `count` calls at once, each taking `latencyMs`
+    async function callConcurrently(limiter, count, latencyMs, outcome) {
+        const slots = [];
+        for (let i = 0; i < count; i++) {
+            slots.push((await limiter.acquire()).slot);
+        }
+        await new Promise(resolve => setTimeout(resolve, latencyMs));
+        await Promise.all(slots.map(slot => limiter.release(slot, outcome)));
+    }
+
+    beforeEach(async () => {
+        redisClient = new Redis({
+            host: process.env.REDIS_HOST || '127.0.0.1',
+            port: process.env.REDIS_PORT || 6379
+        });
+        const keys = await redisClient.keys(`${REDIS_TEST_LIMITER_KEY}*`);
+        if (keys.length > 0) {
+            await redisClient.del(...keys);
+        }
+        limiters = [];
+    });
+
+    afterEach(async () => {
+        for (const limiter of limiters) {
+            await limiter.disconnect();
+        }
+        await redisClient.disconnect();
+    });
+
+    it('should cap the calls in flight across instances at the limit', async () => {
+        const first = createLimiter({ initialLimit: 2, maxLimit: 10 });
+        const second = createLimiter({ initialLimit: 2, maxLimit: 10 });
+        const a = await first.acquire();
+        const b = await second.acquire();
+        const c = await first.acquire();
+        expect([a.allowed, b.allowed, c.allowed]).to.deep.equal([true, true, false]);
+        expect(c).to.include({ inflight: 2, limit: 2, slot: null });
+
+        await second.release(b.slot, { ignored: true });
+        expect((await first.acquire()).allowed).to.be.true;
+        expect(await first.getState()).to.deep.equal({ limit: 2, inflight: 2 });
+    });
+
+    it('should free the slots of calls that are never released', async () => {
+        const limiter = createLimiter({ initialLimit: 1, slotTimeoutMs: 20 });
+        expect((await limiter.acquire()).allowed).to.be.true;
+        expect((await limiter.acquire()).allowed).to.be.false;
+        await new Promise(resolve => setTimeout(resolve, 30));
+        expect((await limiter.acquire()).allowed).to.be.true;
+    });
+
+    describe('aimd', () => {
+        it('should grow the limit while calls are fast and the limit is in use', async () => {
+            const limiter = createLimiter({ algorithm: 'aimd', initialLimit: 4, maxLimit: 10 });
+            await callConcurrently(limiter, 4, 1); // The 2nd, 3rd and 4th call had at least half the limit in use
+            expect((await limiter.getState()).limit).to.equal(7);
+            await callConcurrently(limiter, 1, 1);
+            expect((await limiter.getState()).limit).to.equal(7);
+        });
+
+        it('should shrink the limit on slow and dropped calls', async () => {
+            const limiter = createLimiter({ algorithm: 'aimd', initialLimit: 10, backoffRatio: 0.5, latencyThresholdMs: 20 });
+            await callConcurrently(limiter, 1, 30);
+            expect((await limiter.getState()).limit).to.equal(5);
+            await callConcurrently(limiter, 1, 1, { dropped: true });
+            expect((await limiter.getState()).limit).to.equal(2);
+        });
+
+        it('should not go below minLimit', async () => {
+            const limiter = createLimiter({ algorithm: 'aimd', initialLimit: 2, minLimit: 2, backoffRatio: 0.5 });
+            await callConcurrently(limiter, 2, 1, { dropped: true });
+            expect((await limiter.getState()).limit).to.equal(2);
+        });
+    });
+
+    describe('gradient', () => {
+        it('should grow the limit while latency stays steady and shrink it when latency rises', async () => {
+            const limiter = createLimiter({ algorithm: 'gradient', initialLimit: 4, maxLimit: 100, smoothing: 1, longWindow: 100 });
+            for (let i = 0; i < 3; i++) {
+                await callConcurrently(limiter, 4, 20);
+            }
+            const steady = (await limiter.getState()).limit;
+            expect(steady).to.be.above(4);
+
+            await callConcurrently(limiter, steady, 300);
+            expect((await limiter.getState()).limit).to.be.below(steady);
+        });
+    });
+});
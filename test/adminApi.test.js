@@ -0,0 +1,302 @@
+// test/adminApi.test.js
+import { expect } from 'chai';
+import express from 'express';
+import { createAdminRouter } from '../src/adminApi.js';
+import { createRouteResources, disconnectRouteResources } from '../src/proxyServer.js';
+import ResultStore from '../src/resultStore.js';
+import { parseRouteTable } from '../src/routeTable.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+const TOKEN = 'admin-secret';
+
+describe('createAdminRouter', () => {
+    let storage;
+    let proxies;
+    let resultStore;
+    let reloaded;
+    let servers;
+    let baseUrl;
+
+    // Serves the admin API under /admin, as createProxyServer() does
+    function serve(token = TOKEN) {
+        const app = express();
+        app.use('/admin', createAdminRouter({ proxies, resultStore, reload: async () => reloaded(), token }));
+        return new Promise(resolve => {
+            const server = app.listen(0, '127.0.0.1', () => {
+                servers.push(server);
+                resolve(`http://127.0.0.1:${server.address().port}`);
+            });
+        });
+    }
+
+    async function admin(method, path, body) {
+        const response = await fetch(`${baseUrl}/admin${path}`, {
+            method,
+            headers: { authorization: `Bearer ${TOKEN}`, ...(body && { 'content-type': 'application/json' }) },
+            body: body && JSON.stringify(body),
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    beforeEach(async () => {
+        storage = new MemoryStorage();
+        const routes = parseRouteTable({
+            routes: [
+                {
+                    name: 'login',
+                    path: '/login',
+                    upstream: 'http://auth.internal',
+                    rateLimit: { algorithm: 'token-bucket', limit: 10 },
+                    clientRateLimit: { algorithm: 'token-bucket', limit: 2, key: 'limits' },
+                },
+                {
+                    name: 'orders',
+                    path: '/orders',
+                    upstream: 'http://orders.internal',
+                    rateLimit: { algorithm: 'fixed-window' }, // Has no tokens to list
+                    // Its key starts with the login route's client limiter key
+                    clientRateLimit: { algorithm: 'token-bucket', limit: 3, key: 'limits:gold' },
+                },
+            ],
+        });
+        proxies = new Map(routes.map(route => [route.name, createRouteResources(route, { storage })]));
+        resultStore = new ResultStore('request_result', 60, storage);
+        reloaded = () => ({ applied: ['login'], restartRequired: [] });
+        servers = [];
+        baseUrl = await serve();
+    });
+
+    afterEach(async () => {
+        await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+        for (const resources of proxies.values()) {
+            await disconnectRouteResources(resources);
+        }
+        await storage.disconnect();
+        storage.store.close();
+    });
+
+    describe('authentication', () => {
+        it('should be disabled without a token', async () => {
+            const disabled = await serve(null);
+            const response = await fetch(`${disabled}/admin/buckets`, { headers: { authorization: 'Bearer anything' } });
+            expect(response.status).to.equal(403);
+            expect(await response.json()).to.include({ message: 'The admin API is disabled. Set ADMIN_TOKEN to enable it.' });
+        });
+
+        it('should require the bearer token', async () => {
+            for (const authorization of [undefined, 'Bearer wrong', `Basic ${TOKEN}`, 'Bearer']) {
+                const response = await fetch(`${baseUrl}/admin/buckets`, { headers: authorization ? { authorization } : {} });
+                expect(response.status).to.equal(401);
+                expect(response.headers.get('www-authenticate')).to.equal('Bearer realm="admin"');
+            }
+            expect((await admin('GET', '/buckets')).status).to.equal(200);
+        });
+    });
+
+    describe('token buckets', () => {
+        beforeEach(async () => {
+            const { clientRateLimiter } = proxies.get('login');
+            await clientRateLimiter.tryConsume('ip:10.0.0.1');
+            await clientRateLimiter.tryConsume('ip:10.0.0.2');
+        });
+
+        it('should list the global buckets and those of recent clients, a page at a time', async () => {
+            const { status, body } = await admin('GET', '/buckets');
+            expect(status).to.equal(200);
+            expect(body).to.include({ total: 3, offset: 0, limit: 50 });
+            expect(body.buckets.map(({ route, limiter, client, key }) => ({ route, limiter, client, key }))).to.deep.equal([
+                { route: 'login', limiter: 'global', client: undefined, key: 'login_rate_limit' },
+                { route: 'login', limiter: 'client', client: 'ip:10.0.0.1', key: 'limits:ip:10.0.0.1' },
+                { route: 'login', limiter: 'client', client: 'ip:10.0.0.2', key: 'limits:ip:10.0.0.2' },
+            ]);
+            expect(body.buckets[1]).to.include({ tokens: 1, capacity: 2, overridden: false });
+
+            const page = await admin('GET', '/buckets?offset=1&limit=1');
+            expect(page.body).to.include({ total: 3, offset: 1, limit: 1 });
+            expect(page.body.buckets.map(bucket => bucket.client)).to.deep.equal(['ip:10.0.0.1']);
+            // Pages are at least 1 and at most 500 long
+            expect((await admin('GET', '/buckets?offset=-5&limit=100000')).body).to.include({ offset: 0, limit: 500 });
+        });
+
+        it("should drain and refill a client's bucket", async () => {
+            let { status, body } = await admin('POST', '/buckets/limits:ip:10.0.0.1/drain');
+            expect(status).to.equal(200);
+            expect(body).to.include({ key: 'limits:ip:10.0.0.1', tokens: 0 });
+            expect((await proxies.get('login').clientRateLimiter.tryConsume('ip:10.0.0.1')).allowed).to.be.false;
+
+            ({ body } = await admin('POST', '/buckets/limits:ip:10.0.0.1/refill'));
+            expect(body).to.include({ tokens: 2 });
+            // Other clients' buckets are left alone
+            expect(await proxies.get('login').clientRateLimiter.inspect('ip:10.0.0.2')).to.include({ tokens: 1 });
+        });
+
+        it('should find the bucket of the limiter with the longest matching key', async () => {
+            const { body } = await admin('POST', '/buckets/limits:gold:ip:10.0.0.3/drain');
+            expect(body).to.include({ key: 'limits:gold:ip:10.0.0.3', capacity: 3 });
+            // Not login's client 'gold:ip:10.0.0.3', with a capacity of 2
+            expect(await proxies.get('orders').clientRateLimiter.inspect('ip:10.0.0.3')).to.include({ tokens: 0, capacity: 3 });
+        });
+
+        it('should reject unknown buckets and actions, and per-client limiters as a whole', async () => {
+            expect(await admin('POST', '/buckets/nope/drain')).to.deep.equal({ status: 404, body: { message: 'Unknown token bucket.', key: 'nope' } });
+            expect((await admin('POST', '/buckets/login_rate_limit/empty')).status).to.equal(404);
+            // Fixed windows have no tokens
+            expect((await admin('POST', '/buckets/orders_rate_limit/drain')).status).to.equal(404);
+            const perClient = await admin('POST', '/buckets/limits/drain');
+            expect(perClient.status).to.equal(400);
+            expect(perClient.body.message).to.include('per-client limiter');
+        });
+
+        it('should override the limits of a bucket until the override is removed', async () => {
+            expect((await admin('PUT', '/buckets/login_rate_limit/limits', { capacity: 0, fillRate: 1 })).status).to.equal(400);
+            expect((await admin('PUT', '/buckets/login_rate_limit/limits', { capacity: 5, fillRate: 'fast' })).status).to.equal(400);
+            expect((await admin('PUT', '/buckets/nope/limits', { capacity: 5, fillRate: 1 })).status).to.equal(404);
+
+            const { status, body } = await admin('PUT', '/buckets/login_rate_limit/limits', { capacity: 5, fillRate: 1 });
+            expect(status).to.equal(200);
+            expect(body).to.deep.equal({ key: 'login_rate_limit', override: { capacity: 5, fillRate: 1 } });
+            expect(await proxies.get('login').rateLimiter.inspect()).to.include({ capacity: 5, fillRate: 1, overridden: true });
+
+            // Overriding a per-client limiter as a whole overrides every client's bucket
+            await admin('PUT', '/buckets/limits/limits', { capacity: 7, fillRate: 2 });
+            expect(await proxies.get('login').clientRateLimiter.inspect('ip:10.0.0.9')).to.include({ capacity: 7, overridden: true });
+
+            expect((await admin('DELETE', '/buckets/login_rate_limit/limits')).body).to.deep.equal({ key: 'login_rate_limit', override: null });
+            expect(await proxies.get('login').rateLimiter.inspect()).to.include({ capacity: 10, overridden: false });
+            expect((await admin('DELETE', '/buckets/login_rate_limit/limits')).status).to.equal(404);
+        });
+    });
+
+    describe('queues', () => {
+        let requestQueue;
+
+        beforeEach(async () => {
+            ({ requestQueue } = proxies.get('login'));
+            for (const requestId of ['r1', 'r2', 'r3']) {
+                await resultStore.setPending(requestId);
+                await requestQueue.enqueue({ requestId, method: 'POST', url: '/login' });
+            }
+        });
+
+        it('should peek at queued requests a page at a time', async () => {
+            const { status, body } = await admin('GET', '/routes/login/queue?offset=1&limit=1');
+            expect(status).to.equal(200);
+            expect(body).to.include({ queue: 'login_queue', paused: false, total: 3, offset: 1, limit: 1 });
+            expect(body.requests.map(request => request.requestId)).to.deep.equal(['r2']);
+            expect(await admin('GET', '/routes/nope/queue')).to.deep.equal({ status: 404, body: { message: 'Unknown route.', route: 'nope' } });
+        });
+
+        it('should remove a queued request and record it as cancelled', async () => {
+            expect(await admin('DELETE', '/routes/login/queue/r2')).to.deep.equal({ status: 200, body: { message: 'Request removed.', requestId: 'r2' } });
+            expect((await resultStore.get('r2')).status).to.equal('cancelled');
+            expect(await requestQueue.length()).to.equal(2);
+            expect((await admin('DELETE', '/routes/login/queue/r2')).status).to.equal(404);
+        });
+
+        it('should move a queued request to another priority', async () => {
+            const invalid = await admin('POST', '/routes/login/queue/r3/reprioritize', { priority: 'urgent' });
+            expect(invalid.status).to.equal(400);
+            expect(invalid.body.message).to.equal('priority must be one of high, normal, low.');
+
+            expect(await admin('POST', '/routes/login/queue/r3/reprioritize', { priority: 'high' }))
+                .to.deep.equal({ status: 200, body: { requestId: 'r3', priority: 'high' } });
+            expect((await requestQueue.peek()).requests[0]).to.include({ requestId: 'r3', priority: 'high' });
+            expect((await admin('POST', '/routes/login/queue/r9/reprioritize', { priority: 'high' })).status).to.equal(404);
+        });
+
+        it('should pause and resume the queue', async () => {
+            expect((await admin('POST', '/routes/login/queue/pause')).body).to.deep.equal({ queue: 'login_queue', paused: true });
+            expect(await requestQueue.isPaused()).to.be.true;
+            expect((await admin('POST', '/routes/login/queue/resume')).body).to.deep.equal({ queue: 'login_queue', paused: false });
+            expect((await admin('POST', '/routes/login/queue/stop')).status).to.equal(404);
+        });
+    });
+
+    describe('dead letters', () => {
+        let requestQueue;
+
+        beforeEach(async () => {
+            ({ requestQueue } = proxies.get('login'));
+            await requestQueue.deadLetter({ id: 'd1', requestId: 'd1', timestamp: Date.now(), attempts: 5 }, 'Upstream service responded with 503');
+            await requestQueue.deadLetter({ id: 'd2', requestId: 'd2', timestamp: Date.now(), attempts: 5 }, 'fetch failed');
+        });
+
+        it('should list and read dead-lettered requests', async () => {
+            const { body } = await admin('GET', '/routes/login/dead-letters?limit=1');
+            expect(body).to.include({ total: 2, offset: 0, limit: 1 });
+            expect(body.requests.map(request => request.requestId)).to.deep.equal(['d1']);
+
+            expect((await admin('GET', '/routes/login/dead-letters/d2')).body).to.include({ requestId: 'd2', lastError: 'fetch failed' });
+            expect((await admin('GET', '/routes/login/dead-letters/d9')).status).to.equal(404);
+        });
+
+        it('should replay a dead-lettered request', async () => {
+            expect(await admin('POST', '/routes/login/dead-letters/d1/replay')).to.deep.equal({
+                status: 202,
+                body: { message: 'Request requeued.', requestId: 'd1', statusUrl: '/requests/d1' },
+            });
+            expect((await resultStore.get('d1')).status).to.equal('pending');
+            expect((await requestQueue.peek()).requests[0]).to.include({ requestId: 'd1', attempts: 0 });
+            expect((await admin('POST', '/routes/login/dead-letters/d1/replay')).status).to.equal(404);
+        });
+
+        it('should record a replayed request as pending before a worker can record how it went', async () => {
+            const { replayDeadLetter } = requestQueue;
+            // A worker takes the request and finishes it as soon as it is back in the queue
+            requestQueue.replayDeadLetter = async function (requestId) {
+                const replayed = await replayDeadLetter.call(this, requestId);
+                await resultStore.setSucceeded(requestId, { status: 200, body: 'ok' });
+                return replayed;
+            };
+            expect((await admin('POST', '/routes/login/dead-letters/d1/replay')).status).to.equal(202);
+            expect((await resultStore.get('d1')).status).to.equal('succeeded');
+        });
+
+        it('should leave the record of a request alone if it is replayed or purged meanwhile', async () => {
+            await resultStore.setDeadLettered('d1', 'Upstream service responded with 503');
+            await requestQueue.purgeDeadLetters('d2');
+            requestQueue.replayDeadLetter = async () => null; // Gone by the time it is replayed
+            expect((await admin('POST', '/routes/login/dead-letters/d1/replay')).status).to.equal(404);
+            expect(await resultStore.get('d1')).to.include({ status: 'dead_lettered', error: 'Upstream service responded with 503' });
+            expect((await admin('POST', '/routes/login/dead-letters/d2/replay')).status).to.equal(404);
+            expect(await resultStore.get('d2')).to.be.null;
+        });
+
+        it('should purge one or all dead-lettered requests', async () => {
+            expect(await admin('DELETE', '/routes/login/dead-letters/d1')).to.deep.equal({ status: 200, body: { removed: 1 } });
+            expect((await admin('DELETE', '/routes/login/dead-letters/d1')).status).to.equal(404);
+            expect((await admin('DELETE', '/routes/login/dead-letters')).body).to.deep.equal({ removed: 1 });
+            expect(await requestQueue.deadLength()).to.equal(0);
+        });
+    });
+
+    describe('circuit breakers', () => {
+        it('should force a breaker OPEN or CLOSED and reset it', async () => {
+            let { status, body } = await admin('GET', '/routes/login/circuit-breaker');
+            expect(status).to.equal(200);
+            expect(body).to.include({ route: 'login', state: 'CLOSED', forced: null });
+
+            ({ body } = await admin('POST', '/routes/login/circuit-breaker/open'));
+            expect(body).to.include({ state: 'OPEN', forced: 'OPEN' });
+            expect((await proxies.get('login').circuitBreaker.getStats()).forced).to.equal('OPEN');
+
+            ({ body } = await admin('POST', '/routes/login/circuit-breaker/reset'));
+            expect(body).to.include({ state: 'CLOSED', forced: null });
+            expect((await admin('POST', '/routes/login/circuit-breaker/trip')).status).to.equal(404);
+            expect((await admin('GET', '/routes/nope/circuit-breaker')).status).to.equal(404);
+        });
+    });
+
+    describe('configuration', () => {
+        it('should reload the configuration and report errors', async () => {
+            expect(await admin('POST', '/config/reload')).to.deep.equal({ status: 200, body: { applied: ['login'], restartRequired: [] } });
+            reloaded = () => {
+                throw new Error('Invalid route 1: path must start with \'/\'');
+            };
+            expect(await admin('POST', '/config/reload')).to.deep.equal({
+                status: 500,
+                body: { message: 'Configuration not reloaded.', error: 'Invalid route 1: path must start with \'/\'' },
+            });
+        });
+    });
+});
@@ -0,0 +1,23 @@
+// test/backoff.test.js
+import { expect } from 'chai';
+import { computeBackoff } from '../src/backoff.js';
+
+describe('computeBackoff', () => {
+    it('should double the delay with each attempt', () => {
+        const noJitter = () => 1;
+        expect(computeBackoff(1, 100, 10000, noJitter)).to.equal(100);
+        expect(computeBackoff(2, 100, 10000, noJitter)).to.equal(200);
+        expect(computeBackoff(3, 100, 10000, noJitter)).to.equal(400);
+    });
+
+    it('should never exceed the maximum delay', () => {
+        expect(computeBackoff(20, 100, 1000, () => 1)).to.equal(1000);
+    });
+
+    it('should keep at least half of the delay when jittering', () => {
+        for (let i = 0; i < 100; i++) {
+            const delay = computeBackoff(3, 100, 10000);
+            expect(delay).to.be.within(200, 400);
+        }
+    });
+});
@@ -1,9 +1,12 @@
 // test/circuitBreaker.test.js
 import { expect } from 'chai';
 import CircuitBreaker from '../src/circuitBreaker.js';
+import { CallCancelledError, CallTimeoutError, CircuitOpenError, failureStatuses } from '../src/breakerPolicy.js';
 
 describe('CircuitBreaker', () => {
     let circuitBreaker;
+    const failingOperation = async () => { throw new Error('fail'); };
+    const successfulOperation = async () => 'success';
 
     beforeEach(() => {
         circuitBreaker = new CircuitBreaker(3, 100, 2); // failureThreshold=3, resetTimeout=100ms, successThreshold=2
@@ -120,4 +123,198 @@ describe('CircuitBreaker', () => {
         } catch (e) {}
         expect(circuitBreaker.getState()).to.equal('OPEN');
     });
+
+    describe('with a sliding window', () => {
+        const fail = async () => { throw new Error('fail'); };
+        const succeed = async () => 'success';
+
+        async function fireAll(breaker, operations) {
+            for (const operation of operations) {
+                try {
+                    await breaker.fire(operation);
+                } catch (e) {}
+            }
+        }
+
+        it('should open on the failure rate rather than consecutive failures', async () => {
+            const breaker = new CircuitBreaker(3, 100, 2, {
+                slidingWindow: { type: 'count', size: 10 },
+                minimumCalls: 10,
+                failureRateThreshold: 40,
+            });
+            // Never two failures in a row, but 40% of the calls fail
+            await fireAll(breaker, [fail, succeed, fail, succeed, succeed, fail, succeed, fail, succeed]);
+            expect(breaker.getState()).to.equal('CLOSED'); // Only 9 calls so far
+            await fireAll(breaker, [succeed]);
+            expect(breaker.getState()).to.equal('OPEN');
+        });
+
+        it('should only count the last calls of a count-based window', async () => {
+            const breaker = new CircuitBreaker(3, 100, 2, {
+                slidingWindow: { type: 'count', size: 4 },
+                minimumCalls: 4,
+                failureRateThreshold: 60,
+            });
+            await fireAll(breaker, [fail, fail, succeed, succeed, fail, fail]);
+            expect(breaker.getState()).to.equal('CLOSED'); // 2 of the last 4 failed, though 4 of 6 did
+        });
+
+        it('should forget calls older than a time-based window', async () => {
+            const breaker = new CircuitBreaker(3, 100, 2, {
+                slidingWindow: { type: 'time', size: 50 },
+                minimumCalls: 2,
+            });
+            await fireAll(breaker, [fail]);
+            await new Promise(resolve => setTimeout(resolve, 60));
+            await fireAll(breaker, [succeed, succeed]);
+            expect(breaker.getState()).to.equal('CLOSED');
+            await fireAll(breaker, [fail, fail]);
+            expect(breaker.getState()).to.equal('OPEN');
+        });
+
+        it('should open on the slow-call rate', async () => {
+            const breaker = new CircuitBreaker(3, 100, 2, {
+                slidingWindow: { type: 'count', size: 3 },
+                minimumCalls: 3,
+                slowCallDurationMs: 20,
+                slowCallRateThreshold: 60,
+            });
+            const slow = () => new Promise(resolve => setTimeout(resolve, 30));
+            await fireAll(breaker, [slow, succeed, slow]);
+            expect(breaker.getState()).to.equal('OPEN');
+        });
+    });
+
+    it('should abort calls that take longer than the timeout and count them as failures', async () => {
+        const breaker = new CircuitBreaker(1, 100, 1, { timeoutMs: 20 });
+        let signal;
+        let error;
+        try {
+            await breaker.fire(callSignal => {
+                signal = callSignal;
+                return new Promise(() => {}); // Hangs
+            });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an.instanceOf(CallTimeoutError);
+        expect(signal.aborted).to.be.true;
+        expect(signal.reason).to.equal(error);
+        expect(breaker.getState()).to.equal('OPEN');
+    });
+
+    it('should let a predicate decide which outcomes are failures', async () => {
+        const breaker = new CircuitBreaker(2, 100, 1, { isFailure: failureStatuses([429, 503]) });
+        expect(await breaker.fire(async () => ({ status: 500 }))).to.deep.equal({ status: 500 });
+        await breaker.fire(async () => ({ status: 429 }));
+        expect(breaker.getState()).to.equal('CLOSED');
+        try {
+            await breaker.fire(async () => {
+                throw Object.assign(new Error('unavailable'), { response: { status: 503 } });
+            });
+        } catch (e) {}
+        expect(breaker.getState()).to.equal('OPEN');
+    });
+
+    it('should count cancelled calls as neither successes nor failures', async () => {
+        const breaker = new CircuitBreaker(1, 100, 1);
+        const cancelled = [];
+        breaker.on('cancel', error => cancelled.push(error));
+        breaker.on('failure', () => cancelled.push('failure'));
+        let error;
+        try {
+            await breaker.fire(async () => {
+                throw new CallCancelledError('Worker is shutting down');
+            });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an.instanceOf(CallCancelledError);
+        expect(cancelled).to.deep.equal([error]);
+        expect(breaker.getState()).to.equal('CLOSED');
+    });
+
+    it('should apply new thresholds to a running breaker', async () => {
+        const breaker = new CircuitBreaker(1, 100, 1);
+        breaker.configure(2, 100, 1);
+        await breaker.fire(failingOperation).catch(() => {});
+        expect(breaker.getState()).to.equal('CLOSED');
+        await breaker.fire(failingOperation).catch(() => {});
+        expect(breaker.getState()).to.equal('OPEN');
+        expect(() => breaker.configure(2, 100, 1, { failureRateThreshold: 0 })).to.throw('failureRateThreshold');
+        expect(breaker.failureThreshold).to.equal(2);
+    });
+
+    it('should emit events for transitions, rejections and call outcomes', async () => {
+        const breaker = new CircuitBreaker(1, 100, 1, { timeoutMs: 20 });
+        const events = [];
+        for (const name of ['open', 'halfOpen', 'close', 'reject', 'success', 'failure', 'timeout']) {
+            breaker.on(name, () => events.push(name));
+        }
+        await breaker.fire(async () => 'ok');
+        await breaker.fire(() => new Promise(() => {})).catch(() => {});
+        await breaker.fire(async () => 'should not run').catch(() => {});
+        await new Promise(resolve => setTimeout(resolve, 110));
+        await breaker.fire(async () => 'ok');
+        expect(events).to.deep.equal(['success', 'timeout', 'failure', 'open', 'reject', 'halfOpen', 'success', 'close']);
+    });
+
+    it('should reject with a CircuitOpenError telling how long until the next trial', async () => {
+        const breaker = new CircuitBreaker(1, 60000, 1);
+        await breaker.fire(failingOperation).catch(() => {});
+        let error;
+        try {
+            await breaker.fire(async () => 'should not run');
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an.instanceOf(CircuitOpenError);
+        expect(error.retryAfterMs).to.be.within(59000, 60000);
+    });
+
+    it('should answer with the fallback when the circuit is OPEN or the call fails', async () => {
+        const breaker = new CircuitBreaker(1, 60000, 1);
+        const fallback = error => `cached (${error.message})`;
+        expect(await breaker.fire(failingOperation, fallback)).to.equal('cached (fail)');
+        expect(breaker.getState()).to.equal('OPEN');
+        expect(await breaker.fire(successfulOperation, fallback)).to.equal('cached (CircuitBreaker: Circuit is OPEN)');
+    });
+
+    it('should stay OPEN when forced OPEN and CLOSED when forced CLOSED, until reset', async () => {
+        const breaker = new CircuitBreaker(1, 10, 1);
+        breaker.forceOpen();
+        await new Promise(resolve => setTimeout(resolve, 20));
+        let error;
+        try {
+            await breaker.fire(successfulOperation);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an.instanceOf(CircuitOpenError);
+        expect(error.retryAfterMs).to.be.null;
+        expect(breaker.getForcedState()).to.equal('OPEN');
+
+        breaker.forceClose();
+        await breaker.fire(failingOperation).catch(() => {});
+        expect(breaker.getState()).to.equal('CLOSED');
+
+        breaker.reset();
+        expect(breaker.getForcedState()).to.be.null;
+        await breaker.fire(failingOperation).catch(() => {});
+        expect(breaker.getState()).to.equal('OPEN');
+    });
+
+    it('should report its counters and the calls in its sliding window', async () => {
+        expect(circuitBreaker.getStats()).to.include({ state: 'CLOSED', forced: null, failures: 0, window: null });
+        await circuitBreaker.fire(failingOperation).catch(() => {});
+        expect(circuitBreaker.getStats().failures).to.equal(1);
+
+        circuitBreaker.configure(3, 100, 2, { slidingWindow: { type: 'count', size: 2 }, minimumCalls: 10 });
+        for (const operation of [failingOperation, successfulOperation, successfulOperation, failingOperation]) {
+            await circuitBreaker.fire(operation).catch(() => {});
+        }
+        expect(circuitBreaker.getStats().window).to.deep.equal({
+            type: 'count', size: 2, calls: 2, failures: 1, slow: 0, failureRate: 50, slowCallRate: 0,
+        });
+    });
 });
@@ -0,0 +1,178 @@
+// test/config.test.js
+import { expect } from 'chai';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { loadConfig } from '../src/config.js';
+import { reloadRouteResources } from '../src/proxyServer.js';
+import { parseRouteTable } from '../src/routeTable.js';
+import { createLimiter } from '../src/limiters/index.js';
+
+const ROUTES = [{ name: 'login', path: '/login', upstream: 'http://auth' }];
+
+describe('loadConfig', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'config-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should fill in the defaults', () => {
+        const config = loadConfig({ env: { ROUTES_FILE: 'routes.json' } });
+        expect(config.routes).to.equal('routes.json');
+        expect(config.proxy).to.deep.equal({ port: 3000, maxBodySize: '1mb', resultMaxWaitSeconds: 30, trustProxy: false });
+        expect(config.worker).to.include({ maxAttempts: 5, concurrency: 1, maxInFlight: 0, drainTimeoutMs: 30000 });
+        expect(config.results).to.deep.equal({ prefix: 'request_result', ttlSeconds: 3600 });
+        expect(config.admin).to.deep.equal({ token: null });
+        expect(config.storage).to.deep.equal({
+            backend: 'redis', host: '127.0.0.1', port: 6379, sentinels: null, sentinelName: 'mymaster', clusterNodes: null, commandTimeoutMs: 1000,
+        });
+        expect(config.logging).to.deep.equal({ level: 'info', format: 'json' });
+        expect(config.tracing).to.deep.equal({ exporter: 'none', endpoint: 'http://localhost:4318/v1/traces', file: 'traces.jsonl', serviceName: null });
+        expect(loadConfig({ env: { ADMIN_TOKEN: 'secret' } }).admin.token).to.equal('secret');
+    });
+
+    it('should let the config file override the defaults and environment variables override the file', () => {
+        const file = join(dir, 'config.yaml');
+        writeFileSync(file, [
+            'routes:',
+            '  - name: login',
+            '    path: /login',
+            '    upstream: http://auth',
+            'proxy:',
+            '  port: 8080',
+            'worker:',
+            '  concurrency: 4',
+            '  batchSize: 10',
+        ].join('\n'));
+        const config = loadConfig({ file, env: { WORKER_CONCURRENCY: '8' } });
+        expect(config.routes).to.deep.equal(ROUTES);
+        expect(config.proxy.port).to.equal(8080);
+        expect(config.worker).to.include({ concurrency: 8, batchSize: 10 });
+    });
+
+    it('should read CONFIG_FILE and resolve a routes file against its directory', () => {
+        writeFileSync(join(dir, 'routes.json'), JSON.stringify({ routes: ROUTES }));
+        const file = join(dir, 'config.json');
+        writeFileSync(file, JSON.stringify({ routes: 'routes.json' }));
+        expect(loadConfig({ env: { CONFIG_FILE: file } }).routes).to.equal(join(dir, 'routes.json'));
+    });
+
+    it('should reject invalid and unknown settings', () => {
+        const file = join(dir, 'config.json');
+        writeFileSync(file, JSON.stringify({ routes: ROUTES, worker: { concurency: 4 } }));
+        expect(() => loadConfig({ file, env: {} })).to.throw("Invalid config: unknown setting 'worker.concurency'");
+
+        writeFileSync(file, JSON.stringify({ routes: ROUTES, proxy: { port: 'http' } }));
+        expect(() => loadConfig({ file, env: {} })).to.throw('Invalid config: proxy.port must be an integer of at least 0');
+
+        writeFileSync(file, JSON.stringify({ routes: ROUTES }));
+        expect(() => loadConfig({ file, env: { WORKER_BATCH_SIZE: 'ten' } }))
+            .to.throw('Invalid config: worker.batchSize (WORKER_BATCH_SIZE) must be an integer of at least 1');
+        expect(() => loadConfig({ file, env: { LOG_LEVEL: 'verbose' } }))
+            .to.throw('Invalid config: logging.level (LOG_LEVEL) must be one of debug, info, warn, error, silent');
+    });
+
+    it('should read the storage backend and Redis topology', () => {
+        const env = { ROUTES_FILE: 'routes.json', STORAGE_BACKEND: 'memory', REDIS_CLUSTER_NODES: 'redis-1:7000, redis-2:7000' };
+        expect(loadConfig({ env }).storage).to.include({ backend: 'memory', sentinels: null });
+        expect(loadConfig({ env }).storage.clusterNodes).to.deep.equal(['redis-1:7000', 'redis-2:7000']);
+
+        expect(() => loadConfig({ env: { ...env, REDIS_SENTINELS: 'sentinel' } }))
+            .to.throw("Invalid config: storage.sentinels (REDIS_SENTINELS) must be a non-empty list of 'host:port'");
+        expect(() => loadConfig({ env: { ...env, REDIS_SENTINELS: 'sentinel:26379' } }))
+            .to.throw('Invalid config: set either storage.sentinels or storage.clusterNodes, not both');
+        expect(() => loadConfig({ env: { ...env, STORAGE_BACKEND: 'etcd' } }))
+            .to.throw('Invalid config: storage.backend (STORAGE_BACKEND) must be one of redis, memory');
+    });
+
+    it('should read the payload encryption keys and header lists', () => {
+        const key = `v2:${Buffer.alloc(32, 3).toString('base64')}`;
+        const env = { ROUTES_FILE: 'routes.json', PAYLOAD_ENCRYPTION_KEYS: key, PAYLOAD_DENY_HEADERS: 'x-debug, cookie' };
+        expect(loadConfig({ env: { ROUTES_FILE: 'routes.json' } }).payloads).to.include({ encryptionKeys: null, allowHeaders: null });
+        expect(loadConfig({ env }).payloads).to.deep.include({ encryptionKeys: [key], denyHeaders: ['x-debug', 'cookie'] });
+        expect(loadConfig({ env }).payloads.sensitiveFields).to.include('authorization');
+
+        expect(() => loadConfig({ env: { ...env, PAYLOAD_ENCRYPTION_KEYS: `${key},${key}` } }))
+            .to.throw("payloads.encryptionKeys (PAYLOAD_ENCRYPTION_KEYS) must be a non-empty list of '<key ID>:<base64 of 32 bytes>' with distinct key IDs");
+        expect(() => loadConfig({ env: { ...env, PAYLOAD_ENCRYPTION_KEYS: 'v1:c2hvcnQ=' } })).to.throw('payloads.encryptionKeys');
+    });
+
+    it('should read the callback secret and allowlist', () => {
+        const env = { ROUTES_FILE: 'routes.json', CALLBACK_SECRET: 's3cret', CALLBACK_ALLOWED_URLS: 'https://hooks.example.com/, http://localhost:4000/hooks' };
+        expect(loadConfig({ env: { ROUTES_FILE: 'routes.json' } }).callbacks).to.deep.include({ secret: null, allowedUrls: [], maxAttempts: 5 });
+        expect(loadConfig({ env }).callbacks).to.deep.include({ secret: 's3cret', allowedUrls: ['https://hooks.example.com/', 'http://localhost:4000/hooks'] });
+
+        expect(() => loadConfig({ env: { ...env, CALLBACK_ALLOWED_URLS: 'hooks.example.com' } }))
+            .to.throw('callbacks.allowedUrls (CALLBACK_ALLOWED_URLS) must be a list of http(s) URLs');
+    });
+
+    it('should read which proxies to trust', () => {
+        const env = { ROUTES_FILE: 'routes.json' };
+        expect(loadConfig({ env: { ...env, TRUST_PROXY: 'true' } }).proxy.trustProxy).to.equal(true);
+        expect(loadConfig({ env: { ...env, TRUST_PROXY: '2' } }).proxy.trustProxy).to.equal(2);
+        expect(loadConfig({ env: { ...env, TRUST_PROXY: 'loopback, 10.0.0.0/8' } }).proxy.trustProxy).to.deep.equal(['loopback', '10.0.0.0/8']);
+
+        expect(() => loadConfig({ env: { ...env, TRUST_PROXY: ',' } })).to.throw('Invalid config: proxy.trustProxy (TRUST_PROXY) must be true, false');
+    });
+
+    it('should validate the routes', () => {
+        const file = join(dir, 'config.json');
+        writeFileSync(file, JSON.stringify({ routes: [{ name: 'login', path: 'login', upstream: 'http://auth' }] }));
+        expect(() => loadConfig({ file, env: {} })).to.throw("Invalid route 1 ('login'): path must start with '/'");
+    });
+});
+
+describe('reloadRouteResources', () => {
+    let resources;
+
+    beforeEach(() => {
+        const [route] = parseRouteTable({ routes: ROUTES });
+        resources = {
+            route,
+            rateLimiter: createLimiter(route.rateLimit),
+            clientRateLimiter: createLimiter(route.clientRateLimit),
+            circuitBreaker: {
+                configured: [],
+                async configure(...args) {
+                    this.configured.push(args);
+                },
+            },
+        };
+    });
+
+    afterEach(async () => {
+        await resources.rateLimiter.disconnect();
+        await resources.clientRateLimiter.disconnect();
+    });
+
+    it('should apply new rate limits and circuit breaker settings to the running resources', async () => {
+        const routes = parseRouteTable({ routes: [{
+            ...ROUTES[0],
+            rateLimit: { limit: 10, burst: 20 },
+            circuitBreaker: { failureThreshold: 7 },
+        }] });
+        const changes = await reloadRouteResources([resources], routes);
+
+        expect(changes).to.deep.equal({ applied: ['login.rateLimit', 'login.circuitBreaker'], restartRequired: [] });
+        expect(resources.rateLimiter).to.include({ capacity: 20, fillRate: 10 });
+        expect(resources.route.rateLimit.limit).to.equal(10);
+        expect(resources.circuitBreaker.configured[0].slice(0, 3)).to.deep.equal([7, 15000, 2]);
+    });
+
+    it('should report other changes and added or removed routes as needing a restart', async () => {
+        const routes = parseRouteTable({ routes: [
+            { ...ROUTES[0], upstream: 'http://auth-v2', rateLimit: { algorithm: 'gcra', limit: 10 } },
+            { name: 'orders', path: '/orders', upstream: 'http://orders' },
+        ] });
+        const changes = await reloadRouteResources([resources], routes);
+
+        expect(changes).to.deep.equal({ applied: [], restartRequired: ['login.upstream', 'login.rateLimit', 'orders'] });
+        expect(resources.route.upstream).to.equal('http://auth');
+        expect(resources.rateLimiter.capacity).to.equal(100);
+    });
+});
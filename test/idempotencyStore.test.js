@@ -0,0 +1,96 @@
+// test/idempotencyStore.test.js
+import { expect } from 'chai';
+import IdempotencyStore, { idempotencyOptions } from '../src/idempotencyStore.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+// Just enough of an Express request
+function request({ method = 'POST', url = '/login', headers = {}, body = 'user=alice', ip = '10.0.0.1' } = {}) {
+    return {
+        ip,
+        method,
+        originalUrl: url,
+        path: url.split('?')[0],
+        body: Buffer.from(body),
+        get: name => headers[name.toLowerCase()],
+    };
+}
+
+describe('IdempotencyStore', () => {
+    let storage;
+    let store;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        store = new IdempotencyStore('login_idempotency', { storage, windowMs: 50 });
+    });
+
+    afterEach(async () => {
+        await store.disconnect();
+        await storage.disconnect();
+        storage.store.close();
+    });
+
+    it('should identify requests by their idempotency key header', () => {
+        const identity = store.identify(request({ headers: { 'idempotency-key': 'abc' } }));
+        expect(identity.key).to.match(/^key:[0-9a-f]{64}$/);
+        expect(identity.key).to.not.include('abc'); // Client-chosen keys are hashed
+        expect(store.identify(request({ headers: { 'idempotency-key': 'abc' } }))).to.deep.equal(identity);
+
+        // The digest tells apart other requests sent with the same key
+        const other = store.identify(request({ url: '/login?retry=1', headers: { 'idempotency-key': 'abc' } }));
+        expect(other.key).to.equal(identity.key);
+        expect(other.digest).to.not.equal(identity.digest);
+
+        expect(store.identify(request())).to.be.null;
+    });
+
+    it('should only recognize repeats from the same client', () => {
+        const identity = store.identify(request({ headers: { 'idempotency-key': '1' } }));
+        const otherClient = store.identify(request({ ip: '10.0.0.2', headers: { 'idempotency-key': '1' } }));
+        expect(otherClient.key).to.not.equal(identity.key);
+        expect(otherClient.digest).to.equal(identity.digest);
+
+        const perApiKey = new IdempotencyStore('login_idempotency', { storage, keyBy: 'api-key', fingerprint: ['method', 'path', 'body'] });
+        const alice = perApiKey.identify(request({ headers: { 'x-api-key': 'alice' } }));
+        expect(perApiKey.identify(request({ ip: '10.0.0.2', headers: { 'x-api-key': 'alice' } }))).to.deep.equal(alice);
+        expect(perApiKey.identify(request({ headers: { 'x-api-key': 'bob' } })).key).to.not.equal(alice.key);
+    });
+
+    it('should identify requests without the header by their fingerprint when configured', () => {
+        const fingerprinted = new IdempotencyStore('login_idempotency', { storage, fingerprint: ['method', 'path', 'header:X-User'] });
+        const identity = fingerprinted.identify(request({ url: '/login?a=1', headers: { 'x-user': 'alice' } }));
+        expect(identity).to.deep.include({ digest: null });
+        expect(identity.key).to.match(/^fingerprint:/);
+        // The query string and body aren't part of this fingerprint
+        expect(fingerprinted.identify(request({ body: 'other', headers: { 'x-user': 'alice' } }))).to.deep.equal(identity);
+        expect(fingerprinted.identify(request({ headers: { 'x-user': 'bob' } })).key).to.not.equal(identity.key);
+    });
+
+    it('should let only the first request claim a key, for the window', async () => {
+        const identity = store.identify(request({ headers: { 'idempotency-key': 'abc' } }));
+        expect(await store.lookup(identity)).to.be.null;
+        expect(await store.claim(identity, 'first')).to.be.null;
+        expect(await store.claim(identity, 'second')).to.deep.equal({ requestId: 'first', digest: identity.digest });
+        expect(await store.lookup(identity)).to.deep.equal({ requestId: 'first', digest: identity.digest });
+
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(await store.lookup(identity)).to.be.null;
+        expect(await store.claim(identity, 'second')).to.be.null;
+    });
+
+    it('should only release a claim held by the given request', async () => {
+        const identity = store.identify(request({ headers: { 'idempotency-key': 'abc' } }));
+        await store.claim(identity, 'first');
+        expect(await store.release(identity, 'second')).to.be.false;
+        expect(await store.release(identity, 'first')).to.be.true;
+        expect(await store.lookup(identity)).to.be.null;
+    });
+
+    it('should validate its options', () => {
+        expect(idempotencyOptions()).to.deep.equal({ header: 'idempotency-key', fingerprint: false, windowMs: 3600000, keyBy: 'ip' });
+        expect(() => idempotencyOptions({ header: false })).to.throw("header and fingerprint can't both be false");
+        expect(() => idempotencyOptions({ fingerprint: ['method', 'cookies'] })).to.throw('fingerprint must be false or a non-empty list');
+        expect(() => idempotencyOptions({ windowMs: 0 })).to.throw('windowMs must be a positive integer');
+        expect(() => idempotencyOptions({ keyBy: 'cookie' })).to.throw('keyBy must be ip, username, api-key, header:<Name> or a function');
+    });
+});
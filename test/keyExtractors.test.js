@@ -0,0 +1,60 @@
+// test/keyExtractors.test.js
+import { expect } from 'chai';
+import { createKeyExtractor } from '../src/keyExtractors.js';
+
+function fakeRequest({ ip = '10.0.0.1', body = {}, headers = {} } = {}) {
+    return {
+        ip,
+        body,
+        get: name => headers[name.toLowerCase()],
+    };
+}
+
+describe('createKeyExtractor', () => {
+    it('should key requests by client IP by default', () => {
+        const keyFn = createKeyExtractor();
+        expect(keyFn(fakeRequest())).to.equal('ip:10.0.0.1');
+    });
+
+    it('should key requests by username', () => {
+        const keyFn = createKeyExtractor('username');
+        expect(keyFn(fakeRequest({ body: { username: 'userX' } }))).to.equal('user:userX');
+    });
+
+    it('should read the username from a raw JSON body', () => {
+        const keyFn = createKeyExtractor('username');
+        const body = Buffer.from(JSON.stringify({ username: 'userX' }));
+        expect(keyFn(fakeRequest({ body }))).to.equal('user:userX');
+        expect(keyFn(fakeRequest({ body: Buffer.from('not json') }))).to.equal('ip:10.0.0.1');
+    });
+
+    it('should key requests by a hash of the API key', () => {
+        const keyFn = createKeyExtractor('api-key');
+        const key = keyFn(fakeRequest({ headers: { 'x-api-key': 'secret-key' } }));
+        expect(key).to.match(/^apikey:[0-9a-f]{32}$/);
+        expect(key).to.not.include('secret-key');
+        expect(keyFn(fakeRequest({ headers: { 'x-api-key': 'secret-key' } }))).to.equal(key);
+    });
+
+    it('should fall back to the client IP when the request has no key', () => {
+        expect(createKeyExtractor('username')(fakeRequest())).to.equal('ip:10.0.0.1');
+        expect(createKeyExtractor('api-key')(fakeRequest())).to.equal('ip:10.0.0.1');
+        expect(createKeyExtractor(() => undefined)(fakeRequest())).to.equal('ip:10.0.0.1');
+    });
+
+    it('should key requests by a header', () => {
+        const keyFn = createKeyExtractor('header:X-Tenant');
+        expect(keyFn(fakeRequest({ headers: { 'x-tenant': 'acme' } }))).to.equal('x-tenant:acme');
+        expect(keyFn(fakeRequest())).to.equal('ip:10.0.0.1');
+        expect(() => createKeyExtractor('header:')).to.throw("Unknown rate limit key extractor 'header:'");
+    });
+
+    it('should accept a custom function', () => {
+        const keyFn = createKeyExtractor(req => `tenant:${req.get('x-tenant')}`);
+        expect(keyFn(fakeRequest({ headers: { 'x-tenant': 'acme' } }))).to.equal('tenant:acme');
+    });
+
+    it('should reject unknown extractor names', () => {
+        expect(() => createKeyExtractor('cookie')).to.throw("Unknown rate limit key extractor 'cookie'");
+    });
+});
@@ -0,0 +1,129 @@
+// test/limiters.test.js
+import { expect } from 'chai';
+import { ALGORITHMS, configureLimiter, createLimiter } from '../src/limiters/index.js';
+import TokenBucket from '../src/rateLimiter.js';
+import Redis from 'ioredis';
+
+const REDIS_TEST_LIMITER_KEY = 'test_limiter';
+
+async function consumeTimes(limiter, times, clientKey) {
+    const results = [];
+    for (let i = 0; i < times; i++) {
+        results.push(await limiter.tryConsume(clientKey));
+    }
+    return results;
+}
+
+describe('createLimiter', () => {
+    it('should create a token bucket with the same rate', () => {
+        const limiter = createLimiter({ key: REDIS_TEST_LIMITER_KEY, limit: 10, windowMs: 2000, burst: 50 });
+        expect(limiter).to.be.an.instanceOf(TokenBucket);
+        expect(limiter.capacity).to.equal(50);
+        expect(limiter.fillRate).to.equal(5);
+        return limiter.disconnect();
+    });
+
+    it('should change the limits of a running limiter but not its algorithm', async () => {
+        const limiter = createLimiter({ key: REDIS_TEST_LIMITER_KEY, limit: 10 });
+        configureLimiter(limiter, { key: REDIS_TEST_LIMITER_KEY, limit: 20, windowMs: 2000, burst: 40 });
+        expect(limiter).to.include({ capacity: 40, fillRate: 10, limit: 40, ratePerSecond: 10 });
+        expect(() => configureLimiter(limiter, { algorithm: 'gcra', key: REDIS_TEST_LIMITER_KEY, limit: 20 }))
+            .to.throw("can't change its algorithm or key");
+        await limiter.disconnect();
+    });
+
+    it('should apply the failure policy from configuration', async () => {
+        const limiter = createLimiter({ key: REDIS_TEST_LIMITER_KEY, limit: 10, failurePolicy: 'local', instances: 3 });
+        expect(limiter).to.include({ failurePolicy: 'local', instances: 3 });
+        configureLimiter(limiter, { key: REDIS_TEST_LIMITER_KEY, limit: 10 });
+        expect(limiter).to.include({ failurePolicy: 'fail-closed', instances: 1 });
+        expect(() => limiter.setFailurePolicy('fail-soft')).to.throw("Unknown failure policy 'fail-soft'");
+        expect(() => limiter.setFailurePolicy('local', { instances: 0 })).to.throw('instances must be a positive integer');
+        await limiter.disconnect();
+    });
+
+    it('should reject unknown algorithms', () => {
+        expect(() => createLimiter({ algorithm: 'leaky-bucket', key: REDIS_TEST_LIMITER_KEY, limit: 1 }))
+            .to.throw("Unknown rate limiting algorithm 'leaky-bucket'");
+    });
+});
+
+for (const algorithm of ALGORITHMS) {
+    describe(`${algorithm} limiter`, () => {
+        let limiter;
+        let redisClient;
+
+        beforeEach(async () => {
+            redisClient = new Redis({
+                host: process.env.REDIS_HOST || '127.0.0.1',
+                port: process.env.REDIS_PORT || 6379
+            });
+            const keys = await redisClient.keys(`${REDIS_TEST_LIMITER_KEY}*`);
+            if (keys.length > 0) {
+                await redisClient.del(...keys);
+            }
+
+            // 5 requests per 500ms, no extra burst
+            limiter = createLimiter({ algorithm, key: REDIS_TEST_LIMITER_KEY, limit: 5, windowMs: 500 });
+        });
+
+        afterEach(async () => {
+            await limiter.disconnect();
+            await redisClient.disconnect();
+        });
+
+        it('should allow requests up to the limit and deny the next one', async () => {
+            const results = await consumeTimes(limiter, 6);
+            expect(results.slice(0, 5).every(result => result.allowed)).to.be.true;
+            expect(results[5].allowed).to.be.false;
+            expect(results[5].remaining).to.equal(0);
+            expect(results[5].retryAfterMs).to.be.within(1, 1000);
+        });
+
+        it('should report the remaining requests', async () => {
+            const [first, second] = await consumeTimes(limiter, 2);
+            expect(first).to.include({ allowed: true, limit: 5, remaining: 4, retryAfterMs: 0 });
+            expect(second.remaining).to.equal(3);
+            expect(first.resetMs).to.be.within(1, 1000);
+        });
+
+        it('should allow requests again once the denied request may be retried', async () => {
+            const results = await consumeTimes(limiter, 6);
+            await new Promise(resolve => setTimeout(resolve, results[5].retryAfterMs + 20));
+            expect((await limiter.tryConsume()).allowed).to.be.true;
+        });
+
+        it('should keep separate state for each client key', async () => {
+            await consumeTimes(limiter, 5, 'client-a');
+            expect((await limiter.tryConsume('client-a')).allowed).to.be.false;
+            expect((await limiter.tryConsume('client-b')).allowed).to.be.true;
+        });
+
+        it('should decide by its failure policy while Redis is unreachable', async () => {
+            await limiter.redis.disconnect(); // Commands now fail as they would with Redis down
+            expect((await limiter.tryConsume()).allowed).to.be.false; // 'fail-closed' by default
+            expect(limiter.degraded).to.be.true;
+
+            limiter.setFailurePolicy('fail-open');
+            expect((await limiter.tryConsume()).allowed).to.be.true;
+
+            // Each of 2 instances gets 2 of the 5 requests, in memory
+            limiter.setFailurePolicy('local', { instances: 2 });
+            const results = await consumeTimes(limiter, 3);
+            expect(results.map(result => result.allowed)).to.deep.equal([true, true, false]);
+            expect(results[0]).to.include({ limit: 2, remaining: 1 });
+            expect(results[2].retryAfterMs).to.be.above(0);
+
+            await limiter.redis.connect();
+            expect((await limiter.tryConsume()).remaining).to.equal(4); // Redis decides again
+            expect(limiter.degraded).to.be.false;
+        });
+
+        it('should let expired state leave Redis', async () => {
+            await limiter.tryConsume('client-a');
+            const keys = await redisClient.keys(`${REDIS_TEST_LIMITER_KEY}:client-a*`);
+            expect(keys).to.have.lengthOf(1);
+            expect(await redisClient.pttl(keys[0])).to.be.above(0);
+        });
+    });
+}
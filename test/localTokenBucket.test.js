@@ -0,0 +1,33 @@
+// test/localTokenBucket.test.js
+import { expect } from 'chai';
+import LocalTokenBucket from '../src/limiters/localTokenBucket.js';
+
+describe('LocalTokenBucket', () => {
+    it('should allow up to the capacity and deny the next request', () => {
+        const buckets = new LocalTokenBucket();
+        const results = [1, 2, 3].map(() => buckets.tryConsume('key', 2, 10));
+        expect(results.map(result => result.allowed)).to.deep.equal([true, true, false]);
+        expect(results[0]).to.include({ limit: 2, remaining: 1, retryAfterMs: 0 });
+        expect(results[2].retryAfterMs).to.be.within(1, 100);
+        expect(buckets.tryConsume('other', 2, 10).allowed).to.be.true; // Each key has its own bucket
+    });
+
+    it('should refill over time', async () => {
+        const buckets = new LocalTokenBucket();
+        buckets.tryConsume('key', 1, 20);
+        expect(buckets.getTokens('key', 1, 20)).to.equal(0);
+        await new Promise(resolve => setTimeout(resolve, 60));
+        expect(buckets.getTokens('key', 1, 20)).to.equal(1);
+        expect(buckets.tryConsume('key', 1, 20).allowed).to.be.true;
+    });
+
+    it('should forget the least recently used buckets beyond maxKeys', () => {
+        const buckets = new LocalTokenBucket(2);
+        buckets.tryConsume('a', 1, 1);
+        buckets.tryConsume('b', 1, 1);
+        buckets.tryConsume('a', 1, 1);
+        buckets.tryConsume('c', 1, 1);
+        expect([...buckets.buckets.keys()]).to.deep.equal(['a', 'c']);
+        expect(buckets.getTokens('b', 1, 1)).to.equal(1); // Full again
+    });
+});
@@ -0,0 +1,91 @@
+// test/logger.test.js
+import { expect } from 'chai';
+import { createLogger } from '../src/logger.js';
+
+// Collects the lines a logger writes
+function memoryStream() {
+    return {
+        lines: [],
+        write(chunk) {
+            this.lines.push(chunk);
+        },
+        entries() {
+            return this.lines.map(line => JSON.parse(line));
+        },
+    };
+}
+
+describe('createLogger', () => {
+    let stream;
+
+    beforeEach(() => {
+        stream = memoryStream();
+    });
+
+    it('should write one JSON object per line with the time, level, message and fields', () => {
+        const logger = createLogger({ stream, fields: { service: 'proxy' } });
+        logger.info('Request received', { status: 200 });
+
+        expect(stream.lines).to.have.lengthOf(1);
+        expect(stream.lines[0].endsWith('\n')).to.be.true;
+        const [entry] = stream.entries();
+        expect(entry).to.include({ level: 'info', msg: 'Request received', service: 'proxy', status: 200 });
+        expect(new Date(entry.time).toISOString()).to.equal(entry.time);
+    });
+
+    it('should add the fields of child loggers to their entries only', () => {
+        const logger = createLogger({ stream });
+        const requestLog = logger.child({ requestId: 'abc', route: 'login' });
+        requestLog.child({ attempt: 2 }).warn('Retrying');
+        logger.info('Started');
+
+        const [retrying, started] = stream.entries();
+        expect(retrying).to.include({ level: 'warn', requestId: 'abc', route: 'login', attempt: 2 });
+        expect(started).to.not.have.property('requestId');
+    });
+
+    it('should skip entries below the level, for children too', () => {
+        const logger = createLogger({ stream, level: 'warn' });
+        const child = logger.child({ component: 'worker' });
+        child.info('Skipped');
+        child.error('Written');
+        expect(stream.entries().map(entry => entry.msg)).to.deep.equal(['Written']);
+
+        logger.configure({ level: 'debug' }); // Applies to the children as well
+        expect(child.isLevelEnabled('debug')).to.be.true;
+        logger.configure({ level: 'silent' });
+        child.error('Skipped');
+        expect(stream.lines).to.have.lengthOf(1);
+    });
+
+    it('should serialize errors', () => {
+        const logger = createLogger({ stream });
+        const error = Object.assign(new Error('Connection refused'), { code: 'ECONNREFUSED' });
+        logger.error('Error forwarding request', { error });
+
+        const [entry] = stream.entries();
+        expect(entry.error).to.include({ name: 'Error', message: 'Connection refused', code: 'ECONNREFUSED' });
+        expect(entry.error.stack).to.be.a('string');
+    });
+
+    it('should write human-readable lines in the pretty format', () => {
+        const logger = createLogger({ stream, format: 'pretty' });
+        logger.child({ requestId: 'abc' }).info('Request received', { status: 200 });
+        expect(stream.lines[0]).to.match(/^\S+ INFO {2}Request received requestId=abc status=200\n$/);
+    });
+
+    it('should redact sensitive fields at any depth', () => {
+        const logger = createLogger({ stream });
+        logger.info('Queued', { request: { headers: { Authorization: 'Bearer token', accept: '*/*' } }, password: 'hunter2' });
+        expect(stream.entries()[0]).to.deep.include({ request: { headers: { Authorization: '[REDACTED]', accept: '*/*' } }, password: '[REDACTED]' });
+
+        logger.configure({ format: 'pretty', redact: ['apiKey'] });
+        logger.warn('Rejected', { apikey: 'abc', user: { password: 'shown now' } });
+        expect(stream.lines[1]).to.include('apikey=[REDACTED]').and.include('"password":"shown now"');
+    });
+
+    it('should reject unknown levels and formats', () => {
+        expect(() => createLogger({ level: 'verbose' })).to.throw("Logger: Unknown level 'verbose'");
+        expect(() => createLogger({ format: 'xml' })).to.throw("Logger: Unknown format 'xml'");
+    });
+});
@@ -0,0 +1,91 @@
+// test/metrics.test.js
+import { expect } from 'chai';
+import { EventEmitter } from 'node:events';
+import Metrics, { statusClass } from '../src/metrics.js';
+import CircuitBreaker from '../src/circuitBreaker.js';
+
+function fakeQueue(queueName, ready, delayed = 0, dead = 0) {
+    return {
+        queueName,
+        length: async () => ready,
+        delayedLength: async () => delayed,
+        deadLength: async () => dead,
+    };
+}
+
+describe('Metrics', () => {
+    let metrics;
+
+    beforeEach(() => {
+        metrics = new Metrics({ defaultMetrics: false });
+    });
+
+    it('should group statuses into bounded classes', () => {
+        expect(statusClass(204)).to.equal('2xx');
+        expect(statusClass(503)).to.equal('5xx');
+        expect(statusClass(null)).to.equal('error');
+    });
+
+    it('should count rate limit decisions by route, limiter and outcome', async () => {
+        metrics.recordLimit('login', 'login_rate_limit', 'allowed');
+        metrics.recordLimit('login', 'login_rate_limit', 'allowed');
+        metrics.recordLimit('login', 'login_rate_limit:client', 'rejected');
+        const text = await metrics.render();
+        expect(text).to.include('rate_limiter_proxy_rate_limit_requests_total{route="login",limiter="login_rate_limit",outcome="allowed"} 2');
+        expect(text).to.include('rate_limiter_proxy_rate_limit_requests_total{route="login",limiter="login_rate_limit:client",outcome="rejected"} 1');
+    });
+
+    it('should read queue depths on each scrape', async () => {
+        metrics.watchQueue('login', fakeQueue('login_queue', 7, 2, 1));
+        const text = await metrics.render();
+        expect(text).to.include('rate_limiter_proxy_queue_depth{route="login",queue="login_queue",state="ready"} 7');
+        expect(text).to.include('rate_limiter_proxy_queue_depth{route="login",queue="login_queue",state="delayed"} 2');
+        expect(text).to.include('rate_limiter_proxy_queue_depth{route="login",queue="login_queue",state="dead"} 1');
+    });
+
+    it('should count requests shed from a queue', async () => {
+        const queue = Object.assign(new EventEmitter(), fakeQueue('login_queue', 10));
+        metrics.watchQueue('login', queue);
+        queue.emit('shed', { id: 'a' });
+        queue.emit('shed', { id: 'b' });
+        const text = await metrics.render();
+        expect(text).to.include('rate_limiter_proxy_queue_shed_total{route="login",queue="login_queue"} 2');
+    });
+
+    it('should record upstream latency and queue wait histograms', async () => {
+        metrics.observeUpstream('login', 200, 0.03);
+        metrics.observeUpstream('login', null, 2);
+        metrics.observeQueueWait('login', 4);
+        const text = await metrics.render();
+        expect(text).to.include('rate_limiter_proxy_upstream_request_duration_seconds_count{route="login",status_class="2xx"} 1');
+        expect(text).to.include('rate_limiter_proxy_upstream_request_duration_seconds_count{route="login",status_class="error"} 1');
+        expect(text).to.include('rate_limiter_proxy_queue_wait_seconds_bucket{le="5",route="login"} 1');
+    });
+
+    it('should count circuit breaker transitions and report the current state', async () => {
+        const breaker = new CircuitBreaker(1, 60000);
+        metrics.watchBreaker('login', breaker);
+        await breaker.fire(() => Promise.reject(new Error('down'))).catch(() => {});
+        const text = await metrics.render();
+        expect(text).to.include('rate_limiter_proxy_circuit_breaker_transitions_total{route="login",breaker="login",state="OPEN"} 1');
+        expect(text).to.include('rate_limiter_proxy_circuit_breaker_state{route="login",breaker="login",state="OPEN"} 1');
+        expect(text).to.include('rate_limiter_proxy_circuit_breaker_state{route="login",breaker="login",state="CLOSED"} 0');
+    });
+
+    it('should serve the metrics over HTTP', async () => {
+        metrics.recordWorkerOutcome('login', 'succeeded');
+        const server = await new Promise(resolve => {
+            const listening = metrics.listen(0, () => resolve(listening));
+        });
+        try {
+            const baseUrl = `http://127.0.0.1:${server.address().port}`;
+            const response = await fetch(`${baseUrl}/metrics`);
+            expect(response.status).to.equal(200);
+            expect(response.headers.get('content-type')).to.include('text/plain');
+            expect(await response.text()).to.include('rate_limiter_proxy_worker_requests_total{route="login",outcome="succeeded"} 1');
+            expect((await fetch(`${baseUrl}/other`)).status).to.equal(404);
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,461 @@
+// test/middleware.test.js
+import { expect } from 'chai';
+import express from 'express';
+import { idempotentRequests, rateLimitQueue } from '../src/middleware.js';
+import CircuitBreaker from '../src/circuitBreaker.js';
+import Metrics from '../src/metrics.js';
+import IdempotencyStore from '../src/idempotencyStore.js';
+import ResultStore from '../src/resultStore.js';
+import { MemoryStorage } from '../src/storage/index.js';
+import { storedResponse } from '../src/upstream.js';
+
+// A limiter allowing a fixed number of requests per key
+function countingBucket(limit) {
+    const counts = new Map();
+    return {
+        ratePerSecond: 10,
+        keys: [],
+        async tryConsume(key = 'shared') {
+            this.keys.push(key);
+            const count = (counts.get(key) || 0) + 1;
+            counts.set(key, count);
+            const allowed = count <= limit;
+            return { allowed, limit, remaining: Math.max(0, limit - count), retryAfterMs: allowed ? 0 : 500, resetMs: 1000 };
+        },
+    };
+}
+
+function memoryQueue(maxDepth = Infinity) {
+    return {
+        items: [],
+        options: [],
+        async enqueue(request, options) {
+            if (this.items.length >= maxDepth) {
+                return null;
+            }
+            this.items.push(request);
+            this.options.push(options);
+            return request.requestId;
+        },
+        async length() {
+            return this.items.length;
+        },
+    };
+}
+
+// A concurrency limiter with a fixed limit, recording how each slot was released
+function fixedConcurrency(limit) {
+    return {
+        inflight: 0,
+        released: [],
+        async acquire() {
+            if (this.inflight >= limit) {
+                return { allowed: false, limit, inflight: this.inflight, slot: null };
+            }
+            this.inflight++;
+            return { allowed: true, limit, inflight: this.inflight, slot: { id: this.inflight } };
+        },
+        async release(slot, outcome) {
+            this.inflight--;
+            this.released.push(outcome);
+        },
+    };
+}
+
+describe('rateLimitQueue', () => {
+    let server;
+    let baseUrl;
+
+    function serve(...middleware) {
+        const app = express();
+        app.use(express.raw({ type: () => true }), ...middleware, (req, res) => {
+            const status = Number(req.get('x-respond-with')) || 200;
+            res.status(status).json({ requestId: req.requestId });
+        });
+        return new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                resolve();
+            });
+        });
+    }
+
+    function send(path = '/', headers = {}) {
+        return fetch(baseUrl + path, { method: 'POST', headers, body: 'payload' });
+    }
+
+    afterEach(done => {
+        server.close(done);
+    });
+
+    it('should pass requests within the limit on with rate limit headers', async () => {
+        await serve(rateLimitQueue({ bucket: countingBucket(2) }));
+        const response = await send();
+        expect(response.status).to.equal(200);
+        expect(response.headers.get('ratelimit-limit')).to.equal('2');
+        expect(response.headers.get('ratelimit-remaining')).to.equal('1');
+        expect((await response.json()).requestId).to.be.a('string');
+    });
+
+    it('should keep the X-Request-Id or traceparent trace ID of a request and return it', async () => {
+        await serve(rateLimitQueue({ bucket: countingBucket(3) }));
+        let response = await send('/', { 'x-request-id': 'client-req-1' });
+        expect(response.headers.get('x-request-id')).to.equal('client-req-1');
+        expect((await response.json()).requestId).to.equal('client-req-1');
+
+        response = await send('/', { traceparent: '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01' });
+        expect(response.headers.get('x-request-id')).to.equal('4bf92f3577b34da6a3ce929d0e0e4736');
+
+        // Malformed IDs are replaced, as they end up in logs and URLs
+        response = await send('/', { 'x-request-id': 'no spaces/or slashes' });
+        const { requestId } = await response.json();
+        expect(requestId).to.not.equal('no spaces/or slashes');
+        expect(response.headers.get('x-request-id')).to.equal(requestId);
+    });
+
+    it('should reject requests over the limit with 429 when there is no queue', async () => {
+        await serve(rateLimitQueue({ bucket: countingBucket(1), name: 'login' }));
+        await send();
+        const response = await send();
+        expect(response.status).to.equal(429);
+        expect(response.headers.get('retry-after')).to.equal('1');
+        expect(await response.json()).to.include({ limit: 'login' });
+    });
+
+    it('should key the limit by client', async () => {
+        const bucket = countingBucket(1);
+        await serve(rateLimitQueue({ bucket, keyFn: req => req.get('x-client') }));
+        expect((await send('/', { 'x-client': 'a' })).status).to.equal(200);
+        expect((await send('/', { 'x-client': 'b' })).status).to.equal(200);
+        expect((await send('/', { 'x-client': 'a' })).status).to.equal(429);
+        expect(bucket.keys).to.deep.equal(['a', 'b', 'a']);
+    });
+
+    it('should enqueue requests over the limit and answer 202', async () => {
+        const queue = memoryQueue();
+        const pending = [];
+        const resultStore = { setPending: async requestId => pending.push(requestId) };
+        await serve(rateLimitQueue({ bucket: countingBucket(0), queue, resultStore }));
+
+        const response = await send('/orders?id=1', { 'content-type': 'text/plain' });
+        expect(response.status).to.equal(202);
+        const body = await response.json();
+        expect(body).to.include({ limit: 'global', statusUrl: `/requests/${body.requestId}` });
+        expect(pending).to.deep.equal([body.requestId]);
+        expect(queue.items).to.have.lengthOf(1);
+        expect(queue.items[0]).to.include({ requestId: body.requestId, method: 'POST', url: '/orders?id=1' });
+        expect(Buffer.from(queue.items[0].body, 'base64').toString()).to.equal('payload');
+    });
+
+    it('should queue requests under an ID of their own, whatever X-Request-Id clients send', async () => {
+        const queue = memoryQueue();
+        await serve(rateLimitQueue({ bucket: countingBucket(0), queue }));
+
+        const first = await send('/', { 'x-request-id': 'victim-123' });
+        const second = await send('/', { 'x-request-id': 'victim-123' });
+        expect(first.headers.get('x-request-id')).to.equal('victim-123'); // Still there to correlate logs
+        const ids = [(await first.json()).requestId, (await second.json()).requestId];
+        expect(ids).to.not.include('victim-123');
+        expect(ids[0]).to.not.equal(ids[1]);
+        expect(queue.items.map(item => item.requestId)).to.deep.equal(ids);
+        expect(queue.items.map(item => item.correlationId)).to.deep.equal(['victim-123', 'victim-123']);
+        expect(queue.items[0].headers).to.include({ 'x-request-id': 'victim-123' });
+    });
+
+    it('should enqueue with the priority and tenant chosen for the request', async () => {
+        const queue = memoryQueue();
+        await serve(rateLimitQueue({
+            bucket: countingBucket(0),
+            queue,
+            priorityFn: req => req.get('x-priority'),
+            tenantFn: 'header:X-Tenant',
+        }));
+
+        await send('/', { 'x-priority': 'high', 'x-tenant': 'acme' });
+        await send();
+        expect(queue.options[0]).to.deep.equal({ priority: 'high', tenant: 'x-tenant:acme' });
+        expect(queue.options[1]).to.deep.equal({ priority: undefined, tenant: 'ip:127.0.0.1' });
+    });
+
+    it('should reject requests with 429 when the queue is full', async () => {
+        const shed = [];
+        const resultStore = { setPending: async () => {}, setShed: async requestId => shed.push(requestId) };
+        await serve(rateLimitQueue({ bucket: countingBucket(0), queue: memoryQueue(1), resultStore }));
+
+        expect((await send()).status).to.equal(202);
+        const response = await send();
+        expect(response.status).to.equal(429);
+        expect(response.headers.get('retry-after')).to.be.a('string');
+        expect(await response.json()).to.include({ limit: 'global' });
+        expect(shed).to.have.lengthOf(1);
+    });
+
+    it('should queue requests even when the result store fails', async () => {
+        const queue = memoryQueue();
+        const resultStore = { setPending: async () => { throw new Error('Connection is closed.'); } };
+        await serve(rateLimitQueue({ bucket: countingBucket(0), queue, resultStore }));
+
+        expect((await send()).status).to.equal(202);
+        expect(queue.items).to.have.lengthOf(1);
+    });
+
+    it('should answer 503 when a request can\'t be queued', async () => {
+        const queue = {
+            async enqueue() {
+                throw new Error('Connection is closed.');
+            },
+        };
+        await serve(rateLimitQueue({ bucket: countingBucket(0), queue }));
+
+        const response = await send();
+        expect(response.status).to.equal(503);
+        expect(await response.json()).to.include({ limit: 'global' });
+    });
+
+    it('should let onQueued send the response', async () => {
+        await serve(rateLimitQueue({
+            bucket: countingBucket(0),
+            queue: memoryQueue(),
+            onQueued: (req, res, { requestId }) => res.status(303).set('Location', `/jobs/${requestId}`).end(),
+        }));
+        const response = await fetch(`${baseUrl}/`, { method: 'POST', redirect: 'manual' });
+        expect(response.status).to.equal(303);
+        expect(response.headers.get('location')).to.match(/^\/jobs\//);
+    });
+
+    it('should report the most restrictive of chained limits', async () => {
+        await serve(
+            rateLimitQueue({ bucket: countingBucket(1), keyFn: () => 'client' }),
+            rateLimitQueue({ bucket: countingBucket(5) })
+        );
+        const response = await send();
+        expect(response.status).to.equal(200);
+        expect(response.headers.get('ratelimit-limit')).to.equal('1');
+        expect(response.headers.get('ratelimit-remaining')).to.equal('0');
+    });
+
+    it('should count 5xx responses as circuit breaker failures and reject while OPEN', async () => {
+        const breaker = new CircuitBreaker(2, 60000, 1);
+        await serve(rateLimitQueue({ bucket: countingBucket(10), breaker }));
+
+        expect((await send('/', { 'x-respond-with': '404' })).status).to.equal(404);
+        expect(breaker.getState()).to.equal('CLOSED');
+        expect((await send('/', { 'x-respond-with': '500' })).status).to.equal(500);
+        expect((await send('/', { 'x-respond-with': '502' })).status).to.equal(502);
+        expect(breaker.getState()).to.equal('OPEN');
+
+        const response = await send();
+        expect(response.status).to.equal(503);
+        expect(Number(response.headers.get('retry-after'))).to.be.within(59, 60);
+    });
+
+    it('should answer 503 without Retry-After while the circuit breaker is forced OPEN', async () => {
+        const breaker = new CircuitBreaker(2, 60000, 1);
+        breaker.forceOpen();
+        await serve(rateLimitQueue({ bucket: countingBucket(10), breaker }));
+
+        const response = await send();
+        expect(response.status).to.equal(503);
+        expect(response.headers.get('retry-after')).to.be.null;
+    });
+
+    it('should abort the handlers\' call when the circuit breaker times it out', async () => {
+        const breaker = new CircuitBreaker(1, 60000, 1, { timeoutMs: 50 });
+        await serve(rateLimitQueue({ bucket: countingBucket(10), breaker }), (req, res) => {
+            req.breakerSignal.addEventListener('abort', () => res.status(504).json({ message: 'timed out' }));
+        });
+
+        expect((await send()).status).to.equal(504);
+        expect(breaker.getState()).to.equal('OPEN');
+    });
+
+    it('should hold a concurrency slot until the response is sent and queue requests over the limit', async () => {
+        const concurrency = fixedConcurrency(1);
+        const queue = memoryQueue();
+        let finishFirst;
+        await serve(rateLimitQueue({ bucket: countingBucket(10), queue, concurrency }), (req, res, next) => {
+            if (queue.items.length === 0 && !finishFirst) {
+                finishFirst = () => next();
+                return;
+            }
+            next();
+        });
+
+        const first = send('/', { 'x-respond-with': '503' });
+        while (!finishFirst) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        expect((await send()).status).to.equal(202); // The only slot is taken
+        expect(queue.items).to.have.lengthOf(1);
+
+        finishFirst();
+        expect((await first).status).to.equal(503);
+        await new Promise(resolve => setTimeout(resolve, 10)); // Released once the response has finished
+        expect(concurrency.released).to.deep.equal([{ dropped: true, ignored: false }]);
+        expect((await send()).status).to.equal(200);
+    });
+
+    it('should count decisions in metrics under the limiter key', async () => {
+        const metrics = new Metrics({ defaultMetrics: false });
+        const bucket = Object.assign(countingBucket(1), { limiterKey: 'orders_rate_limit' });
+        await serve(rateLimitQueue({ bucket, metrics, route: 'orders' }));
+        await send();
+        await send();
+        const text = await metrics.render();
+        expect(text).to.include('rate_limit_requests_total{route="orders",limiter="orders_rate_limit",outcome="allowed"} 1');
+        expect(text).to.include('rate_limit_requests_total{route="orders",limiter="orders_rate_limit",outcome="rejected"} 1');
+    });
+});
+
+describe('idempotentRequests', () => {
+    let storage;
+    let store;
+    let resultStore;
+    let servers;
+
+    // Each app stands for a proxy instance; they share the storage, as instances share Redis
+    function serve(queue, { bucket = countingBucket(0), idempotency = store } = {}) {
+        const app = express();
+        app.use(express.raw({ type: () => true }),
+            idempotentRequests({ store: idempotency, resultStore }),
+            rateLimitQueue({ bucket, queue, resultStore, idempotency }),
+            (req, res) => res.json({ forwarded: true }));
+        return new Promise(resolve => {
+            const server = app.listen(0, '127.0.0.1', () => {
+                servers.push(server);
+                resolve(`http://127.0.0.1:${server.address().port}`);
+            });
+        });
+    }
+
+    function send(baseUrl, body = 'user=alice', headers = { 'idempotency-key': 'retry-1' }) {
+        return fetch(`${baseUrl}/login`, { method: 'POST', headers, body });
+    }
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        store = new IdempotencyStore('login_idempotency', { storage });
+        resultStore = new ResultStore('request_result', 60, storage);
+        servers = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+        await storage.disconnect();
+        storage.store.close();
+    });
+
+    it('should answer a repeat of a queued request with the original, without queuing it again', async () => {
+        const queue = memoryQueue();
+        const bucket = countingBucket(0);
+        const baseUrl = await serve(queue, { bucket });
+
+        const original = await (await send(baseUrl)).json();
+        const response = await send(baseUrl);
+        expect(response.status).to.equal(202);
+        expect(await response.json()).to.deep.equal({
+            message: 'Request already queued. Please wait.',
+            requestId: original.requestId,
+            status: 'pending',
+            statusUrl: `/requests/${original.requestId}`,
+        });
+        expect(queue.items).to.have.lengthOf(1);
+        expect(bucket.keys).to.have.lengthOf(1); // Repeats don't count against the limit
+
+        // Without the header, it is another request
+        expect((await send(baseUrl, 'user=alice', {})).status).to.equal(202);
+        expect(queue.items).to.have.lengthOf(2);
+    });
+
+    it('should replay the stored response once the original has finished', async () => {
+        const baseUrl = await serve(memoryQueue());
+        const { requestId } = await (await send(baseUrl)).json();
+        await resultStore.setSucceeded(requestId, storedResponse({
+            status: 201,
+            headers: { 'content-type': 'application/json', 'set-cookie': ['session=abc'] },
+            body: Buffer.from('{"token":"t1"}'),
+        }));
+
+        const response = await send(baseUrl);
+        expect(response.status).to.equal(201);
+        expect(response.headers.get('idempotent-replayed')).to.equal('true');
+        expect(response.headers.getSetCookie()).to.deep.equal(['session=abc']);
+        expect(await response.json()).to.deep.equal({ token: 't1' });
+
+        await resultStore.setExpired(requestId);
+        const expired = await send(baseUrl);
+        expect(expired.status).to.equal(200);
+        expect(await expired.json()).to.include({ requestId, status: 'expired', error: 'Request expired before it could be processed' });
+    });
+
+    it("should not answer a client with another client's request sent with the same key", async () => {
+        const queue = memoryQueue();
+        const idempotency = new IdempotencyStore('login_idempotency', { storage, keyBy: 'api-key' });
+        const baseUrl = await serve(queue, { idempotency });
+        const { requestId } = await (await send(baseUrl, 'user=alice', { 'idempotency-key': '1', 'x-api-key': 'alice' })).json();
+        await resultStore.setSucceeded(requestId, storedResponse({
+            status: 200,
+            headers: { 'set-cookie': ['session=alice'] },
+            body: Buffer.from('ok'),
+        }));
+
+        const response = await send(baseUrl, 'user=alice', { 'idempotency-key': '1', 'x-api-key': 'mallory' });
+        expect(response.status).to.equal(202);
+        expect(response.headers.get('idempotent-replayed')).to.be.null;
+        expect(response.headers.getSetCookie()).to.be.empty;
+        expect((await response.json()).requestId).to.not.equal(requestId);
+        expect(queue.items).to.have.lengthOf(2);
+    });
+
+    it('should reject a key reused for a different request with 422', async () => {
+        const queue = memoryQueue();
+        const baseUrl = await serve(queue);
+        const { requestId } = await (await send(baseUrl)).json();
+
+        const response = await send(baseUrl, 'user=bob');
+        expect(response.status).to.equal(422);
+        expect(await response.json()).to.include({ requestId });
+        expect(queue.items).to.have.lengthOf(1);
+    });
+
+    it('should recognize repeats by their fingerprint when configured', async () => {
+        const queue = memoryQueue();
+        const idempotency = new IdempotencyStore('login_idempotency', { storage, header: false, fingerprint: ['method', 'path', 'body'] });
+        const baseUrl = await serve(queue, { idempotency });
+
+        const { requestId } = await (await send(baseUrl, 'user=alice', {})).json();
+        expect((await (await send(baseUrl, 'user=alice', {})).json()).requestId).to.equal(requestId);
+        expect((await (await send(baseUrl, 'user=bob', {})).json()).requestId).to.not.equal(requestId);
+        expect(queue.items).to.have.lengthOf(2);
+    });
+
+    it('should queue only one of two copies arriving at different proxies at once', async () => {
+        const queue = memoryQueue();
+        const [first, second] = [await serve(queue), await serve(queue)];
+
+        const responses = await Promise.all([send(first), send(second)]);
+        const bodies = await Promise.all(responses.map(response => response.json()));
+        expect(queue.items).to.have.lengthOf(1);
+        expect(bodies.map(body => body.requestId)).to.deep.equal([queue.items[0].requestId, queue.items[0].requestId]);
+    });
+
+    it('should let a request that couldn\'t be queued be retried', async () => {
+        const queue = memoryQueue();
+        const { enqueue } = queue;
+        queue.enqueue = async () => {
+            queue.enqueue = enqueue;
+            throw new Error('Connection is closed.');
+        };
+        const baseUrl = await serve(queue);
+
+        expect((await send(baseUrl)).status).to.equal(503);
+        expect((await send(baseUrl)).status).to.equal(202);
+        expect(queue.items).to.have.lengthOf(1);
+    });
+
+    it('should pass requests within the limit on, without claiming their key', async () => {
+        const baseUrl = await serve(memoryQueue(), { bucket: countingBucket(5) });
+        expect(await (await send(baseUrl)).json()).to.deep.equal({ forwarded: true });
+        expect(await (await send(baseUrl)).json()).to.deep.equal({ forwarded: true });
+    });
+});
@@ -0,0 +1,50 @@
+// test/payloadCipher.test.js
+import { expect } from 'chai';
+import PayloadCipher, { parseEncryptionKey } from '../src/payloadCipher.js';
+
+const OLD_KEY = `2024:${Buffer.alloc(32, 1).toString('base64')}`;
+const NEW_KEY = `2025:${Buffer.alloc(32, 2).toString('base64')}`;
+const REQUEST = { id: 'req-1', method: 'POST', url: '/login', headers: { cookie: 'a=1' }, body: 'aHVudGVyMg==' };
+
+describe('PayloadCipher', () => {
+    it('should seal the headers and body and open them again', () => {
+        const cipher = new PayloadCipher([NEW_KEY]);
+        const sealed = cipher.seal(REQUEST);
+        expect(sealed).to.include({ id: 'req-1', method: 'POST', url: '/login' });
+        expect(sealed).to.not.have.any.keys('headers', 'body');
+        expect(JSON.stringify(sealed)).to.not.include('a=1');
+        expect(cipher.open(sealed)).to.deep.equal(REQUEST);
+        expect(cipher.seal(sealed)).to.equal(sealed); // Sealed once only
+    });
+
+    it('should open requests sealed with an older key after rotation', () => {
+        const sealed = new PayloadCipher([OLD_KEY]).seal(REQUEST);
+        const rotated = new PayloadCipher([NEW_KEY, OLD_KEY]);
+        expect(rotated.open(sealed)).to.deep.equal(REQUEST);
+        expect(rotated.seal(REQUEST).encrypted.keyId).to.equal('2025');
+        expect(() => new PayloadCipher([NEW_KEY]).open(sealed)).to.throw("Unknown key ID '2024'");
+    });
+
+    it('should refuse payloads that were tampered with or moved to another request', () => {
+        const cipher = new PayloadCipher([NEW_KEY]);
+        const sealed = cipher.seal(REQUEST);
+        expect(() => cipher.open({ ...sealed, id: 'req-2' })).to.throw("Can't decrypt request req-2");
+        const data = Buffer.from(sealed.encrypted.data, 'base64');
+        data[0] ^= 1;
+        expect(() => cipher.open({ ...sealed, encrypted: { ...sealed.encrypted, data: data.toString('base64') } })).to.throw("Can't decrypt");
+    });
+
+    it('should leave requests in the clear alone', () => {
+        const cipher = new PayloadCipher([NEW_KEY]);
+        expect(cipher.open(REQUEST)).to.equal(REQUEST);
+        expect(cipher.seal({ id: 'no-payload' })).to.deep.equal({ id: 'no-payload' });
+    });
+
+    it('should only accept 256-bit keys with an ID', () => {
+        expect(parseEncryptionKey(NEW_KEY).key).to.have.lengthOf(32);
+        expect(parseEncryptionKey(Buffer.alloc(32).toString('base64'))).to.be.null;
+        expect(parseEncryptionKey(`short:${Buffer.alloc(16).toString('base64')}`)).to.be.null;
+        expect(() => new PayloadCipher([])).to.throw('At least one key');
+        expect(() => new PayloadCipher(['v1:nope'])).to.throw('Key 1 must be');
+    });
+});
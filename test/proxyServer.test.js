@@ -0,0 +1,78 @@
+// test/proxyServer.test.js
+import { createServer } from 'node:http';
+import { expect } from 'chai';
+import { createProxyServer } from '../src/proxyServer.js';
+import { MemoryStorage } from '../src/storage/index.js';
+
+describe('createProxyServer', () => {
+    let storage;
+    let upstream;
+    let upstreamUrl;
+    let proxy;
+    let baseUrl;
+
+    beforeEach(async () => {
+        storage = new MemoryStorage();
+        upstream = createServer((req, res) => res.writeHead(200, { 'content-type': 'text/plain' }).end('ok'));
+        await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+        upstreamUrl = `http://127.0.0.1:${upstream.address().port}`;
+    });
+
+    afterEach(async () => {
+        await proxy?.close();
+        proxy = null;
+        upstream.closeAllConnections();
+        await new Promise(resolve => upstream.close(resolve));
+        await storage.disconnect();
+        storage.store.close();
+    });
+
+    function start(options = {}) {
+        proxy = createProxyServer({
+            routes: [{
+                name: 'login',
+                path: '/login',
+                upstream: upstreamUrl,
+                clientRateLimit: { limit: 1, windowMs: 60000, burst: 1 }, // One request per client
+            }],
+            storage,
+            ...options,
+        });
+        return new Promise(resolve => {
+            const server = proxy.listen(0, '127.0.0.1', () => {
+                baseUrl = `http://127.0.0.1:${server.address().port}`;
+                resolve();
+            });
+        });
+    }
+
+    // Sends a request as forwarded by a load balancer for the given client address
+    async function loginFrom(address) {
+        const response = await fetch(`${baseUrl}/login`, { method: 'POST', headers: { 'x-forwarded-for': address } });
+        await response.arrayBuffer();
+        return response.status;
+    }
+
+    describe('trustProxy', () => {
+        it('should ignore X-Forwarded-For by default, keying every client by the address it connects from', async () => {
+            await start();
+            expect(await loginFrom('203.0.113.1')).to.equal(200);
+            expect(await loginFrom('203.0.113.2')).to.equal(429); // Both are 127.0.0.1
+        });
+
+        it('should key clients by their address in X-Forwarded-For when the proxy in front is trusted', async () => {
+            await start({ trustProxy: 1 });
+            expect(await loginFrom('203.0.113.1')).to.equal(200);
+            expect(await loginFrom('203.0.113.2')).to.equal(200);
+            expect(await loginFrom('203.0.113.1')).to.equal(429);
+            // Only the hop added by the trusted proxy counts, not addresses the client made up
+            expect(await loginFrom('198.51.100.7, 203.0.113.2')).to.equal(429);
+        });
+
+        it('should trust the given addresses', async () => {
+            await start({ trustProxy: ['loopback'] });
+            expect(await loginFrom('203.0.113.1')).to.equal(200);
+            expect(await loginFrom('203.0.113.2')).to.equal(200);
+        });
+    });
+});
@@ -0,0 +1,47 @@
+// test/rateLimitHeaders.test.js
+import { expect } from 'chai';
+import { estimateQueueWait, mostRestrictive, setRateLimitHeaders, setRetryAfter } from '../src/rateLimitHeaders.js';
+
+function fakeResponse() {
+    const headers = {};
+    return {
+        headers,
+        set: (name, value) => { headers[name] = value; },
+    };
+}
+
+describe('rateLimitHeaders', () => {
+    it('should set the IETF draft rate limit headers', () => {
+        const res = fakeResponse();
+        setRateLimitHeaders(res, { allowed: true, limit: 100, remaining: 41.7, retryAfterMs: 0, resetMs: 5200 });
+        expect(res.headers).to.deep.equal({
+            'RateLimit-Limit': '100',
+            'RateLimit-Remaining': '41',
+            'RateLimit-Reset': '6',
+        });
+    });
+
+    it('should round Retry-After up to at least one second', () => {
+        const res = fakeResponse();
+        setRetryAfter(res, 0);
+        expect(res.headers['Retry-After']).to.equal('1');
+        setRetryAfter(res, 14200);
+        expect(res.headers['Retry-After']).to.equal('15');
+    });
+
+    it('should prefer the limit that denied the request', () => {
+        const client = { allowed: true, remaining: 3 };
+        const global = { allowed: false, remaining: 10 };
+        expect(mostRestrictive(client, global)).to.equal(global);
+    });
+
+    it('should otherwise prefer the limit with the fewest requests remaining', () => {
+        const client = { allowed: true, remaining: 3 };
+        const global = { allowed: true, remaining: 10 };
+        expect(mostRestrictive(client, global)).to.equal(client);
+    });
+
+    it('should estimate the queue wait from the fill rate and queue depth', () => {
+        expect(estimateQueueWait({ retryAfterMs: 1000 }, 500, 100)).to.equal(6000);
+    });
+});
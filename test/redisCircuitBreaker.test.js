@@ -0,0 +1,212 @@
+// test/redisCircuitBreaker.test.js
+import { expect } from 'chai';
+import RedisCircuitBreaker from '../src/redisCircuitBreaker.js';
+import { CircuitOpenError } from '../src/breakerPolicy.js';
+import Redis from 'ioredis';
+
+const REDIS_TEST_BREAKER_KEY = 'test_circuit_breaker';
+
+describe('RedisCircuitBreaker', () => {
+    let circuitBreaker;
+    let otherInstance;
+    let redisClient;
+
+    const failingOperation = async () => { throw new Error('fail'); };
+    const successfulOperation = async () => 'success';
+
+    async function openCircuit() {
+        for (let i = 0; i < circuitBreaker.failureThreshold; i++) {
+            try {
+                await circuitBreaker.fire(failingOperation);
+            } catch (e) {}
+        }
+    }
+
+    beforeEach(async () => {
+        redisClient = new Redis({
+            host: process.env.REDIS_HOST || '127.0.0.1',
+            port: process.env.REDIS_PORT || 6379
+        });
+        await redisClient.del(REDIS_TEST_BREAKER_KEY);
+        await redisClient.del(...['calls', 'failures', 'slow', 'seq'].map(name => `${REDIS_TEST_BREAKER_KEY}:window:${name}`));
+
+        // failureThreshold=3, resetTimeout=100ms, successThreshold=2
+        circuitBreaker = new RedisCircuitBreaker(REDIS_TEST_BREAKER_KEY, 3, 100, 2);
+        otherInstance = new RedisCircuitBreaker(REDIS_TEST_BREAKER_KEY, 3, 100, 2);
+    });
+
+    afterEach(async () => {
+        await circuitBreaker.disconnect();
+        await otherInstance.disconnect();
+        await redisClient.disconnect();
+    });
+
+    it('should initially be in a CLOSED state', async () => {
+        expect(await circuitBreaker.getState()).to.equal('CLOSED');
+    });
+
+    it('should reset the failure count on success in CLOSED state', async () => {
+        for (let i = 0; i < circuitBreaker.failureThreshold - 1; i++) {
+            try {
+                await circuitBreaker.fire(failingOperation);
+            } catch (e) {}
+        }
+        await circuitBreaker.fire(successfulOperation);
+        try {
+            await circuitBreaker.fire(failingOperation);
+        } catch (e) {}
+        expect(await circuitBreaker.getState()).to.equal('CLOSED');
+    });
+
+    it('should share the OPEN state between instances', async () => {
+        await openCircuit();
+        expect(await otherInstance.getState()).to.equal('OPEN');
+
+        let error;
+        try {
+            await otherInstance.fire(async () => 'should not run');
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an('error');
+        expect(error.message).to.equal('CircuitBreaker: Circuit is OPEN');
+    });
+
+    it('should only let one instance send HALF_OPEN trial requests', async () => {
+        await openCircuit();
+        await new Promise(resolve => setTimeout(resolve, circuitBreaker.resetTimeout + 10));
+
+        await circuitBreaker.fire(successfulOperation); // Becomes the trial owner
+        expect(await circuitBreaker.getState()).to.equal('HALF_OPEN');
+
+        let error;
+        try {
+            await otherInstance.fire(async () => 'should not run');
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an('error');
+        expect(error.message).to.equal('CircuitBreaker: Circuit is OPEN');
+    });
+
+    it('should close the circuit after successThreshold in HALF_OPEN', async () => {
+        await openCircuit();
+        await new Promise(resolve => setTimeout(resolve, circuitBreaker.resetTimeout + 10));
+
+        await circuitBreaker.fire(successfulOperation);
+        expect(await circuitBreaker.getState()).to.equal('HALF_OPEN');
+
+        await circuitBreaker.fire(successfulOperation);
+        expect(await circuitBreaker.getState()).to.equal('CLOSED');
+        expect(await otherInstance.fire(successfulOperation)).to.equal('success');
+    });
+
+    it('should re-open circuit if failure occurs in HALF_OPEN state', async () => {
+        await openCircuit();
+        await new Promise(resolve => setTimeout(resolve, circuitBreaker.resetTimeout + 10));
+
+        await circuitBreaker.fire(successfulOperation);
+        try {
+            await circuitBreaker.fire(failingOperation);
+        } catch (e) {}
+        expect(await circuitBreaker.getState()).to.equal('OPEN');
+    });
+
+    it('should share a sliding window of calls between instances', async () => {
+        const options = { slidingWindow: { type: 'count', size: 4 }, minimumCalls: 4, failureRateThreshold: 50 };
+        const first = new RedisCircuitBreaker(REDIS_TEST_BREAKER_KEY, 3, 100, 2, 100, options);
+        const second = new RedisCircuitBreaker(REDIS_TEST_BREAKER_KEY, 3, 100, 2, 100, options);
+        try {
+            for (const [breaker, operation] of [[first, failingOperation], [second, successfulOperation], [second, failingOperation]]) {
+                try {
+                    await breaker.fire(operation);
+                } catch (e) {}
+            }
+            expect(await first.getState()).to.equal('CLOSED'); // Fewer than minimumCalls
+            await first.fire(successfulOperation);
+            expect(await second.getState()).to.equal('OPEN'); // 2 of 4 calls failed
+        } finally {
+            await first.disconnect();
+            await second.disconnect();
+        }
+    });
+
+    it('should apply new settings and start the window over when its type changes', async () => {
+        await circuitBreaker.configure(3, 100, 2, 100, { slidingWindow: { type: 'count', size: 10 }, minimumCalls: 10 });
+        await circuitBreaker.fire(failingOperation).catch(() => {});
+        expect(await redisClient.zcard(`${REDIS_TEST_BREAKER_KEY}:window:calls`)).to.equal(1);
+
+        await circuitBreaker.configure(1, 100, 2, 100, { slidingWindow: { type: 'time', size: 1000 }, minimumCalls: 2 });
+        expect(await redisClient.zcard(`${REDIS_TEST_BREAKER_KEY}:window:calls`)).to.equal(0);
+        await circuitBreaker.fire(failingOperation).catch(() => {});
+        expect(await circuitBreaker.getState()).to.equal('CLOSED'); // Fewer than minimumCalls in the new window
+        await circuitBreaker.fire(failingOperation).catch(() => {});
+        expect(await circuitBreaker.getState()).to.equal('OPEN');
+    });
+
+    it('should time out calls and count them as failures', async () => {
+        const breaker = new RedisCircuitBreaker(REDIS_TEST_BREAKER_KEY, 1, 100, 2, 100, { timeoutMs: 20 });
+        try {
+            let error;
+            try {
+                await breaker.fire(() => new Promise(() => {}));
+            } catch (e) {
+                error = e;
+            }
+            expect(error.name).to.equal('CallTimeoutError');
+            expect(await breaker.getState()).to.equal('OPEN');
+        } finally {
+            await breaker.disconnect();
+        }
+    });
+
+    it('should hold a forced state for every instance until reset', async () => {
+        const opened = [];
+        circuitBreaker.on('open', () => opened.push('open'));
+        await circuitBreaker.forceOpen();
+        expect(opened).to.deep.equal(['open']);
+        expect(await otherInstance.getForcedState()).to.equal('OPEN');
+
+        let error;
+        try {
+            await otherInstance.fire(successfulOperation);
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an.instanceOf(CircuitOpenError);
+        expect(error.retryAfterMs).to.be.null;
+
+        await otherInstance.forceClose();
+        await openCircuit();
+        expect(await circuitBreaker.getState()).to.equal('CLOSED');
+
+        await otherInstance.reset();
+        expect(await circuitBreaker.getForcedState()).to.be.null;
+        await openCircuit();
+        expect(await otherInstance.getState()).to.equal('OPEN');
+    });
+
+    it('should answer with the fallback when the circuit is OPEN', async () => {
+        await openCircuit();
+        expect(await otherInstance.fire(successfulOperation, () => 'cached')).to.equal('cached');
+    });
+
+    it('should report the shared counters and sliding window', async () => {
+        await otherInstance.fire(failingOperation).catch(() => {});
+        expect(await circuitBreaker.getStats()).to.deep.equal({
+            state: 'CLOSED', forced: null, failures: 1, successes: 0, lastFailureTime: 0, window: null,
+        });
+
+        const options = { slidingWindow: { type: 'time', size: 1000 }, minimumCalls: 10 };
+        await circuitBreaker.configure(3, 100, 2, 100, options);
+        await otherInstance.configure(3, 100, 2, 100, options);
+        await otherInstance.fire(failingOperation).catch(() => {});
+        await circuitBreaker.fire(successfulOperation);
+        expect((await circuitBreaker.getStats()).window).to.deep.equal({
+            type: 'time', size: 1000, calls: 2, failures: 1, slow: 0, failureRate: 50, slowCallRate: 0,
+        });
+
+        await otherInstance.forceOpen();
+        expect(await circuitBreaker.getStats()).to.include({ state: 'OPEN', forced: 'OPEN' });
+    });
+});
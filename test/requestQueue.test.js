@@ -1,6 +1,7 @@
 // test/requestQueue.test.js
 import { expect } from 'chai';
 import RequestQueue from '../src/requestQueue.js';
+import PayloadCipher from '../src/payloadCipher.js';
 import Redis from 'ioredis';
 
 const REDIS_TEST_QUEUE_NAME = 'test_request_queue';
@@ -14,12 +15,16 @@ describe('RequestQueue', () => {
             host: process.env.REDIS_HOST || '127.0.0.1',
             port: process.env.REDIS_PORT || 6379
         });
-        await redisClient.del(REDIS_TEST_QUEUE_NAME); // Clear queue before each test
+        const keys = await redisClient.keys(`${REDIS_TEST_QUEUE_NAME}*`); // Clear queue before each test
+        if (keys.length > 0) {
+            await redisClient.del(...keys);
+        }
 
-        requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME);
+        requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME, { leaseTimeout: 100 });
     });
 
     afterEach(async () => {
+        await redisClient.del(requestQueue.processingQueueName);
         await requestQueue.disconnect();
         await redisClient.disconnect();
     });
@@ -35,6 +40,12 @@ describe('RequestQueue', () => {
         expect(dequeuedRequest.method).to.equal(testRequest.method);
     });
 
+    it('should enqueue a request under its own requestId', async () => {
+        const id = await requestQueue.enqueue({ requestId: 'client-req-1' });
+        expect(id).to.equal('client-req-1');
+        expect(await requestQueue.dequeue()).to.include({ id: 'client-req-1', requestId: 'client-req-1' });
+    });
+
     it('should return null when dequeueing from an empty queue', async () => {
         const dequeuedRequest = await requestQueue.dequeue();
         expect(dequeuedRequest).to.be.null;
@@ -85,4 +96,440 @@ describe('RequestQueue', () => {
         const dequeuedRequest = await requestQueue.blockDequeue(0.1); // Wait for 0.1 seconds
         expect(dequeuedRequest).to.be.null;
     });
+
+    it('should only requeue retries once their delay has elapsed', async () => {
+        await requestQueue.enqueue({ requestId: 'retry-me' });
+        const request = await requestQueue.dequeue();
+
+        await requestQueue.scheduleRetry({ ...request, attempts: 1 }, 100);
+        expect(await requestQueue.promoteDueRetries()).to.equal(0);
+        expect(await requestQueue.delayedLength()).to.equal(1);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        expect(await requestQueue.promoteDueRetries()).to.equal(1);
+
+        const retried = await requestQueue.dequeue();
+        expect(retried.id).to.equal(request.id);
+        expect(retried.attempts).to.equal(1);
+    });
+
+    it('should keep the last error of dead-lettered requests', async () => {
+        await requestQueue.enqueue({ requestId: 'dead-1' });
+        const request = await requestQueue.dequeue();
+        await requestQueue.deadLetter({ ...request, attempts: 5 }, 'Backend service responded with 500');
+
+        expect(await requestQueue.deadLength()).to.equal(1);
+        const deadRequest = await requestQueue.getDeadLetter('dead-1');
+        expect(deadRequest.lastError).to.equal('Backend service responded with 500');
+        expect(deadRequest).to.have.property('deadLetteredAt');
+    });
+
+    it('should replay a dead-lettered request with its attempts reset', async () => {
+        await requestQueue.deadLetter({ id: 'a', requestId: 'dead-1', attempts: 5 }, 'fail');
+
+        const replayed = await requestQueue.replayDeadLetter('dead-1');
+        expect(replayed.attempts).to.equal(0);
+        expect(await requestQueue.deadLength()).to.equal(0);
+
+        const requeued = await requestQueue.dequeue();
+        expect(requeued.requestId).to.equal('dead-1');
+        expect(requeued).to.not.have.property('lastError');
+        expect(await requestQueue.replayDeadLetter('dead-1')).to.be.null;
+    });
+
+    it('should give a replayed request a new deadline', async () => {
+        const timestamp = Date.now() - 120000;
+        await requestQueue.deadLetter({ id: 'a', requestId: 'dead-1', timestamp, expiresAt: timestamp + 60000 }, 'fail');
+
+        const replayed = await requestQueue.replayDeadLetter('dead-1');
+        expect(replayed.expiresAt).to.equal(replayed.timestamp + 60000);
+        expect(replayed.expiresAt).to.be.above(Date.now());
+        expect((await requestQueue.dequeue()).expiresAt).to.equal(replayed.expiresAt);
+    });
+
+    it('should purge one or all dead-lettered requests', async () => {
+        await requestQueue.deadLetter({ id: 'a', requestId: 'dead-1' }, 'fail');
+        await requestQueue.deadLetter({ id: 'b', requestId: 'dead-2' }, 'fail');
+        await requestQueue.deadLetter({ id: 'c', requestId: 'dead-3' }, 'fail');
+
+        expect(await requestQueue.purgeDeadLetters('dead-2')).to.equal(1);
+        const { total, requests } = await requestQueue.listDeadLetters();
+        expect(total).to.equal(2);
+        expect(requests.map(request => request.requestId)).to.deep.equal(['dead-1', 'dead-3']);
+
+        expect(await requestQueue.purgeDeadLetters()).to.equal(2);
+        expect(await requestQueue.deadLength()).to.equal(0);
+    });
+
+    it('should find dead-lettered requests queued without a request ID by their queued ID', async () => {
+        const id = await requestQueue.enqueue({ path: '/test' });
+        await requestQueue.deadLetter(await requestQueue.dequeue(), 'fail');
+        await requestQueue.deadLetter({ id: 'b' }, 'fail');
+
+        expect(await requestQueue.getDeadLetter(id)).to.include({ id, path: '/test' });
+        expect(await requestQueue.purgeDeadLetters('b')).to.equal(1);
+        expect((await requestQueue.replayDeadLetter(id)).id).to.equal(id);
+        expect(await requestQueue.deadLength()).to.equal(0);
+    });
+
+    it('should keep a reserved request out of the queue until it is acknowledged', async () => {
+        await requestQueue.enqueue({ order: 1 });
+        const reserved = await requestQueue.reserve(1);
+
+        expect(reserved.order).to.equal(1);
+        expect(await requestQueue.length()).to.equal(0);
+        expect(await redisClient.llen(requestQueue.processingQueueName)).to.equal(1);
+
+        expect(await requestQueue.ack(reserved)).to.be.true;
+        expect(await redisClient.llen(requestQueue.processingQueueName)).to.equal(0);
+        expect(await redisClient.zcard(requestQueue.leasesName)).to.equal(0);
+    });
+
+    it('should reserve several requests in one round trip', async () => {
+        for (let order = 1; order <= 3; order++) {
+            await requestQueue.enqueue({ order });
+        }
+        const reserved = await requestQueue.reserveBatch(2, 1);
+        expect(reserved.map(request => request.order)).to.deep.equal([1, 2]);
+        expect(await requestQueue.length()).to.equal(1);
+        expect(await redisClient.zcard(requestQueue.leasesName)).to.equal(2);
+
+        expect((await requestQueue.reserveBatch(5, 1)).map(request => request.order)).to.deep.equal([3]);
+        expect(await requestQueue.reserveBatch(5, 0.1)).to.deep.equal([]);
+        for (const request of reserved) {
+            expect(await requestQueue.ack(request)).to.be.true;
+        }
+    });
+
+    it('should return a nacked request to the head of the queue', async () => {
+        await requestQueue.enqueue({ order: 1 });
+        await requestQueue.enqueue({ order: 2 });
+        const reserved = await requestQueue.reserve(1);
+
+        await requestQueue.nack({ ...reserved, attempts: 1 });
+        const next = await requestQueue.dequeue();
+        expect(next.order).to.equal(1);
+        expect(next.attempts).to.equal(1);
+    });
+
+    it('should move a nacked request to the delayed-retry set when given a delay', async () => {
+        await requestQueue.enqueue({ order: 1 });
+        const reserved = await requestQueue.reserve(1);
+
+        await requestQueue.nack(reserved, { delayMs: 1000 });
+        expect(await requestQueue.length()).to.equal(0);
+        expect(await requestQueue.delayedLength()).to.equal(1);
+    });
+
+    it('should return requests with expired leases to the queue', async () => {
+        await requestQueue.enqueue({ order: 1 });
+        const reserved = await requestQueue.reserve(1);
+
+        expect(await requestQueue.reapExpiredLeases()).to.equal(0);
+        await new Promise(resolve => setTimeout(resolve, 150)); // leaseTimeout is 100ms
+        expect(await requestQueue.reapExpiredLeases()).to.equal(1);
+
+        expect(await requestQueue.length()).to.equal(1);
+        expect(await requestQueue.ack(reserved)).to.be.false; // Too late, it was requeued
+    });
+
+    it('should keep the lease of a reserved request for as long as it is extended', async () => {
+        await requestQueue.enqueue({ order: 1 });
+        const reserved = await requestQueue.reserve(1);
+
+        for (let i = 0; i < 3; i++) {
+            await new Promise(resolve => setTimeout(resolve, 60));
+            expect(await requestQueue.extendLease(reserved)).to.be.true;
+        }
+        expect(await requestQueue.reapExpiredLeases()).to.equal(0); // 180ms after it was reserved
+        expect(await requestQueue.length()).to.equal(0);
+
+        await new Promise(resolve => setTimeout(resolve, 150));
+        expect(await requestQueue.reapExpiredLeases()).to.equal(1);
+        expect(await requestQueue.extendLease(reserved)).to.be.false; // Too late, it was requeued
+        expect(await requestQueue.ack(reserved)).to.be.false;
+        expect(await requestQueue.extendLease(reserved)).to.be.false; // No longer reserved at all
+    });
+
+    it('should dead-letter a reserved request and acknowledge it', async () => {
+        await requestQueue.enqueue({ requestId: 'dead-1' });
+        const reserved = await requestQueue.reserve(1);
+
+        await requestQueue.deadLetter(reserved, 'fail');
+        expect(await requestQueue.deadLength()).to.equal(1);
+        expect(await redisClient.llen(requestQueue.processingQueueName)).to.equal(0);
+    });
+
+    it('should dequeue higher priorities first', async () => {
+        await requestQueue.enqueue({ order: 1 }, { priority: 'low' });
+        await requestQueue.enqueue({ order: 2 });
+        await requestQueue.enqueue({ order: 3 }, { priority: 'high' });
+
+        const orders = [];
+        for (let i = 0; i < 3; i++) {
+            orders.push((await requestQueue.dequeue()).order);
+        }
+        expect(orders).to.deep.equal([3, 2, 1]);
+    });
+
+    it('should reject unknown priorities', async () => {
+        let error;
+        try {
+            await requestQueue.enqueue({ order: 1 }, { priority: 'urgent' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an('error');
+        expect(error.message).to.include("Unknown priority 'urgent'");
+    });
+
+    it('should take turns between tenants at the same priority', async () => {
+        for (let i = 1; i <= 3; i++) {
+            await requestQueue.enqueue({ tenant: 'a', order: i }, { tenant: 'a' });
+        }
+        await requestQueue.enqueue({ order: 1 }, { tenant: 'b' });
+        await requestQueue.enqueue({ order: 2 }, { tenant: 'b' });
+
+        const tenants = [];
+        for (let i = 0; i < 5; i++) {
+            tenants.push((await requestQueue.dequeue()).tenant);
+        }
+        expect(tenants).to.deep.equal(['a', 'b', 'a', 'b', 'a']);
+    });
+
+    it('should give tenants a share of dequeues according to their weight', async () => {
+        await requestQueue.disconnect();
+        requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME, { tenantWeights: { big: 3 } });
+        for (let i = 0; i < 8; i++) {
+            await requestQueue.enqueue({}, { tenant: 'big' });
+            await requestQueue.enqueue({}, { tenant: 'small' });
+        }
+
+        const counts = { big: 0, small: 0 };
+        for (let i = 0; i < 8; i++) {
+            counts[(await requestQueue.dequeue()).tenant]++;
+        }
+        expect(counts).to.deep.equal({ big: 6, small: 2 });
+    });
+
+    it('should report lengths by priority and tenant', async () => {
+        await requestQueue.enqueue({}, { tenant: 'a' });
+        await requestQueue.enqueue({}, { tenant: 'a' });
+        await requestQueue.enqueue({}, { tenant: 'b', priority: 'high' });
+
+        expect(await requestQueue.length()).to.equal(3);
+        expect(await requestQueue.lengths()).to.deep.equal({
+            total: 3,
+            byPriority: { high: 1, normal: 2, low: 0 },
+            byTenant: { high: { b: 1 }, normal: { a: 2 }, low: {} },
+        });
+    });
+
+    it('should wake up a blocked consumer when a request is enqueued', async () => {
+        const reserving = requestQueue.reserve(2);
+        await new Promise(resolve => setTimeout(resolve, 100));
+        await requestQueue.enqueue({ order: 1 });
+
+        const reserved = await reserving;
+        expect(reserved.order).to.equal(1);
+        await requestQueue.ack(reserved);
+    });
+
+    it('should reject requests once the queue is full', async () => {
+        await requestQueue.disconnect();
+        requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME, { maxDepth: 2 });
+        expect(await requestQueue.enqueue({ order: 1 })).to.be.a('string');
+        expect(await requestQueue.enqueue({ order: 2 }, { priority: 'high' })).to.be.a('string');
+        expect(await requestQueue.enqueue({ order: 3 }, { priority: 'high' })).to.be.null;
+        expect(await requestQueue.length()).to.equal(2);
+
+        await requestQueue.dequeue();
+        expect(await requestQueue.enqueue({ order: 3 })).to.be.a('string');
+    });
+
+    it('should fail to enqueue while Redis is unreachable without a spill buffer', async () => {
+        await requestQueue.redis.disconnect(); // Commands now fail as they would with Redis down
+        let error;
+        try {
+            await requestQueue.enqueue({ requestId: 'lost' });
+        } catch (e) {
+            error = e;
+        }
+        expect(error).to.be.an('error');
+        expect(requestQueue.spilledLength()).to.equal(0);
+    });
+
+    it('should spill requests while Redis is unreachable and flush them in order once it is back', async () => {
+        await requestQueue.disconnect();
+        requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME, { spillMaxSize: 2 });
+        const spilled = [];
+        const flushed = [];
+        requestQueue.on('spill', request => spilled.push(request.requestId));
+        requestQueue.on('flush', request => flushed.push(request.requestId));
+        await requestQueue.redis.disconnect();
+
+        expect(await requestQueue.enqueue({ requestId: 'first' })).to.equal('first');
+        expect(await requestQueue.enqueue({ requestId: 'second' }, { priority: 'high' })).to.equal('second');
+        expect(await requestQueue.enqueue({ requestId: 'third' })).to.be.null; // The spill buffer is full
+        expect(spilled).to.deep.equal(['first', 'second']);
+        expect(requestQueue.spilledLength()).to.equal(2);
+
+        await requestQueue.redis.connect();
+        await requestQueue.flushSpilled(); // Already running if the reconnect started it
+        expect(flushed).to.deep.equal(['first', 'second']);
+        expect(requestQueue.spilledLength()).to.equal(0);
+        expect((await requestQueue.dequeue()).requestId).to.equal('second'); // With its priority
+        expect((await requestQueue.dequeue()).requestId).to.equal('first');
+    });
+
+    it('should shed the oldest request to make room when configured to', async () => {
+        await requestQueue.disconnect();
+        requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME, { maxDepth: 2, shedPolicy: 'oldest' });
+        const shed = [];
+        requestQueue.on('shed', request => shed.push(request.order));
+
+        await requestQueue.enqueue({ order: 1 }, { tenant: 'a' });
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await requestQueue.enqueue({ order: 2 }, { tenant: 'b', priority: 'low' });
+        await requestQueue.enqueue({ order: 3 }, { tenant: 'b' });
+
+        expect(shed).to.deep.equal([1]);
+        expect(await requestQueue.length()).to.equal(2);
+        expect((await requestQueue.dequeue()).order).to.equal(3);
+        expect((await requestQueue.dequeue()).order).to.equal(2);
+    });
+
+    it('should shed the lowest priority first when configured to', async () => {
+        await requestQueue.disconnect();
+        requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME, { maxDepth: 2, shedPolicy: 'lowest-priority' });
+        const shed = [];
+        requestQueue.on('shed', request => shed.push(request.order));
+
+        await requestQueue.enqueue({ order: 1 });
+        await requestQueue.enqueue({ order: 2 }, { priority: 'low' });
+        expect(await requestQueue.enqueue({ order: 3 }, { priority: 'low' })).to.be.a('string');
+        expect(await requestQueue.enqueue({ order: 4 }, { priority: 'high' })).to.be.a('string');
+        expect(shed).to.deep.equal([2, 3]);
+
+        // Nothing queued has a lower priority than a new low priority request
+        await requestQueue.dequeue();
+        await requestQueue.enqueue({ order: 5 }, { priority: 'high' });
+        expect(await requestQueue.enqueue({ order: 6 }, { priority: 'low' })).to.be.null;
+    });
+
+    it('should give queued requests a deadline', async () => {
+        await requestQueue.disconnect();
+        requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME, { maxWaitMs: 60000 });
+        await requestQueue.enqueue({ order: 1 });
+        await requestQueue.enqueue({ order: 2 }, { maxWaitMs: 0 });
+
+        const first = await requestQueue.dequeue();
+        expect(first.expiresAt).to.equal(first.timestamp + 60000);
+        expect(await requestQueue.dequeue()).to.not.have.property('expiresAt');
+    });
+
+    it('should peek at queued requests in dequeue order', async () => {
+        await requestQueue.enqueue({ requestId: 'a1' }, { tenant: 'a' });
+        await requestQueue.enqueue({ requestId: 'a2' }, { tenant: 'a' });
+        await requestQueue.enqueue({ requestId: 'b1' }, { tenant: 'b' });
+        await requestQueue.enqueue({ requestId: 'h1' }, { priority: 'high' });
+
+        const { total, requests } = await requestQueue.peek();
+        expect(total).to.equal(4);
+        expect(requests.map(request => request.requestId)).to.deep.equal(['h1', 'a1', 'b1', 'a2']);
+        expect((await requestQueue.peek(1, 2)).requests.map(request => request.requestId)).to.deep.equal(['a1', 'b1']);
+        expect(await requestQueue.length()).to.equal(4); // Peeking takes nothing
+    });
+
+    it('should remove a queued request', async () => {
+        await requestQueue.enqueue({ requestId: 'a1' }, { tenant: 'a' });
+        await requestQueue.enqueue({ requestId: 'b1' }, { tenant: 'b' });
+
+        expect(await requestQueue.remove('a1')).to.include({ requestId: 'a1', tenant: 'a' });
+        expect(await requestQueue.remove('a1')).to.be.null;
+        expect(await requestQueue.lengths()).to.deep.equal({
+            total: 1,
+            byPriority: { high: 0, normal: 1, low: 0 },
+            byTenant: { high: {}, normal: { b: 1 }, low: {} },
+        });
+        expect((await requestQueue.dequeue()).requestId).to.equal('b1');
+    });
+
+    it('should move a queued request to another priority', async () => {
+        await requestQueue.enqueue({ requestId: 'first' });
+        await requestQueue.enqueue({ requestId: 'second' });
+
+        expect(await requestQueue.reprioritize('second', 'high')).to.include({ requestId: 'second', priority: 'high' });
+        expect(await requestQueue.reprioritize('missing', 'high')).to.be.null;
+        let error;
+        try {
+            await requestQueue.reprioritize('first', 'urgent');
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("Unknown priority 'urgent'");
+        expect((await requestQueue.dequeue()).requestId).to.equal('second');
+        expect((await requestQueue.dequeue()).requestId).to.equal('first');
+    });
+
+    it('should let consumers see whether the queue is paused', async () => {
+        const other = new RequestQueue(REDIS_TEST_QUEUE_NAME);
+        expect(await other.isPaused()).to.be.false;
+        await requestQueue.pause();
+        expect(await other.isPaused()).to.be.true;
+        await requestQueue.resume();
+        expect(await other.isPaused()).to.be.false;
+        await other.disconnect();
+    });
+
+    it('should keep the headers and body of queued requests encrypted in Redis', async () => {
+        const key = `v1:${Buffer.alloc(32, 7).toString('base64')}`;
+        const producer = new RequestQueue(REDIS_TEST_QUEUE_NAME, { cipher: new PayloadCipher([key]) });
+        await producer.enqueue({
+            requestId: 'secret',
+            method: 'POST',
+            headers: { authorization: 'Bearer token', connection: 'keep-alive', 'content-type': 'application/json' },
+            body: Buffer.from('{"password":"hunter2"}').toString('base64'),
+        });
+
+        const [stored] = (await producer.peek()).requests;
+        expect(stored).to.include({ requestId: 'secret', method: 'POST' });
+        expect(stored).to.not.have.any.keys('headers', 'body');
+        expect(stored.encrypted.keyId).to.equal('v1');
+
+        const consumer = new RequestQueue(REDIS_TEST_QUEUE_NAME, { cipher: new PayloadCipher([key]) });
+        const request = await consumer.reserve(1);
+        expect(request.headers).to.deep.equal({ authorization: 'Bearer token', 'content-type': 'application/json' });
+        expect(Buffer.from(request.body, 'base64').toString()).to.equal('{"password":"hunter2"}');
+        await consumer.nack({ ...request, attempts: 1 }); // Encrypted again on its way back
+        expect((await producer.peek()).requests[0]).to.not.have.property('headers');
+        expect(await consumer.dequeue()).to.include({ requestId: 'secret', attempts: 1 });
+
+        await producer.disconnect();
+        await consumer.disconnect();
+    });
+
+    it('should dead-letter requests it can no longer decrypt', async () => {
+        const producer = new RequestQueue(REDIS_TEST_QUEUE_NAME, { cipher: new PayloadCipher([`old:${Buffer.alloc(32, 1).toString('base64')}`]) });
+        await producer.enqueue({ requestId: 'orphaned', headers: { accept: '*/*' } });
+        const consumer = new RequestQueue(REDIS_TEST_QUEUE_NAME, { cipher: new PayloadCipher([`new:${Buffer.alloc(32, 2).toString('base64')}`]) });
+
+        expect(await consumer.reserve(1)).to.be.null;
+        const dead = await consumer.getDeadLetter('orphaned');
+        expect(dead.lastError).to.include("Unknown key ID 'old'");
+        expect(dead.encrypted.keyId).to.equal('old'); // Still readable with the old key
+
+        await producer.disconnect();
+        await consumer.disconnect();
+    });
+
+    it('should drop denied, unlisted and, without a cipher, sensitive headers', async () => {
+        await requestQueue.enqueue({ headers: { Authorization: 'Bearer token', cookie: 'a=1', accept: '*/*', 'x-debug': '1' } });
+        expect((await requestQueue.dequeue()).headers).to.deep.equal({ accept: '*/*', 'x-debug': '1' });
+
+        const filtered = new RequestQueue(REDIS_TEST_QUEUE_NAME, { allowHeaders: ['Accept', 'X-Debug', 'Cookie'], denyHeaders: ['x-debug'] });
+        await filtered.enqueue({ headers: { cookie: 'a=1', accept: '*/*', 'x-debug': '1', 'user-agent': 'curl' } });
+        expect((await filtered.dequeue()).headers).to.deep.equal({ accept: '*/*' });
+        await filtered.disconnect();
+    });
 });
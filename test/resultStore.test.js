@@ -0,0 +1,100 @@
+// test/resultStore.test.js
+import { expect } from 'chai';
+import ResultStore, { RequestStatus } from '../src/resultStore.js';
+import Redis from 'ioredis';
+
+const REDIS_TEST_PREFIX = 'test_request_result';
+const TEST_REQUEST_ID = 'test-request-id';
+
+describe('ResultStore', () => {
+    let resultStore;
+    let redisClient;
+
+    beforeEach(async () => {
+        redisClient = new Redis({
+            host: process.env.REDIS_HOST || '127.0.0.1',
+            port: process.env.REDIS_PORT || 6379
+        });
+        await redisClient.del(`${REDIS_TEST_PREFIX}:${TEST_REQUEST_ID}`);
+
+        resultStore = new ResultStore(REDIS_TEST_PREFIX, 60);
+    });
+
+    afterEach(async () => {
+        await resultStore.disconnect();
+        await redisClient.disconnect();
+    });
+
+    it('should return null for an unknown request', async () => {
+        expect(await resultStore.get(TEST_REQUEST_ID)).to.be.null;
+    });
+
+    it('should store the backend response of a succeeded request', async () => {
+        await resultStore.setSucceeded(TEST_REQUEST_ID, { status: 200, body: { message: 'ok' } });
+        const record = await resultStore.get(TEST_REQUEST_ID);
+
+        expect(record.status).to.equal(RequestStatus.SUCCEEDED);
+        expect(record.response).to.deep.equal({ status: 200, body: { message: 'ok' } });
+        expect(record).to.have.property('updatedAt');
+    });
+
+    it('should only record a request as pending without a record when asked to', async () => {
+        await resultStore.setProcessing(TEST_REQUEST_ID);
+        expect(await resultStore.setPending(TEST_REQUEST_ID, { ifAbsent: true })).to.be.null;
+        expect((await resultStore.get(TEST_REQUEST_ID)).status).to.equal(RequestStatus.PROCESSING);
+
+        await redisClient.del(`${REDIS_TEST_PREFIX}:${TEST_REQUEST_ID}`);
+        expect(await resultStore.setPending(TEST_REQUEST_ID, { ifAbsent: true })).to.include({ status: RequestStatus.PENDING });
+        expect(await redisClient.ttl(`${REDIS_TEST_PREFIX}:${TEST_REQUEST_ID}`)).to.be.above(0);
+    });
+
+    it('should put back a record read earlier, or remove the one written since', async () => {
+        const failed = await resultStore.setFailed(TEST_REQUEST_ID, 'Upstream service responded with 401');
+        await resultStore.setPending(TEST_REQUEST_ID);
+        await resultStore.restore(TEST_REQUEST_ID, failed);
+        expect(await resultStore.get(TEST_REQUEST_ID)).to.deep.equal(failed);
+        expect(await redisClient.ttl(`${REDIS_TEST_PREFIX}:${TEST_REQUEST_ID}`)).to.be.above(0);
+
+        await resultStore.restore(TEST_REQUEST_ID, null);
+        expect(await resultStore.get(TEST_REQUEST_ID)).to.be.null;
+    });
+
+    it('should set a TTL on stored records', async () => {
+        await resultStore.setPending(TEST_REQUEST_ID);
+        const ttl = await redisClient.ttl(`${REDIS_TEST_PREFIX}:${TEST_REQUEST_ID}`);
+        expect(ttl).to.be.within(1, 60);
+    });
+
+    it('should return immediately from waitFor once the request is finished', async () => {
+        await resultStore.setFailed(TEST_REQUEST_ID, 'boom');
+        const started = Date.now();
+        const record = await resultStore.waitFor(TEST_REQUEST_ID, 2000);
+
+        expect(record.status).to.equal(RequestStatus.FAILED);
+        expect(record.error).to.equal('boom');
+        expect(Date.now() - started).to.be.below(500);
+    });
+
+    it('should treat expired and shed requests as finished', async () => {
+        await resultStore.setExpired(TEST_REQUEST_ID);
+        expect((await resultStore.waitFor(TEST_REQUEST_ID, 2000)).status).to.equal(RequestStatus.EXPIRED);
+        await resultStore.setShed(TEST_REQUEST_ID);
+        const record = await resultStore.waitFor(TEST_REQUEST_ID, 2000);
+        expect(record.status).to.equal(RequestStatus.SHED);
+        expect(record.error).to.be.a('string');
+    });
+
+    it('should wait for a pending request to finish', async () => {
+        await resultStore.setPending(TEST_REQUEST_ID);
+        setTimeout(() => resultStore.setSucceeded(TEST_REQUEST_ID, { status: 200, body: {} }), 100);
+
+        const record = await resultStore.waitFor(TEST_REQUEST_ID, 2000);
+        expect(record.status).to.equal(RequestStatus.SUCCEEDED);
+    });
+
+    it('should return the pending record when the wait expires', async () => {
+        await resultStore.setPending(TEST_REQUEST_ID);
+        const record = await resultStore.waitFor(TEST_REQUEST_ID, 100);
+        expect(record.status).to.equal(RequestStatus.PENDING);
+    });
+});
@@ -0,0 +1,218 @@
+// test/routeTable.test.js
+import { expect } from 'chai';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { compilePath, loadRouteTable, matchRoute, parseRouteTable } from '../src/routeTable.js';
+
+describe('routeTable', () => {
+    describe('compilePath', () => {
+        it('should match exact paths with an optional trailing slash', () => {
+            const pattern = compilePath('/login');
+            expect(pattern.test('/login')).to.be.true;
+            expect(pattern.test('/login/')).to.be.true;
+            expect(pattern.test('/login/extra')).to.be.false;
+            expect(pattern.test('/loginx')).to.be.false;
+        });
+
+        it('should match named segments', () => {
+            const pattern = compilePath('/users/:id/orders');
+            expect(pattern.test('/users/42/orders')).to.be.true;
+            expect(pattern.test('/users/orders')).to.be.false;
+            expect(pattern.test('/users/4/2/orders')).to.be.false;
+        });
+
+        it('should match everything below a trailing wildcard', () => {
+            const pattern = compilePath('/api/*');
+            expect(pattern.test('/api')).to.be.true;
+            expect(pattern.test('/api/v1/items')).to.be.true;
+            expect(pattern.test('/apis')).to.be.false;
+        });
+
+        it('should escape regular expression characters', () => {
+            const pattern = compilePath('/files/report.csv');
+            expect(pattern.test('/files/report.csv')).to.be.true;
+            expect(pattern.test('/files/reportxcsv')).to.be.false;
+        });
+    });
+
+    describe('parseRouteTable', () => {
+        it('should fill in defaults and derive Redis keys from the route name', () => {
+            const [route] = parseRouteTable({
+                routes: [{ name: 'orders', path: '/orders/*', upstream: 'http://orders.internal:8080/' }],
+            });
+            expect(route.methods).to.be.null;
+            expect(route.upstream).to.equal('http://orders.internal:8080');
+            expect(route.queueName).to.equal('orders_queue');
+            expect(route.rateLimit).to.include({ key: 'orders_rate_limit', limit: 100, windowMs: 1000, failurePolicy: 'fail-closed', instances: 1 });
+            expect(route.clientRateLimit).to.include({ key: 'orders_rate_limit:client', keyBy: 'ip', failurePolicy: 'fail-closed' });
+            expect(route.circuitBreaker).to.include({ key: 'orders_circuit_breaker', failureThreshold: 3 });
+            expect(route.queue).to.deep.include({ priority: 'normal', priorityHeader: 'x-priority', tenantKey: 'ip' });
+            expect(route.concurrency).to.be.null;
+            expect(route.idempotency).to.deep.equal({ key: 'orders_idempotency', header: 'idempotency-key', fingerprint: false, windowMs: 3600000, keyBy: 'ip' });
+            expect(route.callback).to.deep.equal({ header: 'x-callback-url', url: null });
+        });
+
+        it('should fill in the idempotency settings, or turn them off', () => {
+            const routes = parseRouteTable({
+                routes: [
+                    { name: 'login', path: '/login', upstream: 'http://auth', idempotency: { fingerprint: ['method', 'path', 'body'], windowMs: 60000 } },
+                    { name: 'orders', path: '/orders', upstream: 'http://orders', idempotency: false },
+                    { name: 'users', path: '/users', upstream: 'http://users', clientRateLimit: { keyBy: 'api-key' } },
+                    { name: 'admin', path: '/admin', upstream: 'http://admin', clientRateLimit: { keyBy: 'api-key' }, idempotency: { keyBy: 'header:X-Tenant' } },
+                ],
+            });
+            const [fingerprinted, off, perApiKey, perTenant] = routes;
+            expect(fingerprinted.idempotency).to.deep.equal({ key: 'login_idempotency', header: 'idempotency-key', fingerprint: ['method', 'path', 'body'], windowMs: 60000, keyBy: 'ip' });
+            expect(off.idempotency).to.be.null;
+            // Keys are told apart per client, as for the client rate limit unless set
+            expect(perApiKey.idempotency).to.include({ keyBy: 'api-key' });
+            expect(perTenant.idempotency).to.include({ keyBy: 'header:X-Tenant' });
+        });
+
+        it('should fill in the adaptive concurrency limit settings when given', () => {
+            const [route] = parseRouteTable({
+                routes: [{ name: 'orders', path: '/orders', upstream: 'http://orders', concurrency: { algorithm: 'gradient', maxLimit: 50 } }],
+            });
+            expect(route.concurrency).to.include({ key: 'orders_concurrency', algorithm: 'gradient', initialLimit: 20, maxLimit: 50 });
+        });
+
+        it('should share the queue between the clients of the client rate limit by default', () => {
+            const [route] = parseRouteTable({
+                routes: [{
+                    name: 'orders',
+                    path: '/orders',
+                    upstream: 'http://orders',
+                    clientRateLimit: { keyBy: 'api-key' },
+                    queue: { priorities: ['interactive', 'batch'], priority: 'batch', tenantWeights: { gold: 2 } },
+                }],
+            });
+            expect(route.queue).to.deep.equal({
+                priorities: ['interactive', 'batch'],
+                priority: 'batch',
+                priorityHeader: 'x-priority',
+                tenantKey: 'api-key',
+                tenantWeights: { gold: 2 },
+                maxDepth: 0,
+                shedPolicy: 'reject',
+                maxWaitMs: 0,
+                spillMaxSize: 1000,
+            });
+        });
+
+        it('should apply per-route settings', () => {
+            const [route] = parseRouteTable({
+                routes: [{
+                    name: 'search',
+                    methods: ['get', 'head'],
+                    path: '/search',
+                    upstream: 'http://search.internal',
+                    rateLimit: { algorithm: 'gcra', limit: 10, burst: 5 },
+                    clientRateLimit: false,
+                    circuitBreaker: { resetTimeout: 1000 },
+                }],
+            });
+            expect(route.methods).to.deep.equal(['GET', 'HEAD']);
+            expect(route.rateLimit).to.include({ algorithm: 'gcra', limit: 10, burst: 5 });
+            expect(route.clientRateLimit).to.be.null;
+            expect(route.circuitBreaker).to.include({ resetTimeout: 1000, failureThreshold: 3 });
+        });
+
+        it('should reject invalid routes', () => {
+            expect(() => parseRouteTable({ routes: [] })).to.throw('non-empty "routes" list');
+            expect(() => parseRouteTable({ routes: [{ name: 'a b', path: '/', upstream: 'http://x' }] }))
+                .to.throw('name must consist of');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: 'a', upstream: 'http://x' }] }))
+                .to.throw("path must start with '/'");
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'localhost' }] }))
+                .to.throw('upstream must be an absolute URL');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', queue: { priority: 'urgent' } }] }))
+                .to.throw('queue.priority must be one of high, normal, low');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', queue: { priorities: ["'"] } }] }))
+                .to.throw('queue.priorities must be');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', queue: { maxDepth: -1 } }] }))
+                .to.throw('queue.maxDepth must be a non-negative integer');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', queue: { shedPolicy: 'newest' } }] }))
+                .to.throw('queue.shedPolicy must be one of reject, oldest, lowest-priority');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', queue: { spillMaxSize: -1 } }] }))
+                .to.throw('queue.spillMaxSize must be a non-negative integer');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', rateLimit: { failurePolicy: 'fail-soft' } }] }))
+                .to.throw('rateLimit.failurePolicy must be one of fail-closed, fail-open, local');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', clientRateLimit: { instances: 0 } }] }))
+                .to.throw('clientRateLimit.instances must be a positive integer');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', circuitBreaker: { slidingWindow: { type: 'calls' } } }] }))
+                .to.throw('circuitBreaker.slidingWindow must be');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', circuitBreaker: { failureStatuses: '5xx' } }] }))
+                .to.throw('circuitBreaker.failureStatuses must be a list of HTTP status codes');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', concurrency: { algorithm: 'vegas' } }] }))
+                .to.throw('concurrency.algorithm must be one of aimd, gradient');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', concurrency: { initialLimit: 500 } }] }))
+                .to.throw('concurrency.limits must satisfy');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', idempotency: { windowMs: -1 } }] }))
+                .to.throw('idempotency.windowMs must be a positive integer');
+            expect(() => parseRouteTable({ routes: [{ name: 'a', path: '/', upstream: 'http://x', callback: { url: 'file:///tmp/x' } }] }))
+                .to.throw('callback.url must be an http(s) URL');
+            const route = { name: 'a', path: '/', upstream: 'http://x' };
+            expect(() => parseRouteTable({ routes: [route, route] })).to.throw("Duplicate route name 'a'");
+        });
+    });
+
+    describe('matchRoute', () => {
+        const routes = parseRouteTable({
+            routes: [
+                { name: 'login', methods: ['POST'], path: '/login', upstream: 'http://auth' },
+                { name: 'api', path: '/api/*', upstream: 'http://api' },
+            ],
+        });
+
+        it('should return the first route matching the method and path', () => {
+            expect(matchRoute(routes, 'POST', '/login').name).to.equal('login');
+            expect(matchRoute(routes, 'DELETE', '/api/items/1').name).to.equal('api');
+        });
+
+        it('should return null when no route matches', () => {
+            expect(matchRoute(routes, 'GET', '/login')).to.be.null;
+            expect(matchRoute(routes, 'GET', '/other')).to.be.null;
+        });
+    });
+
+    describe('loadRouteTable', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = mkdtempSync(join(tmpdir(), 'routes-'));
+        });
+
+        afterEach(() => {
+            rmSync(dir, { recursive: true, force: true });
+        });
+
+        it('should load JSON route tables', () => {
+            const file = join(dir, 'routes.json');
+            writeFileSync(file, JSON.stringify({ routes: [{ name: 'login', path: '/login', upstream: 'http://auth' }] }));
+            expect(loadRouteTable(file)[0].name).to.equal('login');
+        });
+
+        it('should load YAML route tables', () => {
+            const file = join(dir, 'routes.yaml');
+            writeFileSync(file, [
+                'routes:',
+                '  - name: login',
+                '    methods: [POST]',
+                '    path: /login',
+                '    upstream: http://auth',
+                '    rateLimit:',
+                '      limit: 50',
+            ].join('\n'));
+            const [route] = loadRouteTable(file);
+            expect(route.methods).to.deep.equal(['POST']);
+            expect(route.rateLimit.limit).to.equal(50);
+        });
+
+        it('should name the file in errors', () => {
+            const file = join(dir, 'routes.json');
+            writeFileSync(file, '{ "routes": ');
+            expect(() => loadRouteTable(file)).to.throw(`Error loading route table ${file}`);
+        });
+    });
+});
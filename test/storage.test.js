@@ -0,0 +1,199 @@
+// test/storage.test.js
+import { expect } from 'chai';
+import { createStorage, MemoryStorage, MemoryStore, RedisStorage } from '../src/storage/index.js';
+import TokenBucket from '../src/rateLimiter.js';
+import RequestQueue from '../src/requestQueue.js';
+import RedisCircuitBreaker from '../src/redisCircuitBreaker.js';
+import ResultStore, { RequestStatus } from '../src/resultStore.js';
+
+describe('MemoryStorage', () => {
+    let storage;
+    let redis;
+
+    beforeEach(() => {
+        storage = new MemoryStorage();
+        redis = storage.client;
+    });
+
+    afterEach(async () => {
+        await storage.disconnect();
+        storage.store.close();
+    });
+
+    it('should answer commands as Redis does', async () => {
+        expect(await redis.set('greeting', 'hello')).to.equal('OK');
+        expect(await redis.get('greeting')).to.equal('hello');
+        expect(await redis.set('greeting', 'again', 'NX')).to.be.null;
+        expect(await redis.incrby('counter', 5)).to.equal(5);
+        expect(await redis.hset('hash', 'a', 1, 'b', 2)).to.equal(2);
+        expect(await redis.hgetall('hash')).to.deep.equal({ a: '1', b: '2' });
+        expect(await redis.hmget('hash', 'a', 'missing')).to.deep.equal(['1', null]);
+        expect(await redis.rpush('list', 'x', 'y', 'z')).to.equal(3);
+        expect(await redis.lrange('list', 0, -1)).to.deep.equal(['x', 'y', 'z']);
+        expect(await redis.zadd('zset', 2, 'two', 1, 'one')).to.equal(2);
+        expect(await redis.zrangebyscore('zset', '-inf', '+inf', 'WITHSCORES')).to.deep.equal(['one', '1', 'two', '2']);
+        expect((await redis.keys('*')).sort()).to.deep.equal(['counter', 'greeting', 'hash', 'list', 'zset']);
+
+        try {
+            await redis.lpush('greeting', 'x');
+            expect.fail('Expected a WRONGTYPE error');
+        } catch (error) {
+            expect(error.message).to.match(/^WRONGTYPE/);
+        }
+    });
+
+    it('should expire keys', async () => {
+        await redis.set('short', 'lived', 'PX', 20);
+        expect(await redis.pttl('short')).to.be.within(1, 20);
+        await new Promise(resolve => setTimeout(resolve, 30));
+        expect(await redis.get('short')).to.be.null;
+        expect(await redis.exists('short')).to.equal(0);
+    });
+
+    it('should run Lua scripts with Redis conversions between Lua values and replies', async () => {
+        const script = `
+            redis.call('SET', KEYS[1], ARGV[1])
+            local decoded = cjson.decode(ARGV[2])
+            return { redis.call('INCRBY', KEYS[1], 2), tostring(tonumber(ARGV[1]) * 1.5), decoded.name, 3.7, false, nil, 'unreached' }
+        `;
+        const reply = await storage.evalScript(script, ['script_counter'], [10, JSON.stringify({ name: 'memory' })]);
+        expect(reply).to.deep.equal([12, '15', 'memory', 3, null]);
+    });
+
+    it('should keep numbers beyond 32 bits exact in scripts', async () => {
+        const now = Date.now();
+        const reply = await storage.evalScript('return tostring(tonumber(ARGV[1]) + 1000)', [], [now]);
+        expect(reply).to.equal(String(now + 1000));
+    });
+
+    it('should report script errors as Redis does', async () => {
+        try {
+            await storage.evalScript("return redis.call('HGET', KEYS[1])", ['hash'], []);
+            expect.fail('Expected an error');
+        } catch (error) {
+            expect(error.message).to.equal("ERR wrong number of arguments for 'hget' command");
+        }
+        try {
+            await storage.evalScript("return redis.error_reply('CUSTOM failure')", [], []);
+            expect.fail('Expected an error');
+        } catch (error) {
+            expect(error.message).to.equal('CUSTOM failure');
+        }
+    });
+
+    it('should send the whole script only when it is unknown', async () => {
+        const script = "return 'cached'";
+        const sent = [];
+        const { evalsha, eval: evalScript } = redis;
+        redis.evalsha = (...args) => sent.push('evalsha') && evalsha.apply(redis, args);
+        redis.eval = (...args) => sent.push('eval') && evalScript.apply(redis, args);
+
+        expect(await storage.evalScript(script, [], [])).to.equal('cached');
+        expect(await storage.evalScript(script, [], [])).to.equal('cached');
+        expect(sent).to.deep.equal(['evalsha', 'eval', 'evalsha']);
+    });
+
+    it('should wake up a blocked pop when a value is pushed', async () => {
+        const blocking = storage.duplicate();
+        const popped = blocking.client.blpop('signal', 1);
+        await redis.lpush('signal', 'wake');
+        expect(await popped).to.deep.equal(['signal', 'wake']);
+        expect(await blocking.client.blpop('signal', 0.05)).to.be.null;
+        await blocking.disconnect();
+    });
+
+    it('should reject a blocked pop once disconnected', async () => {
+        const blocking = storage.duplicate();
+        const popped = blocking.client.blpop('signal', 0);
+        await blocking.disconnect();
+        try {
+            await popped;
+            expect.fail('Expected an error');
+        } catch (error) {
+            expect(error.message).to.equal('Connection is closed.');
+        }
+    });
+
+    it('should reject commands while disconnected, until connected again', async () => {
+        redis.disconnect();
+        try {
+            await redis.get('anything');
+            expect.fail('Expected an error');
+        } catch (error) {
+            expect(error.message).to.equal('Connection is closed.');
+        }
+        await redis.connect();
+        expect(await redis.ping()).to.equal('PONG');
+    });
+
+    it('should keep the limiters, queues, breakers and results of the whole app', async () => {
+        const bucket = new TokenBucket(2, 1, 'memory_bucket', storage);
+        expect((await bucket.tryConsume()).allowed).to.be.true;
+        expect((await bucket.tryConsume()).allowed).to.be.true;
+        expect((await bucket.tryConsume()).allowed).to.be.false;
+
+        const queue = new RequestQueue('memory_queue', { storage });
+        await queue.enqueue({ requestId: 'queued', body: 'hello' });
+        const request = await queue.reserve(1);
+        expect(request).to.include({ requestId: 'queued', body: 'hello' });
+        await queue.ack(request);
+        expect(await queue.length()).to.equal(0);
+
+        const breaker = new RedisCircuitBreaker('memory_breaker', 1, 60000, 1, 60000, { storage });
+        try {
+            await breaker.fire(() => Promise.reject(new Error('boom')));
+        } catch {
+            // Opens the circuit
+        }
+        expect(await breaker.getState()).to.equal('OPEN');
+
+        const results = new ResultStore('memory_result', 60, storage);
+        await results.setSucceeded('queued', { status: 200, body: 'ok' });
+        expect((await results.get('queued')).status).to.equal(RequestStatus.SUCCEEDED);
+
+        // None of them closes the storage they were given
+        await Promise.all([bucket.disconnect(), queue.disconnect(), breaker.disconnect(), results.disconnect()]);
+        expect(await redis.ping()).to.equal('PONG');
+    });
+
+    it('should share the data of one store between storages', async () => {
+        const store = new MemoryStore();
+        const first = new MemoryStorage(store);
+        const second = new MemoryStorage(store);
+        await first.client.set('shared', 'yes');
+        expect(await second.client.get('shared')).to.equal('yes');
+        await first.disconnect();
+        await second.disconnect();
+        store.close();
+    });
+});
+
+describe('RedisStorage', () => {
+    it('should only tag keys on a cluster', () => {
+        const cluster = new RedisStorage({ client: { isCluster: true } });
+        expect(cluster.hashTag('login_queue')).to.equal('{login_queue}');
+        expect(cluster.hashTag('{tenant}:queue')).to.equal('{tenant}:queue'); // Already tagged
+
+        const standalone = new RedisStorage({ client: { isCluster: false, options: { host: 'redis', port: 6380 } } });
+        expect(standalone.hashTag('login_queue')).to.equal('login_queue');
+        expect(standalone.describe()).to.deep.equal({ backend: 'redis', mode: 'standalone', address: 'redis:6380' });
+    });
+
+    it('should refuse both sentinels and cluster nodes', () => {
+        expect(() => new RedisStorage({ sentinels: ['a:26379'], clusterNodes: ['b:7000'] })).to.throw(/either sentinels or clusterNodes/);
+    });
+});
+
+describe('createStorage', () => {
+    it('should create the configured backend', async () => {
+        const storage = createStorage({ backend: 'memory' });
+        expect(storage).to.be.an.instanceOf(MemoryStorage);
+        expect(storage.describe()).to.deep.equal({ backend: 'memory' });
+        await storage.disconnect();
+        storage.store.close();
+    });
+
+    it('should reject an unknown backend', () => {
+        expect(() => createStorage({ backend: 'etcd' })).to.throw("Unknown backend 'etcd'");
+    });
+});
@@ -1,6 +1,6 @@
 // test/tokenBucket.test.js
 import { expect } from 'chai';
-import TokenBucket from '../src/rateLimiter.js';
+import TokenBucket, { OVERRIDES_KEY } from '../src/rateLimiter.js';
 import Redis from 'ioredis'; // Import Redis to clean up after tests
 
 const REDIS_TEST_BUCKET_KEY = 'test_token_bucket';
@@ -15,7 +15,8 @@ describe('TokenBucket', () => {
             host: process.env.REDIS_HOST || '127.0.0.1',
             port: process.env.REDIS_PORT || 6379
         });
-        await redisClient.del(REDIS_TEST_BUCKET_KEY);
+        await redisClient.del(REDIS_TEST_BUCKET_KEY, `${REDIS_TEST_BUCKET_KEY}:client-a`, `${REDIS_TEST_BUCKET_KEY}:client-b`);
+        await redisClient.hdel(OVERRIDES_KEY, REDIS_TEST_BUCKET_KEY, `${REDIS_TEST_BUCKET_KEY}:client-a`);
 
         tokenBucket = new TokenBucket(10, 1, REDIS_TEST_BUCKET_KEY); // Capacity 10, fill rate 1 token/sec
     });
@@ -26,7 +27,7 @@ describe('TokenBucket', () => {
     });
 
     it('should initially have full capacity of tokens', async () => {
-        const hasToken = await tokenBucket.tryConsume();
+        const { allowed: hasToken } = await tokenBucket.tryConsume();
         expect(hasToken).to.be.true;
         const currentTokens = await tokenBucket.getTokens();
         // After one consumption, it should be capacity - 1
@@ -36,12 +37,12 @@ describe('TokenBucket', () => {
     it('should consume tokens up to capacity', async () => {
         let consumedCount = 0;
         for (let i = 0; i < 10; i++) {
-            if (await tokenBucket.tryConsume()) {
+            if ((await tokenBucket.tryConsume()).allowed) {
                 consumedCount++;
             }
         }
         expect(consumedCount).to.equal(10);
-        expect(await tokenBucket.tryConsume()).to.be.false; // Should be empty now
+        expect((await tokenBucket.tryConsume()).allowed).to.be.false; // Should be empty now
     });
 
     it('should refill tokens over time', async () => {
@@ -49,12 +50,12 @@ describe('TokenBucket', () => {
         for (let i = 0; i < 10; i++) {
             await tokenBucket.tryConsume();
         }
-        expect(await tokenBucket.tryConsume()).to.be.false;
+        expect((await tokenBucket.tryConsume()).allowed).to.be.false;
 
         // Wait for some time to allow tokens to refill
         await new Promise(resolve => setTimeout(resolve, 1200)); // Wait 1.2 seconds, 1 token should refill
 
-        const hasToken = await tokenBucket.tryConsume();
+        const { allowed: hasToken } = await tokenBucket.tryConsume();
         expect(hasToken).to.be.true;
         const currentTokens = await tokenBucket.getTokens();
         expect(currentTokens).to.be.closeTo(0, 0.1); // 1 refilled, 1 consumed
@@ -72,4 +73,88 @@ describe('TokenBucket', () => {
         await new Promise(resolve => setTimeout(resolve, 1200));
         expect(await tokenBucket.getTokens()).to.be.closeTo(10, 0.1);
     });
+
+    it('should keep a separate bucket for each client key', async () => {
+        for (let i = 0; i < 10; i++) {
+            await tokenBucket.tryConsume('client-a');
+        }
+        expect((await tokenBucket.tryConsume('client-a')).allowed).to.be.false;
+        expect((await tokenBucket.tryConsume('client-b')).allowed).to.be.true;
+        expect((await tokenBucket.tryConsume()).allowed).to.be.true;
+    });
+
+    it('should expire idle buckets once they would be full again', async () => {
+        await tokenBucket.tryConsume('client-a');
+        const ttl = await redisClient.pttl(`${REDIS_TEST_BUCKET_KEY}:client-a`);
+        expect(ttl).to.be.within(1, tokenBucket.idleTtl);
+    });
+
+    it('should report the remaining tokens and when the bucket refills', async () => {
+        const first = await tokenBucket.tryConsume();
+        expect(first).to.include({ allowed: true, limit: 10, remaining: 9, retryAfterMs: 0 });
+        expect(first.resetMs).to.be.closeTo(1000, 50); // fill rate is 1 token/sec
+
+        for (let i = 0; i < 9; i++) {
+            await tokenBucket.tryConsume();
+        }
+        const denied = await tokenBucket.tryConsume();
+        expect(denied).to.include({ allowed: false, remaining: 0 });
+        expect(denied.retryAfterMs).to.be.within(900, 1000);
+        expect(denied.resetMs).to.be.within(9900, 10000);
+    });
+
+    it('should refill with millisecond precision', async () => {
+        for (let i = 0; i < 10; i++) {
+            await tokenBucket.tryConsume();
+        }
+        // Part of a token's interval has passed; it must not be lost by the next call
+        await new Promise(resolve => setTimeout(resolve, 600));
+        expect((await tokenBucket.tryConsume()).allowed).to.be.false;
+        await new Promise(resolve => setTimeout(resolve, 500));
+        expect((await tokenBucket.tryConsume()).allowed).to.be.true;
+    });
+
+    it('should set the tokens of a bucket, up to its capacity', async () => {
+        expect(await tokenBucket.setTokens(0)).to.equal(0);
+        expect((await tokenBucket.tryConsume()).allowed).to.be.false;
+        expect(await tokenBucket.setTokens(Infinity)).to.equal(10);
+        expect(await tokenBucket.inspect()).to.deep.equal({
+            key: REDIS_TEST_BUCKET_KEY, tokens: 10, capacity: 10, fillRate: 1, overridden: false,
+        });
+    });
+
+    it('should let an override take precedence over the configured limits', async () => {
+        const other = new TokenBucket(10, 1, REDIS_TEST_BUCKET_KEY); // Another instance sharing the bucket
+        await tokenBucket.setOverride({ capacity: 3, fillRate: 0.5 });
+
+        const first = await other.tryConsume('client-a');
+        expect(first).to.include({ limit: 3, remaining: 2 });
+        expect(first.resetMs).to.be.closeTo(2000, 50); // fill rate is 0.5 token/sec
+        expect(await other.inspect('client-a')).to.include({ capacity: 3, fillRate: 0.5, overridden: true });
+
+        // A client's own override beats the limiter's
+        await tokenBucket.setOverride({ capacity: 20, fillRate: 5 }, 'client-a');
+        expect(await other.tryConsume('client-a')).to.include({ limit: 20 });
+        expect(await tokenBucket.clearOverride('client-a')).to.be.true;
+        expect(await tokenBucket.clearOverride()).to.be.true;
+        expect(await tokenBucket.clearOverride()).to.be.false;
+        expect(await other.tryConsume('client-a')).to.include({ limit: 10 });
+        await other.disconnect();
+    });
+
+    it('should reject invalid overrides', async () => {
+        let error;
+        try {
+            await tokenBucket.setOverride({ capacity: 0, fillRate: 1 });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include('capacity must be a positive integer');
+    });
+
+    it('should list the clients with a bucket', async () => {
+        await tokenBucket.tryConsume('client-b');
+        await tokenBucket.tryConsume('client-a');
+        expect(await tokenBucket.clientKeys()).to.deep.equal(['client-a', 'client-b']);
+    });
 });
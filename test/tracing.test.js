@@ -0,0 +1,148 @@
+// test/tracing.test.js
+import { expect } from 'chai';
+import { mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SpanStatusCode } from '@opentelemetry/api';
+import { BasicTracerProvider, InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base';
+import Redis from 'ioredis'; // Import Redis to clean up after tests
+import { FileSpanExporter, startTracing } from '../src/telemetry.js';
+import { SpanKind, injectTraceContext, traceLinks, withSpan } from '../src/tracing.js';
+import RequestQueue from '../src/requestQueue.js';
+import TokenBucket from '../src/rateLimiter.js';
+import CircuitBreaker from '../src/circuitBreaker.js';
+
+const REDIS_TEST_QUEUE_NAME = 'test_tracing_queue';
+const REDIS_TEST_BUCKET_KEY = 'test_tracing_bucket';
+
+describe('tracing', () => {
+    const exporter = new InMemorySpanExporter();
+    let provider;
+    let redisClient;
+
+    // The provider is registered globally, once per process
+    before(() => {
+        provider = startTracing({ exporter, serviceName: 'test' });
+    });
+
+    after(async () => {
+        await provider.shutdown();
+    });
+
+    beforeEach(async () => {
+        redisClient = new Redis({
+            host: process.env.REDIS_HOST || '127.0.0.1',
+            port: process.env.REDIS_PORT || 6379
+        });
+        const keys = await redisClient.keys(`${REDIS_TEST_QUEUE_NAME}*`);
+        await redisClient.del(REDIS_TEST_BUCKET_KEY, ...keys);
+        exporter.reset();
+    });
+
+    afterEach(async () => {
+        await redisClient.disconnect();
+    });
+
+    function spanNamed(name) {
+        return exporter.getFinishedSpans().find(span => span.name === name);
+    }
+
+    it('should store the trace context with queued requests and link their dequeue to it', async () => {
+        const requestQueue = new RequestQueue(REDIS_TEST_QUEUE_NAME);
+        try {
+            await withSpan('POST /login', { kind: SpanKind.SERVER }, () => requestQueue.enqueue({ requestId: 'traced-1' }));
+            const request = await requestQueue.blockDequeue(1);
+
+            const server = spanNamed('POST /login');
+            const enqueue = spanNamed('requestQueue.enqueue');
+            expect(enqueue.kind).to.equal(SpanKind.PRODUCER);
+            expect(enqueue.parentSpanContext.spanId).to.equal(server.spanContext().spanId);
+            expect(enqueue.attributes).to.include({ 'messaging.destination.name': REDIS_TEST_QUEUE_NAME, 'messaging.message.id': 'traced-1' });
+            expect(request.traceContext.traceparent).to.equal(`00-${enqueue.spanContext().traceId}-${enqueue.spanContext().spanId}-01`);
+
+            // Dequeued in a trace of its own, linked to the one that queued it
+            const dequeue = spanNamed('requestQueue.blockDequeue');
+            expect(dequeue.kind).to.equal(SpanKind.CONSUMER);
+            expect(dequeue.spanContext().traceId).to.not.equal(enqueue.spanContext().traceId);
+            expect(dequeue.links.map(link => link.context.spanId)).to.deep.equal([enqueue.spanContext().spanId]);
+        } finally {
+            await requestQueue.disconnect();
+        }
+    });
+
+    it('should make no links without a valid trace context', () => {
+        expect(traceLinks(undefined)).to.deep.equal([]);
+        expect(traceLinks({ traceparent: 'garbage' })).to.deep.equal([]);
+        expect(injectTraceContext()).to.be.undefined; // Outside any span
+    });
+
+    it('should trace rate limit decisions', async () => {
+        const tokenBucket = new TokenBucket(1, 1, REDIS_TEST_BUCKET_KEY);
+        try {
+            await tokenBucket.tryConsume();
+            await tokenBucket.tryConsume();
+        } finally {
+            await tokenBucket.disconnect();
+        }
+        const decisions = exporter.getFinishedSpans().filter(span => span.name === 'rateLimiter.tryConsume');
+        expect(decisions.map(span => span.attributes['rate_limiter.allowed'])).to.deep.equal([true, false]);
+        expect(decisions[0].attributes).to.include({ 'rate_limiter.algorithm': 'token-bucket', 'rate_limiter.key': REDIS_TEST_BUCKET_KEY });
+    });
+
+    it('should trace circuit breaker calls, marking failures and rejections as errors', async () => {
+        const breaker = new CircuitBreaker(1, 60000);
+        await breaker.fire(async () => 'ok');
+        try {
+            await breaker.fire(async () => {
+                throw new Error('upstream down');
+            });
+        } catch {
+            // Expected
+        }
+        let error;
+        try {
+            await breaker.fire(async () => 'not called');
+        } catch (e) {
+            error = e;
+        }
+        expect(error.name).to.equal('CircuitOpenError');
+
+        const [succeeded, failed, rejected] = exporter.getFinishedSpans().filter(span => span.name === 'circuitBreaker.fire');
+        expect(succeeded.attributes).to.include({ 'circuit_breaker.state': 'CLOSED', 'circuit_breaker.outcome': 'success' });
+        expect(succeeded.status.code).to.equal(SpanStatusCode.UNSET);
+        expect(failed.attributes).to.include({ 'circuit_breaker.outcome': 'failure' });
+        expect(failed.status).to.include({ code: SpanStatusCode.ERROR, message: 'upstream down' });
+        expect(rejected.attributes).to.include({ 'circuit_breaker.state': 'OPEN', 'circuit_breaker.outcome': 'rejected' });
+        expect(rejected.status.code).to.equal(SpanStatusCode.ERROR);
+    });
+});
+
+describe('FileSpanExporter', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = mkdtempSync(join(tmpdir(), 'traces-'));
+    });
+
+    afterEach(() => {
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should append one JSON object per span', async () => {
+        const file = join(dir, 'traces.jsonl');
+        // Not registered, so it doesn't interfere with the global provider
+        const provider = new BasicTracerProvider({ spanProcessors: [new SimpleSpanProcessor(new FileSpanExporter(file))] });
+        const tracer = provider.getTracer('test');
+        const parent = tracer.startSpan('parent', { kind: SpanKind.CONSUMER, attributes: { 'worker.attempt': 2 } });
+        parent.end();
+        tracer.startSpan('other').end();
+        await provider.forceFlush();
+
+        const spans = readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+        expect(spans.map(span => span.name)).to.deep.equal(['parent', 'other']);
+        expect(spans[0]).to.include({ kind: 'CONSUMER', traceId: parent.spanContext().traceId, spanId: parent.spanContext().spanId });
+        expect(spans[0].attributes).to.deep.equal({ 'worker.attempt': 2 });
+        expect(spans[0].durationMicros).to.be.a('number');
+        await provider.shutdown();
+    });
+});
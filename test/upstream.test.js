@@ -0,0 +1,192 @@
+// test/upstream.test.js
+import { expect } from 'chai';
+import { createServer } from 'node:http';
+import { callUpstream, describeRequest, relayResponse, restoredResponse, sendUpstream, storedResponse } from '../src/upstream.js';
+
+function fakeRequest({ method = 'POST', url = '/login?next=%2Fhome', headers = {}, body } = {}) {
+    return {
+        method,
+        originalUrl: url,
+        protocol: 'http',
+        headers: { host: 'proxy.local', ...headers },
+        socket: { remoteAddress: '10.0.0.1' },
+        body,
+    };
+}
+
+function fakeResponse() {
+    const res = { headers: {} };
+    res.status = code => { res.statusCode = code; return res; };
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    res.hasHeader = name => name in res.headers;
+    res.end = body => { res.body = body; };
+    return res;
+}
+
+describe('upstream', () => {
+    describe('describeRequest', () => {
+        it('should keep the method, path, query string and raw body', () => {
+            const body = Buffer.from([0x00, 0xff, 0x10]);
+            const request = describeRequest(fakeRequest({ body }));
+            expect(request).to.include({ method: 'POST', url: '/login?next=%2Fhome' });
+            expect(Buffer.from(request.body, 'base64').equals(body)).to.be.true;
+            expect(describeRequest(fakeRequest({ method: 'GET', body: {} })).body).to.be.null;
+        });
+
+        it('should send bodies parsed by express.json() on as JSON', () => {
+            const request = describeRequest(fakeRequest({ body: { username: 'userX' } }));
+            expect(Buffer.from(request.body, 'base64').toString()).to.equal('{"username":"userX"}');
+        });
+
+        it('should drop hop-by-hop headers and add X-Forwarded-*', () => {
+            const { headers } = describeRequest(fakeRequest({
+                headers: {
+                    'content-type': 'application/json',
+                    'content-length': '12',
+                    'connection': 'keep-alive, x-trace-hop',
+                    'x-trace-hop': '1',
+                    'transfer-encoding': 'chunked',
+                    'x-forwarded-for': '192.0.2.1',
+                },
+            }));
+            expect(headers).to.deep.equal({
+                'content-type': 'application/json',
+                'x-forwarded-for': '192.0.2.1, 10.0.0.1',
+                'x-forwarded-host': 'proxy.local',
+                'x-forwarded-proto': 'http',
+            });
+        });
+
+        it('should send the request ID upstream', () => {
+            const { headers } = describeRequest({ ...fakeRequest({ headers: { 'x-request-id': 'spoofed' } }), requestId: 'req-1' });
+            expect(headers['x-request-id']).to.equal('req-1');
+        });
+    });
+
+    describe('sendUpstream', () => {
+        let server;
+        let upstream;
+        let received;
+
+        beforeEach(done => {
+            server = createServer((req, res) => {
+                const chunks = [];
+                req.on('data', chunk => chunks.push(chunk));
+                req.on('end', () => {
+                    received = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+                    const status = Number(req.headers['x-respond-with']) || 201;
+                    res.writeHead(status, [
+                        ['Content-Type', 'text/plain'],
+                        ['Set-Cookie', 'a=1'],
+                        ['Set-Cookie', 'b=2'],
+                        ['Location', '/elsewhere'],
+                    ]);
+                    res.end('created');
+                });
+            });
+            server.listen(0, '127.0.0.1', () => {
+                upstream = `http://127.0.0.1:${server.address().port}/base`;
+                done();
+            });
+        });
+
+        afterEach(done => {
+            server.close(done);
+        });
+
+        it('should forward the request unchanged below the upstream base URL', async () => {
+            const body = Buffer.from('raw body');
+            await sendUpstream(upstream, describeRequest(fakeRequest({
+                method: 'PUT',
+                headers: { 'content-type': 'application/octet-stream', 'x-custom': 'yes' },
+                body,
+            })));
+            expect(received.method).to.equal('PUT');
+            expect(received.url).to.equal('/base/login?next=%2Fhome');
+            expect(received.headers).to.include({ 'content-type': 'application/octet-stream', 'x-custom': 'yes' });
+            expect(received.body.equals(body)).to.be.true;
+        });
+
+        it('should return the upstream status, headers and body without following redirects', async () => {
+            const response = await sendUpstream(upstream, describeRequest(fakeRequest({
+                headers: { 'x-respond-with': '302' },
+            })));
+            expect(response.status).to.equal(302);
+            expect(response.headers.location).to.equal('/elsewhere');
+            expect(response.headers['set-cookie']).to.deep.equal(['a=1', 'b=2']);
+            expect(response.body.toString()).to.equal('created');
+        });
+
+        it('should resolve with client error responses', async () => {
+            const response = await callUpstream(upstream, describeRequest(fakeRequest({ headers: { 'x-respond-with': '404' } })));
+            expect(response.status).to.equal(404);
+        });
+
+        it('should reject server error statuses with the response attached', async () => {
+            try {
+                await callUpstream(upstream, describeRequest(fakeRequest({ headers: { 'x-respond-with': '503' } })));
+                expect.fail('callUpstream should have thrown');
+            } catch (error) {
+                expect(error.message).to.equal('Upstream service responded with 503');
+                expect(error.response.status).to.equal(503);
+            }
+        });
+
+        it('should give up when the signal is aborted', async () => {
+            const controller = new AbortController();
+            const reason = new Error('timed out');
+            controller.abort(reason);
+            try {
+                await sendUpstream(upstream, describeRequest(fakeRequest()), { signal: controller.signal });
+                expect.fail('sendUpstream should have thrown');
+            } catch (error) {
+                expect(error).to.equal(reason);
+            }
+        });
+    });
+
+    describe('relayResponse', () => {
+        it('should pass the status, headers and body through', () => {
+            const res = fakeResponse();
+            const body = Buffer.from('{"ok":true}');
+            relayResponse(res, {
+                status: 418,
+                headers: { 'content-type': 'application/json', 'content-length': '99', 'connection': 'close', 'x-upstream': '1' },
+                body,
+            });
+            expect(res.statusCode).to.equal(418);
+            expect(res.headers).to.deep.equal({ 'content-type': 'application/json', 'x-upstream': '1' });
+            expect(res.body).to.equal(body);
+        });
+
+        it('should keep the request\'s own X-Request-Id', () => {
+            const res = fakeResponse();
+            res.setHeader('x-request-id', 'req-1');
+            relayResponse(res, { status: 200, headers: { 'x-request-id': 'upstream-id' }, body: Buffer.alloc(0) });
+            expect(res.headers['x-request-id']).to.equal('req-1');
+        });
+    });
+
+    describe('storedResponse', () => {
+        it('should parse JSON bodies and keep text readable', () => {
+            const json = storedResponse({ status: 200, headers: { 'content-type': 'application/json' }, body: Buffer.from('{"a":1}') });
+            expect(json.body).to.deep.equal({ a: 1 });
+            const text = storedResponse({ status: 200, headers: { 'content-type': 'text/html' }, body: Buffer.from('<p>') });
+            expect(text.body).to.equal('<p>');
+        });
+
+        it('should base64-encode binary bodies', () => {
+            const stored = storedResponse({ status: 200, headers: { 'content-type': 'image/png' }, body: Buffer.from([1, 2]) });
+            expect(stored).to.include({ body: 'AQI=', bodyEncoding: 'base64' });
+        });
+    });
+
+    describe('restoredResponse', () => {
+        it('should turn stored responses back into bytes', () => {
+            for (const [contentType, body] of [['application/json', '{"a":1}'], ['text/plain', 'hi'], ['image/png', '\u0001\u0002']]) {
+                const response = { status: 201, headers: { 'content-type': contentType }, body: Buffer.from(body) };
+                expect(restoredResponse(storedResponse(response))).to.deep.equal(response);
+            }
+        });
+    });
+});
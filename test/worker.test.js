@@ -0,0 +1,253 @@
+// test/worker.test.js
+import { createServer } from 'node:http';
+import { expect } from 'chai';
+import { createWorker } from '../src/worker.js';
+import RequestQueue from '../src/requestQueue.js';
+import ResultStore from '../src/resultStore.js';
+import { MemoryStorage } from '../src/storage/index.js';
+import { verifySignature } from '../src/webhookDispatcher.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('createWorker', function () {
+    this.timeout(10000); // Each loop blocks for up to a second waiting for requests
+
+    let storage;
+    let server;
+    let upstream;
+    let received;
+    let answers; // Statuses to answer with, in turn; 200 once used up, and none at all for 'hang'
+    let responseDelayMs;
+    let active; // Requests the upstream is answering
+    let maxActive;
+    let queue;
+    let resultStore;
+    let worker;
+
+    beforeEach(async () => {
+        storage = new MemoryStorage();
+        received = [];
+        answers = [];
+        responseDelayMs = 0;
+        active = 0;
+        maxActive = 0;
+        server = createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                received.push({ url: req.url, headers: req.headers, body, at: Date.now() });
+                const answer = answers.shift() ?? 200;
+                if (answer === 'hang') {
+                    return;
+                }
+                maxActive = Math.max(maxActive, ++active);
+                await sleep(responseDelayMs);
+                active--;
+                res.writeHead(answer, { 'content-type': 'text/plain' }).end('done');
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        upstream = `http://127.0.0.1:${server.address().port}`;
+        queue = new RequestQueue('login_queue', { storage });
+        resultStore = new ResultStore('request_result', 3600, storage);
+        worker = null;
+    });
+
+    afterEach(async () => {
+        await worker?.stop();
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await storage.disconnect();
+        storage.store.close();
+    });
+
+    function startWorker(route = {}, { routes = [], ...options } = {}) {
+        worker = createWorker({
+            routes: [{ name: 'login', path: '/login', upstream, ...route }, ...routes],
+            delayMs: 5,
+            reapInterval: 60000,
+            retryBaseDelayMs: 1,
+            retryMaxDelayMs: 1,
+            storage,
+            ...options,
+        });
+        worker.start();
+        return worker;
+    }
+
+    async function enqueue(requestId, request = {}, options = {}) {
+        await resultStore.setPending(requestId);
+        return (options.queue ?? queue).enqueue({ requestId, method: 'POST', url: '/login', headers: {}, body: null, ...request }, options);
+    }
+
+    async function waitUntil(condition, timeoutMs = 3000) {
+        const deadline = Date.now() + timeoutMs;
+        while (!await condition()) {
+            if (Date.now() > deadline) {
+                throw new Error('Timed out waiting for the worker');
+            }
+            await sleep(10);
+        }
+    }
+
+    it('should dispatch queued requests and store their outcome', async () => {
+        answers = [200, 401];
+        startWorker();
+        await enqueue('r1');
+        await enqueue('r2');
+
+        expect(await resultStore.waitFor('r1', 3000)).to.deep.include({ status: 'succeeded' });
+        const failed = await resultStore.waitFor('r2', 3000);
+        // The backend rejected it, so it isn't retried
+        expect(failed).to.include({ status: 'failed', error: 'Upstream service responded with 401' });
+        expect(failed.response).to.include({ status: 401, body: 'done' });
+        expect(received.map(request => request.url)).to.deep.equal(['/login', '/login']);
+    });
+
+    it('should retry failed requests with backoff, then dead-letter them', async () => {
+        answers = [500, 503, 502];
+        startWorker({ circuitBreaker: { failureThreshold: 10 } }, { maxAttempts: 2 });
+        await enqueue('r1');
+        expect(await resultStore.waitFor('r1', 3000)).to.include({ status: 'dead_lettered' });
+        expect(received).to.have.lengthOf(2);
+        const deadLetter = await queue.getDeadLetter('r1');
+        expect(deadLetter).to.include({ attempts: 2 });
+        expect(deadLetter.lastError).to.be.a('string');
+
+        // A retry that succeeds
+        await enqueue('r2');
+        expect(await resultStore.waitFor('r2', 3000)).to.include({ status: 'succeeded' });
+        expect(received).to.have.lengthOf(4);
+        expect(await queue.deadLength()).to.equal(1);
+    });
+
+    it('should drop requests past their deadline without dispatching them', async () => {
+        await enqueue('r1', {}, { maxWaitMs: 1 });
+        await sleep(5);
+        startWorker();
+        expect(await resultStore.waitFor('r1', 3000)).to.include({ status: 'expired' });
+        expect(received).to.be.empty;
+        expect(await queue.length()).to.equal(0);
+    });
+
+    it('should dispatch up to `concurrency` requests of a route at once', async () => {
+        responseDelayMs = 100;
+        startWorker({}, { concurrency: 2 });
+        await Promise.all(['r1', 'r2', 'r3', 'r4', 'r5'].map(requestId => enqueue(requestId)));
+
+        await waitUntil(async () => (await resultStore.get('r5')).status === 'succeeded' && active === 0);
+        expect(received).to.have.lengthOf(5);
+        expect(maxActive).to.equal(2);
+    });
+
+    it('should dispatch up to `maxInFlight` requests at once across routes', async () => {
+        responseDelayMs = 100;
+        const orders = new RequestQueue('orders_queue', { storage });
+        startWorker({}, { concurrency: 3, maxInFlight: 2, routes: [{ name: 'orders', path: '/orders', upstream }] });
+        for (const requestId of ['r1', 'r2', 'r3']) {
+            await enqueue(requestId);
+            await enqueue(`o-${requestId}`, { url: '/orders' }, { queue: orders });
+        }
+
+        await waitUntil(async () => received.length === 6 && active === 0);
+        expect(maxActive).to.equal(2);
+        expect(received.filter(request => request.url === '/orders')).to.have.lengthOf(3);
+        await orders.disconnect();
+    });
+
+    it('should reserve up to `batchSize` requests per round trip', async () => {
+        const { reserveBatch } = RequestQueue.prototype;
+        const batches = [];
+        RequestQueue.prototype.reserveBatch = async function (count, timeout) {
+            const reserved = await reserveBatch.call(this, count, timeout);
+            if (reserved.length > 0) {
+                batches.push({ count, reserved: reserved.length });
+            }
+            return reserved;
+        };
+        try {
+            responseDelayMs = 50;
+            await Promise.all(['r1', 'r2', 'r3', 'r4', 'r5'].map(requestId => enqueue(requestId)));
+            startWorker({}, { concurrency: 5, batchSize: 3 });
+            await waitUntil(async () => received.length === 5);
+        } finally {
+            RequestQueue.prototype.reserveBatch = reserveBatch;
+        }
+        expect(batches[0]).to.deep.equal({ count: 3, reserved: 3 });
+        expect(batches.reduce((sum, batch) => sum + batch.reserved, 0)).to.equal(5);
+        expect(batches.every(batch => batch.count <= 3)).to.be.true;
+    });
+
+    it('should cancel requests still in flight when the drain times out, and requeue them without counting an attempt', async () => {
+        answers = ['hang'];
+        startWorker({}, { drainTimeoutMs: 100 });
+        await enqueue('r1');
+        await waitUntil(() => received.length === 1);
+
+        const stopping = Date.now();
+        await worker.stop();
+        worker = null;
+        expect(Date.now() - stopping).to.be.within(90, 2000);
+
+        expect((await resultStore.get('r1')).status).to.equal('pending');
+        const { requests: [requeued] } = await queue.peek();
+        expect(requeued).to.include({ requestId: 'r1' });
+        expect(requeued.attempts ?? 0).to.equal(0);
+        expect(await queue.delayedLength()).to.equal(0);
+        expect(await queue.deadLength()).to.equal(0);
+    });
+
+    it('should wait for requests in flight when stopped', async () => {
+        responseDelayMs = 200;
+        startWorker({}, { drainTimeoutMs: 2000 });
+        await enqueue('r1');
+        await waitUntil(() => received.length === 1);
+        await worker.stop();
+        worker = null;
+        expect((await resultStore.get('r1')).status).to.equal('succeeded');
+    });
+
+    it('should POST the outcome of finished requests to their callback URL', async () => {
+        const callbacks = { secret: 'callback-secret', allowedUrls: [`${upstream}/hooks/`] };
+        startWorker({}, { callbacks });
+        await enqueue('r1', { callbackUrl: `${upstream}/hooks/done` });
+        await enqueue('r2', { callbackUrl: `${upstream}/hooks/done` }, { maxWaitMs: 1 });
+        await enqueue('r3'); // Without a callback
+
+        await waitUntil(() => received.filter(request => request.url === '/hooks/done').length === 2);
+        const hooks = received.filter(request => request.url === '/hooks/done');
+        const bodies = hooks.map(hook => JSON.parse(hook.body));
+        expect(bodies.map(body => [body.requestId, body.status]).sort()).to.deep.equal([['r1', 'succeeded'], ['r2', 'expired']]);
+        for (const { headers, body } of hooks) {
+            expect(verifySignature(callbacks.secret, { signature: headers['x-webhook-signature'], timestamp: headers['x-webhook-timestamp'], body })).to.be.true;
+        }
+        expect(received.filter(request => request.url === '/login')).to.have.lengthOf(2); // r1 and r3; r2 expired
+    });
+
+    it('should keep the lease of requests for as long as the upstream takes to answer', async () => {
+        responseDelayMs = 600;
+        startWorker({}, { leaseTimeout: 150, concurrency: 2 });
+        await enqueue('r1');
+        await waitUntil(() => received.length === 1);
+
+        // Long past the lease the request was reserved with, as another worker's reaper would find it
+        await sleep(400);
+        expect(await queue.reapExpiredLeases()).to.equal(0);
+        expect(await resultStore.waitFor('r1', 3000)).to.include({ status: 'succeeded' });
+        expect(await queue.reapExpiredLeases()).to.equal(0);
+        expect(received).to.have.lengthOf(1);
+    });
+
+    it('should keep requests an open circuit holds back without counting failed attempts', async () => {
+        // The first call fails and opens the circuit; the request's only retry must wait for it
+        answers = [500];
+        startWorker({ circuitBreaker: { failureThreshold: 1, resetTimeout: 300, successThreshold: 1 } }, { maxAttempts: 2 });
+        await enqueue('r1');
+
+        const result = await resultStore.waitFor('r1', 3000);
+        expect(result.status).to.equal('succeeded');
+        expect(received).to.have.lengthOf(2);
+        expect(received[1].at - received[0].at).to.be.at.least(250); // Not before the circuit let a trial call through
+        expect(await queue.deadLength()).to.equal(0);
+    });
+});
@@ -0,0 +1,54 @@
+import { loadConfig } from './src/config.js';
+import { createWorker, workerOptions } from './src/worker.js';
+import logger from './src/logger.js';
+import { createStorage } from './src/storage/index.js';
+import { startTracing } from './src/telemetry.js';
+
+// --- Configuration ---
+// Shared with the proxy, so both consume from the same limiter state: defaults, then the
+// CONFIG_FILE (JSON or YAML), then environment variables.
+const config = loadConfig();
+// LOG_LEVEL and LOG_FORMAT, or logging: in the config file. Credentials are never logged.
+logger.configure({ ...config.logging, redact: config.payloads.sensitiveFields });
+if (config.storage.backend === 'memory') {
+    // Nothing would be shared with the proxy; it runs the worker itself instead
+    logger.error('The memory storage backend is only shared within one process: run the proxy alone (index.js).');
+    process.exit(1);
+}
+// Dispatch spans link to the traces of the proxy requests that queued them
+const tracing = startTracing({ ...config.tracing, serviceName: config.tracing.serviceName ?? 'rate-limiter-worker' });
+const METRICS_PORT = config.worker.metricsPort; // Serves GET /metrics
+
+// One connection for every route (plus one per queue for blocking reads); STORAGE_BACKEND,
+// REDIS_HOST, REDIS_SENTINELS, REDIS_CLUSTER_NODES and so on choose where
+const storage = createStorage(config.storage);
+const worker = createWorker({
+    ...workerOptions(config),
+    reloadRoutes: () => loadConfig().routes, // Reads the config file and route table again
+    storage,
+});
+worker.start();
+worker.listenMetrics(METRICS_PORT, () => {
+    logger.info(`Worker metrics available on http://localhost:${METRICS_PORT}/metrics`);
+});
+
+// --- Hot Reload ---
+// New rate limits and circuit breaker settings apply without a restart
+process.on('SIGHUP', async () => {
+    logger.info('SIGHUP signal received by worker: reloading configuration.');
+    try {
+        await worker.reload();
+    } catch (error) {
+        logger.error('Error reloading configuration', { error });
+    }
+});
+
+// --- Graceful Shutdown ---
+process.on('SIGTERM', async () => {
+    logger.info('SIGTERM signal received by worker: draining in-flight requests and disconnecting Redis clients.');
+    await worker.stop();
+    await storage.disconnect();
+    await tracing?.shutdown(); // Exports the spans still buffered
+    logger.info('Worker Redis clients disconnected. Exiting.');
+    process.exit(0);
+});